@@ -0,0 +1,100 @@
+/**
+ * Cache Command
+ *
+ * Inspect, prune or clear the HTTP cache of search results, articles and
+ * robots.txt files.
+ */
+
+import chalk from 'chalk';
+import config from '../../src/config/config.js';
+import { httpCache, entryAge } from '../../src/cache/index.js';
+
+const KINDS = ['search', 'scrape', 'robots'];
+
+export async function cacheCommand(action = 'inspect', options) {
+  try {
+    if (options.kind && !KINDS.includes(options.kind)) {
+      throw new Error(`Unknown kind: ${options.kind}. Use ${KINDS.join(', ')}`);
+    }
+
+    switch (action) {
+      case 'inspect':
+        await inspectCache(options);
+        break;
+      case 'prune':
+        await pruneCache(options);
+        break;
+      case 'clear':
+        await clearCache(options);
+        break;
+      default:
+        throw new Error(`Unknown action: ${action}. Use inspect, prune or clear`);
+    }
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+async function inspectCache(options) {
+  console.log(chalk.bold.cyan(`\n💾 HTTP Cache (${httpCache.dir})\n`));
+  if (!config.httpCacheEnabled) {
+    console.log(chalk.yellow('  Disabled (HTTP_CACHE_ENABLED=false)\n'));
+  }
+
+  const stats = await httpCache.stats();
+  const kinds = KINDS.filter(kind => !options.kind || kind === options.kind);
+  for (const kind of kinds) {
+    const { entries = 0, fresh = 0, expired = 0, bytes = 0 } = stats[kind] || {};
+    const ttl = httpCache.ttlFor(kind) / 60000;
+    console.log(
+      chalk.bold(`  ${kind.padEnd(7)}`),
+      `${entries} entries`,
+      chalk.gray(`(${fresh} fresh, ${expired} expired, ${formatBytes(bytes)}, TTL ${ttl} min)`)
+    );
+  }
+  console.log();
+
+  if (!options.list) return;
+
+  const limit = parseInt(options.limit, 10);
+  const entries = (await httpCache.entries(options.kind || null)).slice(0, limit);
+  for (const entry of entries) {
+    const status = entry.fresh ? chalk.green('fresh  ') : chalk.yellow('expired');
+    const label = entry.kind === 'search' ? `${entry.input.provider}: "${entry.input.query}"`
+      : entry.kind === 'robots' ? `${entry.input.origin}/robots.txt`
+        : entry.input.url;
+    console.log(`  ${status} ${chalk.gray(entry.kind.padEnd(6))} ${label}`);
+    console.log(chalk.gray(`          ${formatAge(entryAge(entry))} old, ${formatBytes(entry.bytes)}, key ${entry.key.slice(0, 12)}`));
+  }
+  if (entries.length === 0) {
+    console.log(chalk.gray('  No entries. Searches and scraped articles are cached as they are fetched.'));
+  }
+  console.log();
+}
+
+async function pruneCache(options) {
+  const olderThanMs = options.olderThan !== undefined ? parseFloat(options.olderThan) * 60 * 60 * 1000 : null;
+  const removed = await httpCache.prune({ olderThanMs, kind: options.kind || null });
+  const what = olderThanMs !== null ? `older than ${options.olderThan} hours` : 'expired';
+  console.log(chalk.bold.cyan('\n💾 Pruning HTTP Cache\n'));
+  console.log(chalk.gray(`  ${removed} ${what} entries removed\n`));
+}
+
+async function clearCache(options) {
+  const removed = await httpCache.clear(options.kind || null);
+  console.log(chalk.bold.cyan('\n💾 Clearing HTTP Cache\n'));
+  console.log(chalk.gray(`  ${removed} ${options.kind ? `${options.kind} ` : ''}entries removed\n`));
+}
+
+function formatAge(seconds) {
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  if (seconds < 86400) return `${Math.round(seconds / 360) / 10} h`;
+  return `${Math.round(seconds / 8640) / 10} d`;
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${Math.round(bytes / 102.4) / 10} KB` : `${Math.round(bytes / 104857.6) / 10} MB`;
+}
+
+export default cacheCommand;
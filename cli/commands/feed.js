@@ -0,0 +1,59 @@
+/**
+ * Feed Command
+ *
+ * Rebuild or validate the podcast RSS feed over all episodes
+ * in the output directory.
+ */
+
+import chalk from 'chalk';
+import config from '../../src/config/config.js';
+import { rebuildFeed } from '../../src/publish/feed.js';
+
+export async function feedCommand(options) {
+  try {
+    console.log(chalk.bold.cyan('\n📡 Podcast Feed\n'));
+
+    const outputDir = options.outputDir || config.outputDir;
+    const result = await rebuildFeed({
+      outputDir,
+      options: { baseUrl: options.baseUrl, title: options.title },
+      write: !options.check,
+    });
+
+    console.log(chalk.gray('  Output directory:'), outputDir);
+    console.log(chalk.gray('  Episodes:'), `${result.episodes} found, ${result.published} with audio`);
+    console.log();
+
+    for (const warning of result.warnings) {
+      console.log(chalk.yellow(`  ⚠️  ${warning}`));
+    }
+    for (const error of result.errors) {
+      console.log(chalk.red(`  ✖ ${error}`));
+    }
+    if (result.warnings.length > 0 || result.errors.length > 0) {
+      console.log();
+    }
+
+    if (result.errors.length > 0) {
+      console.error(chalk.red('❌ Feed is not valid\n'));
+      process.exit(1);
+    }
+
+    if (options.check) {
+      if (!result.upToDate) {
+        console.error(chalk.red(`❌ ${result.feedPath} is missing or out of date. Run the feed command without --check.\n`));
+        process.exit(1);
+      }
+      console.log(chalk.green(`✅ Feed is valid and up to date: ${result.feedPath}\n`));
+      return;
+    }
+
+    console.log(chalk.green(`✅ Feed ${result.upToDate ? 'already up to date' : 'written'}: ${result.feedPath}\n`));
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+export default feedCommand;
@@ -13,71 +13,165 @@ import config from '../../src/config/config.js';
 import logger from '../../src/utils/logger.js';
 import { createUserContext } from '../../src/orchestrator/user-context.js';
 import { executeWorkflow } from '../../src/orchestrator/workflow.js';
+import { RunCheckpoint, openCheckpoint } from '../../src/orchestrator/checkpoint.js';
 import { synthesizeScript } from '../../src/synthesis/editor.js';
-import { generateAudio } from '../../src/audio/generator.js';
-import { getAllChannels } from '../../src/agents/channel-registry.js';
-import { calculateWorkflowCost, formatCost } from '../../src/utils/token-cost.js';
+import { getSetting } from '../../src/synthesis/prompts.js';
+import { SCRIPT_FORMATS, hasFormat, parseSpeakerTurns, DEFAULT_HOSTS } from '../../src/synthesis/dialogue.js';
+import { formatSourcesMarkdown, formatShowNotes } from '../../src/synthesis/citations.js';
+import { FACT_CHECK_POLICIES, hasFactCheckPolicy } from '../../src/synthesis/fact-checker.js';
+import { summarizeClusters } from '../../src/synthesis/story-clusters.js';
+import { AudioGenerator } from '../../src/audio/generator.js';
+import { getTtsProviderNames } from '../../src/audio/tts-providers.js';
+import { parseAudioTags, toTranscript } from '../../src/audio/audio-tags.js';
+import { getAllChannels, getChannel } from '../../src/agents/channel-registry.js';
+import { calculateWorkflowCost, formatCostEntry } from '../../src/utils/token-cost.js';
+import { resolveRole } from '../../src/llm/index.js';
+import { configureFixtures } from '../../src/replay/index.js';
+import { configureCache } from '../../src/cache/index.js';
+import { buildEpisode, saveEpisode } from '../../src/publish/episodes.js';
+import { ProfileStore, profileToOptions } from '../../src/orchestrator/profiles.js';
+import { RunBudget, validateBudgetOptions } from '../../src/orchestrator/budget.js';
+import { HistoryStore, DEFAULT_HISTORY_KEY } from '../../src/orchestrator/history.js';
+import { rebuildFeed } from '../../src/publish/feed.js';
+import { eventBus, runWithEventContext, setEventContext, createRunLogSink } from '../../src/events/index.js';
+import { withSpan, getActiveSpan, shutdownTracing } from '../../src/tracing/index.js';
 
 const log = logger.child('CLI:Generate');
 
 export async function generateCommand(options) {
+  try {
+    await runGeneration(options);
+    await shutdownTracing();
+
+    // Ensure clean shutdown in case of lingering timers/sockets
+    process.exit(0);
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    
+    if (config.logLevel === 'debug') {
+      console.error(chalk.gray(error.stack));
+    }
+    
+    await shutdownTracing();
+    process.exit(1);
+  }
+}
+
+/**
+ * Generate one episode: research, script, audio and publishing.
+ * Shared by the generate and schedule commands.
+ * 
+ * @param {Object} options - generate command options
+ * @returns {Promise<{outputDir: string, scriptPath: string, audioPath: string|null, episode: Object}>} Run result
+ */
+export function runGeneration(options) {
+  // Each run gets its own event context so concurrent runs keep separate run logs,
+  // and its own trace
+  return runWithEventContext({}, () => withSpan('generate', {
+    'podcast.profile': options.profile,
+    'podcast.resume': !!options.resume,
+  }, () => generateEpisode(options)));
+}
+
+async function generateEpisode(options) {
   const spinner = ora();
+  let runLog = null;
+  let stopRunLog = () => {};
+  let stopBudget = () => {};
 
   try {
+    if (options.profile) {
+      options = await applyProfile(options);
+    }
+
     console.log(chalk.bold.cyan('\n🎙️  Agentic Podcast Generation System\n'));
 
-    // Validate options
-    validateOptions(options);
+    // Record or replay external calls if requested
+    configureFixtures(options);
+    configureCache(options);
 
-    // Parse channels
-    const channels = options.channels ? options.channels.split(',').map(c => c.trim()) : [];
-    
-    // Parse custom requests
-    const customRequests = options.requests ? options.requests.split(',').map(r => r.trim()) : [];
+    if (options.factCheck && !hasFactCheckPolicy(options.factCheck)) {
+      throw new Error(`Unknown fact-check policy: ${options.factCheck}. Available: ${FACT_CHECK_POLICIES.join(', ')}`);
+    }
+    const factCheckPolicy = options.factCheck || config.factCheckPolicy;
+
+    // Budget flags apply to resumed runs too, so a stopped run can continue with a higher cap
+    const budgetErrors = validateBudgetOptions(options);
+    if (budgetErrors.length > 0) {
+      throw new Error(budgetErrors[0]);
+    }
+
+    // Resolve run: either a fresh run or a resumed one from its checkpoints
+    const { runOptions, outputDir, checkpoint } = options.resume
+      ? await resumeRun(options.resume)
+      : await startRun(options);
+    const { setting, duration, format } = runOptions;
+
+    // Every event of this run is appended to run.jsonl
+    const runId = path.basename(outputDir);
+    setEventContext({ runId });
+    getActiveSpan()?.setAttribute('podcast.run_id', runId);
+    runLog = createRunLogSink(path.join(outputDir, 'run.jsonl'), { runId });
+    stopRunLog = eventBus.subscribe(runLog);
+
+    // Count this run's LLM spending against its caps
+    const budget = new RunBudget({
+      maxCost: options.maxCost !== undefined ? Number(options.maxCost) : undefined,
+      maxTokens: options.maxTokens !== undefined ? Number(options.maxTokens) : undefined,
+      policies: options.budgetPolicy,
+    });
+    stopBudget = budget.track({ runId });
 
     // Display configuration
     displayConfiguration({
-      channels,
-      customRequests,
-      setting: options.setting,
-      duration: options.duration,
+      ...runOptions,
       generateAudio: options.audio,
-      deterministic: options.deterministic || false,
+      tts: options.tts,
+      factCheck: factCheckPolicy,
+      budget,
     });
 
     // Create user context
-    const userContext = createUserContext({
-      channels,
-      customRequests,
-      setting: options.setting,
-      duration: options.duration,
-      deterministic: options.deterministic || false,
-    });
-
-    // Create output directory
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const outputDir = path.join(config.outputDir, timestamp);
-    await fs.mkdir(outputDir, { recursive: true });
-
-    log.info('Output directory created', { outputDir });
+    const userContext = createUserContext(runOptions);
 
     // Stage 1: Run agent workflow
-    spinner.start('Running agent workflow...');
+    spinner.start(options.resume ? 'Resuming agent workflow...' : 'Running agent workflow...');
     
-    const workflowResults = await executeWorkflow(userContext, (event, data) => {
-      switch (event) {
-        case 'stage_start':
-          spinner.text = `Stage: ${data.stage}`;
-          break;
-        case 'stage_complete':
-          spinner.succeed(`Stage: ${data.stage} complete`);
-          spinner.start();
-          break;
-        case 'progress':
-          spinner.text = data.message;
-          break;
+    const factCheckPath = path.join(outputDir, 'factcheck.json');
+    let workflowResults;
+    try {
+      workflowResults = await executeWorkflow(userContext, (event, data) => {
+        switch (event) {
+          case 'stage_start':
+            spinner.text = `Stage: ${data.stage}`;
+            break;
+          case 'stage_complete':
+            spinner.succeed(`Stage: ${data.stage} complete`);
+            spinner.start();
+            break;
+          case 'progress':
+            spinner.text = data.message;
+            break;
+        }
+      }, {
+        checkpoint,
+        factCheck: factCheckPolicy,
+        history: options.history === false ? null : new HistoryStore(options.historyKey || options.profile || DEFAULT_HISTORY_KEY),
+        episodeId: path.basename(outputDir),
+        progress: options.progress,
+        budget,
+      });
+    } catch (error) {
+      // Keep the report of a failed fact-check for review
+      if (error.factCheck) {
+        await fs.writeFile(factCheckPath, JSON.stringify(error.factCheck, null, 2));
+        console.log(chalk.gray(`\n  Fact-check report saved: ${factCheckPath}`));
       }
-    });
+      if (error.code === 'BUDGET_EXCEEDED') {
+        await savePartialRun(outputDir, error);
+      }
+      throw error;
+    }
 
     spinner.succeed('Agent workflow complete');
 
@@ -88,6 +182,25 @@ export async function generateCommand(options) {
 
     // Display agent summary
     displayAgentSummary(workflowResults);
+    displayBudget(budget);
+
+    if (workflowResults.storyClusters?.length > 0) {
+      const { stories, shared } = summarizeClusters(workflowResults.storyClusters);
+      console.log(chalk.gray(`  Stories: ${stories} after deduplication (${shared} covered by more than one channel)`));
+    }
+
+    if (workflowResults.factCheck) {
+      const { claims, flagged, remaining, policy } = workflowResults.factCheck;
+      await fs.writeFile(factCheckPath, JSON.stringify(workflowResults.factCheck, null, 2));
+      const color = remaining > 0 ? chalk.yellow : chalk.gray;
+      console.log(color(`  Fact-check (${policy}): ${claims} claims, ${flagged} flagged, ${remaining} unresolved`));
+      console.log(chalk.gray(`  Fact-check report saved: ${factCheckPath}`));
+    }
+
+    if (workflowResults.history) {
+      const { previousEpisodes, stories, updates } = workflowResults.history;
+      console.log(chalk.gray(`  History: ${stories} stories recorded (${updates} updates), ${previousEpisodes} recent episodes considered`));
+    }
 
     // Stage 2: If new iterative writer produced a script, use it; otherwise fall back to old synthesizer
     let script;
@@ -98,6 +211,11 @@ export async function generateCommand(options) {
       spinner.start('Synthesizing final script...');
       script = await synthesizeScript(workflowResults, userContext.getContext());
       spinner.succeed('Script synthesis complete');
+
+      // The editor's usage is added to the reports
+      await fs.writeFile(reportsPath, JSON.stringify(workflowResults, null, 2));
+      const editorUsage = workflowResults.metadata.tokenUsage.synthesis.editor;
+      console.log(chalk.gray(`  Editor: ${editorUsage.totalTokens.toLocaleString()} tokens${editorUsage.estimatedTokens > 0 ? ' (estimated)' : ''}`));
     }
 
     // Save script
@@ -105,23 +223,97 @@ export async function generateCommand(options) {
     await fs.writeFile(scriptPath, script);
     console.log(chalk.gray(`  Script saved: ${scriptPath}`));
 
+    // Tag-free transcript for show notes and accessibility
+    const transcriptPath = path.join(outputDir, 'transcript.txt');
+    await fs.writeFile(transcriptPath, toTranscript(script));
+    console.log(chalk.gray(`  Transcript saved: ${transcriptPath}`));
+
+    const { unknown: unknownTags } = parseAudioTags(script);
+    if (unknownTags.length > 0) {
+      console.log(chalk.yellow(`  ⚠️  Unknown audio tags (not spoken): ${unknownTags.join(', ')}`));
+    }
+
+    // Dialogue scripts are also saved as a structured turn list
+    let turns = null;
+    if (format === 'dialogue') {
+      const hosts = workflowResults.hosts || DEFAULT_HOSTS;
+      turns = workflowResults.turns || parseSpeakerTurns(script, { speakers: hosts.map(h => h.id) });
+
+      const turnsPath = path.join(outputDir, 'script.json');
+      await fs.writeFile(turnsPath, JSON.stringify({ format, hosts, turns }, null, 2));
+      console.log(chalk.gray(`  Turns saved: ${turnsPath} (${turns.length} turns)`));
+    }
+
+    // Attribution: full source list and per-segment show notes
+    const metadata = buildAudioMetadata(runOptions);
+    const sources = workflowResults.sources || [];
+    const sourcesPath = path.join(outputDir, 'sources.md');
+    await fs.writeFile(sourcesPath, formatSourcesMarkdown(sources, { title: `Sources - ${metadata.title}` }));
+    const showNotesPath = path.join(outputDir, 'show-notes.md');
+    await fs.writeFile(showNotesPath, formatShowNotes({
+      title: metadata.title,
+      sections: workflowResults.scriptSections || [],
+      sources,
+    }));
+    console.log(chalk.gray(`  Sources saved: ${sourcesPath} (${sources.length} sources)`));
+    console.log(chalk.gray(`  Show notes saved: ${showNotesPath}`));
+
     // Display script stats
-    displayScriptStats(script, options.duration);
+    displayScriptStats(script, duration);
 
     // Stage 3: Generate audio (if requested)
+    let audioPath = null;
     if (options.audio) {
-      if (!config.hasElevenLabsKey) {
-        console.log(chalk.yellow('\n⚠️  ElevenLabs API key not configured. Skipping audio generation.'));
-        console.log(chalk.gray('   Set ELEVENLABS_API_KEY in .env to enable audio generation.\n'));
+      const generator = new AudioGenerator({ tts: options.tts, voice: options.voice });
+      const provider = generator.getProvider(setting);
+
+      if (!provider.isAvailable()) {
+        console.log(chalk.yellow(`\n⚠️  TTS provider ${provider.name} not configured. Skipping audio generation.`));
+        console.log(chalk.gray(`   ${provider.setupHint} to enable audio generation.\n`));
       } else {
-        spinner.start('Generating audio...');
+        spinner.start(`Generating audio (${provider.name})...`);
         
-        const audioPath = path.join(outputDir, 'podcast.mp3');
-        const audioResult = await generateAudio(script, options.setting, audioPath);
+        const audioResult = await generator.generate(turns || script, setting, path.join(outputDir, 'podcast.mp3'), {
+          turnSilenceMs: options.turnSilence,
+          sections: workflowResults.scriptSections,
+          metadata,
+        });
+        audioPath = audioResult.outputPath;
         
         spinner.succeed('Audio generation complete');
         console.log(chalk.gray(`  Audio saved: ${audioPath}`));
         console.log(chalk.gray(`  File size: ${audioResult.fileSizeMB} MB`));
+        if (audioResult.chapters.length > 0) {
+          console.log(chalk.gray(`  Chapters: ${audioResult.chapters.map(c => c.title).join(', ')}`));
+        }
+        if (audioResult.turns > 0) {
+          console.log(chalk.gray(`  Turns: ${audioResult.turns} (${audioResult.voiceIds.length} voices)`));
+        }
+      }
+    }
+
+    // Stage 4: Record the episode and refresh the podcast feed
+    const episode = await buildEpisode({
+      runDir: outputDir,
+      metadata,
+      runOptions,
+      plan: workflowResults.plan,
+      sections: workflowResults.scriptSections || [],
+    });
+    const episodePath = await saveEpisode(outputDir, episode);
+    console.log(chalk.gray(`  Episode saved: ${episodePath}`));
+
+    if (config.feedBaseUrl) {
+      try {
+        const feed = await rebuildFeed({ outputDir: path.dirname(outputDir) });
+        if (feed.errors.length > 0) {
+          console.log(chalk.yellow(`  ⚠️  Feed not updated: ${feed.errors.join(' ')}`));
+        } else {
+          console.log(chalk.gray(`  Feed updated: ${feed.feedPath} (${feed.published} episodes)`));
+        }
+      } catch (error) {
+        log.warn('Feed update failed', { error: error.message });
+        console.log(chalk.yellow(`  ⚠️  Feed update failed: ${error.message}`));
       }
     }
 
@@ -129,36 +321,135 @@ export async function generateCommand(options) {
     console.log(chalk.bold.green('\n✅ Podcast generation complete!\n'));
     console.log(chalk.cyan('Output directory:'), outputDir);
     console.log(chalk.cyan('Script:'), path.join(outputDir, 'script.txt'));
-    if (options.audio && config.hasElevenLabsKey) {
-      console.log(chalk.cyan('Audio:'), path.join(outputDir, 'podcast.mp3'));
+    if (audioPath) {
+      console.log(chalk.cyan('Audio:'), audioPath);
     }
+    console.log(chalk.cyan('Run log:'), runLog.file);
     console.log();
 
-    // Ensure clean shutdown in case of lingering timers/sockets
-    try { spinner.stop(); } catch {}
-    process.exit(0);
+    return { outputDir, scriptPath, audioPath, episode };
 
   } catch (error) {
     spinner.fail('Generation failed');
-    console.error(chalk.red('\n❌ Error:'), error.message);
-    
-    if (config.logLevel === 'debug') {
-      console.error(chalk.gray(error.stack));
-    }
-    
+    throw error;
+  } finally {
     try { spinner.stop(); } catch {}
-    process.exit(1);
+    stopBudget();
+    stopRunLog();
+    if (runLog) await runLog.close();
+  }
+}
+
+/**
+ * Start a fresh run: validate options, create the output directory
+ * and checkpoint the user context so the run can be resumed later.
+ */
+async function startRun(options) {
+  validateOptions(options);
+
+  const runOptions = {
+    channels: toList(options.channels),
+    customRequests: toList(options.requests),
+    setting: options.setting,
+    duration: options.duration,
+    format: options.format || 'monologue',
+    deterministic: options.deterministic || false,
+  };
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const outputDir = path.join(config.outputDir, timestamp);
+  await fs.mkdir(outputDir, { recursive: true });
+  log.info('Output directory created', { outputDir });
+
+  const checkpoint = new RunCheckpoint(outputDir);
+  await checkpoint.saveContext(runOptions);
+
+  return { runOptions, outputDir, checkpoint };
+}
+
+/**
+ * Resume a previous run from the checkpoints in its output directory.
+ * The original user context is reused; CLI channel/setting flags are ignored.
+ */
+async function resumeRun(runDir) {
+  const outputDir = path.resolve(runDir);
+  const checkpoint = await openCheckpoint(outputDir);
+  const saved = await checkpoint.loadContext();
+
+  log.info('Resuming run', { outputDir });
+  console.log(chalk.gray(`  Resuming run: ${outputDir}\n`));
+
+  return {
+    runOptions: {
+      channels: saved.channels || [],
+      customRequests: saved.customRequests || [],
+      setting: saved.setting,
+      duration: saved.duration,
+      format: saved.format || 'monologue',
+      deterministic: saved.deterministic || false,
+    },
+    outputDir,
+    checkpoint,
+  };
+}
+
+/**
+ * Keep what a run produced before its budget stopped it: the finished
+ * reports and any sections already written. Completed stages are also
+ * checkpointed, so the run can be resumed with a higher cap.
+ */
+async function savePartialRun(outputDir, error) {
+  if (error.results) {
+    const reportsPath = path.join(outputDir, 'agent-reports.json');
+    const { partialScript, ...results } = error.results;
+    await fs.writeFile(reportsPath, JSON.stringify(results, null, 2));
+    console.log(chalk.gray(`\n  Reports saved: ${reportsPath}`));
+
+    if (partialScript) {
+      const partialPath = path.join(outputDir, 'script.partial.txt');
+      await fs.writeFile(partialPath, partialScript);
+      console.log(chalk.gray(`  Partial script saved: ${partialPath}`));
+    }
   }
+
+  // Suggest raising the cap that stopped the run
+  const { maxCost = null, maxTokens = null, spent = {} } = error.budget || {};
+  const costRatio = maxCost !== null ? spent.cost / maxCost : -1;
+  const tokenRatio = maxTokens !== null ? spent.totalTokens / maxTokens : -1;
+  const flag = costRatio > tokenRatio ? '--max-cost <dollars>' : '--max-tokens <tokens>';
+  console.log(chalk.yellow(`  Continue with a new cap: generate --resume ${outputDir} ${flag}`));
+}
+
+/**
+ * Build ID3 metadata for the audio file
+ */
+function buildAudioMetadata({ channels, customRequests, setting }) {
+  const date = new Date().toISOString().slice(0, 10);
+  const channelNames = channels.map(id => getChannel(id)?.name || id);
+  const topics = [...channelNames, ...customRequests];
+
+  return {
+    title: `${getSetting(setting).name} Podcast - ${date}`,
+    artist: 'Agentic Podcast',
+    album: `${getSetting(setting).name} Podcast`,
+    date,
+    genre: 'Podcast',
+    comment: topics.length > 0 ? `Covering: ${topics.join(', ')}` : undefined,
+    userText: {
+      Channels: channelNames.join(', '),
+      Setting: setting,
+    },
+  };
 }
 
 function validateOptions(options) {
-  if (!options.channels && !options.requests) {
+  if (toList(options.channels).length === 0 && toList(options.requests).length === 0) {
     throw new Error('At least one channel or custom request is required. Use --channels or --requests');
   }
 
   if (options.channels) {
     const availableChannels = getAllChannels().map(c => c.id);
-    const requestedChannels = options.channels.split(',').map(c => c.trim());
+    const requestedChannels = toList(options.channels);
     
     for (const channel of requestedChannels) {
       if (!availableChannels.includes(channel)) {
@@ -166,6 +457,36 @@ function validateOptions(options) {
       }
     }
   }
+
+  if (options.tts && !getTtsProviderNames().includes(options.tts)) {
+    throw new Error(`Unknown TTS provider: ${options.tts}. Available: ${getTtsProviderNames().join(', ')}`);
+  }
+
+  if (options.format && !hasFormat(options.format)) {
+    throw new Error(`Unknown format: ${options.format}. Available: ${SCRIPT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Accept a comma-separated CLI value or an array (from a profile)
+ */
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : value.split(',')).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Fill generate options from a saved profile. Profile values replace the
+ * content flags; run flags (--resume, --record, --replay) still apply.
+ */
+async function applyProfile(options) {
+  const profile = await new ProfileStore().get(options.profile);
+  if (!profile) {
+    throw new Error(`Unknown profile: ${options.profile}. Create it with: profile save ${options.profile} --channels ...`);
+  }
+
+  const fromProfile = Object.entries(profileToOptions(profile)).filter(([, value]) => value !== undefined);
+  return { ...options, ...Object.fromEntries(fromProfile) };
 }
 
 function displayConfiguration(config) {
@@ -174,7 +495,16 @@ function displayConfiguration(config) {
   console.log(chalk.gray('  Custom Requests:'), config.customRequests.join(', ') || 'none');
   console.log(chalk.gray('  Setting:'), config.setting);
   console.log(chalk.gray('  Duration:'), `${config.duration} minutes`);
-  console.log(chalk.gray('  Generate Audio:'), config.generateAudio ? 'yes' : 'no');
+  console.log(chalk.gray('  Format:'), config.format);
+  console.log(chalk.gray('  Fact-check:'), config.factCheck);
+  if (config.budget.limited) {
+    const caps = [
+      config.budget.maxCost !== null ? `$${config.budget.maxCost}` : null,
+      config.budget.maxTokens !== null ? `${config.budget.maxTokens.toLocaleString()} tokens` : null,
+    ].filter(Boolean);
+    console.log(chalk.gray('  Budget:'), `${caps.join(', ')} (${config.budget.policies.join(', ') || 'no policies'})`);
+  }
+  console.log(chalk.gray('  Generate Audio:'), config.generateAudio ? `yes${config.tts ? ` (${config.tts})` : ''}` : 'no');
   console.log();
 }
 
@@ -194,21 +524,33 @@ function displayAgentSummary(results) {
   // Display token usage and cost
   if (results.metadata?.tokenUsage) {
     try {
-      const costs = calculateWorkflowCost(results, config.openaiModel, config.openaiSynthesisModel);
+      const costs = calculateWorkflowCost(results, resolveRole('agent').model, resolveRole('writer').model, {
+        research: resolveRole('research').model,
+        planner: resolveRole('planner').model,
+        factcheck: resolveRole('factcheck').model,
+      });
       const totalTokens = results.metadata.tokenUsage.total;
       
       console.log(chalk.bold('\nToken Usage & Cost:'));
       console.log(chalk.gray('  Total tokens:'), totalTokens.totalTokens.toLocaleString());
       console.log(chalk.gray('    Prompt:'), totalTokens.promptTokens.toLocaleString());
       console.log(chalk.gray('    Completion:'), totalTokens.completionTokens.toLocaleString());
-      console.log(chalk.gray('  Estimated cost:'), chalk.cyan(formatCost(costs.total.totalCost)));
+      if (totalTokens.estimatedTokens > 0) {
+        console.log(chalk.gray('    Estimated locally:'), `${totalTokens.estimatedTokens.toLocaleString()} (provider reported no usage)`);
+      }
+      console.log(chalk.gray('  Cost:'), chalk.cyan(formatCostEntry(costs.total)));
       
-      // Show breakdown
-      const agentTotal = Object.values(costs.agents).reduce((sum, c) => sum + c.totalCost, 0);
-      const synthesisTotal = (costs.synthesis.planner?.totalCost || 0) + (costs.synthesis.writer?.totalCost || 0);
+      // Show breakdown, each part labelled if its usage was estimated
+      const sumCosts = parts => ({
+        totalCost: parts.reduce((sum, c) => sum + c.totalCost, 0),
+        estimated: parts.some(c => c.estimated),
+      });
       
-      console.log(chalk.gray('    Agents:'), formatCost(agentTotal));
-      console.log(chalk.gray('    Synthesis:'), formatCost(synthesisTotal));
+      console.log(chalk.gray('    Agents:'), formatCostEntry(sumCosts(Object.values(costs.agents))));
+      if (costs.custom) {
+        console.log(chalk.gray('    Custom requests:'), formatCostEntry(costs.custom));
+      }
+      console.log(chalk.gray('    Synthesis:'), formatCostEntry(sumCosts(Object.values(costs.synthesis))));
     } catch (error) {
       // Silently fail if cost calculation fails
       console.log(chalk.gray('  Token tracking enabled'));
@@ -218,6 +560,21 @@ function displayAgentSummary(results) {
   console.log();
 }
 
+function displayBudget(budget) {
+  if (!budget.limited) return;
+
+  const { status, spent } = budget.summary();
+  const color = status === 'ok' ? chalk.gray : chalk.yellow;
+  console.log(color(`  Budget: ${spent} (${status})`));
+  for (const action of budget.actions) {
+    const detail = action.action === 'downgrade' ? `${action.role} → ${action.to}`
+      : action.action === 'shorten' ? `${action.section} ${action.from} → ${action.to} words`
+      : action.action === 'skip_custom' ? 'custom request agent skipped'
+      : action.step;
+    console.log(color(`    ${action.action}: ${detail}`));
+  }
+}
+
 function displayScriptStats(script, targetDuration) {
   const wordCount = script.split(/\s+/).filter(Boolean).length;
   const charCount = script.length;
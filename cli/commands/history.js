@@ -0,0 +1,70 @@
+/**
+ * History Command
+ *
+ * Show or prune the stories earlier episodes covered, per profile.
+ */
+
+import chalk from 'chalk';
+import config from '../../src/config/config.js';
+import { HistoryStore, DEFAULT_HISTORY_KEY, listHistoryKeys } from '../../src/orchestrator/history.js';
+
+export async function historyCommand(action = 'list', options) {
+  try {
+    const keys = options.profile ? [options.profile] : await listHistoryKeys();
+
+    switch (action) {
+      case 'list':
+        await listHistory(keys, options);
+        break;
+      case 'prune':
+        await pruneHistory(keys, options);
+        break;
+      default:
+        throw new Error(`Unknown action: ${action}. Use list or prune`);
+    }
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+async function listHistory(keys, options) {
+  const days = options.days !== undefined ? parseInt(options.days, 10) : config.historyDays;
+  console.log(chalk.bold.cyan(`\n🗂️  Episode History (last ${days} days, ${config.historyDir})\n`));
+
+  if (keys.length === 0) {
+    console.log(chalk.gray('  Nothing recorded yet. Each generated episode is added here.\n'));
+    return;
+  }
+
+  for (const key of keys) {
+    const entries = await new HistoryStore(key).getRecent({ days });
+    console.log(chalk.bold(`  ${key === DEFAULT_HISTORY_KEY ? `${key} (no profile)` : key}`), chalk.gray(`- ${entries.length} episodes`));
+
+    for (const entry of [...entries].reverse()) {
+      console.log(chalk.gray(`    ${entry.date.slice(0, 16).replace('T', ' ')}  ${entry.episodeId}`));
+      for (const story of entry.stories) {
+        const marker = story.coverage === 'update' ? chalk.yellow('update') : chalk.green('new   ');
+        console.log(`      ${marker} ${story.title}${story.channels.length > 0 ? chalk.gray(` [${story.channels.join(', ')}]`) : ''}`);
+      }
+    }
+    console.log();
+  }
+}
+
+async function pruneHistory(keys, options) {
+  const olderThanDays = options.olderThan !== undefined ? parseInt(options.olderThan, 10) : null;
+  const keep = options.keep !== undefined ? parseInt(options.keep, 10) : null;
+  if (olderThanDays === null && keep === null) {
+    throw new Error('Pass --older-than <days> and/or --keep <n>');
+  }
+
+  console.log(chalk.bold.cyan('\n🗂️  Pruning Episode History\n'));
+  for (const key of keys) {
+    const removed = await new HistoryStore(key).prune({ olderThanDays, keep });
+    console.log(chalk.gray(`  ${key}: ${removed} entries removed`));
+  }
+  console.log();
+}
+
+export default historyCommand;
@@ -54,7 +54,7 @@ export async function initCommand() {
   const duration = durAns ? Math.max(1, Math.min(30, parseInt(durAns, 10) || 5)) : 5;
 
   // 5) Generate audio (y/N)
-  console.log('\nGenerate audio (y/N)? (requires ELEVENLABS_API_KEY)');
+  console.log('\nGenerate audio (y/N)? (requires a configured TTS provider, e.g. ELEVENLABS_API_KEY)');
   const audioAns = (await prompt(chalk.gray('> '))).trim().toLowerCase();
   const audio = audioAns === 'y' || audioAns === 'yes';
 
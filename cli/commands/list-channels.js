@@ -18,6 +18,9 @@ export function listChannelsCommand() {
     console.log(chalk.gray('  Name:'), channel.name);
     console.log(chalk.gray('  Category:'), channel.category);
     console.log(chalk.gray('  Description:'), channel.description);
+    if (channel.feeds.length > 0) {
+      console.log(chalk.gray('  Feeds:'), channel.feeds.length);
+    }
     console.log();
   });
 
@@ -0,0 +1,139 @@
+/**
+ * Profile Command
+ *
+ * Save, list, show and delete named listener profiles used by
+ * `generate --profile` and the scheduler.
+ */
+
+import chalk from 'chalk';
+import { ProfileStore } from '../../src/orchestrator/profiles.js';
+import { nextCronTime } from '../../src/utils/cron.js';
+
+export async function profileCommand(action, name, options) {
+  const store = new ProfileStore();
+
+  try {
+    switch (action) {
+      case 'list':
+        await listProfiles(store);
+        break;
+      case 'show':
+        await showProfile(store, requireName(name));
+        break;
+      case 'save':
+        await saveProfile(store, requireName(name), options);
+        break;
+      case 'delete': {
+        const deleted = await store.remove(requireName(name));
+        console.log(deleted ? chalk.green(`\n✅ Profile ${name} deleted\n`) : chalk.yellow(`\n⚠️  No profile named ${name}\n`));
+        break;
+      }
+      default:
+        throw new Error(`Unknown action: ${action}. Use list, show, save or delete`);
+    }
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+async function listProfiles(store) {
+  const profiles = await store.list();
+  console.log(chalk.bold.cyan(`\n👤 Profiles (${store.dir})\n`));
+
+  if (profiles.length === 0) {
+    console.log(chalk.gray('  No profiles yet. Create one with: profile save <name> --channels tech\n'));
+    return;
+  }
+
+  for (const profile of profiles) {
+    const topics = [...profile.channels, ...profile.customRequests].join(', ');
+    console.log(chalk.bold(`  ${profile.name}`), chalk.gray(`- ${topics}`));
+    console.log(chalk.gray(`    ${profile.setting}, ${profile.duration} min, ${profile.format}, audio ${profile.audio ? 'on' : 'off'}`));
+    if (profile.schedule) {
+      console.log(chalk.gray(`    schedule: ${profile.schedule} (next ${nextCronTime(profile.schedule)?.toLocaleString() || 'never'})`));
+    }
+  }
+  console.log();
+}
+
+async function showProfile(store, name) {
+  const profile = await store.get(name);
+  if (!profile) throw new Error(`Unknown profile: ${name}`);
+
+  console.log(chalk.bold.cyan(`\n👤 Profile ${name}\n`));
+  console.log(JSON.stringify(profile, null, 2));
+
+  const runs = await store.getRuns(name, 5);
+  if (runs.length > 0) {
+    console.log(chalk.bold('\nRecent runs:'));
+    for (const run of runs) {
+      console.log(chalk.gray(`  ${run.startedAt} ${run.status} (attempt ${run.attempt})${run.error ? ` - ${run.error}` : ''}`));
+    }
+  }
+  console.log();
+}
+
+async function saveProfile(store, name, options) {
+  const existing = await store.get(name);
+  const updates = {
+    channels: options.channels !== undefined ? splitList(options.channels) : undefined,
+    customRequests: options.requests !== undefined ? splitList(options.requests) : undefined,
+    setting: options.setting,
+    duration: options.duration !== undefined ? parseInt(options.duration, 10) : undefined,
+    format: options.format,
+    deterministic: options.deterministic,
+    audio: options.audio,
+    tts: options.tts,
+    voice: options.voice,
+    factCheck: options.factCheck,
+    maxCost: options.maxCost !== undefined ? parseFloat(options.maxCost) : undefined,
+    maxTokens: options.maxTokens !== undefined ? parseInt(options.maxTokens, 10) : undefined,
+    budgetPolicy: options.budgetPolicy,
+    schedule: options.schedule === 'none' ? null : options.schedule,
+    delivery: options.deliver ? options.deliver.map(parseDeliveryTarget) : undefined,
+  };
+
+  const profile = { ...existing, name };
+  for (const [key, value] of Object.entries(updates)) {
+    if (value !== undefined) profile[key] = value;
+  }
+
+  const saved = await store.save(profile);
+  console.log(chalk.green(`\n✅ Profile ${name} ${existing ? 'updated' : 'created'}\n`));
+  console.log(JSON.stringify(saved, null, 2));
+  console.log();
+}
+
+/**
+ * Parse a --deliver value: directory:<path>, webhook:<url>, command:<shell command>, feed[:<baseUrl>]
+ */
+function parseDeliveryTarget(value) {
+  const separator = value.indexOf(':');
+  const type = separator < 0 ? value : value.slice(0, separator);
+  const argument = separator < 0 ? '' : value.slice(separator + 1);
+
+  switch (type) {
+    case 'directory':
+      return { type, path: argument };
+    case 'webhook':
+      return { type, url: argument };
+    case 'command':
+      return { type, command: argument };
+    case 'feed':
+      return argument ? { type, baseUrl: argument } : { type };
+    default:
+      return { type };
+  }
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function requireName(name) {
+  if (!name) throw new Error('A profile name is required');
+  return name;
+}
+
+export default profileCommand;
@@ -0,0 +1,99 @@
+/**
+ * Schedule Command
+ *
+ * Runs the scheduler daemon that generates each profile's episode at its
+ * cron time, shows the schedule, or runs a single profile now.
+ */
+
+import chalk from 'chalk';
+import { ProfileStore } from '../../src/orchestrator/profiles.js';
+import { Scheduler } from '../../src/orchestrator/scheduler.js';
+import { runGeneration } from './generate.js';
+import { shutdownTracing } from '../../src/tracing/index.js';
+
+export async function scheduleCommand(options) {
+  const store = new ProfileStore();
+  const scheduler = new Scheduler({
+    store,
+    runEpisode: runGeneration,
+    onRun: printRun,
+  });
+
+  try {
+    if (options.status) {
+      await showStatus(store, scheduler);
+      return;
+    }
+
+    if (options.run) {
+      const profile = await store.get(options.run);
+      if (!profile) throw new Error(`Unknown profile: ${options.run}`);
+
+      const record = await scheduler.runNow(profile);
+      await shutdownTracing();
+      process.exit(record.status === 'success' ? 0 : 1);
+    }
+
+    await scheduler.start();
+    const status = scheduler.getStatus();
+    console.log(chalk.bold.cyan('\n⏰ Podcast Scheduler\n'));
+    if (status.length === 0) {
+      console.log(chalk.yellow(`  No scheduled profiles in ${store.dir}. Add one with: profile save <name> --schedule "0 6 * * *"`));
+      console.log(chalk.gray('  Profiles are re-read every 30 seconds.\n'));
+    }
+    for (const entry of status) {
+      console.log(chalk.gray(`  ${entry.name}: ${entry.schedule} → next ${entry.nextRun?.toLocaleString() || 'never'}`));
+    }
+    console.log(chalk.gray('\n  Press Ctrl+C to stop.\n'));
+
+    const shutdown = async () => {
+      console.log(chalk.gray('\n  Stopping scheduler...'));
+      await scheduler.stop();
+      await shutdownTracing();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+async function showStatus(store, scheduler) {
+  await scheduler.refresh();
+  const profiles = await store.list();
+  const schedule = new Map(scheduler.getStatus().map(entry => [entry.name, entry]));
+
+  console.log(chalk.bold.cyan('\n⏰ Schedule\n'));
+  if (profiles.length === 0) {
+    console.log(chalk.gray(`  No profiles in ${store.dir}\n`));
+    return;
+  }
+
+  for (const profile of profiles) {
+    const entry = schedule.get(profile.name);
+    const [last] = (await store.getRuns(profile.name, 1)).reverse();
+    console.log(chalk.bold(`  ${profile.name}`), chalk.gray(entry ? `${entry.schedule} → next ${entry.nextRun?.toLocaleString() || 'never'}` : 'not scheduled'));
+    if (last) {
+      const color = last.status === 'success' ? chalk.green : chalk.yellow;
+      console.log(color(`    last run: ${last.status} at ${last.finishedAt}${last.error ? ` - ${last.error}` : ''}`));
+    }
+  }
+  console.log();
+}
+
+function printRun(record) {
+  const color = record.status === 'success' ? chalk.green : record.status === 'failed' ? chalk.red : chalk.yellow;
+  const detail = record.error || record.outputDir || (record.openBreakers ? `circuit open: ${record.openBreakers.join(', ')}` : '');
+  console.log(color(`\n[${record.finishedAt}] ${record.profile}: ${record.status} (attempt ${record.attempt})${detail ? ` - ${detail}` : ''}`));
+  if (record.retryAt) {
+    console.log(chalk.gray(`  Next attempt at ${record.retryAt}`));
+  }
+  for (const delivery of record.delivery || []) {
+    console.log(delivery.ok ? chalk.gray(`  Delivered (${delivery.type}): ${delivery.detail}`) : chalk.yellow(`  ⚠️  Delivery (${delivery.type}) failed: ${delivery.error}`));
+  }
+}
+
+export default scheduleCommand;
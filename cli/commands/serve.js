@@ -0,0 +1,50 @@
+/**
+ * Serve Command
+ *
+ * Runs the HTTP API: clients create generation jobs, follow their progress
+ * and download the results.
+ */
+
+import chalk from 'chalk';
+import config from '../../src/config/config.js';
+import { JobQueue } from '../../src/server/jobs.js';
+import { createApiServer } from '../../src/server/http.js';
+import { runGeneration } from './generate.js';
+import { shutdownTracing } from '../../src/tracing/index.js';
+
+export async function serveCommand(options) {
+  try {
+    const host = options.host || config.serverHost;
+    const port = options.port !== undefined ? parseInt(options.port, 10) : config.serverPort;
+    const queue = new JobQueue({ runEpisode: runGeneration });
+    const server = createApiServer({ queue });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+
+    const stats = queue.getStats();
+    console.log(chalk.bold.cyan('\n🌐 Podcast API\n'));
+    console.log(chalk.gray('  Listening:'), `http://${host}:${port}`);
+    console.log(chalk.gray('  Jobs:'), `${stats.concurrency} at a time, up to ${stats.maxQueued} waiting`);
+    console.log(chalk.gray('  API key:'), config.serverApiKey ? 'required' : chalk.yellow('none (set SERVER_API_KEY to require one)'));
+    console.log(chalk.gray('\n  Press Ctrl+C to stop.\n'));
+
+    const shutdown = async () => {
+      console.log(chalk.gray('\n  Stopping server, waiting for running jobs (Ctrl+C again to stop now)...'));
+      server.close();
+      await queue.drain();
+      await shutdownTracing();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+export default serveCommand;
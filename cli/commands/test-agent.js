@@ -8,11 +8,14 @@
 import chalk from 'chalk';
 import ora from 'ora';
 import { createChannelAgent } from '../../src/agents/index.js';
-import { getAllChannels } from '../../src/agents/channel-registry.js';
-import { setToolObserver } from '../../src/tools/observer.js';
+import { getAllChannels, getChannel } from '../../src/agents/channel-registry.js';
+import { buildQueries } from '../../src/agents/deterministic-research.js';
+import { onToolEvent } from '../../src/tools/observer.js';
+import { eventBus, createConsoleSink } from '../../src/events/index.js';
 import { search, scrape } from '../../src/tools/index.js';
-import { ChatOpenAI } from '@langchain/openai';
-import config from '../../src/config/config.js';
+import { createChatModel } from '../../src/llm/index.js';
+import { configureFixtures } from '../../src/replay/index.js';
+import { configureCache } from '../../src/cache/index.js';
 
 export async function testAgentCommand(options) {
   const spinner = ora();
@@ -20,6 +23,10 @@ export async function testAgentCommand(options) {
   try {
     console.log(chalk.bold.cyan('\n🤖 Agent Testing\n'));
 
+    // Record or replay external calls if requested
+    configureFixtures(options);
+    configureCache(options);
+
     // Validate channel
     const availableChannels = getAllChannels();
     const channel = availableChannels.find(c => c.id === options.channel);
@@ -47,36 +54,11 @@ export async function testAgentCommand(options) {
     }
     console.log();
 
-    // Attach tool observer if tracing is enabled
+    // Collect tool events and print them, with LLM calls and agent steps, as they happen
     const trace = [];
     if (options.trace) {
-      setToolObserver((event) => {
-        trace.push(event);
-        // Pretty-print incremental events
-        if (event.type === 'tool:start') {
-          if (event.tool === 'web_search') {
-            console.log(chalk.gray(`\n🔎 Search →`), chalk.white(event.query));
-          } else if (event.tool === 'scrape_article') {
-            console.log(chalk.gray(`\n📰 Scrape →`), chalk.white(event.url));
-          }
-        } else if (event.type === 'tool:success') {
-          if (event.tool === 'web_search') {
-            console.log(chalk.green(`✔ Search results:`), `${event.resultCount}`);
-          } else if (event.tool === 'scrape_article') {
-            console.log(chalk.green(`✔ Scraped content`), `(${(event.contentPreview || '').length} chars)`);
-          }
-        } else if (event.type === 'tool:error') {
-          console.log(chalk.yellow(`⚠ ${event.tool} error:`), event.error);
-        } else if (event.type === 'tool:data' && event.tool === 'web_search') {
-          const items = (event.results || []).map((r, i) => {
-            return `${i + 1}. ${r.title}\n   ${r.url}`;
-          }).join('\n');
-          if (items) {
-            console.log(chalk.gray(`Top results:`));
-            console.log(items);
-          }
-        }
-      });
+      onToolEvent((event) => trace.push(event));
+      eventBus.subscribe(createConsoleSink({ logs: false, trace: true }));
     }
 
     // Deterministic pipeline: fixed search → scrape → synthesize
@@ -86,37 +68,7 @@ export async function testAgentCommand(options) {
       const date = new Date();
       const today = date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
 
-      const queriesByChannel = {
-        tech: [
-          `tech news today ${today}`,
-          `programming language releases ${today}`,
-          `framework updates ${today}`,
-        ],
-        finance: [
-          `stock market news today ${today}`,
-          `economic data ${today}`,
-          `earnings results ${today}`,
-        ],
-        f1: [
-          `F1 news today ${today}`,
-          `F1 qualifying results ${today}`,
-          `F1 practice results ${today}`,
-        ],
-        world_news: [
-          `world news today ${today}`,
-          `breaking news ${today}`,
-          `global headlines ${today}`,
-        ],
-        science: [
-          `science news today ${today}`,
-          `research findings ${today}`,
-          `scientific breakthrough ${today}`,
-        ],
-      };
-
-      const queries = queriesByChannel[options.channel] || [
-        `${channel.name} news today ${today}`,
-      ];
+      const queries = buildQueries(getChannel(options.channel));
 
       const collected = [];
       for (const q of queries.slice(0, 3)) {
@@ -142,11 +94,7 @@ export async function testAgentCommand(options) {
 Using ONLY the following context, write a concise 280–350 word report with dates, figures, and named sources. End with a one-sentence "What’s next".
 \n\nCONTEXT:\n${contextBlocks}\n\nFinal Answer:`;
 
-      const llm = new ChatOpenAI({
-        openAIApiKey: config.openaiApiKey,
-        modelName: config.openaiSynthesisModel,
-        temperature: 0.2,
-      });
+      const llm = createChatModel('research', { temperature: 0.2 });
 
       const completion = await llm.invoke(synthesisPrompt);
       const report = typeof completion === 'string' ? completion : (completion?.content || completion?.text || '');
@@ -224,6 +172,8 @@ Using ONLY the following context, write a concise 280–350 word report with dat
           console.log(`${idx + 1}. [${ts}] scrape: ${e.url}`);
         } else if (e.type === 'tool:success' && e.tool === 'scrape_article') {
           console.log(`${idx + 1}. [${ts}] scrape: success (${(e.contentPreview || '').length} chars)`);
+        } else if (e.type === 'tool:cache') {
+          console.log(`${idx + 1}. [${ts}] ${e.tool === 'web_search' ? `search: ${e.provider}` : 'scrape:'} served from cache${e.revalidated ? ' (revalidated)' : ''}, ${e.ageSeconds}s old`);
         } else if (e.type === 'tool:error') {
           console.log(`${idx + 1}. [${ts}] ${e.tool}: error (${e.error})`);
         }
@@ -9,6 +9,9 @@ import chalk from 'chalk';
 import ora from 'ora';
 import config from '../../src/config/config.js';
 import { search } from '../../src/tools/web-search.js';
+import { getSearchProvider } from '../../src/tools/search-providers.js';
+import { onToolEvent } from '../../src/tools/observer.js';
+import { configureCache } from '../../src/cache/index.js';
 
 export async function testSearchCommand(options) {
   const spinner = ora();
@@ -20,25 +23,60 @@ export async function testSearchCommand(options) {
     console.log(chalk.bold('Search Configuration:'));
     console.log(chalk.gray('  Query:'), options.query);
     console.log(chalk.gray('  Max Results:'), options.maxResults || 5);
-    console.log(chalk.gray('  Tavily API:'), config.hasTavilyKey ? chalk.green('configured') : chalk.yellow('not configured (will use fallback)'));
+    console.log(chalk.gray('  Fan-out:'), config.searchFanOut);
+    configureCache(options);
+    console.log(
+      chalk.gray('  Cache:'),
+      !config.httpCacheEnabled ? 'disabled'
+        : options.cache === false ? 'bypassed (--no-cache)'
+          : `${config.httpCacheDir} (${config.cacheSearchTtlMinutes} min TTL)`
+    );
+
+    const names = options.provider
+      ? options.provider.split(',').map(name => name.trim()).filter(Boolean)
+      : config.searchProviders;
+    const providers = names.map(name => getSearchProvider(name));
+
+    console.log(chalk.bold('\nProviders (priority order):'));
+    for (const provider of providers) {
+      console.log(
+        chalk.gray(`  ${provider.name}:`),
+        provider.isAvailable() ? chalk.green('configured') : chalk.yellow(`not configured - ${provider.setupHint}`)
+      );
+    }
+    if (!providers.some(provider => provider.isAvailable())) {
+      console.log(chalk.yellow('  No provider configured, will use fallback content'));
+    }
     console.log();
 
     // Perform search
     spinner.start('Searching...');
     
+    const cachedProviders = [];
+    const unsubscribe = onToolEvent((event) => {
+      if (event.type === 'tool:cache') cachedProviders.push(`${event.provider} (${event.ageSeconds}s old)`);
+    });
     const results = await search(options.query, {
       maxResults: options.maxResults || 5,
       useFallback: true,
+      providers: names,
     });
+    unsubscribe();
 
     spinner.succeed(`Search complete - found ${results.length} results`);
+    if (cachedProviders.length > 0) {
+      console.log(chalk.cyan('💾 Served from cache:'), cachedProviders.join(', '));
+    }
 
     // Display results
     console.log(chalk.bold('\n📊 Search Results:\n'));
 
     results.forEach((result, index) => {
       console.log(chalk.bold(`${index + 1}. ${result.title}`));
-      console.log(chalk.gray('   Source:'), result.source);
+      console.log(chalk.gray('   Source:'), result.source, result.provider ? chalk.gray(`via ${result.provider}`) : '');
+      if (result.published) {
+        console.log(chalk.gray('   Published:'), result.published);
+      }
       if (result.url) {
         console.log(chalk.gray('   URL:'), result.url);
       }
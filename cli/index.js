@@ -14,13 +14,40 @@ import { testAgentCommand } from './commands/test-agent.js';
 import { testSearchCommand } from './commands/test-search.js';
 import { listChannelsCommand } from './commands/list-channels.js';
 import { initCommand } from './commands/init.js';
+import { feedCommand } from './commands/feed.js';
+import { profileCommand } from './commands/profile.js';
+import { scheduleCommand } from './commands/schedule.js';
+import { historyCommand } from './commands/history.js';
+import { serveCommand } from './commands/serve.js';
+import { cacheCommand } from './commands/cache.js';
+import config from '../src/config/config.js';
+import { useJsonLinesOutput } from '../src/events/index.js';
+import { configureTracing } from '../src/tracing/index.js';
 
 const program = new Command();
 
 program
   .name('agentic-podcast')
   .description('Multi-agent podcast generation system with web research capabilities')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--json', 'Write events as JSON lines to stdout (human-readable output goes to stderr)')
+  .option('--tracing <exporter>', 'Export trace spans: none, otlp, file or otlp,file (default: TRACING_EXPORTER)');
+
+// JSON-lines event output, from --json or LOG_FORMAT=json
+program.hook('preAction', () => {
+  if (program.opts().json || config.logFormat === 'json') {
+    useJsonLinesOutput();
+  }
+});
+
+// Trace spans, from --tracing or TRACING_EXPORTER
+program.hook('preAction', () => {
+  try {
+    configureTracing(program.opts().tracing);
+  } catch (error) {
+    program.error(error.message);
+  }
+});
 
 // Generate command - main podcast generation
 program
@@ -30,10 +57,27 @@ program
   .option('-r, --requests <requests>', 'Comma-separated custom requests')
   .option('-s, --setting <setting>', 'Podcast setting type', 'morning_routine')
   .option('-d, --duration <minutes>', 'Target duration in minutes', '5')
-  .option('-a, --audio', 'Generate audio file (requires ElevenLabs API key)', false)
+  .option('-f, --format <format>', 'Script format: monologue or dialogue (two hosts)', 'monologue')
+  .option('-a, --audio', 'Generate audio file (uses the configured TTS provider)', false)
+  .option('--tts <provider>', 'TTS provider: elevenlabs, openai, local, sine, silent (default: per setting or TTS_PROVIDER)')
+  .option('--voice <voice>', 'Voice for monologues with the chosen TTS provider (default: per setting)')
+  .option('--turn-silence <ms>', 'Silence between dialogue turns in milliseconds (default: per setting)')
   .option('--deterministic', 'Use deterministic fixed search→scrape→write pipeline', false)
+  .option('--fact-check <policy>', 'Unsupported claims: off, warn, rewrite or fail (default: FACTCHECK_POLICY or warn)')
+  .option('--max-cost <dollars>', 'Stop spending at this many dollars of LLM calls (default: BUDGET_MAX_COST)')
+  .option('--max-tokens <tokens>', 'Stop spending at this many LLM tokens (default: BUDGET_MAX_TOKENS)')
+  .option('--budget-policy <policies>', 'Near the cap: downgrade, shorten, skip_custom, abort (default: BUDGET_POLICY or all)')
+  .option('-p, --profile <name>', 'Use a saved listener profile (replaces channel, setting and audio flags)')
+  .option('--no-history', 'Do not use or record the previously-covered story history')
+  .option('--resume <runDir>', 'Resume an interrupted run from its output directory')
+  .option('--record <dir>', 'Record search, scrape and LLM calls as fixtures into <dir>')
+  .option('--replay <dir>', 'Replay recorded fixtures from <dir> with no network calls')
+  .option('--no-cache', 'Fetch searches and articles live instead of from the HTTP cache')
   .action(async (options) => {
     options.duration = parseInt(options.duration, 10);
+    if (options.turnSilence !== undefined) {
+      options.turnSilence = parseInt(options.turnSilence, 10);
+    }
     await generateCommand(options);
   });
 
@@ -46,6 +90,9 @@ program
   .option('--trace', 'Show tool queries, results, and scrape previews', false)
   .option('--force-tools', 'Force agent to use web_search (and scrape) before answering', false)
   .option('--deterministic', 'Bypass ReAct. Run a fixed search→scrape→synthesize pipeline', false)
+  .option('--record <dir>', 'Record search, scrape and LLM calls as fixtures into <dir>')
+  .option('--replay <dir>', 'Replay recorded fixtures from <dir> with no network calls')
+  .option('--no-cache', 'Fetch searches and articles live instead of from the HTTP cache')
   .action(async (options) => {
     await testAgentCommand(options);
   });
@@ -56,6 +103,8 @@ program
   .description('Test the web search functionality')
   .requiredOption('-q, --query <query>', 'Search query to test')
   .option('-m, --max-results <number>', 'Maximum number of results', '5')
+  .option('-p, --provider <names>', 'Search providers to use, comma-separated (default: SEARCH_PROVIDERS)')
+  .option('--no-cache', 'Search live instead of using cached results')
   .action(async (options) => {
     options.maxResults = parseInt(options.maxResults, 10);
     await testSearchCommand(options);
@@ -77,6 +126,90 @@ program
     await initCommand();
   });
 
+// Feed command - publish episodes as a podcast RSS feed
+program
+  .command('feed')
+  .description('Rebuild or validate the podcast RSS feed over all episodes')
+  .option('-o, --output-dir <dir>', 'Output directory holding the episodes (default: OUTPUT_DIR)')
+  .option('--base-url <url>', 'Public URL of the output directory (default: FEED_BASE_URL)')
+  .option('--title <title>', 'Podcast title (default: FEED_TITLE)')
+  .option('--check', 'Validate only: fail if the feed is invalid or feed.xml is out of date', false)
+  .action(async (options) => {
+    await feedCommand(options);
+  });
+
+// Profile command - saved listener profiles
+program
+  .command('profile')
+  .description('Manage listener profiles: list, show <name>, save <name>, delete <name>')
+  .argument('<action>', 'list, show, save or delete')
+  .argument('[name]', 'Profile name')
+  .option('-c, --channels <channels>', 'Comma-separated channel IDs')
+  .option('-r, --requests <requests>', 'Comma-separated custom requests')
+  .option('-s, --setting <setting>', 'Podcast setting type')
+  .option('-d, --duration <minutes>', 'Target duration in minutes')
+  .option('-f, --format <format>', 'Script format: monologue or dialogue')
+  .option('-a, --audio', 'Generate audio')
+  .option('--no-audio', 'Script only')
+  .option('--tts <provider>', 'TTS provider')
+  .option('--voice <voice>', 'Voice for monologues')
+  .option('--fact-check <policy>', 'Fact-check policy: off, warn, rewrite or fail')
+  .option('--max-cost <dollars>', 'Budget cap in dollars per run')
+  .option('--max-tokens <tokens>', 'Budget cap in tokens per run')
+  .option('--budget-policy <policies>', 'Budget policies: downgrade, shorten, skip_custom, abort')
+  .option('--deterministic', 'Use the deterministic research pipeline')
+  .option('--schedule <cron>', 'Cron schedule, e.g. "0 6 * * 1-5" (or "none")')
+  .option('--deliver <target...>', 'Delivery targets: directory:<path>, webhook:<url>, command:<cmd>, feed[:<baseUrl>]')
+  .action(async (action, name, options) => {
+    await profileCommand(action, name, options);
+  });
+
+// Schedule command - generate profiles on their cron schedule
+program
+  .command('schedule')
+  .description('Run the scheduler daemon for profiles with a schedule')
+  .option('--status', 'Show next run and last outcome per profile', false)
+  .option('--run <name>', 'Run one profile now (single attempt, recorded in its run log)')
+  .action(async (options) => {
+    await scheduleCommand(options);
+  });
+
+// History command - stories covered by earlier episodes
+program
+  .command('history')
+  .description('Show or prune the stories covered by earlier episodes')
+  .argument('[action]', 'list or prune', 'list')
+  .option('-p, --profile <name>', 'Only this profile (default: all; runs without a profile use "default")')
+  .option('--days <days>', 'Days to show (default: HISTORY_DAYS)')
+  .option('--older-than <days>', 'prune: remove episodes older than this many days')
+  .option('--keep <n>', 'prune: keep only the newest n episodes')
+  .action(async (action, options) => {
+    await historyCommand(action, options);
+  });
+
+// Cache command - cached searches and articles
+program
+  .command('cache')
+  .description('Inspect, prune or clear the HTTP cache of searches, articles and robots.txt')
+  .argument('[action]', 'inspect, prune or clear', 'inspect')
+  .option('-k, --kind <kind>', 'Only this kind of entry: search, scrape or robots (default: all)')
+  .option('-l, --list', 'inspect: list entries, newest first', false)
+  .option('--limit <n>', 'inspect: entries to list', '20')
+  .option('--older-than <hours>', 'prune: remove entries stored more than this many hours ago (default: expired entries)')
+  .action(async (action, options) => {
+    await cacheCommand(action, options);
+  });
+
+// Serve command - HTTP API for generation jobs
+program
+  .command('serve')
+  .description('Run the HTTP API: create generation jobs, stream progress and download results')
+  .option('--port <port>', 'Port to listen on (default: SERVER_PORT or 3000)')
+  .option('--host <host>', 'Interface to bind (default: SERVER_HOST or 127.0.0.1)')
+  .action(async (options) => {
+    await serveCommand(options);
+  });
+
 // Error handling
 program.configureOutput({
   outputError: (str, write) => {
@@ -6,14 +6,17 @@
  * about a specific topic or domain.
  */
 
-import { ChatOpenAI } from '@langchain/openai';
 import { createReactAgent } from 'langchain/agents';
 import { AgentExecutor } from 'langchain/agents';
-import { pull } from 'langchain/hub';
 import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
+import { PromptTemplate } from '@langchain/core/prompts';
 import config from '../config/config.js';
+import { createChatModel, collectTokenUsage } from '../llm/index.js';
+import { emitEvent, getEventContext } from '../events/bus.js';
+import { tracer, withSpan } from '../tracing/tracer.js';
 import logger from '../utils/logger.js';
 import withTimeout from '../utils/timeout.js';
+import { REACT_PROMPT_TEMPLATE } from './react-prompt.js';
 
 export class BaseAgent {
   /**
@@ -55,16 +58,14 @@ export class BaseAgent {
     });
 
     try {
-      // Create LLM
-      const llm = new ChatOpenAI({
-        openAIApiKey: config.openaiApiKey,
-        modelName: config.openaiModel,
+      // Create LLM for the agent role (provider selected via config)
+      const llm = createChatModel('agent', {
         temperature: this.options.temperature,
         timeout: 30000, // 30 second timeout for LLM calls
       });
 
-      // Pull ReAct prompt from LangChain Hub
-      const prompt = await pull('hwchase17/react');
+      // Bundled ReAct prompt (no network call, so offline and fake-provider runs work)
+      const prompt = PromptTemplate.fromTemplate(REACT_PROMPT_TEMPLATE);
 
       // Create agent
       const agent = await createReactAgent({
@@ -73,16 +74,19 @@ export class BaseAgent {
         prompt,
       });
 
-      // Create custom callback handler for detailed logging and token tracking
+      // Create custom callback handler for detailed logging and tool spans
       const agentLog = this.log;
+      const agentName = this.name;
       class AgentLoggingCallback extends BaseCallbackHandler {
         constructor() {
           super();
-          this.tokenUsage = {
-            promptTokens: 0,
-            completionTokens: 0,
-            totalTokens: 0,
-          };
+          // Reasoning steps are published as agent:* events for the run this agent serves
+          this.eventContext = getEventContext();
+          // Tool calls are traced as spans under the executing agent's span (set by execute);
+          // awaiting the handlers keeps their start and end times accurate
+          this.parentSpan = null;
+          this.toolSpans = new Map();
+          this.awaitHandlers = true;
         }
 
         async handleAgentAction(action) {
@@ -95,9 +99,20 @@ export class BaseAgent {
           });
           agentLog.info(`Agent reasoning: ${action.log?.substring(0, 150) || 'Thinking...'}`);
           agentLog.info(`Calling tool: ${action.tool}`);
+          emitEvent('agent:action', {
+            agent: agentName,
+            tool: action.tool,
+            input: typeof action.toolInput === 'string' ? action.toolInput : JSON.stringify(action.toolInput),
+            thought: action.log?.split(/\nAction:/)[0].replace(/^Thought:\s*/, '').trim() || '',
+          }, this.eventContext);
         }
 
-        async handleToolEnd(output) {
+        async handleToolEnd(output, runId) {
+          const toolSpan = this.toolSpans.get(runId);
+          this.toolSpans.delete(runId);
+          toolSpan?.setAttribute('podcast.tool.output_length', typeof output === 'string' ? output.length : JSON.stringify(output).length);
+          toolSpan?.end();
+
           const outputPreview = typeof output === 'string' 
             ? output.substring(0, 200) 
             : JSON.stringify(output).substring(0, 200);
@@ -112,6 +127,10 @@ export class BaseAgent {
           agentLog.debug('Agent final action', {
             returnValues: action.returnValues,
           });
+          emitEvent('agent:finish', {
+            agent: agentName,
+            output: String(action.returnValues?.output || '').substring(0, 500),
+          }, this.eventContext);
         }
 
         async handleLLMStart(llm, prompts) {
@@ -125,32 +144,10 @@ export class BaseAgent {
 
         async handleLLMEnd(output) {
           const text = output.generations?.[0]?.[0]?.text || '';
-          
-          // Extract token usage from OpenAI response - try multiple possible locations
-          const usage = output.llmOutput?.tokenUsage || 
-                       output.llmOutput?.usage ||
-                       output.llmOutput?.estimatedTokenUsage ||
-                       output.generations?.[0]?.[0]?.generationInfo?.usage;
-          
-          if (usage) {
-            this.tokenUsage.promptTokens += usage.promptTokens || usage.prompt_tokens || 0;
-            this.tokenUsage.completionTokens += usage.completionTokens || usage.completion_tokens || 0;
-            this.tokenUsage.totalTokens += usage.totalTokens || usage.total_tokens || 0;
-            
-            agentLog.debug('LLM call complete', {
-              outputLength: text.length,
-              outputPreview: text.substring(0, 200),
-              tokensUsed: usage.totalTokens || usage.total_tokens,
-              runningTotal: this.tokenUsage.totalTokens,
-            });
-          } else {
-            // Log the structure to help debug
-            agentLog.debug('LLM call complete (no token usage found)', {
-              outputLength: text.length,
-              outputPreview: text.substring(0, 200),
-              llmOutputKeys: output.llmOutput ? Object.keys(output.llmOutput) : 'no llmOutput',
-            });
-          }
+          agentLog.debug('LLM call complete', {
+            outputLength: text.length,
+            outputPreview: text.substring(0, 200),
+          });
           agentLog.info(`LLM reasoning call complete`);
         }
 
@@ -158,7 +155,17 @@ export class BaseAgent {
           agentLog.error('LLM call failed', err);
         }
 
-        async handleToolStart(tool, input) {
+        async handleToolStart(tool, input, runId, parentRunId, tags, metadata, runName) {
+          const toolName = runName || tool?.name || tool?.id?.at(-1) || 'tool';
+          this.toolSpans.set(runId, tracer.startSpan(`tool ${toolName}`, {
+            parent: this.parentSpan,
+            attributes: {
+              'podcast.agent': agentName,
+              'podcast.tool': toolName,
+              'podcast.tool.input': typeof input === 'string' ? input : JSON.stringify(input),
+            },
+          }));
+
           agentLog.info(`Tool starting: ${tool.name}`);
           agentLog.debug('Tool input', {
             tool: tool.name,
@@ -166,15 +173,20 @@ export class BaseAgent {
           });
         }
 
-        async handleToolError(err) {
+        async handleToolError(err, runId) {
+          const toolSpan = this.toolSpans.get(runId);
+          this.toolSpans.delete(runId);
+          toolSpan?.recordException(err);
+          toolSpan?.end();
+
           agentLog.error('Tool execution failed', err);
         }
       }
 
-      // Store callback handler instance to access token usage
+      // Passed per invocation (see execute) so it also sees the LLM and tool runs
+      // nested in the executor; constructor callbacks only see the executor itself
       this.callbackHandler = new AgentLoggingCallback();
 
-      // Create executor with custom callback for detailed logging
       this.executor = new AgentExecutor({
         agent,
         tools: this.tools,
@@ -183,7 +195,6 @@ export class BaseAgent {
         handleParsingErrors: true,
         earlyStoppingMethod: 'force',
         maxExecutionTime: this.options.timeout,
-        callbacks: [this.callbackHandler],
       });
 
       this.log.success('Agent initialized successfully');
@@ -200,99 +211,92 @@ export class BaseAgent {
    * @returns {Promise<string>} Agent's response
    */
   async execute(prompt) {
-    const startTime = Date.now();
-    this.log.start(`Executing agent with prompt (${prompt.length} chars)`);
-
-    // Ensure agent is initialized
-    if (!this.executor) {
-      await this.initialize();
-    }
-
-    // Reset token usage for this execution
-    if (this.callbackHandler) {
-      this.callbackHandler.tokenUsage = {
-        promptTokens: 0,
-        completionTokens: 0,
-        totalTokens: 0,
-      };
-    }
-
-    try {
-      // Log execution start with heartbeat to track progress
-      const heartbeatInterval = setInterval(() => {
-        const elapsed = Date.now() - startTime;
-        const elapsedSec = Math.floor(elapsed / 1000);
-        if (elapsedSec % 5 === 0 && elapsedSec > 0) {
-          this.log.info(`Agent still running... (${elapsedSec}s elapsed, ${Math.floor((this.options.timeout - elapsed) / 1000)}s remaining)`);
-        }
-      }, 1000);
-
-      // Execute with timeout - create an AbortController for cleanup
-      let timeoutId;
-      const timeoutPromise = new Promise((_, reject) => {
-        timeoutId = setTimeout(() => {
-          clearInterval(heartbeatInterval);
-          const error = new Error(`Agent ${this.name} timed out after ${this.options.timeout}ms`);
-          error.code = 'TIMEOUT';
-          reject(error);
-        }, this.options.timeout);
-      });
-
-      this.log.info(`Starting agent execution (max ${this.options.timeout}ms, ${this.options.maxIterations} iterations)`);
+    return withSpan(`agent ${this.name}`, {
+      'podcast.agent': this.name,
+      'podcast.agent.max_iterations': this.options.maxIterations,
+      'podcast.agent.timeout_ms': this.options.timeout,
+    }, async (span) => {
+      const startTime = Date.now();
+      this.log.start(`Executing agent with prompt (${prompt.length} chars)`);
+
+      // Ensure agent is initialized
+      if (!this.executor) {
+        await this.initialize();
+      }
 
-      // Track token usage across all LLM calls in this execution
-      let totalTokenUsage = {
-        promptTokens: 0,
-        completionTokens: 0,
-        totalTokens: 0,
-      };
+      // Tool spans nest under this agent's span
+      if (this.callbackHandler) {
+        this.callbackHandler.parentSpan = span;
+      }
 
-      const executionPromise = this.executor.invoke({
-        input: prompt,
-      });
+      try {
+        // Log execution start with heartbeat to track progress
+        const heartbeatInterval = setInterval(() => {
+          const elapsed = Date.now() - startTime;
+          const elapsedSec = Math.floor(elapsed / 1000);
+          if (elapsedSec % 5 === 0 && elapsedSec > 0) {
+            this.log.info(`Agent still running... (${elapsedSec}s elapsed, ${Math.floor((this.options.timeout - elapsed) / 1000)}s remaining)`);
+          }
+        }, 1000);
+
+        // Execute with timeout - create an AbortController for cleanup
+        let timeoutId;
+        const timeoutPromise = new Promise((_, reject) => {
+          timeoutId = setTimeout(() => {
+            clearInterval(heartbeatInterval);
+            const error = new Error(`Agent ${this.name} timed out after ${this.options.timeout}ms`);
+            error.code = 'TIMEOUT';
+            reject(error);
+          }, this.options.timeout);
+        });
+
+        this.log.info(`Starting agent execution (max ${this.options.timeout}ms, ${this.options.maxIterations} iterations)`);
+
+        // Every LLM call of this execution is counted (reported or estimated usage);
+        // a timeout or failure carries the usage so far as error.tokenUsage
+        const { result: response, tokenUsage } = await collectTokenUsage(() => {
+          const executionPromise = this.executor.invoke({
+            input: prompt,
+          }, {
+            callbacks: [this.callbackHandler],
+          });
 
-      // Race between execution and timeout
-      const response = await Promise.race([executionPromise, timeoutPromise]);
+          // Race between execution and timeout
+          return Promise.race([executionPromise, timeoutPromise]);
+        });
       
-      // Clear timeout and heartbeat if we completed successfully
-      clearTimeout(timeoutId);
-      clearInterval(heartbeatInterval);
-
-      const result = response.output || response;
-      const duration = Date.now() - startTime;
-      const resultLength = typeof result === 'string' ? result.length : JSON.stringify(result).length;
-
-      // Try to get token usage from callback handler first (if it worked)
-      let tokenUsage = this.callbackHandler?.tokenUsage || {
-        promptTokens: 0,
-        completionTokens: 0,
-        totalTokens: 0,
-      };
-
-      // If callback handler has no tokens, check if response has usage metadata
-      // Note: AgentExecutor doesn't expose individual LLM call metadata,
-      // so we're logging this for awareness but can't capture it reliably
-      if (tokenUsage.totalTokens === 0) {
-        this.log.debug('No token usage captured from callbacks - AgentExecutor does not expose LLM call metadata');
+        // Clear timeout and heartbeat if we completed successfully
+        clearTimeout(timeoutId);
+        clearInterval(heartbeatInterval);
+
+        const result = response.output || response;
+        const duration = Date.now() - startTime;
+        const resultLength = typeof result === 'string' ? result.length : JSON.stringify(result).length;
+
+        this.log.success(`Agent completed successfully`, {
+          duration: `${duration}ms`,
+          outputLength: `${resultLength} chars`,
+          totalTokens: tokenUsage.totalTokens,
+          estimatedTokens: tokenUsage.estimatedTokens,
+        });
+        span.setAttributes({
+          'podcast.agent.output_length': resultLength,
+          'gen_ai.usage.input_tokens': tokenUsage.promptTokens,
+          'gen_ai.usage.output_tokens': tokenUsage.completionTokens,
+        });
+
+        // Return both output and token usage
+        return {
+          output: typeof result === 'string' ? result : result.output || JSON.stringify(result),
+          tokenUsage,
+          duration,
+        };
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        this.log.error(`Agent failed after ${duration}ms`, error);
+        throw error;
       }
-
-      this.log.success(`Agent completed successfully`, {
-        duration: `${duration}ms`,
-        outputLength: `${resultLength} chars`,
-        totalTokens: tokenUsage.totalTokens,
-      });
-
-      // Return both output and token usage
-      return {
-        output: typeof result === 'string' ? result : result.output || JSON.stringify(result),
-        tokenUsage,
-        duration,
-      };
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      this.log.error(`Agent failed after ${duration}ms`, error);
-      throw error;
-    }
+    });
   }
 
   /**
@@ -6,10 +6,18 @@
  */
 
 import BaseAgent from './base-agent.js';
-import { getAllToolsWithBudget } from '../tools/index.js';
-import { getChannel } from './channel-registry.js';
+import { getAllToolsWithBudget, SourceCollector } from '../tools/index.js';
+import { getChannel, getChannelFeeds } from './channel-registry.js';
+import { previouslyCovered } from './channel-template.js';
 import config from '../config/config.js';
 
+const FEED_LOOKUPS = 2;
+
+const FEEDS_INSTRUCTIONS = `FEEDS: Before searching, call rss_lookup (empty input lists the last 48 hours).
+It reads this channel's curated news feeds and gives each item's publish time and age in hours.
+Lead with items published today, treat anything older than a day as background, and use
+web_search for stories the feeds do not cover. You have ${FEED_LOOKUPS} feed lookups; they do not count against the search budget.`;
+
 export class ChannelAgent extends BaseAgent {
   /**
    * Create a new channel agent
@@ -23,12 +31,16 @@ export class ChannelAgent extends BaseAgent {
       throw new Error(`Unknown channel: ${channelId}`);
     }
 
+    // Records the articles the tools return, for attribution
+    const sources = new SourceCollector();
+    const feeds = getChannelFeeds(channel);
+
     // Create agent with channel-specific configuration
     super(
       channel.name,
       channel.description,
       // Enforce per-run tool budgets to avoid stalls while allowing focused research
-      getAllToolsWithBudget({ searchMax: 3, scrapeMax: 1 }),
+      getAllToolsWithBudget({ searchMax: 3, scrapeMax: 1, sources, feeds, feedMax: FEED_LOOKUPS }),
       {
         temperature: 0.3, // Lower temperature for more focused research
         // Respect configured iteration cap (no forced minimum)
@@ -38,21 +50,30 @@ export class ChannelAgent extends BaseAgent {
 
     this.channelId = channelId;
     this.channel = channel;
+    this.sources = sources;
+    this.feeds = feeds;
   }
 
   /**
    * Research the channel and generate a report
    * 
    * @param {Array} customRequests - User's custom requests/interests
+   * @param {Object} options
+   * @param {string} options.history - Digest of stories covered in recent episodes
    * @returns {Promise<Object>} Research report with metadata
    */
-  async research(customRequests = []) {
+  async research(customRequests = [], { history = '' } = {}) {
     const startTime = Date.now();
     this.log.start(`Researching ${this.channelId} channel`);
 
     try {
-      // Get channel-specific prompt
-      const prompt = this.channel.getPrompt(customRequests);
+      // Get channel-specific prompt, pointing at the channel's feeds and
+      // steering away from stories listeners already heard
+      const prompt = [
+        this.channel.getPrompt(customRequests),
+        this.feeds.length > 0 ? FEEDS_INSTRUCTIONS : '',
+        history ? previouslyCovered(history) : '',
+      ].filter(Boolean).join('\n\n');
 
       // Execute agent - now returns object with output, tokenUsage, and duration
       const result = await this.execute(prompt);
@@ -69,6 +90,7 @@ export class ChannelAgent extends BaseAgent {
         channelId: this.channelId,
         channelName: this.channel.name,
         report: result.output,
+        sources: this.sources.getSources(),
         duration,
         tokenUsage: result.tokenUsage,
         status: 'success',
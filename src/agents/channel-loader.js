@@ -0,0 +1,198 @@
+/**
+ * Channel Loader
+ *
+ * Loads user-defined channels from YAML/JSON files so new domains
+ * ("Rust ecosystem", "Premier League", ...) can be added without code changes.
+ *
+ * Definition format (YAML shown, JSON uses the same keys):
+ *
+ *   id: rust                      # required, [a-z0-9_-]
+ *   name: Rust Ecosystem          # required
+ *   description: Crates, compiler releases and community news
+ *   category: technology
+ *   queries:                      # required, search query templates
+ *     - "Rust language news {date.short}"
+ *     - "Rust release {year}"
+ *   strategy: |                   # optional free-text research strategy
+ *     Prefer official release notes ...
+ *   wordRange: [250, 320]         # optional, or { min, max }
+ *   sources:
+ *     allow: [blog.rust-lang.org] # preferred domains
+ *     deny: [reddit.com]          # domains never used as sources
+ *   feeds:                        # optional RSS/Atom feeds, read before searching
+ *     - https://blog.rust-lang.org/feed.xml
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import logger from '../utils/logger.js';
+import { getDateContext, renderTemplate } from './channel-template.js';
+
+const log = logger.child('ChannelLoader');
+
+const DEFAULT_WORD_RANGE = { min: 280, max: 350 };
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+/**
+ * Validate a raw channel definition
+ *
+ * @param {Object} def - Parsed definition
+ * @returns {Array<string>} Validation errors
+ */
+export function validateChannelDefinition(def) {
+  const errors = [];
+
+  if (!def || typeof def !== 'object') {
+    return ['definition must be an object'];
+  }
+  if (!def.id || !/^[a-z0-9_-]+$/i.test(def.id)) {
+    errors.push('id is required and may only contain letters, digits, "_" and "-"');
+  }
+  if (!def.name) {
+    errors.push('name is required');
+  }
+  if (!Array.isArray(def.queries) || def.queries.length === 0 || !def.queries.every(q => typeof q === 'string')) {
+    errors.push('queries must be a non-empty list of strings');
+  }
+  if (def.wordRange !== undefined && !normalizeWordRange(def.wordRange)) {
+    errors.push('wordRange must be [min, max] or { min, max } with min <= max');
+  }
+  if (def.feeds !== undefined && (!Array.isArray(def.feeds) || !def.feeds.every(isHttpUrl))) {
+    errors.push('feeds must be a list of http(s) feed URLs');
+  }
+  for (const list of ['allow', 'deny']) {
+    const value = def.sources?.[list];
+    if (value !== undefined && (!Array.isArray(value) || !value.every(d => typeof d === 'string'))) {
+      errors.push(`sources.${list} must be a list of domains`);
+    }
+  }
+
+  return errors;
+}
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\/\S+$/i.test(value);
+}
+
+function normalizeWordRange(range) {
+  const [min, max] = Array.isArray(range) ? range : [range?.min, range?.max];
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || min > max) {
+    return null;
+  }
+  return { min, max };
+}
+
+/**
+ * Build a registry channel from a validated definition
+ *
+ * @param {Object} def - Channel definition
+ * @returns {Object} Channel configuration (same shape as built-in channels)
+ */
+export function createChannelFromDefinition(def) {
+  const wordRange = def.wordRange ? normalizeWordRange(def.wordRange) : DEFAULT_WORD_RANGE;
+  const sources = {
+    allow: def.sources?.allow || [],
+    deny: def.sources?.deny || [],
+  };
+
+  return {
+    id: def.id,
+    name: def.name,
+    description: def.description || `Latest ${def.name} news`,
+    category: def.category || 'general',
+    queries: def.queries,
+    sources,
+    feeds: def.feeds || [],
+    wordRange,
+    custom: true,
+
+    getPrompt: (customRequests = []) => {
+      const date = getDateContext();
+      const [first, ...rest] = def.queries.map(q => renderTemplate(q, date));
+      const words = `${wordRange.min}-${wordRange.max}`;
+
+      return `You are a ${def.name} specialist. Today is ${date.full}.
+
+Your task: Research and write a ${words} word ${def.name} report covering the LATEST news.
+
+SEARCH INSTRUCTIONS:
+1. Start with: "${first}"
+${rest.length > 0 ? `2. Follow-up searches to consider:\n${rest.map(q => `   - "${q}"`).join('\n')}\n` : ''}
+BUDGET: Maximum 3 searches total. After 3 searches, stop and write your report.
+${def.strategy ? `\nSEARCH STRATEGY:\n${renderTemplate(def.strategy, date).trim()}\n` : ''}${sources.allow.length > 0 ? `\nPREFERRED SOURCES: ${sources.allow.join(', ')}` : ''}${sources.deny.length > 0 ? `\nDO NOT USE SOURCES FROM: ${sources.deny.join(', ')}` : ''}
+
+CRITICAL:
+- Always include specific dates, names and figures
+- Distinguish past events from upcoming ones
+- Only cover news from the last few days
+
+${customRequests.length > 0 ? `\nUser interests: ${customRequests.join(', ')}` : ''}
+
+OUTPUT FORMAT:
+When you are ready to write your report, format your response EXACTLY like this:
+
+Final Answer: [Your complete ${words} word report goes here immediately after "Final Answer:"]
+
+DO NOT write "Final Answer: The report is complete."
+Your entire report must appear after "Final Answer:" with no extra commentary.`;
+    },
+  };
+}
+
+/**
+ * Parse a channel definition file
+ *
+ * @param {string} filePath - Path to a .yaml/.yml/.json file
+ * @returns {Object} Parsed definition
+ */
+export function parseChannelFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath) === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+}
+
+/**
+ * Load all channel definitions from a directory.
+ * Invalid files are logged and skipped; they never break the built-in channels.
+ *
+ * @param {string} dir - Channels directory
+ * @returns {Object} Map of channelId → channel configuration
+ */
+export function loadChannelDefinitions(dir) {
+  const channels = {};
+
+  if (!dir || !fs.existsSync(dir)) {
+    return channels;
+  }
+
+  const files = fs.readdirSync(dir)
+    .filter(file => EXTENSIONS.includes(path.extname(file)))
+    .sort();
+
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    try {
+      const def = parseChannelFile(filePath);
+      const errors = validateChannelDefinition(def);
+
+      if (errors.length > 0) {
+        log.warn(`Skipping invalid channel file ${file}`, { errors });
+        continue;
+      }
+
+      channels[def.id] = createChannelFromDefinition(def);
+      log.debug(`Loaded channel ${def.id}`, { file });
+    } catch (error) {
+      log.warn(`Failed to load channel file ${file}`, { error: error.message });
+    }
+  }
+
+  return channels;
+}
+
+export default {
+  validateChannelDefinition,
+  createChannelFromDefinition,
+  parseChannelFile,
+  loadChannelDefinitions,
+};
@@ -4,30 +4,28 @@
  * Defines all available content channels with their configurations.
  * Each channel represents a specialized knowledge domain that an agent
  * can research and report on.
+ * 
+ * Built-in channels live below; user-defined channels are loaded from
+ * YAML/JSON files in config.channelsDir and merged on top (see channel-loader.js).
  */
 
-/**
- * Get current date context for prompts
- */
-function getDateContext() {
-  const currentDate = new Date();
-  const year = currentDate.getFullYear();
-  const month = currentDate.toLocaleString('default', { month: 'long' });
-  const day = currentDate.getDate();
-  const dayOfWeek = currentDate.toLocaleString('default', { weekday: 'long' });
-  
-  return {
-    full: `${dayOfWeek}, ${month} ${day}, ${year}`,
-    short: `${month} ${day}, ${year}`,
-    year,
-    month,
-    day,
-    dayOfWeek,
-  };
-}
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { getDateContext } from './channel-template.js';
+import {
+  validateChannelDefinition,
+  createChannelFromDefinition,
+  loadChannelDefinitions,
+} from './channel-loader.js';
+
+const log = logger.child('ChannelRegistry');
 
 /**
- * Channel configurations
+ * Built-in channel configurations
+ * 
+ * `queries` are search query templates used by the deterministic pipeline
+ * ({date.short}, {year}, ... are rendered at run time). `feeds` are RSS/Atom
+ * feeds read before searching (see src/feeds/).
  */
 export const CHANNELS = {
   tech: {
@@ -35,6 +33,16 @@ export const CHANNELS = {
     name: 'Tech & Software Development',
     description: 'Latest programming languages, frameworks, tools, and tech industry news',
     category: 'technology',
+    queries: [
+      'tech news today {date.short}',
+      'software development news {date.short}',
+      'framework updates {date.short}',
+    ],
+    feeds: [
+      'https://feeds.arstechnica.com/arstechnica/technology-lab',
+      'https://www.theverge.com/rss/index.xml',
+      'https://hnrss.org/frontpage',
+    ],
     
     getPrompt: (customRequests = []) => {
       const date = getDateContext();
@@ -101,6 +109,15 @@ Your entire report must appear after "Final Answer:" with no extra commentary.`;
     name: 'Finance & Markets',
     description: 'Stock market updates, cryptocurrency news, economic indicators, and financial trends',
     category: 'finance',
+    queries: [
+      'stock market news today {date.short}',
+      'economic data {date.short}',
+      'earnings results {date.short}',
+    ],
+    feeds: [
+      'https://www.cnbc.com/id/100003114/device/rss/rss.html',
+      'https://feeds.marketwatch.com/marketwatch/topstories/',
+    ],
     
     getPrompt: (customRequests = []) => {
       const date = getDateContext();
@@ -167,6 +184,15 @@ Your entire report must appear after "Final Answer:" with no extra commentary.`;
     name: 'Formula 1 Racing',
     description: 'Race results, driver news, championship standings, and F1 technical developments',
     category: 'sports',
+    queries: [
+      'F1 news today {date.short}',
+      'F1 qualifying results {date.short}',
+      'F1 practice results {date.short}',
+    ],
+    feeds: [
+      'https://www.formula1.com/content/fom-website/en/latest/all.xml',
+      'https://www.autosport.com/rss/f1/news/',
+    ],
     
     getPrompt: (customRequests = []) => {
       const date = getDateContext();
@@ -234,6 +260,15 @@ Your entire report must appear after "Final Answer:" with no extra commentary.`;
     name: 'World News',
     description: 'Global developments across regions',
     category: 'general',
+    queries: [
+      'world news today {date.short}',
+      'breaking news {date.short}',
+      'global headlines {date.short}',
+    ],
+    feeds: [
+      'https://feeds.bbci.co.uk/news/world/rss.xml',
+      'https://www.aljazeera.com/xml/rss/all.xml',
+    ],
     
     getPrompt: (customRequests = []) => {
       const date = getDateContext();
@@ -300,6 +335,15 @@ Your entire report must appear after "Final Answer:" with no extra commentary.`;
     name: 'Science Discoveries',
     description: 'Research breakthroughs and fascinating experiments',
     category: 'science',
+    queries: [
+      'science news today {date.short}',
+      'research findings {date.short}',
+      'scientific breakthrough {date.short}',
+    ],
+    feeds: [
+      'https://www.sciencedaily.com/rss/top/science.xml',
+      'https://www.nasa.gov/news-release/feed/',
+    ],
     
     getPrompt: (customRequests = []) => {
       const date = getDateContext();
@@ -362,17 +406,48 @@ Your entire report must appear after "Final Answer:" with no extra commentary.`;
   },
 };
 
+/**
+ * Active registry: built-in channels plus user-defined channel files.
+ * A file with the same id as a built-in channel replaces it.
+ */
+const registry = { ...CHANNELS };
+
+for (const [channelId, channel] of Object.entries(loadChannelDefinitions(config.channelsDir))) {
+  if (channelId in CHANNELS) {
+    log.info(`Channel file overrides built-in channel: ${channelId}`);
+  }
+  registry[channelId] = channel;
+}
+
+/**
+ * Register a channel from a definition object (same format as channel files)
+ * 
+ * @param {Object} definition - Channel definition
+ * @returns {Object} Registered channel configuration
+ */
+export function registerChannel(definition) {
+  const errors = validateChannelDefinition(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid channel definition: ${errors.join(', ')}`);
+  }
+
+  const channel = createChannelFromDefinition(definition);
+  registry[channel.id] = channel;
+  return channel;
+}
+
 /**
  * Get all available channels
  * 
  * @returns {Array} Array of channel metadata
  */
 export function getAllChannels() {
-  return Object.values(CHANNELS).map(channel => ({
+  return Object.values(registry).map(channel => ({
     id: channel.id,
     name: channel.name,
     description: channel.description,
     category: channel.category,
+    feeds: channel.feeds || [],
   }));
 }
 
@@ -383,7 +458,17 @@ export function getAllChannels() {
  * @returns {Object|null} Channel configuration or null if not found
  */
 export function getChannel(channelId) {
-  return CHANNELS[channelId] || null;
+  return registry[channelId] || null;
+}
+
+/**
+ * Feeds research should read for a channel (none when FEEDS_ENABLED=false)
+ * 
+ * @param {Object} channel - Channel configuration
+ * @returns {Array<string>} Feed URLs
+ */
+export function getChannelFeeds(channel) {
+  return config.feedsEnabled ? channel?.feeds || [] : [];
 }
 
 /**
@@ -393,13 +478,15 @@ export function getChannel(channelId) {
  * @returns {boolean} True if channel exists
  */
 export function hasChannel(channelId) {
-  return channelId in CHANNELS;
+  return channelId in registry;
 }
 
 export default {
   CHANNELS,
+  registerChannel,
   getAllChannels,
   getChannel,
+  getChannelFeeds,
   hasChannel,
 };
 
@@ -0,0 +1,63 @@
+/**
+ * Channel Template Helpers
+ *
+ * Date context, placeholder rendering and shared prompt blocks for the
+ * built-in channel prompts and user-defined channel files.
+ */
+
+/**
+ * Get current date context for prompts
+ */
+export function getDateContext() {
+  const currentDate = new Date();
+  const year = currentDate.getFullYear();
+  const month = currentDate.toLocaleString('default', { month: 'long' });
+  const day = currentDate.getDate();
+  const dayOfWeek = currentDate.toLocaleString('default', { weekday: 'long' });
+
+  return {
+    full: `${dayOfWeek}, ${month} ${day}, ${year}`,
+    short: `${month} ${day}, ${year}`,
+    year,
+    month,
+    day,
+    dayOfWeek,
+  };
+}
+
+/**
+ * Render {placeholders} in a template string.
+ *
+ * Supported: {date.full}, {date.short}, {date.year}, {date.month},
+ * {date.day}, {date.dayOfWeek} and the shorthand {year}.
+ * Unknown placeholders are left untouched.
+ *
+ * @param {string} template - Template text
+ * @param {Object} date - Date context (defaults to today)
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, date = getDateContext()) {
+  return String(template).replace(/\{(date\.\w+|year)\}/g, (match, key) => {
+    const field = key === 'year' ? 'year' : key.slice('date.'.length);
+    return field in date ? String(date[field]) : match;
+  });
+}
+
+/**
+ * Prompt block listing recent coverage
+ *
+ * @param {string} history - Digest from formatHistoryDigest
+ * @returns {string} Prompt text
+ */
+export function previouslyCovered(history) {
+  return `PREVIOUSLY COVERED (recent episodes; listeners already know these):
+${history}
+
+Prefer stories not listed above. Revisit a listed story only if there is a real development, and then report what changed since it was covered.`;
+}
+
+export default {
+  getDateContext,
+  renderTemplate,
+  previouslyCovered,
+};
@@ -6,18 +6,22 @@
  */
 
 import BaseAgent from './base-agent.js';
-import { getAllTools } from '../tools/index.js';
+import { getAllTools, SourceCollector } from '../tools/index.js';
 
 export class CustomAgent extends BaseAgent {
   constructor() {
+    const sources = new SourceCollector();
+
     super(
       'Custom Request Specialist',
       'Researches user-specific topics and requests',
-      getAllTools(),
+      getAllTools({ sources }),
       {
         temperature: 0.4, // Slightly higher temperature for more creative responses
       }
     );
+
+    this.sources = sources;
   }
 
   /**
@@ -43,20 +47,23 @@ export class CustomAgent extends BaseAgent {
 
     try {
       const prompt = this.buildPrompt(requests);
-      const report = await this.execute(prompt);
+      const result = await this.execute(prompt);
 
       const duration = Date.now() - startTime;
 
       this.log.success('Custom research complete', {
         duration: `${duration}ms`,
-        reportLength: `${report.length} chars`,
+        reportLength: `${result.output.length} chars`,
         requests: requests.length,
+        totalTokens: result.tokenUsage.totalTokens,
       });
 
       return {
-        report,
+        report: result.output,
         requests,
+        sources: this.sources.getSources(),
         duration,
+        tokenUsage: result.tokenUsage,
         status: 'success',
         method: 'agent',
         timestamp: new Date().toISOString(),
@@ -1,87 +1,176 @@
 /**
  * Deterministic Channel Research
  *
- * Runs a fixed search → scrape → summarize pipeline to produce a channel report
- * without using the LangChain ReAct agent. Stable and fast.
+ * Runs a fixed feeds/search → scrape → summarize pipeline to produce a channel
+ * report without using the LangChain ReAct agent. Stable and fast.
+ *
+ * Articles come from the channel's feeds first (items from the last day);
+ * the channel's search queries fill whatever slots the feeds leave open.
+ * Pages whose own publish date is older than STALE_AFTER_HOURS are skipped.
  */
 
-import { search, scrape } from '../tools/index.js';
-import { ChatOpenAI } from '@langchain/openai';
-import config from '../config/config.js';
+import { search, scrapeArticle, lookupFeeds, SourceCollector, isDomainAllowed, matchesDomain } from '../tools/index.js';
+import { createChatModel, collectTokenUsage } from '../llm/index.js';
 import logger from '../utils/logger.js';
-import { getChannel } from './channel-registry.js';
+import { getChannel, getChannelFeeds } from './channel-registry.js';
+import { renderTemplate, previouslyCovered } from './channel-template.js';
 
 const log = logger.child('DeterministicResearch');
 
-function buildQueries(channelId) {
-  const date = new Date();
-  const today = date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-  const map = {
-    tech: [
-      `tech news today ${today}`,
-      `software development news ${today}`,
-      `framework updates ${today}`,
-    ],
-    finance: [
-      `stock market news today ${today}`,
-      `economic data ${today}`,
-      `earnings results ${today}`,
-    ],
-    f1: [
-      `F1 news today ${today}`,
-      `F1 qualifying results ${today}`,
-      `F1 practice results ${today}`,
-    ],
-    world_news: [
-      `world news today ${today}`,
-      `breaking news ${today}`,
-      `global headlines ${today}`,
-    ],
-    science: [
-      `science news today ${today}`,
-      `research findings ${today}`,
-      `scientific breakthrough ${today}`,
-    ],
-  };
-  return map[channelId] || [`${channelId} news today ${today}`];
+// Articles scraped into the grounding context
+const ARTICLE_SLOTS = 3;
+// Feed items older than this are left to search
+const FEED_WINDOW_HOURS = 24;
+// Scraped pages published longer ago than this are not today's news
+const STALE_AFTER_HOURS = 48;
+// Search results tried per query when the first is stale or unreadable
+const CANDIDATES_PER_QUERY = 2;
+
+/**
+ * Render the channel's search query templates for today
+ * 
+ * @param {Object} channel - Channel configuration
+ * @returns {Array<string>} Search queries
+ */
+export function buildQueries(channel) {
+  const templates = channel.queries?.length ? channel.queries : [`${channel.name} news today {date.short}`];
+  return templates.map(template => renderTemplate(template));
+}
+
+function isUsable(result, channel) {
+  return result.url && result.source &&
+    isDomainAllowed(result.source) &&
+    !matchesDomain(result.source, channel.sources?.deny || []);
+}
+
+/**
+ * Pick feed items to scrape: usable, not covered in recent episodes,
+ * allowed domains first, otherwise newest first
+ * 
+ * @param {Array} items - Feed lookup results, newest first
+ * @param {Object} channel - Channel configuration
+ * @param {Set<string>} covered - URLs covered in recent episodes
+ * @param {number} count - Items to pick
+ * @returns {Array} Chosen items
+ */
+function pickFeedItems(items, channel, covered, count) {
+  const allow = channel.sources?.allow || [];
+  const candidates = items.filter(item => isUsable(item, channel) && !covered.has(item.url));
+  return [
+    ...candidates.filter(item => matchesDomain(item.source, allow)),
+    ...candidates.filter(item => !matchesDomain(item.source, allow)),
+  ].slice(0, count);
+}
+
+/**
+ * Order search results for scraping: skip blocked (SCRAPE_BLOCKED_DOMAINS)
+ * and denied domains, prefer articles not covered in recent episodes, then
+ * the channel's allowed domains when it has any.
+ * 
+ * @param {Array} results - Search results
+ * @param {Object} channel - Channel configuration
+ * @param {Set<string>} covered - URLs covered in recent episodes
+ * @returns {Array} Results in the order to try (the first result if none is usable)
+ */
+function rankResults(results, channel, covered = new Set()) {
+  const allow = channel.sources?.allow || [];
+  const usable = results.filter(r => isUsable(r, channel));
+  const fresh = usable.filter(r => !covered.has(r.url));
+  const candidates = fresh.length > 0 ? fresh : usable;
+  if (candidates.length === 0) return results.slice(0, 1);
+
+  return [
+    ...candidates.filter(r => matchesDomain(r.source, allow)),
+    ...candidates.filter(r => !matchesDomain(r.source, allow)),
+  ];
 }
 
-export async function deterministicChannelReport(channelId, customRequests = []) {
+function isStale(published) {
+  return !!published && Date.now() - Date.parse(published) > STALE_AFTER_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Research a channel with the fixed pipeline
+ * 
+ * @param {string} channelId - Channel identifier
+ * @param {Array} customRequests - User's custom requests/interests
+ * @param {Object} options
+ * @param {string} options.history - Digest of stories covered in recent episodes
+ * @param {Set<string>} options.coveredUrls - Article URLs covered in recent episodes
+ * @returns {Promise<Object>} Channel report
+ */
+export async function deterministicChannelReport(channelId, customRequests = [], { history = '', coveredUrls = new Set() } = {}) {
   const start = Date.now();
   const channel = getChannel(channelId);
   if (!channel) throw new Error(`Unknown channel: ${channelId}`);
 
   log.start(`Deterministic research for ${channelId}`);
-  const queries = buildQueries(channelId);
+  const queries = buildQueries(channel);
   const collected = [];
+  // Only what ends up in the grounding context is recorded as a source
+  const sources = new SourceCollector();
 
-  for (const q of queries.slice(0, 3)) {
-    const results = await search(q, { maxResults: 5, timeRange: 'day' });
-    const first = results.find(r => r.url && r.source && !/wsj|nytimes|bloomberg|ft.com/i.test(r.source)) || results[0];
-    if (!first || !first.url) continue;
+  // Scrape a result into the grounding context; false if it was stale or failed
+  const collect = async (result) => {
     try {
-      const text = await scrape(first.url, { maxLength: 2000 });
-      collected.push({ title: first.title, url: first.url, text });
+      const article = await scrapeArticle(result.url, { maxLength: 2000 });
+      const published = article.published || result.published || null;
+      if (isStale(published)) {
+        log.info('Skipping stale article', { url: result.url, published });
+        return false;
+      }
+      // An unreadable feed item still has its summary; an unreadable search
+      // result makes way for the next one
+      if (article.fallback && result.provider !== 'feed') return false;
+      const text = article.fallback ? result.content : article.text;
+      collected.push({ title: result.title || article.title, url: result.url, published, text });
+      sources.addScrape(result, article);
+      return true;
     } catch {
       // skip failures quickly
+      return false;
+    }
+  };
+
+  const feeds = getChannelFeeds(channel);
+  if (feeds.length > 0) {
+    const items = await lookupFeeds(feeds, '', { maxResults: 20, hours: FEED_WINDOW_HOURS });
+    for (const item of pickFeedItems(items, channel, coveredUrls, ARTICLE_SLOTS)) {
+      await collect(item);
+    }
+    log.info(`Feeds supplied ${collected.length} of ${ARTICLE_SLOTS} articles for ${channelId}`);
+  }
+
+  for (const q of queries.slice(0, ARTICLE_SLOTS - collected.length)) {
+    const collectedUrls = new Set(collected.map(c => c.url));
+    const results = (await search(q, { maxResults: 5, timeRange: 'day' })).filter(r => !collectedUrls.has(r.url));
+    const ranked = rankResults(results, channel, coveredUrls);
+    if (ranked[0]?.isFallback) sources.addSearchResults([ranked[0]]);
+    for (const result of ranked.filter(r => r.url).slice(0, CANDIDATES_PER_QUERY)) {
+      if (await collect(result)) break;
     }
   }
 
-  const grounding = collected.map((c, i) => `(${i + 1}) ${c.title}\nURL: ${c.url}\nEXCERPT: ${String(c.text || '').slice(0, 700)}`).join('\n\n');
+  const grounding = collected.map((c, i) => [
+    `(${i + 1}) ${c.title}`,
+    `URL: ${c.url}`,
+    c.published ? `PUBLISHED: ${c.published}` : null,
+    `EXCERPT: ${String(c.text || '').slice(0, 700)}`,
+  ].filter(Boolean).join('\n')).join('\n\n');
 
-  const targetWords = 320; // middle of 280–350
+  // Middle of the channel's word range (built-in channels use 280–350)
+  const { min, max } = channel.wordRange || { min: 280, max: 350 };
+  const targetWords = Math.round((min + max) / 2);
   const prompt = `You are a ${channel.name} specialist. Today is ${new Date().toDateString()}.
-Using ONLY the context below, write a clear, unambiguous ${targetWords}-word report with specific dates, figures, and named sources. Avoid speculation.
-\nCONTEXT:\n${grounding || '(no excerpts available)'}\n\nFinal Answer:`;
+Using ONLY the context below, write a clear, unambiguous ${targetWords}-word report with specific dates, figures, and named sources. Avoid speculation. Where a PUBLISHED time is given, use it to separate today's news from older background.
+\nCONTEXT:\n${grounding || '(no excerpts available)'}${history ? `\n\n${previouslyCovered(history)}` : ''}\n\nFinal Answer:`;
 
-  const llm = new ChatOpenAI({
-    openAIApiKey: config.openaiApiKey,
-    modelName: config.openaiSynthesisModel,
+  const llm = createChatModel('research', {
     temperature: 0.2,
     timeout: 60000,
   });
 
-  const completion = await llm.invoke(prompt);
+  const { result: completion, tokenUsage } = await collectTokenUsage(() => llm.invoke(prompt));
   const report = typeof completion === 'string' ? completion : (completion?.content || completion?.text || '');
 
   const duration = Date.now() - start;
@@ -91,7 +180,9 @@ Using ONLY the context below, write a clear, unambiguous ${targetWords}-word rep
     channelId,
     channelName: channel.name,
     report,
+    sources: sources.getSources(),
     duration,
+    tokenUsage,
     status: 'success',
     method: 'deterministic',
     timestamp: new Date().toISOString(),
@@ -99,6 +190,7 @@ Using ONLY the context below, write a clear, unambiguous ${targetWords}-word rep
 }
 
 export default {
+  buildQueries,
   deterministicChannelReport,
 };
 
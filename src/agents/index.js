@@ -9,8 +9,10 @@ import { ChannelAgent } from './channel-agent.js';
 import { CustomAgent } from './custom-agent.js';
 import {
   CHANNELS,
+  registerChannel,
   getAllChannels,
   getChannel,
+  getChannelFeeds,
   hasChannel,
 } from './channel-registry.js';
 import {
@@ -27,8 +29,10 @@ export {
   
   // Channel registry
   CHANNELS,
+  registerChannel,
   getAllChannels,
   getChannel,
+  getChannelFeeds,
   hasChannel,
   
   // Factory functions
@@ -42,8 +46,10 @@ export default {
   ChannelAgent,
   CustomAgent,
   CHANNELS,
+  registerChannel,
   getAllChannels,
   getChannel,
+  getChannelFeeds,
   hasChannel,
   createChannelAgent,
   createCustomAgent,
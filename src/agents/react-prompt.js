@@ -0,0 +1,30 @@
+/**
+ * ReAct Prompt
+ *
+ * The ReAct agent prompt, bundled so agents start without a network call
+ * (offline, in CI and with the fake LLM provider). It is the text of the
+ * `hwchase17/react` LangChain Hub prompt the agents were built against, so
+ * the output parser sees the same Thought/Action/Final Answer format.
+ */
+
+export const REACT_PROMPT_TEMPLATE = `Answer the following questions as best you can. You have access to the following tools:
+
+{tools}
+
+Use the following format:
+
+Question: the input question you must answer
+Thought: you should always think about what to do
+Action: the action to take, should be one of [{tool_names}]
+Action Input: the input to the action
+Observation: the result of the action
+... (this Thought/Action/Action Input/Observation can repeat N times)
+Thought: I now know the final answer
+Final Answer: the final answer to the original input question
+
+Begin!
+
+Question: {input}
+Thought:{agent_scratchpad}`;
+
+export default REACT_PROMPT_TEMPLATE;
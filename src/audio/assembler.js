@@ -0,0 +1,314 @@
+/**
+ * Audio Assemblers
+ *
+ * Join audio chunks from a TTS provider into a single well-formed file.
+ *
+ * Mp3Assembler:
+ * - parses every chunk into frames and drops per-chunk ID3/Xing headers
+ * - inserts format-matched silence between segments
+ * - writes one Xing/Info header so players show the correct duration and seek properly
+ * - prepends an ID3v2.4 tag with metadata and CHAP/CTOC chapters
+ *
+ * WavAssembler does the same for PCM WAV output, storing the ID3 tag
+ * (including chapters) in an "id3 " RIFF chunk.
+ */
+
+import logger from '../utils/logger.js';
+import { readFrames, parseFrameHeader, sideInfoSize, createSilence } from './mp3.js';
+import { parseWav, createPcmSilence, buildWav } from './wav.js';
+import { buildId3Tag } from './id3.js';
+
+const log = logger.child('AudioAssembler');
+
+// "Xing" + flags + frame count + byte count + 100-byte TOC
+const XING_PAYLOAD_SIZE = 4 + 4 + 4 + 4 + 100;
+
+/**
+ * Chapter bookkeeping shared by the assemblers.
+ * Subclasses track `format` and expose `durationMs`.
+ */
+class AudioAssembler {
+  constructor() {
+    this.format = null;
+    this.chapters = [];
+  }
+
+  /**
+   * Start a chapter at the current position
+   *
+   * @param {string} id - Chapter id (made unique if repeated)
+   * @param {string} title - Chapter title
+   */
+  startChapter(id, title) {
+    const base = String(id || `chapter${this.chapters.length + 1}`);
+    let uniqueId = base;
+    for (let n = 2; this.chapters.some(c => c.id === uniqueId); n++) {
+      uniqueId = `${base}-${n}`;
+    }
+    this.chapters.push({ id: uniqueId, title: title || base, startMs: this.durationMs });
+  }
+
+  /**
+   * Get chapters with end times
+   *
+   * @returns {Array<{id: string, title: string, startMs: number, endMs: number}>}
+   */
+  getChapters() {
+    const total = this.durationMs;
+    return this.chapters
+      .map((chapter, i) => ({
+        ...chapter,
+        startMs: Math.round(chapter.startMs),
+        endMs: Math.round(i + 1 < this.chapters.length ? this.chapters[i + 1].startMs : total),
+      }))
+      .filter(chapter => chapter.endMs > chapter.startMs);
+  }
+}
+
+export class Mp3Assembler extends AudioAssembler {
+  constructor() {
+    super();
+    this.frames = [];
+    this.samples = 0;
+    this.formatMismatchLogged = false;
+  }
+
+  /**
+   * Current duration in milliseconds
+   */
+  get durationMs() {
+    return this.format ? (this.samples / this.format.sampleRate) * 1000 : 0;
+  }
+
+  /**
+   * Append an MP3 chunk
+   *
+   * @param {Buffer} buffer - MP3 data (may include its own ID3/Xing headers)
+   * @returns {number} Number of audio frames appended
+   */
+  append(buffer) {
+    const frames = readFrames(buffer);
+    if (frames.length === 0) {
+      log.warn('Chunk contains no MP3 frames, skipping', { bytes: buffer.length });
+      return 0;
+    }
+
+    for (const frame of frames) {
+      this.addFrame(frame);
+    }
+    return frames.length;
+  }
+
+  /**
+   * Append silence matching the format of the audio appended so far.
+   * Ignored until at least one chunk has been appended.
+   *
+   * @param {number} durationMs - Silence duration in milliseconds
+   */
+  appendSilence(durationMs) {
+    if (!this.format || durationMs <= 0) return;
+
+    const silence = createSilence(this.frames[0].data, durationMs);
+    if (!silence) {
+      log.warn('Could not derive silence from audio format, skipping pause');
+      return;
+    }
+    for (const frame of readFrames(silence)) {
+      this.addFrame(frame);
+    }
+  }
+
+  /**
+   * Build the final MP3 file
+   *
+   * @param {Object} tags - ID3 tag values (see buildId3Tag); chapters are added automatically
+   * @returns {Buffer} Complete MP3 file
+   */
+  build(tags = {}) {
+    if (this.frames.length === 0) {
+      throw new Error('No audio to assemble');
+    }
+    const audio = Buffer.concat(this.frames.map(f => f.data));
+    const xing = this.buildXingFrame(audio.length);
+    const id3 = buildId3Tag({ ...tags, chapters: this.getChapters() });
+
+    return Buffer.concat([id3, xing, audio]);
+  }
+
+  addFrame(frame) {
+    if (!this.format) {
+      this.format = frame.header;
+    } else if (
+      frame.header.sampleRate !== this.format.sampleRate ||
+      frame.header.channelMode !== this.format.channelMode ||
+      frame.header.layer !== this.format.layer
+    ) {
+      if (!this.formatMismatchLogged) {
+        log.warn('Chunks use different MP3 formats; playback may glitch', {
+          expected: { sampleRate: this.format.sampleRate, channelMode: this.format.channelMode },
+          found: { sampleRate: frame.header.sampleRate, channelMode: frame.header.channelMode },
+        });
+        this.formatMismatchLogged = true;
+      }
+    }
+
+    this.frames.push(frame);
+    this.samples += frame.header.samplesPerFrame;
+  }
+
+  /**
+   * Build a Xing (VBR) or Info (CBR) header frame describing the audio.
+   * CBR streams keep their own bitrate and omit the seek TOC if it does not
+   * fit; VBR streams use a higher-bitrate header frame so the TOC always fits.
+   *
+   * @param {number} audioBytes - Size of the audio frames
+   * @returns {Buffer} Header frame
+   */
+  buildXingFrame(audioBytes) {
+    const first = this.frames[0];
+    const sideInfo = sideInfoSize(first.header);
+    const constantBitrate = this.frames.every(f => f.header.bitrate === first.header.bitrate);
+    const frame = this.allocateHeaderFrame(first.data, 4 + sideInfo + XING_PAYLOAD_SIZE, !constantBitrate);
+    const withToc = frame.length >= 4 + sideInfo + XING_PAYLOAD_SIZE;
+    const totalBytes = frame.length + audioBytes;
+
+    let offset = 4 + sideInfo;
+    frame.write(constantBitrate ? 'Info' : 'Xing', offset, 'latin1');
+    frame.writeUInt32BE(withToc ? 0x07 : 0x03, offset + 4); // frames + bytes (+ TOC)
+    frame.writeUInt32BE(this.frames.length, offset + 8);
+    frame.writeUInt32BE(totalBytes, offset + 12);
+    offset += 16;
+
+    if (!withToc) {
+      return frame;
+    }
+
+    // TOC: byte position (0-255 of file size) at each percent of the duration
+    let frameIndex = 0;
+    let samples = 0;
+    let bytes = frame.length;
+    for (let percent = 0; percent < 100; percent++) {
+      const targetSamples = (percent / 100) * this.samples;
+      while (frameIndex < this.frames.length && samples + this.frames[frameIndex].header.samplesPerFrame <= targetSamples) {
+        samples += this.frames[frameIndex].header.samplesPerFrame;
+        bytes += this.frames[frameIndex].data.length;
+        frameIndex++;
+      }
+      frame[offset + percent] = Math.min(255, Math.floor((bytes / totalBytes) * 256));
+    }
+
+    return frame;
+  }
+
+  /**
+   * Allocate a zeroed frame with the reference's format.
+   * When `raiseBitrate` is set, the lowest bitrate whose frame holds `minSize` bytes is used.
+   */
+  allocateHeaderFrame(reference, minSize, raiseBitrate) {
+    const header = Buffer.from(reference.subarray(0, 4));
+    header[1] |= 0x01; // no CRC
+    header[2] &= ~0x02; // no padding
+
+    if (raiseBitrate) {
+      for (let bitrateIndex = 1; bitrateIndex < 15; bitrateIndex++) {
+        header[2] = (header[2] & 0x0f) | (bitrateIndex << 4);
+        if (parseFrameHeader(header, 0).frameLength >= minSize) break;
+      }
+    }
+
+    const frame = Buffer.alloc(parseFrameHeader(header, 0).frameLength);
+    header.copy(frame, 0);
+    return frame;
+  }
+}
+
+export class WavAssembler extends AudioAssembler {
+  constructor() {
+    super();
+    this.parts = [];
+    this.bytes = 0;
+  }
+
+  /**
+   * Current duration in milliseconds
+   */
+  get durationMs() {
+    return this.format ? (this.bytes / this.format.blockAlign / this.format.sampleRate) * 1000 : 0;
+  }
+
+  /**
+   * Append a WAV chunk
+   *
+   * @param {Buffer} buffer - WAV data
+   * @returns {number} Number of PCM bytes appended
+   */
+  append(buffer) {
+    const wav = parseWav(buffer);
+    if (!wav) {
+      log.warn('Chunk is not a PCM WAV file, skipping', { bytes: buffer.length });
+      return 0;
+    }
+
+    if (!this.format) {
+      this.format = wav.format;
+    } else if (
+      wav.format.sampleRate !== this.format.sampleRate ||
+      wav.format.channels !== this.format.channels ||
+      wav.format.bitsPerSample !== this.format.bitsPerSample
+    ) {
+      log.warn('Chunk uses a different WAV format, skipping', {
+        expected: this.format,
+        found: wav.format,
+      });
+      return 0;
+    }
+
+    this.parts.push(wav.data);
+    this.bytes += wav.data.length;
+    return wav.data.length;
+  }
+
+  /**
+   * Append silence matching the format of the audio appended so far
+   *
+   * @param {number} durationMs - Silence duration in milliseconds
+   */
+  appendSilence(durationMs) {
+    if (!this.format || durationMs <= 0) return;
+    const silence = createPcmSilence(this.format, durationMs);
+    this.parts.push(silence);
+    this.bytes += silence.length;
+  }
+
+  /**
+   * Build the final WAV file
+   *
+   * @param {Object} tags - ID3 tag values (see buildId3Tag); chapters are added automatically
+   * @returns {Buffer} Complete WAV file
+   */
+  build(tags = {}) {
+    if (!this.format) {
+      throw new Error('No audio to assemble');
+    }
+    const id3 = buildId3Tag({ ...tags, chapters: this.getChapters() });
+    return buildWav(this.format, Buffer.concat(this.parts), [{ id: 'id3 ', data: id3 }]);
+  }
+}
+
+/**
+ * Create an assembler for an audio format
+ *
+ * @param {string} format - 'mp3' or 'wav'
+ * @returns {Mp3Assembler|WavAssembler} Assembler
+ */
+export function createAssembler(format) {
+  if (format === 'mp3') return new Mp3Assembler();
+  if (format === 'wav') return new WavAssembler();
+  throw new Error(`Unsupported audio format: ${format}`);
+}
+
+export default {
+  Mp3Assembler,
+  WavAssembler,
+  createAssembler,
+};
@@ -0,0 +1,262 @@
+/**
+ * Audio Tag Translation
+ *
+ * Scripts carry bracketed delivery tags ([excited], [pauses], [whispers], ...).
+ * They are parsed into neutral annotations and rendered per engine:
+ * - 'v3':    ElevenLabs v3 audio tags
+ * - 'ssml':  <break>, <prosody> and <emphasis> for SSML engines
+ * - 'strip': plain text for engines without tag support, and for transcripts
+ *
+ * Tags that are not in the vocabulary are dropped from the output and reported
+ * so they are never read aloud or sent to an engine that does not know them.
+ */
+
+// Neutral annotation kinds:
+// - pause:     { ms }                       silence
+// - style:     { prosody: {rate, pitch, volume} }  delivery until the end of the sentence
+// - emphasis:  { level }                    stress on the following sentence
+// - reaction:  {}                           non-verbal sound (laugh, sigh, ...)
+// - direction: {}                           note for the performer, never rendered
+// `v3` is the ElevenLabs rendering; defaults to the tag name.
+const VOCABULARY = {
+  // Pauses and cognitive beats
+  'pause': { kind: 'pause', ms: 600, v3: '...' },
+  'pauses': { kind: 'pause', ms: 600 },
+  'short pause': { kind: 'pause', ms: 300, v3: '...' },
+  'long pause': { kind: 'pause', ms: 1200, v3: '[long pause]' },
+  'beat': { kind: 'pause', ms: 300, v3: '...' },
+  'hesitates': { kind: 'pause', ms: 400 },
+  'stammers': { kind: 'pause', ms: 300 },
+
+  // Emotional states
+  'excited': { kind: 'style', prosody: { rate: 'fast', pitch: '+10%' } },
+  'nervous': { kind: 'style', prosody: { rate: 'fast', pitch: '+5%' } },
+  'frustrated': { kind: 'style', prosody: { pitch: '-5%', volume: 'loud' } },
+  'sorrowful': { kind: 'style', prosody: { rate: 'slow', pitch: '-10%', volume: 'soft' } },
+  'sad': { kind: 'style', prosody: { rate: 'slow', pitch: '-10%' } },
+  'calm': { kind: 'style', prosody: { rate: 'slow' } },
+  'happy': { kind: 'style', prosody: { pitch: '+5%' } },
+  'curious': { kind: 'style', prosody: { pitch: '+5%' } },
+  'angry': { kind: 'style', prosody: { volume: 'loud' } },
+  'confident': { kind: 'style', prosody: { volume: 'loud' } },
+  'resigned tone': { kind: 'style', prosody: { rate: 'slow', pitch: '-5%' } },
+
+  // Tone cues
+  'cheerfully': { kind: 'style', prosody: { pitch: '+5%' } },
+  'flatly': { kind: 'style', prosody: { pitch: '-5%' } },
+  'deadpan': { kind: 'style', prosody: { rate: 'slow', pitch: '-5%' } },
+  'playfully': { kind: 'style', prosody: { pitch: '+5%' } },
+  'sarcastic': { kind: 'style', prosody: { rate: 'slow' } },
+  'whispers': { kind: 'style', prosody: { rate: 'slow', volume: 'x-soft' } },
+  'loudly': { kind: 'style', prosody: { volume: 'x-loud' } },
+  'shouts': { kind: 'style', prosody: { volume: 'x-loud' }, v3: '[loudly]' }, // v3 has no [shouts]
+
+  // Emphasis
+  'emphasis': { kind: 'emphasis', level: 'strong', v3: '' },
+  'emphasizes': { kind: 'emphasis', level: 'strong', v3: '' },
+  'stresses': { kind: 'emphasis', level: 'moderate', v3: '' },
+
+  // Reactions
+  'sigh': { kind: 'reaction' },
+  'sighs': { kind: 'reaction' },
+  'laughs': { kind: 'reaction' },
+  'chuckles': { kind: 'reaction' },
+  'gulps': { kind: 'reaction' },
+  'gasps': { kind: 'reaction' },
+  'clears throat': { kind: 'reaction' },
+};
+
+// Older prompt patterns: [speaks calmly], [tone: sarcastic], [voice: whispers]
+const ALIASES = {
+  'speaks confidently': 'confident',
+  'speaks excitedly': 'excited',
+  'speaks sadly': 'sad',
+  'speaks angrily': 'angry',
+  'speaks calmly': 'calm',
+  'speaks nervously': 'nervous',
+  'voice: whispers': 'whispers',
+  'voice: shouts': 'shouts',
+  'excitedly': 'excited',
+  'nervously': 'nervous',
+  'calmly': 'calm',
+  'sighing': 'sighs',
+  'laughing': 'laughs',
+  'whispering': 'whispers',
+};
+
+const DIRECTION_PREFIXES = ['voice:', 'direction:', 'stage:'];
+
+const TAG_PATTERN = /\[([^\[\]\n]{1,60})\]/g;
+
+// Reactions have no SSML equivalent; a short break keeps the rhythm
+const SSML_REACTION_BREAK_MS = 250;
+
+/**
+ * Look up the annotation for a tag name
+ *
+ * @param {string} raw - Tag text without brackets
+ * @returns {Object|null} Annotation { name, kind, ... }, or null if unknown
+ */
+export function resolveAudioTag(raw) {
+  let name = raw.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (name.startsWith('tone:')) name = name.slice(5).trim();
+  name = ALIASES[name] || name;
+
+  if (VOCABULARY[name]) {
+    return { name, ...VOCABULARY[name] };
+  }
+  if (DIRECTION_PREFIXES.some(prefix => name.startsWith(prefix))) {
+    return { name, kind: 'direction' };
+  }
+  return null;
+}
+
+/**
+ * Parse a script into text and tag tokens
+ *
+ * @param {string} text - Script text
+ * @returns {{tokens: Array<Object>, unknown: Array<string>}} Tokens ({type: 'text', text} or
+ *   {type: 'tag', raw, annotation}) and the distinct unknown tags, as written
+ */
+export function parseAudioTags(text) {
+  const tokens = [];
+  const unknown = new Set();
+  let last = 0;
+
+  for (const match of String(text).matchAll(TAG_PATTERN)) {
+    if (match.index > last) {
+      tokens.push({ type: 'text', text: text.slice(last, match.index) });
+    }
+    const annotation = resolveAudioTag(match[1]);
+    if (!annotation) unknown.add(match[0]);
+    tokens.push({ type: 'tag', raw: match[0], annotation });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    tokens.push({ type: 'text', text: text.slice(last) });
+  }
+
+  return { tokens, unknown: [...unknown] };
+}
+
+/**
+ * Render a script for a TTS engine
+ *
+ * @param {string} text - Script text with bracketed tags
+ * @param {string} mode - 'v3', 'ssml' or 'strip'
+ * @returns {{text: string, unknown: Array<string>}} Rendered text and unknown tags that were dropped
+ */
+export function renderAudioTags(text, mode = 'strip') {
+  const { tokens, unknown } = parseAudioTags(text);
+
+  let rendered;
+  if (mode === 'ssml') {
+    rendered = renderSsml(tokens);
+  } else if (mode === 'v3') {
+    rendered = tidy(tokens.map(token => token.type === 'text' ? token.text : renderV3Tag(token.annotation)).join(' '));
+  } else if (mode === 'strip') {
+    rendered = tidy(tokens.map(token => {
+      if (token.type === 'text') return token.text;
+      return token.annotation?.kind === 'pause' ? '...' : '';
+    }).join(' '));
+  } else {
+    throw new Error(`Unknown audio tag mode: ${mode}`);
+  }
+
+  return { text: rendered, unknown };
+}
+
+/**
+ * Remove all tags from a script, keeping paragraphs and speaker lines
+ *
+ * @param {string} text - Script text
+ * @returns {string} Transcript text
+ */
+export function toTranscript(text) {
+  return String(text)
+    .split(/\n/)
+    .map(line => line.replace(TAG_PATTERN, ' ').replace(/[ \t]+/g, ' ').replace(/ ([,.!?;:])/g, '$1').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function renderV3Tag(annotation) {
+  if (!annotation || annotation.kind === 'direction') return '';
+  return annotation.v3 ?? `[${annotation.name}]`;
+}
+
+function renderSsml(tokens) {
+  const parts = [];
+  // Open <prosody>/<emphasis> element, closed at the end of the sentence
+  let open = null;
+  let openIndex = -1;
+
+  const close = () => {
+    if (!open) return;
+    // A tag trailing its phrase ("... expected [nervous].") wraps nothing speakable
+    if (/\w/.test(parts.slice(openIndex + 1).join(''))) {
+      parts.push(open);
+    } else {
+      parts.splice(openIndex, 1);
+    }
+    open = null;
+  };
+
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      const text = escapeXml(token.text.replace(/\s+/g, ' '));
+      const end = open ? text.search(/[.!?…](\s|$)/) : -1;
+      if (end >= 0) {
+        parts.push(text.slice(0, end + 1));
+        close();
+        parts.push(text.slice(end + 1));
+      } else {
+        parts.push(text);
+      }
+      continue;
+    }
+
+    const annotation = token.annotation;
+    if (!annotation) continue;
+
+    if (annotation.kind === 'pause') {
+      parts.push(`<break time="${annotation.ms}ms"/>`);
+    } else if (annotation.kind === 'reaction') {
+      parts.push(`<break time="${SSML_REACTION_BREAK_MS}ms"/>`);
+    } else if (annotation.kind === 'style') {
+      close();
+      const attributes = Object.entries(annotation.prosody).map(([key, value]) => `${key}="${value}"`).join(' ');
+      openIndex = parts.push(`<prosody ${attributes}>`) - 1;
+      open = '</prosody>';
+    } else if (annotation.kind === 'emphasis') {
+      close();
+      openIndex = parts.push(`<emphasis level="${annotation.level}">`) - 1;
+      open = '</emphasis>';
+    }
+  }
+  close();
+
+  const ssml = tidy(parts.join(' '))
+    .replace(/(<(?:prosody|emphasis)[^>]*>)\s+/g, '$1')
+    .replace(/\s+(<\/(?:prosody|emphasis)>)/g, '$1');
+  return `<speak>${ssml}</speak>`;
+}
+
+function tidy(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .trim();
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export default {
+  resolveAudioTag,
+  parseAudioTags,
+  renderAudioTags,
+  toTranscript,
+};
@@ -1,71 +1,126 @@
 /**
  * Audio Generator
  * 
- * Converts text scripts to audio using ElevenLabs Text-to-Speech.
+ * Converts text scripts to audio using a pluggable Text-to-Speech provider
+ * (ElevenLabs by default, see tts-providers.js).
  * This is optional - the system works fine with just script generation.
  */
 
-import fetch from 'node-fetch';
 import fs from 'fs/promises';
 import path from 'path';
-import config from '../config/config.js';
 import logger from '../utils/logger.js';
-import { getVoiceConfig } from './voice-config.js';
+import { getVoiceConfig, getSpeakerVoiceConfig } from './voice-config.js';
+import { createAssembler } from './assembler.js';
+import { resolveTtsProvider } from './tts-providers.js';
+import { parseAudioTags, renderAudioTags } from './audio-tags.js';
+import { parseSpeakerTurns } from '../synthesis/dialogue.js';
 
 const log = logger.child('AudioGenerator');
 
 export class AudioGenerator {
-  constructor() {
-    this.apiKey = config.elevenLabsApiKey;
+  /**
+   * @param {Object} options - Generator options
+   * @param {string} options.tts - TTS provider name (overrides the setting and TTS_PROVIDER)
+   * @param {string} options.voice - Voice for monologues (overrides the setting's voice for the provider)
+   */
+  constructor(options = {}) {
+    this.tts = options.tts;
+    this.voice = options.voice;
+  }
+
+  /**
+   * Get the TTS provider used for a setting
+   * 
+   * @param {string} setting - Podcast setting
+   * @returns {Object} TTS provider
+   */
+  getProvider(setting) {
+    return resolveTtsProvider(getVoiceConfig(setting), this.tts);
   }
 
   /**
    * Check if audio generation is available
    * 
-   * @returns {boolean} True if ElevenLabs key is configured
+   * @param {string} setting - Podcast setting
+   * @returns {boolean} True if the TTS provider for the setting is configured
    */
-  isAvailable() {
-    return !!this.apiKey;
+  isAvailable(setting) {
+    return this.getProvider(setting).isAvailable();
   }
 
   /**
    * Generate audio from script
    * 
-   * @param {string} script - Podcast script
+   * Speaker-tagged scripts ("HOST_A: ..." lines, or a JSON turn list) are
+   * rendered turn by turn with each speaker's voice from VOICE_CONFIGS and
+   * stitched in order with a short silence between turns.
+   * 
+   * Chunks are joined into one file in the provider's format (MP3 frame by
+   * frame with a single Xing/Info header, or WAV) with an ID3v2 tag. When plan sections are given, each section
+   * becomes a chapter (CHAP/CTOC) so listeners can skip between segments.
+   * 
+   * @param {string|Array|Object} script - Podcast script, turn list, or { turns }
    * @param {string} setting - Podcast setting
-   * @param {string} outputPath - Output file path
+   * @param {string} outputPath - Output file path; the extension follows the provider's format
+   * @param {Object} options - Generation options
+   * @param {number} options.turnSilenceMs - Silence between turns (defaults to the setting's turnSilenceMs)
+   * @param {Array<Object>} options.sections - Script sections { id, title, text } used for chapters;
+   *   monologues are rendered section by section, dialogue turns are matched by their sectionId
+   * @param {Object} options.metadata - ID3 tag values (see buildId3Tag)
    * @returns {Promise<Object>} Generation result
    */
-  async generate(script, setting, outputPath) {
-    if (!this.isAvailable()) {
-      throw new Error('ElevenLabs API key not configured. Set ELEVENLABS_API_KEY in .env');
+  async generate(script, setting, outputPath, options = {}) {
+    const provider = this.getProvider(setting);
+    if (!provider.isAvailable()) {
+      throw new Error(`TTS provider ${provider.name} is not configured. ${provider.setupHint}`);
     }
 
     const startTime = Date.now();
+    // Get voice configuration
+    const voiceConfig = this.withVoice(getVoiceConfig(setting), provider);
+    outputPath = withExtension(outputPath, provider.format);
+    const turns = this.resolveTurns(script, voiceConfig);
+    const segments = this.buildSegments({ script, turns, setting, voiceConfig, sections: options.sections });
+
+    // Unknown tags are dropped before synthesis; report them once per run
+    const unknownTags = [...new Set(segments.flatMap(segment => parseAudioTags(segment.text).unknown))];
+    if (unknownTags.length > 0) {
+      log.warn('Script contains unknown audio tags; they will not be spoken', { tags: unknownTags });
+    }
+
     log.start('Generating audio', {
       setting,
-      scriptLength: script.length,
+      provider: provider.name,
+      scriptLength: segments.reduce((sum, segment) => sum + segment.text.length, 0),
+      turns: turns?.length || 0,
       outputPath,
     });
 
     try {
-      // Get voice configuration
-      const voiceConfig = getVoiceConfig(setting);
-
-      // Split script into chunks if needed (ElevenLabs has character limits)
-      const chunks = this.splitScript(script, 2800);
-      log.info(`Script split into ${chunks.length} chunk(s)`);
-
-      // Generate audio for each chunk
-      const audioBuffers = [];
-      for (let i = 0; i < chunks.length; i++) {
-        log.info(`Generating chunk ${i + 1}/${chunks.length}`);
-        const buffer = await this.generateChunk(chunks[i], voiceConfig);
-        audioBuffers.push(buffer);
+      // Split segments into chunks under the provider's character limit
+      const chunkCount = segments.reduce((sum, segment) => {
+        segment.chunks = this.splitScript(segment.text, provider.maxChunkLength);
+        return sum + segment.chunks.length;
+      }, 0);
+      log.info(`Script split into ${chunkCount} chunk(s)`, { segments: segments.length });
+
+      // Generate audio for each chunk, segment by segment, pausing between segments
+      const turnSilenceMs = options.turnSilenceMs ?? voiceConfig.turnSilenceMs ?? 0;
+      const assembler = createAssembler(provider.format);
+      let chunkIndex = 0;
+      for (const [i, segment] of segments.entries()) {
+        if (i > 0) assembler.appendSilence(turnSilenceMs);
+        if (segment.chapter) assembler.startChapter(segment.chapter.id, segment.chapter.title);
+
+        for (const chunk of segment.chunks) {
+          chunkIndex++;
+          log.info(`Generating chunk ${chunkIndex}/${chunkCount}`, { voiceId: segment.voiceConfig.voiceId });
+          assembler.append(await this.generateChunk(chunk, segment.voiceConfig, provider));
+        }
       }
 
-      // Concatenate audio buffers
-      const finalAudio = Buffer.concat(audioBuffers);
+      const finalAudio = assembler.build(options.metadata);
+      const chapters = assembler.getChapters();
 
       // Ensure output directory exists
       await fs.mkdir(path.dirname(outputPath), { recursive: true });
@@ -79,16 +134,24 @@ export class AudioGenerator {
       log.success('Audio generation complete', {
         duration: `${duration}ms`,
         fileSize: `${fileSizeMB} MB`,
-        chunks: chunks.length,
+        chunks: chunkCount,
+        chapters: chapters.length,
         outputPath,
       });
 
       return {
         outputPath,
         fileSizeMB: parseFloat(fileSizeMB),
-        chunks: chunks.length,
+        chunks: chunkCount,
+        turns: turns?.length || 0,
+        provider: provider.name,
+        format: provider.format,
+        chapters,
+        unknownTags,
+        audioDurationSeconds: Math.round(assembler.durationMs / 1000),
         duration,
         voiceId: voiceConfig.voiceId,
+        voiceIds: [...new Set(segments.map(s => s.voiceConfig.voiceId))],
       };
     } catch (error) {
       log.error('Audio generation failed', error);
@@ -97,32 +160,77 @@ export class AudioGenerator {
   }
 
   /**
-   * Process script for ElevenLabs v3 audio tags
+   * Apply the voice override to a voice configuration
    * 
-   * @param {string} script - Raw script text
-   * @returns {string} Processed script with v3 audio tags
+   * @param {Object} voiceConfig - Voice configuration of the setting
+   * @param {Object} provider - TTS provider
+   * @returns {Object} Voice configuration using the override for this provider
    */
-  processScriptForV3(script) {
-    // v3 natively supports audio tags in square brackets: [whispers], [laughs], [sarcastic], etc.
-    // The script generator already creates these correctly, so we mainly preserve them
-    let cleanScript = script
-      // Convert some legacy patterns to v3 format, but preserve most existing tags
-      .replace(/\[speaks (confidently|excitedly|sadly|angrily|calmly|nervously)\]/gi, '[$1]')
-      .replace(/\[tone: (sarcastic|curious|excited|frustrated|happy|sad)\]/gi, '[$1]') 
-      .replace(/\[voice: (whispers)\]/gi, '[whispers]')
-      .replace(/\[voice: (shouts)\]/gi, '[loudly]')  // v3 doesn't have [shouts]
-      .replace(/\[pause\]/gi, '...')         // Convert pauses to ellipses
-      .replace(/\[beat\]/gi, '.')            // Convert beats to periods
-      // Remove complex directions that don't map to v3 audio tags
-      .replace(/\[voice: .*?\]/gi, '')
-      .replace(/\[direction: .*?\]/gi, '')
-      .replace(/\[stage: .*?\]/gi, '')
-      // Keep all other square bracket tags - they're likely valid v3 audio tags
-      // Clean up formatting only
-      .replace(/\s+/g, ' ')
-      .trim();
-    
-    return cleanScript;
+  withVoice(voiceConfig, provider) {
+    if (!this.voice) return voiceConfig;
+    return {
+      ...voiceConfig,
+      voiceId: provider.name === 'elevenlabs' ? this.voice : voiceConfig.voiceId,
+      voices: { ...voiceConfig.voices, [provider.name]: this.voice },
+    };
+  }
+
+  /**
+   * Build the segments to render: one per dialogue turn, one per section for
+   * monologues with sections, otherwise the whole script. Segments that open
+   * a section carry a chapter marker.
+   * 
+   * @returns {Array<{text: string, voiceConfig: Object, chapter?: Object}>} Segments in order
+   */
+  buildSegments({ script, turns, setting, voiceConfig, sections = [] }) {
+    const titles = new Map(sections.map(section => [section.id, section.title]));
+
+    if (turns) {
+      let currentSection = null;
+      return turns.map(turn => {
+        const segment = { text: turn.text, voiceConfig: getSpeakerVoiceConfig(setting, turn.speaker) };
+        if (turn.sectionId && turn.sectionId !== currentSection) {
+          currentSection = turn.sectionId;
+          segment.chapter = { id: turn.sectionId, title: titles.get(turn.sectionId) };
+        }
+        return segment;
+      });
+    }
+
+    const withText = sections.filter(section => section.text);
+    if (withText.length > 0) {
+      return withText.map(section => ({
+        text: section.text,
+        voiceConfig,
+        chapter: { id: section.id, title: section.title },
+      }));
+    }
+
+    return [{ text: script, voiceConfig }];
+  }
+
+  /**
+   * Resolve speaker turns from a script
+   * 
+   * @param {string|Array|Object} script - Script text, turn list, or { turns }
+   * @param {Object} voiceConfig - Voice configuration of the setting
+   * @returns {Array<{speaker: string, text: string}>|null} Turns, or null for a monologue
+   */
+  resolveTurns(script, voiceConfig) {
+    if (Array.isArray(script)) {
+      return script.filter(turn => turn?.text);
+    }
+    if (script && typeof script === 'object') {
+      return this.resolveTurns(script.turns || [], voiceConfig);
+    }
+
+    const speakers = Object.keys(voiceConfig.speakers || {});
+    const tagged = new RegExp(`^\\s*\\**(${speakers.join('|')})\\**\\s*:`, 'm');
+    if (speakers.length === 0 || !tagged.test(script)) {
+      return null;
+    }
+
+    return parseSpeakerTurns(script, { speakers });
   }
 
   /**
@@ -130,43 +238,21 @@ export class AudioGenerator {
    * 
    * @param {string} text - Text chunk
    * @param {Object} voiceConfig - Voice configuration
+   * @param {Object} provider - TTS provider (defaults to the one configured for the voice)
    * @returns {Promise<Buffer>} Audio buffer
    */
-  async generateChunk(text, voiceConfig) {
-    // Process script for ElevenLabs v3 audio tags
-    const processedText = this.processScriptForV3(text);
+  async generateChunk(text, voiceConfig, provider = resolveTtsProvider(voiceConfig, this.tts)) {
+    // Translate [tag] annotations into what the provider understands (v3 tags, SSML or plain text)
+    const processedText = renderAudioTags(text, provider.audioTags).text;
     
     log.debug('Processing audio chunk', {
+      provider: provider.name,
       originalLength: text.length,
       processedLength: processedText.length,
       preview: processedText.substring(0, 200) + '...'
     });
     
-    const response = await fetch(
-      `https://api.elevenlabs.io/v1/text-to-speech/${voiceConfig.voiceId}`,
-      {
-        method: 'POST',
-        headers: {
-          'Accept': 'audio/mpeg',
-          'Content-Type': 'application/json',
-          'xi-api-key': this.apiKey,
-        },
-        body: JSON.stringify({
-          text: processedText,
-          model_id: 'eleven_v3', // Most emotionally rich model for expression support
-          voice_settings: voiceConfig.settings,
-          output_format: 'mp3_22050_32', // Standard MP3 format
-        }),
-      }
-    );
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`ElevenLabs API error: ${response.status} - ${errorText}`);
-    }
-
-    const arrayBuffer = await response.arrayBuffer();
-    return Buffer.from(arrayBuffer);
+    return await provider.synthesize(processedText, voiceConfig);
   }
 
   /**
@@ -227,14 +313,23 @@ export class AudioGenerator {
 /**
  * Generate audio from script
  * 
- * @param {string} script - Podcast script
+ * @param {string|Array|Object} script - Podcast script, turn list, or { turns }
  * @param {string} setting - Podcast setting
  * @param {string} outputPath - Output file path
+ * @param {Object} options - Generation options (see AudioGenerator.generate), plus `tts` provider name
  * @returns {Promise<Object>} Generation result
  */
-export async function generateAudio(script, setting, outputPath) {
-  const generator = new AudioGenerator();
-  return await generator.generate(script, setting, outputPath);
+export async function generateAudio(script, setting, outputPath, options = {}) {
+  const generator = new AudioGenerator({ tts: options.tts });
+  return await generator.generate(script, setting, outputPath, options);
+}
+
+/**
+ * Replace a file path's extension
+ */
+function withExtension(filePath, extension) {
+  const parsed = path.parse(filePath);
+  return path.join(parsed.dir, `${parsed.name}.${extension}`);
 }
 
 export default {
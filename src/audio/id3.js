@@ -0,0 +1,136 @@
+/**
+ * ID3v2.4 Tag Writer
+ *
+ * Builds an ID3v2.4 tag with common text frames plus CHAP/CTOC chapter
+ * frames (ID3v2 Chapter Frame Addendum) so podcast players can show and
+ * skip between segments. All text is UTF-8 encoded.
+ */
+
+const UTF8 = 0x03;
+
+/**
+ * Encode an integer as a 4-byte synchsafe integer
+ */
+function synchsafe(value) {
+  return Buffer.from([
+    (value >> 21) & 0x7f,
+    (value >> 14) & 0x7f,
+    (value >> 7) & 0x7f,
+    value & 0x7f,
+  ]);
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value >>> 0);
+  return buffer;
+}
+
+function text(value) {
+  return Buffer.from(String(value), 'utf8');
+}
+
+const NUL = Buffer.from([0]);
+
+/**
+ * Build a single frame
+ *
+ * @param {string} id - Four-character frame id
+ * @param {Buffer} body - Frame content
+ * @returns {Buffer} Frame with header
+ */
+function frame(id, body) {
+  return Buffer.concat([Buffer.from(id, 'latin1'), synchsafe(body.length), Buffer.from([0, 0]), body]);
+}
+
+function textFrame(id, value) {
+  return frame(id, Buffer.concat([Buffer.from([UTF8]), text(value)]));
+}
+
+function userTextFrame(description, value) {
+  return frame('TXXX', Buffer.concat([Buffer.from([UTF8]), text(description), NUL, text(value)]));
+}
+
+function commentFrame(value) {
+  return frame('COMM', Buffer.concat([Buffer.from([UTF8]), Buffer.from('eng', 'latin1'), NUL, text(value)]));
+}
+
+/**
+ * Build a CHAP frame
+ *
+ * @param {Object} chapter - { id, title, startMs, endMs }
+ * @returns {Buffer} CHAP frame
+ */
+function chapterFrame(chapter) {
+  return frame('CHAP', Buffer.concat([
+    text(chapter.id),
+    NUL,
+    uint32(Math.round(chapter.startMs)),
+    uint32(Math.round(chapter.endMs)),
+    // Byte offsets are unused; players rely on the times
+    uint32(0xffffffff),
+    uint32(0xffffffff),
+    textFrame('TIT2', chapter.title || chapter.id),
+  ]));
+}
+
+/**
+ * Build the top-level, ordered CTOC frame listing all chapters
+ *
+ * @param {Array<Object>} chapters - Chapters in order
+ * @returns {Buffer} CTOC frame
+ */
+function tableOfContentsFrame(chapters) {
+  return frame('CTOC', Buffer.concat([
+    text('toc'),
+    NUL,
+    Buffer.from([0x03, chapters.length]),
+    ...chapters.flatMap(chapter => [text(chapter.id), NUL]),
+    textFrame('TIT2', 'Chapters'),
+  ]));
+}
+
+/**
+ * Build an ID3v2.4 tag
+ *
+ * @param {Object} tags - Tag values (all optional)
+ * @param {string} tags.title - TIT2
+ * @param {string} tags.artist - TPE1
+ * @param {string} tags.album - TALB
+ * @param {string} tags.date - TDRC (e.g. 2025-01-15)
+ * @param {string} tags.genre - TCON
+ * @param {string} tags.comment - COMM
+ * @param {Object} tags.userText - Map of description → value written as TXXX frames
+ * @param {Array<Object>} tags.chapters - { id, title, startMs, endMs } written as CHAP + CTOC
+ * @returns {Buffer} Complete tag
+ */
+export function buildId3Tag(tags = {}) {
+  const frames = [];
+
+  if (tags.title) frames.push(textFrame('TIT2', tags.title));
+  if (tags.artist) frames.push(textFrame('TPE1', tags.artist));
+  if (tags.album) frames.push(textFrame('TALB', tags.album));
+  if (tags.date) frames.push(textFrame('TDRC', tags.date));
+  if (tags.genre) frames.push(textFrame('TCON', tags.genre));
+  if (tags.comment) frames.push(commentFrame(tags.comment));
+
+  for (const [description, value] of Object.entries(tags.userText || {})) {
+    if (value !== undefined && value !== null && value !== '') {
+      frames.push(userTextFrame(description, value));
+    }
+  }
+
+  // CTOC can list at most 255 entries
+  const chapters = (tags.chapters || []).slice(0, 255);
+  if (chapters.length > 0) {
+    frames.push(tableOfContentsFrame(chapters));
+    frames.push(...chapters.map(chapterFrame));
+  }
+
+  const body = Buffer.concat(frames);
+  return Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([0x04, 0x00, 0x00]), synchsafe(body.length), body]);
+}
+
+export default {
+  buildId3Tag,
+};
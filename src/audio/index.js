@@ -3,24 +3,58 @@
  */
 
 import { AudioGenerator, generateAudio } from './generator.js';
-import { VOICE_CONFIGS, getVoiceConfig, getAllVoiceConfigs } from './voice-config.js';
+import { Mp3Assembler, WavAssembler, createAssembler } from './assembler.js';
+import { registerTtsProvider, getTtsProviderNames, getTtsProvider, resolveTtsProvider } from './tts-providers.js';
+import { buildId3Tag } from './id3.js';
+import { parseAudioTags, renderAudioTags, toTranscript } from './audio-tags.js';
+import { VOICE_CONFIGS, getVoiceConfig, getSpeakerVoiceConfig, getAllVoiceConfigs } from './voice-config.js';
 
 export {
   // Generator
   AudioGenerator,
   generateAudio,
   
+  // TTS providers
+  registerTtsProvider,
+  getTtsProviderNames,
+  getTtsProvider,
+  resolveTtsProvider,
+  
+  // Audio tags
+  parseAudioTags,
+  renderAudioTags,
+  toTranscript,
+  
+  // Audio assembly
+  Mp3Assembler,
+  WavAssembler,
+  createAssembler,
+  buildId3Tag,
+  
   // Voice configuration
   VOICE_CONFIGS,
   getVoiceConfig,
+  getSpeakerVoiceConfig,
   getAllVoiceConfigs,
 };
 
 export default {
   AudioGenerator,
   generateAudio,
+  registerTtsProvider,
+  getTtsProviderNames,
+  getTtsProvider,
+  resolveTtsProvider,
+  parseAudioTags,
+  renderAudioTags,
+  toTranscript,
+  Mp3Assembler,
+  WavAssembler,
+  createAssembler,
+  buildId3Tag,
   VOICE_CONFIGS,
   getVoiceConfig,
+  getSpeakerVoiceConfig,
   getAllVoiceConfigs,
 };
 
@@ -0,0 +1,214 @@
+/**
+ * MP3 Helpers
+ *
+ * Minimal MPEG audio frame parsing: enough to split TTS output into frames,
+ * drop per-chunk ID3/Xing headers and generate silence that matches the
+ * format of the audio returned by the TTS service.
+ */
+
+// Bitrates in kbps indexed by [version][layer][index]; version 1 = MPEG-1, 2 = MPEG-2/2.5
+const BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+const SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000], // MPEG-2.5
+};
+
+/**
+ * Parse an MPEG audio frame header
+ *
+ * @param {Buffer} buffer - Audio data
+ * @param {number} offset - Offset of the candidate header
+ * @returns {Object|null} Header fields, or null if not a valid frame header
+ */
+export function parseFrameHeader(buffer, offset = 0) {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = (buffer[offset + 3] >> 6) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : 2;
+  const layer = 4 - layerBits;
+  const bitrate = BITRATES[version][layer][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+
+  let samplesPerFrame;
+  let frameLength;
+  if (layer === 1) {
+    samplesPerFrame = 384;
+    frameLength = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+  } else {
+    samplesPerFrame = layer === 3 && version === 2 ? 576 : 1152;
+    frameLength = Math.floor(((samplesPerFrame / 8) * bitrate) / sampleRate) + padding;
+  }
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    channelMode,
+    padding,
+    samplesPerFrame,
+    frameLength,
+  };
+}
+
+/**
+ * Size of an ID3v2 tag at the start of the buffer (0 if none)
+ *
+ * @param {Buffer} buffer - Audio data
+ * @returns {number} Tag size in bytes including its header
+ */
+export function id3v2Size(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  return 10 + size + footer;
+}
+
+/**
+ * Find the first frame in an MP3 buffer, skipping any ID3v2 tag
+ *
+ * @param {Buffer} buffer - Audio data
+ * @returns {{offset: number, header: Object}|null} First frame, or null
+ */
+export function findFirstFrame(buffer) {
+  for (let offset = id3v2Size(buffer); offset < buffer.length - 4; offset++) {
+    const header = parseFrameHeader(buffer, offset);
+    if (!header || offset + header.frameLength > buffer.length) continue;
+
+    // Require a second valid header right after to avoid false syncs,
+    // unless this is the last frame in the buffer
+    const next = offset + header.frameLength;
+    if (next + 4 > buffer.length || parseFrameHeader(buffer, next)) {
+      return { offset, header };
+    }
+  }
+  return null;
+}
+
+/**
+ * Size of the Layer III side information that follows the frame header
+ *
+ * @param {Object} header - Parsed frame header
+ * @returns {number} Side info size in bytes
+ */
+export function sideInfoSize(header) {
+  const mono = header.channelMode === 3;
+  if (header.version === 1) return mono ? 17 : 32;
+  return mono ? 9 : 17;
+}
+
+/**
+ * Check if a frame is a Xing/Info or VBRI header frame rather than audio
+ *
+ * @param {Buffer} frame - Frame bytes
+ * @param {Object} header - Parsed frame header
+ * @returns {boolean} True for header frames
+ */
+export function isInfoFrame(frame, header) {
+  const crc = (frame[1] & 0x01) === 0 ? 2 : 0;
+  const xingOffset = 4 + crc + sideInfoSize(header);
+  const tag = frame.toString('latin1', xingOffset, xingOffset + 4);
+  return tag === 'Xing' || tag === 'Info' || frame.toString('latin1', 36, 40) === 'VBRI';
+}
+
+/**
+ * Split MP3 data into audio frames.
+ *
+ * ID3v2 tags (leading or embedded), a trailing ID3v1 tag and Xing/Info/VBRI
+ * header frames are dropped, so frames from several files can be joined.
+ * Bytes that are not part of a valid frame are skipped.
+ *
+ * @param {Buffer} buffer - MP3 data
+ * @returns {Array<{header: Object, data: Buffer}>} Audio frames in order
+ */
+export function readFrames(buffer) {
+  const frames = [];
+  let end = buffer.length;
+  if (end >= 128 && buffer.toString('latin1', end - 128, end - 125) === 'TAG') {
+    end -= 128;
+  }
+
+  let offset = 0;
+  while (offset + 4 <= end) {
+    if (buffer.toString('latin1', offset, offset + 3) === 'ID3') {
+      const tagSize = id3v2Size(buffer.subarray(offset, end));
+      if (tagSize > 0) {
+        offset += tagSize;
+        continue;
+      }
+    }
+
+    const header = parseFrameHeader(buffer, offset);
+    if (!header || offset + header.frameLength > end) {
+      offset++;
+      continue;
+    }
+
+    const data = buffer.subarray(offset, offset + header.frameLength);
+    if (!isInfoFrame(data, header)) {
+      frames.push({ header, data });
+    }
+    offset += header.frameLength;
+  }
+
+  return frames;
+}
+
+/**
+ * Create silent Layer III frames matching the format of a reference MP3.
+ * Each frame reuses the reference header (without CRC/padding) and zeroed
+ * side info, which decoders play back as digital silence.
+ *
+ * @param {Buffer} reference - MP3 data whose format should be matched
+ * @param {number} durationMs - Silence duration in milliseconds
+ * @returns {Buffer|null} Silent frames, or null if the reference is not Layer III MP3
+ */
+export function createSilence(reference, durationMs) {
+  const first = findFirstFrame(reference);
+  if (!first || first.header.layer !== 3 || durationMs <= 0) return null;
+
+  const { offset, header } = first;
+  const frame = Buffer.alloc(Math.floor(((header.samplesPerFrame / 8) * header.bitrate) / header.sampleRate));
+  reference.copy(frame, 0, offset, offset + 4);
+  frame[1] |= 0x01; // no CRC
+  frame[2] &= ~0x02; // no padding
+
+  const frameMs = (header.samplesPerFrame / header.sampleRate) * 1000;
+  const count = Math.max(1, Math.round(durationMs / frameMs));
+
+  return Buffer.concat(Array.from({ length: count }, () => frame));
+}
+
+export default {
+  parseFrameHeader,
+  id3v2Size,
+  findFirstFrame,
+  sideInfoSize,
+  isInfoFrame,
+  readFrames,
+  createSilence,
+};
@@ -0,0 +1,260 @@
+/**
+ * Text-to-Speech Provider Registry
+ *
+ * Each provider turns one chunk of text into audio and declares:
+ * - format:         container it returns ('mp3' or 'wav'), which picks the assembler
+ * - maxChunkLength: largest text chunk it accepts, in characters
+ * - audioTags:      how [excited]-style tags are rendered (see audio-tags.js):
+ *                   'v3' (ElevenLabs tags), 'ssml' or 'strip' (plain text)
+ *
+ * The provider is selected with --tts, then VOICE_CONFIGS[setting].tts,
+ * then TTS_PROVIDER (default: elevenlabs).
+ */
+
+import fetch from 'node-fetch';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { buildWav } from './wav.js';
+
+const log = logger.child('TTS');
+
+const providers = new Map();
+
+/**
+ * Register a TTS provider
+ *
+ * @param {string} name - Provider name used in --tts / TTS_PROVIDER
+ * @param {Object} provider - Provider implementation
+ * @param {string} provider.format - 'mp3' or 'wav'
+ * @param {number} provider.maxChunkLength - Maximum characters per request
+ * @param {string} provider.audioTags - 'v3', 'ssml' or 'strip'
+ * @param {() => boolean} provider.isAvailable - Whether the provider is configured
+ * @param {string} provider.setupHint - Shown when the provider is not configured
+ * @param {(text: string, voiceConfig: Object) => Promise<Buffer>} provider.synthesize - Render one chunk
+ */
+export function registerTtsProvider(name, provider) {
+  // Keep the object itself: providers may expose config-backed getters
+  provider.name = name;
+  providers.set(name, provider);
+}
+
+/**
+ * Get names of all registered TTS providers
+ *
+ * @returns {Array<string>} Provider names
+ */
+export function getTtsProviderNames() {
+  return [...providers.keys()];
+}
+
+/**
+ * Get a TTS provider by name
+ *
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+export function getTtsProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown TTS provider "${name}". Available: ${getTtsProviderNames().join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Resolve the TTS provider for a run
+ *
+ * @param {Object} voiceConfig - Voice configuration of the setting
+ * @param {string} override - Provider requested on the command line
+ * @returns {Object} Provider
+ */
+export function resolveTtsProvider(voiceConfig = {}, override) {
+  return getTtsProvider(override || voiceConfig.tts || config.ttsProvider);
+}
+
+/**
+ * Voice for a provider: VOICE_CONFIGS `voices` entry, else the provider default
+ */
+function voiceFor(voiceConfig, providerName, defaults) {
+  return voiceConfig.voices?.[providerName] || defaults[voiceConfig.speaker] || defaults.default;
+}
+
+// ElevenLabs
+registerTtsProvider('elevenlabs', {
+  format: 'mp3',
+  maxChunkLength: 2800,
+  audioTags: 'v3',
+  isAvailable: () => config.hasElevenLabsKey,
+  setupHint: 'Set ELEVENLABS_API_KEY in .env',
+  synthesize: async (text, voiceConfig) => {
+    const response = await fetch(
+      `https://api.elevenlabs.io/v1/text-to-speech/${voiceConfig.voiceId}`,
+      {
+        method: 'POST',
+        headers: {
+          'Accept': 'audio/mpeg',
+          'Content-Type': 'application/json',
+          'xi-api-key': config.elevenLabsApiKey,
+        },
+        body: JSON.stringify({
+          text,
+          model_id: config.elevenLabsModel, // eleven_v3: most emotionally rich model for expression support
+          voice_settings: voiceConfig.settings,
+          output_format: 'mp3_22050_32', // Standard MP3 format
+        }),
+      }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`ElevenLabs API error: ${response.status} - ${errorText}`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  },
+});
+
+const OPENAI_VOICES = { default: 'alloy', HOST_A: 'ash', HOST_B: 'coral' };
+
+// OpenAI TTS
+registerTtsProvider('openai', {
+  format: 'mp3',
+  maxChunkLength: 4000, // API limit is 4096 characters
+  audioTags: 'strip',
+  isAvailable: () => !!config.openaiApiKey,
+  setupHint: 'Set OPENAI_API_KEY in .env',
+  synthesize: async (text, voiceConfig) => {
+    const model = config.openaiTtsModel;
+    const response = await fetch('https://api.openai.com/v1/audio/speech', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${config.openaiApiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model,
+        voice: voiceFor(voiceConfig, 'openai', OPENAI_VOICES),
+        input: text,
+        response_format: 'mp3',
+        // Older tts-1 models do not accept delivery instructions
+        ...(model.startsWith('tts-1') ? {} : { instructions: voiceConfig.description }),
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`OpenAI TTS API error: ${response.status} - ${errorText}`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  },
+});
+
+// Local command-line engine (Piper, espeak-ng, ...). Text is written to stdin;
+// {output} and {voice} in TTS_LOCAL_COMMAND are replaced before running it.
+registerTtsProvider('local', {
+  get format() {
+    return config.ttsLocalFormat;
+  },
+  get maxChunkLength() {
+    return config.ttsLocalMaxChars;
+  },
+  // 'ssml' for engines that read SSML (e.g. espeak-ng -m)
+  get audioTags() {
+    return config.ttsLocalAudioTags;
+  },
+  isAvailable: () => !!config.ttsLocalCommand,
+  setupHint: 'Set TTS_LOCAL_COMMAND in .env (e.g. "piper --model voice.onnx --output_file {output}")',
+  synthesize: async (text, voiceConfig) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'podcast-tts-'));
+    const output = path.join(dir, `chunk.${config.ttsLocalFormat}`);
+
+    try {
+      const command = config.ttsLocalCommand
+        .replaceAll('{output}', shellQuote(output))
+        .replaceAll('{voice}', shellQuote(voiceFor(voiceConfig, 'local', { default: '' })));
+
+      await runCommand(command, text, config.ttsLocalTimeout);
+      return await fs.readFile(output);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  },
+});
+
+/**
+ * Run a shell command with text on stdin
+ */
+function runCommand(command, input, timeout) {
+  return new Promise((resolve, reject) => {
+    log.debug('Running local TTS command', { command });
+    const child = spawn(command, { shell: true, timeout, stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    child.stderr.on('data', data => { stderr += data; });
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Local TTS command failed (${signal || `exit ${code}`}): ${stderr.trim().slice(0, 500)}`));
+      }
+    });
+
+    child.stdin.on('error', () => {}); // command may exit without reading stdin
+    child.stdin.end(input);
+  });
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Stubs for tests and offline runs: a tone (pitch varies per voice) or silence,
+// lasting roughly as long as the text would take to read
+const STUB_FORMAT = { channels: 1, sampleRate: 22050, bitsPerSample: 16, blockAlign: 2 };
+
+function stubAudio(text, voiceConfig, tone) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const samples = Math.round(STUB_FORMAT.sampleRate * Math.max(0.5, words * 0.375)); // ~160 wpm
+  const data = Buffer.alloc(samples * STUB_FORMAT.blockAlign);
+
+  if (tone) {
+    const seed = [...String(voiceConfig.voiceId || '')].reduce((sum, c) => sum + c.charCodeAt(0), 0);
+    const frequency = 220 + (seed % 8) * 55;
+    for (let i = 0; i < samples; i++) {
+      data.writeInt16LE(Math.round(Math.sin((2 * Math.PI * frequency * i) / STUB_FORMAT.sampleRate) * 6000), i * 2);
+    }
+  }
+
+  return buildWav(STUB_FORMAT, data);
+}
+
+registerTtsProvider('sine', {
+  format: 'wav',
+  maxChunkLength: 5000,
+  audioTags: 'strip',
+  isAvailable: () => true,
+  setupHint: '',
+  synthesize: async (text, voiceConfig) => stubAudio(text, voiceConfig, true),
+});
+
+registerTtsProvider('silent', {
+  format: 'wav',
+  maxChunkLength: 5000,
+  audioTags: 'strip',
+  isAvailable: () => true,
+  setupHint: '',
+  synthesize: async (text, voiceConfig) => stubAudio(text, voiceConfig, false),
+});
+
+export default {
+  registerTtsProvider,
+  getTtsProviderNames,
+  getTtsProvider,
+  resolveTtsProvider,
+};
@@ -9,6 +9,14 @@
  * Current voices used:
  * - George (JBFqnCBsd6RMkjVDRZzb): Designed voice - v3 compatible
  * - Dorothy (ThT5KcBeYPX3keUQqHPh): Designed voice - v3 compatible
+ * 
+ * Dialogue scripts: `speakers` maps each speaker id (HOST_A, HOST_B) to its
+ * own voiceId and optional settings overrides, and `turnSilenceMs` is the
+ * pause inserted between turns.
+ * 
+ * Other TTS providers: `tts` selects the provider for a setting, and
+ * `voices` (on the setting or a speaker) maps provider name → voice,
+ * e.g. { openai: 'nova', local: 'en-us' }. voiceId/settings are ElevenLabs-specific.
  */
 
 export const VOICE_CONFIGS = {
@@ -21,6 +29,11 @@ export const VOICE_CONFIGS = {
       use_speaker_boost: false,
     },
     description: 'Energetic and expressive for morning motivation',
+    speakers: {
+      HOST_A: { voiceId: 'JBFqnCBsd6RMkjVDRZzb' }, // George
+      HOST_B: { voiceId: 'ThT5KcBeYPX3keUQqHPh' }, // Dorothy
+    },
+    turnSilenceMs: 250,
   },
 
   workout: {
@@ -32,6 +45,11 @@ export const VOICE_CONFIGS = {
       use_speaker_boost: false,
     },
     description: 'High-energy for workout motivation',
+    speakers: {
+      HOST_A: { voiceId: 'JBFqnCBsd6RMkjVDRZzb' }, // George
+      HOST_B: { voiceId: 'ThT5KcBeYPX3keUQqHPh' }, // Dorothy
+    },
+    turnSilenceMs: 200,
   },
 
   commute: {
@@ -43,6 +61,11 @@ export const VOICE_CONFIGS = {
       use_speaker_boost: false,
     },
     description: 'Professional and engaging for commutes',
+    speakers: {
+      HOST_A: { voiceId: 'ThT5KcBeYPX3keUQqHPh' }, // Dorothy
+      HOST_B: { voiceId: 'JBFqnCBsd6RMkjVDRZzb' }, // George
+    },
+    turnSilenceMs: 350,
   },
 
   wind_down: {
@@ -54,6 +77,11 @@ export const VOICE_CONFIGS = {
       use_speaker_boost: false,
     },
     description: 'Calm and soothing for relaxation',
+    speakers: {
+      HOST_A: { voiceId: 'ThT5KcBeYPX3keUQqHPh' }, // Dorothy
+      HOST_B: { voiceId: 'JBFqnCBsd6RMkjVDRZzb' }, // George
+    },
+    turnSilenceMs: 600,
   },
 
   focus_work: {
@@ -65,6 +93,11 @@ export const VOICE_CONFIGS = {
       use_speaker_boost: false,
     },
     description: 'Steady and professional for background listening',
+    speakers: {
+      HOST_A: { voiceId: 'ThT5KcBeYPX3keUQqHPh' }, // Dorothy
+      HOST_B: { voiceId: 'JBFqnCBsd6RMkjVDRZzb' }, // George
+    },
+    turnSilenceMs: 400,
   },
 
   learning: {
@@ -76,6 +109,11 @@ export const VOICE_CONFIGS = {
       use_speaker_boost: false,
     },
     description: 'Clear and expressive for learning',
+    speakers: {
+      HOST_A: { voiceId: 'JBFqnCBsd6RMkjVDRZzb' }, // George
+      HOST_B: { voiceId: 'ThT5KcBeYPX3keUQqHPh' }, // Dorothy
+    },
+    turnSilenceMs: 400,
   },
 };
 
@@ -89,6 +127,26 @@ export function getVoiceConfig(setting) {
   return VOICE_CONFIGS[setting] || VOICE_CONFIGS.morning_routine;
 }
 
+/**
+ * Get voice configuration for a speaker in a setting
+ * 
+ * @param {string} setting - Setting identifier
+ * @param {string} speaker - Speaker id (e.g. HOST_A)
+ * @returns {Object} Voice configuration
+ */
+export function getSpeakerVoiceConfig(setting, speaker) {
+  const voiceConfig = getVoiceConfig(setting);
+  const speakerConfig = voiceConfig.speakers?.[speaker] || {};
+
+  return {
+    ...voiceConfig,
+    speaker,
+    voiceId: speakerConfig.voiceId || voiceConfig.voiceId,
+    settings: { ...voiceConfig.settings, ...speakerConfig.settings },
+    voices: { ...voiceConfig.voices, ...speakerConfig.voices },
+  };
+}
+
 /**
  * Get all voice configurations
  * 
@@ -101,6 +159,7 @@ export function getAllVoiceConfigs() {
 export default {
   VOICE_CONFIGS,
   getVoiceConfig,
+  getSpeakerVoiceConfig,
   getAllVoiceConfigs,
 };
 
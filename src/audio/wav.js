@@ -0,0 +1,105 @@
+/**
+ * WAV Helpers
+ *
+ * Minimal RIFF/WAVE parsing and writing for PCM audio, used by TTS
+ * providers that produce WAV (local engines such as Piper or espeak, and
+ * the tone/silence stubs).
+ */
+
+/**
+ * Parse a PCM WAV file
+ *
+ * @param {Buffer} buffer - WAV data
+ * @returns {{format: Object, data: Buffer}|null} PCM format and samples, or null if not a PCM WAV
+ */
+export function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const declared = buffer.readUInt32LE(offset + 4);
+    // Streaming encoders may leave the data size unset (0 or 0xFFFFFFFF); clamp to the buffer
+    const remaining = buffer.length - offset - 8;
+    const size = id === 'data' && declared === 0 ? remaining : Math.min(declared, remaining);
+    const body = buffer.subarray(offset + 8, offset + 8 + size);
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        blockAlign: body.readUInt16LE(12),
+        bitsPerSample: body.readUInt16LE(14),
+      };
+    } else if (id === 'data') {
+      data = body;
+    }
+
+    offset += 8 + size + (size % 2);
+  }
+
+  // Only uncompressed PCM (1) or extensible (0xFFFE) PCM can be concatenated sample-wise
+  if (!format || !data || ![1, 0xfffe].includes(format.audioFormat)) {
+    return null;
+  }
+
+  return { format, data: data.subarray(0, data.length - (data.length % format.blockAlign)) };
+}
+
+/**
+ * Create PCM samples of silence
+ *
+ * @param {Object} format - PCM format
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {Buffer} Silent samples
+ */
+export function createPcmSilence(format, durationMs) {
+  const frames = Math.round((format.sampleRate * durationMs) / 1000);
+  // 8-bit PCM is unsigned, so its midpoint is 0x80
+  return Buffer.alloc(frames * format.blockAlign, format.bitsPerSample === 8 ? 0x80 : 0);
+}
+
+/**
+ * Build a PCM WAV file
+ *
+ * @param {Object} format - PCM format
+ * @param {Buffer} data - PCM samples
+ * @param {Array<{id: string, data: Buffer}>} extraChunks - Additional RIFF chunks (e.g. "id3 ")
+ * @returns {Buffer} WAV file
+ */
+export function buildWav(format, data, extraChunks = []) {
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(1, 0);
+  fmt.writeUInt16LE(format.channels, 2);
+  fmt.writeUInt32LE(format.sampleRate, 4);
+  fmt.writeUInt32LE(format.sampleRate * format.blockAlign, 8);
+  fmt.writeUInt16LE(format.blockAlign, 12);
+  fmt.writeUInt16LE(format.bitsPerSample, 14);
+
+  const chunks = [{ id: 'fmt ', data: fmt }, { id: 'data', data }, ...extraChunks].map(chunk => {
+    const header = Buffer.alloc(8);
+    header.write(chunk.id, 0, 'latin1');
+    header.writeUInt32LE(chunk.data.length, 4);
+    const pad = chunk.data.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+    return Buffer.concat([header, chunk.data, pad]);
+  });
+
+  const body = Buffer.concat(chunks);
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'latin1');
+  riff.writeUInt32LE(4 + body.length, 4);
+  riff.write('WAVE', 8, 'latin1');
+
+  return Buffer.concat([riff, body]);
+}
+
+export default {
+  parseWav,
+  createPcmSilence,
+  buildWav,
+};
@@ -0,0 +1,329 @@
+/**
+ * HTTP Cache
+ *
+ * Content-addressed on-disk cache for search results, scraped articles and
+ * robots.txt files. An entry's key is the SHA-256 of its kind and normalized
+ * input, and each entry is one file (HTTP_CACHE_DIR/<kind>/<key[0..2]>/<key>.json):
+ *
+ *   { version, kind, key, input, storedAt, expiresAt, validators: { etag, lastModified }, value }
+ *
+ * Each kind has its own TTL (CACHE_SEARCH_TTL_MINUTES, CACHE_SCRAPE_TTL_MINUTES,
+ * ROBOTS_TTL_MINUTES). Responses can shorten it: Cache-Control no-store is
+ * never stored, max-age and Expires cap the TTL, and no-cache entries are
+ * kept only to be revalidated with their ETag/Last-Modified. Expired entries
+ * stay on disk until pruned; those that carry validators let the next fetch
+ * be conditional. prune() removes every expired entry.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child('HttpCache');
+
+const CACHE_VERSION = 1;
+
+/**
+ * Cache entry
+ * @typedef {Object} CacheEntry
+ * @property {string} kind - Entry kind (search, scrape, robots)
+ * @property {string} key - Content address of kind + input
+ * @property {Object} input - Input the value was produced from
+ * @property {string} storedAt - When the value was fetched or last revalidated (ISO)
+ * @property {string} expiresAt - When the value stops being fresh (ISO)
+ * @property {{etag: string|null, lastModified: string|null}} validators - For conditional requests
+ * @property {*} value - Cached value
+ */
+
+/**
+ * Caching decision for a response
+ * @typedef {Object} CachePolicy
+ * @property {boolean} store - Whether the response may be stored
+ * @property {number} ttlMs - How long it stays fresh (0: revalidate on every use)
+ */
+
+/**
+ * Decide how to cache a response from its headers
+ *
+ * @param {Object} headers - Response headers (a Headers object or a plain object)
+ * @param {number} ttlMs - TTL for this kind of entry
+ * @returns {CachePolicy} Caching decision
+ */
+export function cachePolicy(headers, ttlMs) {
+  const header = (name) => headerValue(headers, name) || '';
+  const directives = new Map(
+    header('cache-control').toLowerCase().split(',')
+      .map(part => part.trim().split('='))
+      .filter(([name]) => name)
+      .map(([name, value]) => [name, value?.replace(/"/g, '')])
+  );
+  const hasValidators = !!(header('etag') || header('last-modified'));
+
+  if (directives.has('no-store')) return { store: false, ttlMs: 0 };
+
+  let ttl = ttlMs;
+  const maxAge = directives.get('s-maxage') ?? directives.get('max-age');
+  if (maxAge !== undefined && /^\d+$/.test(maxAge)) {
+    ttl = Math.min(ttl, parseInt(maxAge, 10) * 1000);
+  } else if (header('expires')) {
+    ttl = Math.min(ttl, Math.max(0, (Date.parse(header('expires')) || 0) - Date.now()));
+  }
+  if (directives.has('no-cache')) ttl = 0;
+
+  // Without validators a response that is never fresh is of no use
+  return { store: ttl > 0 || hasValidators, ttlMs: ttl };
+}
+
+function headerValue(headers, name) {
+  return (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]) || null;
+}
+
+export class HttpCache {
+  constructor() {
+    this.readEnabled = true;
+  }
+
+  /**
+   * Whether the cache is in use (HTTP_CACHE_ENABLED)
+   */
+  get enabled() {
+    return config.httpCacheEnabled;
+  }
+
+  /**
+   * Directory the cache lives in (HTTP_CACHE_DIR)
+   */
+  get dir() {
+    return config.httpCacheDir;
+  }
+
+  /**
+   * Stop serving cached entries. Fetched values still refresh the cache.
+   *
+   * @param {boolean} enabled - Whether entries may be read
+   */
+  setReadEnabled(enabled) {
+    this.readEnabled = enabled;
+  }
+
+  /**
+   * TTL for a kind of entry
+   *
+   * @param {string} kind - Entry kind (search, scrape, robots)
+   * @returns {number} TTL in milliseconds
+   */
+  ttlFor(kind) {
+    const minutes = {
+      search: config.cacheSearchTtlMinutes,
+      robots: config.robotsTtlMinutes,
+    }[kind] ?? config.cacheScrapeTtlMinutes;
+    return minutes * 60 * 1000;
+  }
+
+  /**
+   * Content address of an input
+   *
+   * @param {string} kind - Entry kind
+   * @param {Object} input - Operation input
+   * @returns {string} SHA-256 hex digest
+   */
+  keyFor(kind, input) {
+    return crypto.createHash('sha256').update(JSON.stringify({ kind, input })).digest('hex');
+  }
+
+  /**
+   * Look up an entry, fresh or expired
+   *
+   * @param {string} kind - Entry kind
+   * @param {Object} input - Operation input
+   * @returns {Promise<{entry: CacheEntry, fresh: boolean}|null>} Entry, or null if missing or reads are off
+   */
+  async lookup(kind, input) {
+    if (!this.enabled || !this.readEnabled) return null;
+    const key = this.keyFor(kind, input);
+    const entry = await this.read(this.pathFor(kind, key));
+    if (!entry || entry.key !== key) return null;
+    return { entry, fresh: isFresh(entry) };
+  }
+
+  /**
+   * Store a value
+   *
+   * @param {string} kind - Entry kind
+   * @param {Object} input - Operation input
+   * @param {*} value - Value to cache
+   * @param {Object} options
+   * @param {Object} options.headers - Response headers to apply cachePolicy to (default: none)
+   * @returns {Promise<CacheEntry|null>} Stored entry, or null if not stored
+   */
+  async set(kind, input, value, { headers = null } = {}) {
+    if (!this.enabled) return null;
+    const policy = headers ? cachePolicy(headers, this.ttlFor(kind)) : { store: true, ttlMs: this.ttlFor(kind) };
+    if (!policy.store) {
+      log.debug('Response not cacheable', { kind });
+      return null;
+    }
+
+    const now = Date.now();
+    const entry = {
+      version: CACHE_VERSION,
+      kind,
+      key: this.keyFor(kind, input),
+      input,
+      storedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + policy.ttlMs).toISOString(),
+      validators: { etag: headerValue(headers, 'etag'), lastModified: headerValue(headers, 'last-modified') },
+      value,
+    };
+    await this.write(entry);
+    return entry;
+  }
+
+  /**
+   * Mark an entry fresh again after a 304 Not Modified
+   *
+   * @param {CacheEntry} entry - Revalidated entry
+   * @param {Object} headers - Headers of the 304 response
+   * @returns {Promise<CacheEntry>} Updated entry
+   */
+  async refresh(entry, headers) {
+    const policy = cachePolicy(headers, this.ttlFor(entry.kind));
+    const now = Date.now();
+    const refreshed = {
+      ...entry,
+      storedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + policy.ttlMs).toISOString(),
+    };
+    await this.write(refreshed);
+    return refreshed;
+  }
+
+  /**
+   * List entries, newest first
+   *
+   * @param {string} kind - Only this kind (default: all)
+   * @returns {Promise<Array<CacheEntry & {file: string, bytes: number, fresh: boolean}>>}
+   */
+  async entries(kind = null) {
+    const entries = [];
+    for (const file of await this.files(kind)) {
+      const entry = await this.read(file);
+      if (!entry) continue;
+      const { size } = await fs.stat(file);
+      entries.push({ ...entry, file, bytes: size, fresh: isFresh(entry) });
+    }
+    return entries.sort((a, b) => Date.parse(b.storedAt) - Date.parse(a.storedAt));
+  }
+
+  /**
+   * Entry counts and sizes per kind
+   *
+   * @returns {Promise<Object<string, {entries: number, fresh: number, expired: number, bytes: number}>>}
+   */
+  async stats() {
+    const stats = {};
+    for (const entry of await this.entries()) {
+      const kindStats = stats[entry.kind] ||= { entries: 0, fresh: 0, expired: 0, bytes: 0 };
+      kindStats.entries += 1;
+      kindStats[entry.fresh ? 'fresh' : 'expired'] += 1;
+      kindStats.bytes += entry.bytes;
+    }
+    return stats;
+  }
+
+  /**
+   * Remove expired entries, or entries stored before a cut-off
+   *
+   * @param {Object} options
+   * @param {number} options.olderThanMs - Remove entries older than this instead of expired ones
+   * @param {string} options.kind - Only this kind (default: all)
+   * @returns {Promise<number>} Entries removed
+   */
+  async prune({ olderThanMs = null, kind = null } = {}) {
+    const cutoff = olderThanMs !== null ? Date.now() - olderThanMs : null;
+    let removed = 0;
+    for (const file of await this.files(kind)) {
+      const entry = await this.read(file);
+      const stale = !entry || (cutoff !== null ? Date.parse(entry.storedAt) < cutoff : !isFresh(entry));
+      if (stale) {
+        await fs.rm(file, { force: true });
+        removed += 1;
+      }
+    }
+    log.debug('Cache pruned', { removed });
+    return removed;
+  }
+
+  /**
+   * Remove every entry
+   *
+   * @param {string} kind - Only this kind (default: all)
+   * @returns {Promise<number>} Entries removed
+   */
+  async clear(kind = null) {
+    const files = await this.files(kind);
+    await fs.rm(kind ? path.join(this.dir, kind) : this.dir, { recursive: true, force: true });
+    return files.length;
+  }
+
+  pathFor(kind, key) {
+    return path.join(this.dir, kind, key.slice(0, 2), `${key}.json`);
+  }
+
+  async files(kind) {
+    let entries;
+    try {
+      entries = await fs.readdir(kind ? path.join(this.dir, kind) : this.dir, { recursive: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return entries
+      .filter(name => name.endsWith('.json'))
+      .map(name => path.join(kind ? path.join(this.dir, kind) : this.dir, name));
+  }
+
+  async read(file) {
+    try {
+      const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      return entry.version === CACHE_VERSION ? entry : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Ignoring unreadable cache entry', { file, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  async write(entry) {
+    const file = this.pathFor(entry.kind, entry.key);
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(entry));
+    } catch (error) {
+      // The value was fetched; only later runs lose it
+      log.warn('Could not write cache entry', { kind: entry.kind, error: error.message });
+    }
+  }
+}
+
+function isFresh(entry) {
+  return Date.parse(entry.expiresAt) > Date.now();
+}
+
+/**
+ * Age of an entry
+ *
+ * @param {CacheEntry} entry - Cache entry
+ * @returns {number} Seconds since it was stored or revalidated
+ */
+export function entryAge(entry) {
+  return Math.round((Date.now() - Date.parse(entry.storedAt)) / 1000);
+}
+
+// Singleton instance
+export const httpCache = new HttpCache();
+
+export default httpCache;
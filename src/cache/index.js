@@ -0,0 +1,30 @@
+/**
+ * Cache Module - On-disk HTTP cache for search and scraping
+ */
+
+import httpCache, { HttpCache, cachePolicy, entryAge } from './http-cache.js';
+
+/**
+ * Configure the cache from CLI options
+ *
+ * @param {Object} options - Command options
+ * @param {boolean} options.cache - false (--no-cache) to fetch everything live
+ */
+export function configureCache({ cache = true } = {}) {
+  httpCache.setReadEnabled(cache !== false);
+}
+
+export {
+  httpCache,
+  HttpCache,
+  cachePolicy,
+  entryAge,
+};
+
+export default {
+  configureCache,
+  httpCache,
+  HttpCache,
+  cachePolicy,
+  entryAge,
+};
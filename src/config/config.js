@@ -10,10 +10,18 @@ import dotenv from 'dotenv';
 // Load environment variables from .env file
 dotenv.config();
 
+/**
+ * Pipeline roles that each get their own chat model.
+ * - agent:    ReAct channel/custom agents
+ * - research: deterministic search → scrape → summarize pipeline
+ * - planner:  podcast planner (JSON plan)
+ * - writer:   iterative section writer
+ * - editor:   single-pass editor-in-chief
+ * - factcheck: rewrites sections with unsupported claims
+ */
+export const LLM_ROLES = ['agent', 'research', 'planner', 'writer', 'editor', 'factcheck'];
+
 class Config {
-  constructor() {
-    this.validateRequired();
-  }
 
   // OpenAI Configuration
   get openaiApiKey() {
@@ -28,6 +36,51 @@ class Config {
     return process.env.OPENAI_SYNTHESIS_MODEL || 'gpt-4o';
   }
 
+  // LLM Provider Configuration
+  get llmProvider() {
+    return process.env.LLM_PROVIDER || 'openai';
+  }
+
+  get anthropicApiKey() {
+    return process.env.ANTHROPIC_API_KEY;
+  }
+
+  get anthropicModel() {
+    return process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+  }
+
+  get localLlmBaseUrl() {
+    return process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1';
+  }
+
+  get localLlmModel() {
+    return process.env.LOCAL_LLM_MODEL || 'llama3.1';
+  }
+
+  get localLlmApiKey() {
+    return process.env.LOCAL_LLM_API_KEY || 'local';
+  }
+
+  get fakeLlmResponses() {
+    return process.env.FAKE_LLM_RESPONSES;
+  }
+
+  /**
+   * Get provider and model override for a pipeline role.
+   * LLM_<ROLE>_PROVIDER falls back to LLM_PROVIDER; a null model means
+   * "use the provider's default for this role".
+   * 
+   * @param {string} role - One of LLM_ROLES
+   * @returns {{provider: string, model: string|null}}
+   */
+  getLLMRole(role) {
+    const key = role.toUpperCase();
+    return {
+      provider: process.env[`LLM_${key}_PROVIDER`] || this.llmProvider,
+      model: process.env[`LLM_${key}_MODEL`] || null,
+    };
+  }
+
   // Tavily Configuration (optional)
   get tavilyApiKey() {
     return process.env.TAVILY_API_KEY;
@@ -37,6 +90,36 @@ class Config {
     return !!this.tavilyApiKey;
   }
 
+  // Search Providers (see src/tools/search-providers.js)
+  get searchProviders() {
+    return (process.env.SEARCH_PROVIDERS || 'tavily,brave,searxng,bing,rss')
+      .split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  get searchFanOut() {
+    return Math.max(1, parseInt(process.env.SEARCH_FAN_OUT || '1', 10) || 1);
+  }
+
+  get braveApiKey() {
+    return process.env.BRAVE_API_KEY;
+  }
+
+  get searxngUrl() {
+    return process.env.SEARXNG_URL || null;
+  }
+
+  get bingApiKey() {
+    return process.env.BING_API_KEY;
+  }
+
+  get bingEndpoint() {
+    return process.env.BING_ENDPOINT || 'https://api.bing.microsoft.com/v7.0/search';
+  }
+
+  get searchRssFeeds() {
+    return (process.env.SEARCH_RSS_FEEDS || '').split(',').map(url => url.trim()).filter(Boolean);
+  }
+
   // ElevenLabs Configuration (optional)
   get elevenLabsApiKey() {
     return process.env.ELEVENLABS_API_KEY;
@@ -46,11 +129,80 @@ class Config {
     return !!this.elevenLabsApiKey;
   }
 
+  get elevenLabsModel() {
+    return process.env.ELEVENLABS_MODEL || 'eleven_v3';
+  }
+
+  // Text-to-Speech Configuration
+  get ttsProvider() {
+    return process.env.TTS_PROVIDER || 'elevenlabs';
+  }
+
+  get openaiTtsModel() {
+    return process.env.OPENAI_TTS_MODEL || 'gpt-4o-mini-tts';
+  }
+
+  get ttsLocalCommand() {
+    return process.env.TTS_LOCAL_COMMAND;
+  }
+
+  get ttsLocalFormat() {
+    return process.env.TTS_LOCAL_FORMAT || 'wav';
+  }
+
+  get ttsLocalMaxChars() {
+    return parseInt(process.env.TTS_LOCAL_MAX_CHARS || '4000', 10);
+  }
+
+  get ttsLocalAudioTags() {
+    return process.env.TTS_LOCAL_AUDIO_TAGS || 'strip';
+  }
+
+  get ttsLocalTimeout() {
+    return parseInt(process.env.TTS_LOCAL_TIMEOUT_MS || '120000', 10);
+  }
+
   // Logging Configuration
   get logLevel() {
     return process.env.LOG_LEVEL || 'info';
   }
 
+  get logFormat() {
+    return process.env.LOG_FORMAT || 'pretty';
+  }
+
+  // Tracing Configuration (none, otlp, file; OTEL_* names follow the OpenTelemetry conventions)
+  get tracingExporter() {
+    return process.env.TRACING_EXPORTER || 'none';
+  }
+
+  get tracingFile() {
+    return process.env.TRACING_FILE || `${this.outputDir}/traces.jsonl`;
+  }
+
+  get tracingServiceName() {
+    return process.env.OTEL_SERVICE_NAME || 'agentic-podcast';
+  }
+
+  get otlpTracesEndpoint() {
+    if (process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+      return process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+    }
+    const base = (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/+$/, '');
+    return `${base}/v1/traces`;
+  }
+
+  get otlpHeaders() {
+    // "key=value,key2=value2"
+    return Object.fromEntries(
+      (process.env.OTEL_EXPORTER_OTLP_HEADERS || '')
+        .split(',')
+        .map(pair => pair.match(/^\s*([^=]+?)\s*=\s*(.+?)\s*$/))
+        .filter(Boolean)
+        .map(([, key, value]) => [key, value])
+    );
+  }
+
   // Agent Configuration
   get agentTimeout() {
     return parseInt(process.env.AGENT_TIMEOUT_MS || '45000', 10);
@@ -73,20 +225,199 @@ class Config {
     return parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT_MS || '60000', 10);
   }
 
+  // Channel Configuration
+  get channelsDir() {
+    return process.env.CHANNELS_DIR || './channels';
+  }
+
+  // Feed Configuration (see src/feeds/)
+  get feedsEnabled() {
+    return process.env.FEEDS_ENABLED !== 'false';
+  }
+
+  get feedCacheDir() {
+    return process.env.FEED_CACHE_DIR || './cache/feeds';
+  }
+
+  get feedRefreshMinutes() {
+    return parseInt(process.env.FEED_REFRESH_MINUTES || '15', 10);
+  }
+
+  get feedRetentionDays() {
+    return parseInt(process.env.FEED_RETENTION_DAYS || '7', 10);
+  }
+
+  // HTTP Cache Configuration (see src/cache/)
+  get httpCacheEnabled() {
+    return process.env.HTTP_CACHE_ENABLED !== 'false';
+  }
+
+  get httpCacheDir() {
+    return process.env.HTTP_CACHE_DIR || './cache/http';
+  }
+
+  get cacheSearchTtlMinutes() {
+    return parseInt(process.env.CACHE_SEARCH_TTL_MINUTES || '30', 10);
+  }
+
+  get cacheScrapeTtlMinutes() {
+    return parseInt(process.env.CACHE_SCRAPE_TTL_MINUTES || '1440', 10);
+  }
+
+  get robotsTtlMinutes() {
+    return parseInt(process.env.ROBOTS_TTL_MINUTES || '1440', 10);
+  }
+
+  // Scraper Politeness Configuration (see src/tools/politeness.js)
+  get scrapeRespectRobots() {
+    return process.env.SCRAPE_RESPECT_ROBOTS !== 'false';
+  }
+
+  get scrapeDomainConcurrency() {
+    return Math.max(1, parseInt(process.env.SCRAPE_DOMAIN_CONCURRENCY || '2', 10) || 1);
+  }
+
+  get scrapeDomainDelayMs() {
+    return parseInt(process.env.SCRAPE_DOMAIN_DELAY_MS || '1000', 10);
+  }
+
+  // Paywalled sites are blocked unless SCRAPE_BLOCKED_DOMAINS says otherwise
+  get scrapeBlockedDomains() {
+    return (process.env.SCRAPE_BLOCKED_DOMAINS ?? 'wsj.com,nytimes.com,bloomberg.com,ft.com')
+      .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+  }
+
+  get scrapeAllowedDomains() {
+    return (process.env.SCRAPE_ALLOWED_DOMAINS || '')
+      .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+  }
+
+  // Profile and Schedule Configuration
+  get profilesDir() {
+    return process.env.PROFILES_DIR || './profiles';
+  }
+
+  get scheduleRetryDelay() {
+    return parseInt(process.env.SCHEDULE_RETRY_DELAY_MS || '600000', 10);
+  }
+
+  get scheduleMaxAttempts() {
+    return parseInt(process.env.SCHEDULE_MAX_ATTEMPTS || '3', 10);
+  }
+
+  // Episode History Configuration
+  get historyDir() {
+    return process.env.HISTORY_DIR || './history';
+  }
+
+  get historyDays() {
+    return parseInt(process.env.HISTORY_DAYS || '7', 10);
+  }
+
+  // HTTP API Configuration (serve command)
+  get serverHost() {
+    return process.env.SERVER_HOST || '127.0.0.1';
+  }
+
+  get serverPort() {
+    return parseInt(process.env.SERVER_PORT || '3000', 10);
+  }
+
+  get serverMaxQueue() {
+    return parseInt(process.env.SERVER_MAX_QUEUE || '20', 10);
+  }
+
+  get serverApiKey() {
+    return process.env.SERVER_API_KEY || '';
+  }
+
+  // Budget Configuration (see src/orchestrator/budget.js)
+  get budgetMaxCost() {
+    return process.env.BUDGET_MAX_COST ? parseFloat(process.env.BUDGET_MAX_COST) : null;
+  }
+
+  get budgetMaxTokens() {
+    return process.env.BUDGET_MAX_TOKENS ? parseInt(process.env.BUDGET_MAX_TOKENS, 10) : null;
+  }
+
+  get budgetPolicies() {
+    return process.env.BUDGET_POLICY || 'downgrade,shorten,skip_custom,abort';
+  }
+
+  get budgetWarnAt() {
+    return parseFloat(process.env.BUDGET_WARN_AT || '0.8');
+  }
+
+  get budgetDowngradeModel() {
+    return process.env.BUDGET_DOWNGRADE_MODEL || null;
+  }
+
+  // Fact-check Configuration (off, warn, rewrite, fail)
+  get factCheckPolicy() {
+    return process.env.FACTCHECK_POLICY || 'warn';
+  }
+
   // Output Configuration
   get outputDir() {
     return process.env.OUTPUT_DIR || './output';
   }
 
+  // Podcast Feed Configuration
+  get feedBaseUrl() {
+    return process.env.FEED_BASE_URL;
+  }
+
+  get feedTitle() {
+    return process.env.FEED_TITLE || 'Agentic Podcast';
+  }
+
+  get feedDescription() {
+    return process.env.FEED_DESCRIPTION || 'Daily briefings researched and written by AI agents.';
+  }
+
+  get feedAuthor() {
+    return process.env.FEED_AUTHOR || 'Agentic Podcast';
+  }
+
+  get feedOwnerEmail() {
+    return process.env.FEED_OWNER_EMAIL;
+  }
+
+  get feedImageUrl() {
+    return process.env.FEED_IMAGE_URL;
+  }
+
+  get feedLanguage() {
+    return process.env.FEED_LANGUAGE || 'en';
+  }
+
+  get feedCategory() {
+    return process.env.FEED_CATEGORY || 'News';
+  }
+
+  get feedExplicit() {
+    return process.env.FEED_EXPLICIT === 'true';
+  }
+
   /**
-   * Validate that required configuration is present
+   * Validate that required configuration is present.
+   * Called when a chat model is created rather than at import time,
+   * so replayed runs work without any API keys.
    */
   validateRequired() {
-    if (!this.openaiApiKey) {
+    const providers = new Set(LLM_ROLES.map(role => this.getLLMRole(role).provider));
+
+    if (providers.has('openai') && !this.openaiApiKey) {
       throw new Error(
         'OPENAI_API_KEY is required. Please set it in your .env file or environment variables.'
       );
     }
+
+    if (providers.has('anthropic') && !this.anthropicApiKey) {
+      throw new Error(
+        'ANTHROPIC_API_KEY is required when an LLM role uses the anthropic provider.'
+      );
+    }
   }
 
   /**
@@ -99,12 +430,46 @@ class Config {
         model: this.openaiModel,
         synthesisModel: this.openaiSynthesisModel,
       },
+      llm: Object.fromEntries(LLM_ROLES.map(role => [role, this.getLLMRole(role)])),
       tavily: {
         configured: this.hasTavilyKey,
         fallbackEnabled: true,
       },
+      search: {
+        providers: this.searchProviders,
+        fanOut: this.searchFanOut,
+        brave: !!this.braveApiKey,
+        searxng: this.searxngUrl,
+        bing: !!this.bingApiKey,
+        rssFeeds: this.searchRssFeeds.length,
+      },
+      feeds: {
+        enabled: this.feedsEnabled,
+        cacheDir: this.feedCacheDir,
+        refreshMinutes: this.feedRefreshMinutes,
+        retentionDays: this.feedRetentionDays,
+      },
+      httpCache: {
+        enabled: this.httpCacheEnabled,
+        dir: this.httpCacheDir,
+        searchTtlMinutes: this.cacheSearchTtlMinutes,
+        scrapeTtlMinutes: this.cacheScrapeTtlMinutes,
+        robotsTtlMinutes: this.robotsTtlMinutes,
+      },
+      politeness: {
+        respectRobots: this.scrapeRespectRobots,
+        domainConcurrency: this.scrapeDomainConcurrency,
+        domainDelayMs: this.scrapeDomainDelayMs,
+        blockedDomains: this.scrapeBlockedDomains.length,
+        allowedDomains: this.scrapeAllowedDomains.length,
+      },
       elevenLabs: {
         configured: this.hasElevenLabsKey,
+        model: this.elevenLabsModel,
+      },
+      tts: {
+        provider: this.ttsProvider,
+        localCommand: !!this.ttsLocalCommand,
       },
       agent: {
         timeout: this.agentTimeout,
@@ -118,8 +483,30 @@ class Config {
       output: {
         directory: this.outputDir,
       },
+      feed: {
+        baseUrl: this.feedBaseUrl || null,
+        title: this.feedTitle,
+      },
+      server: {
+        host: this.serverHost,
+        port: this.serverPort,
+        maxQueue: this.serverMaxQueue,
+        apiKey: !!this.serverApiKey,
+      },
+      budget: {
+        maxCost: this.budgetMaxCost,
+        maxTokens: this.budgetMaxTokens,
+        policies: this.budgetPolicies,
+        warnAt: this.budgetWarnAt,
+      },
       logging: {
         level: this.logLevel,
+        format: this.logFormat,
+      },
+      tracing: {
+        exporter: this.tracingExporter,
+        endpoint: this.tracingExporter.includes('otlp') ? this.otlpTracesEndpoint : null,
+        file: this.tracingExporter.includes('file') ? this.tracingFile : null,
       },
     };
   }
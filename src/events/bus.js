@@ -0,0 +1,147 @@
+/**
+ * Event Bus
+ *
+ * One stream for everything a run does: log lines, pipeline stages, tool
+ * calls, LLM calls and agent reasoning steps. Producers call emitEvent();
+ * any number of sinks (see sinks.js) receive every event as
+ *
+ *   { ts, type, runId?, ...data }
+ *
+ * Event types: log, run:start|complete|failed, stage:start|complete|failed|progress,
+ * tool:start|success|data|cache|error, llm:start|end|error, agent:action|finish,
+ * budget:approaching|exceeded|action.
+ *
+ * The run id comes from an async context (runWithEventContext), so
+ * concurrent runs in one process (e.g. API jobs) are told apart.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createConsoleSink, createJsonLinesSink } from './sinks.js';
+
+const eventContext = new AsyncLocalStorage();
+
+export class EventBus {
+  constructor() {
+    this.sinks = new Set();
+  }
+
+  /**
+   * Add a sink
+   *
+   * @param {Object|Function} sink - { write(event) } or a function called with each event
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(sink) {
+    const entry = typeof sink === 'function' ? { write: sink } : sink;
+    this.sinks.add(entry);
+    return () => this.sinks.delete(entry);
+  }
+
+  /**
+   * Send an event to every sink. A failing sink never breaks the caller.
+   *
+   * @param {string} type - Event type
+   * @param {Object} data - Event fields
+   * @param {Object} context - Run context (default: the current async context)
+   * @returns {Object} The event
+   */
+  emit(type, data = {}, context = eventContext.getStore()) {
+    const event = {
+      ts: new Date().toISOString(),
+      type,
+      ...(context?.runId ? { runId: context.runId } : {}),
+      ...data,
+    };
+
+    for (const sink of this.sinks) {
+      try {
+        sink.write(event);
+      } catch (error) {
+        process.stderr.write(`Event sink failed: ${error.message}\n`);
+      }
+    }
+    return event;
+  }
+}
+
+export const eventBus = new EventBus();
+
+// Coloured log lines on the console until JSON-lines output is chosen
+let removeConsoleSink = eventBus.subscribe(createConsoleSink());
+let jsonOutput = false;
+
+/**
+ * Emit an event on the shared bus
+ *
+ * @param {string} type - Event type
+ * @param {Object} data - Event fields
+ * @param {Object} context - Run context (default: the current async context)
+ * @returns {Object} The event
+ */
+export function emitEvent(type, data = {}, context) {
+  return eventBus.emit(type, data, context);
+}
+
+/**
+ * Run a function with a run context; events emitted inside carry its runId
+ *
+ * @param {Object} context - { runId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runWithEventContext(context, fn) {
+  return eventContext.run({ ...context }, fn);
+}
+
+/**
+ * @returns {Object|undefined} Current run context
+ */
+export function getEventContext() {
+  return eventContext.getStore();
+}
+
+/**
+ * Update the current run context (e.g. once the run id is known)
+ *
+ * @param {Object} values - Fields to set
+ */
+export function setEventContext(values) {
+  const context = eventContext.getStore();
+  if (context) Object.assign(context, values);
+}
+
+/**
+ * Switch stdout to JSON lines: every event is written there as one JSON
+ * object per line, and human-readable output moves to stderr so stdout can
+ * be piped into other tools.
+ */
+export function useJsonLinesOutput() {
+  if (jsonOutput) return;
+  jsonOutput = true;
+
+  const stdout = process.stdout;
+  removeConsoleSink();
+  removeConsoleSink = () => {};
+  eventBus.subscribe(createJsonLinesSink(stdout));
+
+  console.log = console.error;
+  console.info = console.error;
+}
+
+/**
+ * @returns {boolean} Whether stdout carries JSON lines
+ */
+export function isJsonLinesOutput() {
+  return jsonOutput;
+}
+
+export default {
+  EventBus,
+  eventBus,
+  emitEvent,
+  runWithEventContext,
+  getEventContext,
+  setEventContext,
+  useJsonLinesOutput,
+  isJsonLinesOutput,
+};
@@ -0,0 +1,46 @@
+/**
+ * Events Module - Central export for the event bus and its sinks
+ */
+
+import {
+  EventBus,
+  eventBus,
+  emitEvent,
+  runWithEventContext,
+  getEventContext,
+  setEventContext,
+  useJsonLinesOutput,
+  isJsonLinesOutput,
+} from './bus.js';
+import { createConsoleSink, createJsonLinesSink, createRunLogSink } from './sinks.js';
+
+export {
+  // Bus
+  EventBus,
+  eventBus,
+  emitEvent,
+  runWithEventContext,
+  getEventContext,
+  setEventContext,
+  useJsonLinesOutput,
+  isJsonLinesOutput,
+
+  // Sinks
+  createConsoleSink,
+  createJsonLinesSink,
+  createRunLogSink,
+};
+
+export default {
+  EventBus,
+  eventBus,
+  emitEvent,
+  runWithEventContext,
+  getEventContext,
+  setEventContext,
+  useJsonLinesOutput,
+  isJsonLinesOutput,
+  createConsoleSink,
+  createJsonLinesSink,
+  createRunLogSink,
+};
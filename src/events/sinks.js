@@ -0,0 +1,180 @@
+/**
+ * Event Sinks
+ *
+ * Destinations for events from the event bus. A sink is an object with
+ * write(event) and an optional close():
+ *
+ * - console:     coloured log lines (the default), plus tool, LLM and agent
+ *                steps when tracing
+ * - JSON lines:  every event as one JSON object per line (stdout mode)
+ * - run log:     the events of one run, appended to <outputDir>/run.jsonl
+ */
+
+import fs from 'fs';
+import chalk from 'chalk';
+
+const LEVEL_COLORS = {
+  debug: chalk.gray,
+  info: chalk.blue,
+  warn: chalk.yellow,
+  error: chalk.red,
+};
+
+/**
+ * Pretty console output
+ *
+ * @param {Object} options
+ * @param {boolean} options.logs - Print log events (default: true)
+ * @param {boolean} options.trace - Print tool calls, LLM calls and agent steps (default: false)
+ * @returns {{write: Function}} Sink
+ */
+export function createConsoleSink({ logs = true, trace = false } = {}) {
+  return {
+    write(event) {
+      if (event.type === 'log') {
+        if (logs) printLog(event);
+      } else if (trace) {
+        printTrace(event);
+      }
+    },
+  };
+}
+
+/**
+ * One JSON object per line
+ *
+ * @param {stream.Writable} stream - Destination (default: stdout)
+ * @returns {{write: Function}} Sink
+ */
+export function createJsonLinesSink(stream = process.stdout) {
+  return {
+    write(event) {
+      stream.write(`${toJson(event)}\n`);
+    },
+  };
+}
+
+/**
+ * Append the events of one run to a JSON-lines file
+ *
+ * @param {string} file - Path of run.jsonl
+ * @param {Object} options
+ * @param {string} options.runId - Only events of this run (all events if omitted)
+ * @returns {{write: Function, close: Function}} Sink
+ */
+export function createRunLogSink(file, { runId = null } = {}) {
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  let failed = false;
+  stream.on('error', error => {
+    if (!failed) process.stderr.write(`Cannot write run log ${file}: ${error.message}\n`);
+    failed = true;
+  });
+
+  return {
+    file,
+    write(event) {
+      if (failed || (runId && event.runId !== runId)) return;
+      stream.write(`${toJson(event)}\n`);
+    },
+    close() {
+      return new Promise(resolve => stream.end(resolve));
+    },
+  };
+}
+
+/**
+ * Serialize an event: errors keep message and stack, cycles are cut
+ */
+export function toJson(event) {
+  const seen = new WeakSet();
+  return JSON.stringify(event, (key, value) => {
+    if (value instanceof Error) {
+      return { message: value.message, stack: value.stack, ...value };
+    }
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) return '[Circular]';
+      seen.add(value);
+    }
+    return value;
+  });
+}
+
+function printLog(event) {
+  const timestamp = chalk.gray(event.ts);
+  const ctx = chalk.cyan(`[${event.context}]`);
+  const hasData = event.data && Object.keys(event.data).length > 0;
+
+  if (event.emoji) {
+    const message = event.color ? chalk[event.color](event.message) : event.message;
+    console.log(`${timestamp} ${event.emoji}  ${ctx} ${message}`);
+    if (hasData) console.log(chalk.gray(JSON.stringify(event.data, null, 2)));
+    return;
+  }
+
+  const level = (LEVEL_COLORS[event.level] || chalk.white)(`[${event.level.toUpperCase()}]`);
+  let formatted = `${timestamp} ${level} ${ctx} ${event.message}`;
+  if (hasData) formatted += '\n' + JSON.stringify(event.data, null, 2);
+
+  if (event.level === 'error') console.error(formatted);
+  else if (event.level === 'warn') console.warn(formatted);
+  else console.log(formatted);
+}
+
+function printTrace(event) {
+  switch (event.type) {
+    case 'tool:start':
+      if (event.tool === 'web_search') console.log(chalk.gray('\n🔎 Search →'), chalk.white(event.query));
+      else if (event.tool === 'scrape_article') console.log(chalk.gray('\n📰 Scrape →'), chalk.white(event.url));
+      else if (event.tool === 'rss_lookup') console.log(chalk.gray('\n📡 Feeds →'), chalk.white(event.query || '(latest)'));
+      break;
+    case 'tool:success':
+      if (event.tool === 'web_search') console.log(chalk.green('✔ Search results:'), `${event.resultCount}`, chalk.gray(event.providers ? `(${event.providers.join(', ')})` : ''));
+      else if (event.tool === 'scrape_article') console.log(chalk.green('✔ Scraped content'), `(${(event.contentPreview || '').length} chars${event.published ? `, published ${event.published}` : ''})`);
+      else if (event.tool === 'rss_lookup') console.log(chalk.green('✔ Feed items:'), `${event.resultCount}`);
+      break;
+    case 'tool:cache': {
+      const what = event.tool === 'web_search' ? `search (${event.provider})` : 'article';
+      const how = event.revalidated ? 'revalidated cached' : 'cached';
+      console.log(chalk.cyan(`💾 ${how} ${what}`), chalk.gray(`${formatAge(event.ageSeconds)} old`));
+      break;
+    }
+    case 'tool:error':
+      console.log(chalk.yellow(`⚠ ${event.tool}${event.provider ? ` (${event.provider})` : ''} error:`), event.error);
+      break;
+    case 'tool:data': {
+      const items = (event.results || []).map((r, i) => `${i + 1}. ${r.title}\n   ${r.url}`).join('\n');
+      if (items) {
+        console.log(chalk.gray(event.provider ? `Top results (${event.provider}):` : 'Top results:'));
+        console.log(items);
+      }
+      break;
+    }
+    case 'llm:end': {
+      const tokens = event.tokenUsage
+        ? `, ${event.tokenUsage.totalTokens} tokens${event.estimated ? ' (estimated)' : ''}`
+        : '';
+      console.log(chalk.gray(`🤖 ${event.role} (${event.provider}/${event.model}) ${event.latencyMs}ms${tokens}`));
+      break;
+    }
+    case 'llm:error':
+      console.log(chalk.yellow(`⚠ ${event.role} LLM call failed:`), event.error);
+      break;
+    case 'agent:action':
+      if (event.thought) console.log(chalk.gray(`💭 ${event.thought}`));
+      console.log(chalk.gray(`→ ${event.tool}(${event.input})`));
+      break;
+  }
+}
+
+function formatAge(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  return `${Math.round(seconds / 360) / 10}h`;
+}
+
+export default {
+  createConsoleSink,
+  createJsonLinesSink,
+  createRunLogSink,
+  toJson,
+};
@@ -0,0 +1,245 @@
+/**
+ * Feed Fetcher
+ *
+ * Fetches RSS/Atom feeds with conditional GET and keeps each feed's items in
+ * a local cache, one file per feed (FEED_CACHE_DIR/<hash>.json):
+ *
+ *   { url, title, link, etag, lastModified, fetchedAt, items: [{ ..., firstSeen }] }
+ *
+ * A feed fetched less than FEED_REFRESH_MINUTES ago is served from the cache
+ * without a request. Otherwise the request carries If-None-Match and
+ * If-Modified-Since, and a 304 keeps the cached items. Fetched items are
+ * merged into the cached ones, so stories that scrolled off a busy feed stay
+ * findable, and items older than FEED_RETENTION_DAYS are dropped. When a
+ * fetch fails the cached items are served as stale.
+ *
+ * Feed requests go through the scraper's politeness layer: the domain lists
+ * and robots.txt are checked first (a disallowed feed counts as a failed
+ * fetch), and each host's concurrency and delay limits apply.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { parseFeed } from './parser.js';
+import { canonicalUrl } from '../tools/source-collector.js';
+import { checkUrl, withDomainLimit } from '../tools/politeness.js';
+import { BOT_USER_AGENT } from '../tools/robots.js';
+import { withFixture } from '../replay/index.js';
+import { withSpan, SPAN_KINDS } from '../tracing/tracer.js';
+
+const log = logger.child('FeedFetcher');
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_ITEMS_PER_FEED = 200;
+// Far above any real feed; a larger body is treated as a failed fetch
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Feed object
+ * @typedef {Object} Feed
+ * @property {string} url - Feed URL
+ * @property {string} title - Feed title
+ * @property {string} link - Site the feed belongs to
+ * @property {Array<Object>} items - Items, newest first ({ title, url, summary, published, id, firstSeen })
+ * @property {string} status - updated, not_modified, cached (no request made) or stale (fetch failed)
+ * @property {string} fetchedAt - ISO time of the last successful fetch
+ */
+
+/**
+ * Fetch one feed, using and updating the local cache
+ *
+ * @param {string} url - Feed URL
+ * @param {Object} options
+ * @param {boolean} options.force - Request the feed even if the cache is fresh
+ * @returns {Promise<Feed>} Feed with its cached and new items
+ */
+export async function fetchFeed(url, { force = false } = {}) {
+  return withSpan('feed.fetch', { 'feed.url': url }, async (span) => {
+    const feed = await withFixture('feed', { url }, () => fetchFeedLive(url, { force }));
+    span.setAttributes({
+      'feed.status': feed.status,
+      'feed.item_count': feed.items.length,
+    });
+    return feed;
+  }, { kind: SPAN_KINDS.CLIENT });
+}
+
+/**
+ * Fetch several feeds in parallel. A feed that fails (with nothing cached)
+ * is reported in failures and does not affect the others.
+ *
+ * @param {Array<string>} urls - Feed URLs
+ * @param {Object} options - See fetchFeed
+ * @returns {Promise<{feeds: Feed[], failures: Array<{url: string, error: string}>}>}
+ */
+export async function fetchFeeds(urls, options = {}) {
+  const outcomes = await Promise.allSettled(urls.map(url => fetchFeed(url, options)));
+  const feeds = [];
+  const failures = [];
+
+  outcomes.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') {
+      feeds.push(outcome.value);
+    } else {
+      log.warn('Feed unavailable', { url: urls[i], error: outcome.reason.message });
+      failures.push({ url: urls[i], error: outcome.reason.message });
+    }
+  });
+
+  return { feeds, failures };
+}
+
+async function fetchFeedLive(url, { force }) {
+  const cached = await readCache(url);
+  const refreshMs = config.feedRefreshMinutes * 60 * 1000;
+
+  if (cached && !force && Date.now() - Date.parse(cached.fetchedAt) < refreshMs) {
+    log.debug('Feed served from cache', { url });
+    return toFeed(cached, 'cached');
+  }
+
+  const headers = {
+    'User-Agent': BOT_USER_AGENT,
+    Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8',
+  };
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  let response;
+  let body = null;
+  try {
+    const permission = await checkUrl(url);
+    if (!permission.allowed) throw new Error(permission.message);
+
+    response = await withDomainLimit(url, () => fetch(url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) }));
+    if (response.status !== 304 && !response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    if (response.status !== 304) {
+      body = await readBody(response.body, MAX_FEED_BYTES);
+    }
+  } catch (error) {
+    if (!cached) throw new Error(`Feed fetch failed for ${url}: ${error.message}`);
+    log.warn('Feed fetch failed, serving cached items', { url, error: error.message });
+    return toFeed(cached, 'stale');
+  }
+
+  const now = new Date().toISOString();
+
+  if (response.status === 304) {
+    log.debug('Feed not modified', { url });
+    const entry = { ...cached, fetchedAt: now, items: pruneItems(cached.items) };
+    await writeCache(entry);
+    return toFeed(entry, 'not_modified');
+  }
+
+  const parsed = parseFeed(body);
+  const entry = {
+    url,
+    title: parsed.title || cached?.title || '',
+    link: parsed.link || cached?.link || '',
+    etag: response.headers.get('etag') || null,
+    lastModified: response.headers.get('last-modified') || null,
+    fetchedAt: now,
+    items: pruneItems(mergeItems(cached?.items || [], parsed.items, now)),
+  };
+  await writeCache(entry);
+
+  log.debug('Feed updated', { url, items: entry.items.length });
+  return toFeed(entry, 'updated');
+}
+
+// Read a response body, giving up once it passes the size limit
+async function readBody(stream, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      stream.destroy();
+      throw new Error(`Feed larger than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function toFeed(entry, status) {
+  return {
+    url: entry.url,
+    title: entry.title,
+    link: entry.link,
+    items: entry.items,
+    status,
+    fetchedAt: entry.fetchedAt,
+  };
+}
+
+function itemKey(item) {
+  return item.url ? canonicalUrl(item.url) : item.id;
+}
+
+// Fetched items replace cached copies but keep the time they were first seen
+function mergeItems(cachedItems, fetchedItems, now) {
+  const merged = new Map(cachedItems.map(item => [itemKey(item), item]));
+  for (const item of fetchedItems) {
+    const key = itemKey(item);
+    merged.set(key, { ...item, firstSeen: merged.get(key)?.firstSeen || now });
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Time an item is dated by: its publish time, else when it was first seen
+ *
+ * @param {Object} item - Feed item
+ * @returns {number} Epoch milliseconds (0 if unknown)
+ */
+export function itemTime(item) {
+  return Date.parse(item.published || item.firstSeen) || 0;
+}
+
+function pruneItems(items) {
+  const cutoff = Date.now() - config.feedRetentionDays * 24 * 60 * 60 * 1000;
+  return items
+    .filter(item => itemTime(item) >= cutoff)
+    .sort((a, b) => itemTime(b) - itemTime(a))
+    .slice(0, MAX_ITEMS_PER_FEED);
+}
+
+function cachePath(url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+  return path.join(config.feedCacheDir, `${hash}.json`);
+}
+
+async function readCache(url) {
+  try {
+    const entry = JSON.parse(await fs.readFile(cachePath(url), 'utf8'));
+    return entry.url === url ? entry : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn('Ignoring unreadable feed cache', { url, error: error.message });
+    }
+    return null;
+  }
+}
+
+async function writeCache(entry) {
+  try {
+    await fs.mkdir(config.feedCacheDir, { recursive: true });
+    await fs.writeFile(cachePath(entry.url), JSON.stringify(entry, null, 2));
+  } catch (error) {
+    // The items were fetched; only the next conditional request is lost
+    log.warn('Could not write feed cache', { url: entry.url, error: error.message });
+  }
+}
+
+export default {
+  fetchFeed,
+  fetchFeeds,
+  itemTime,
+};
@@ -0,0 +1,22 @@
+/**
+ * Feeds Module - RSS/Atom ingestion for channel research
+ */
+
+import { parseFeed } from './parser.js';
+import { fetchFeed, fetchFeeds, itemTime } from './fetcher.js';
+import { findFeedItems } from './lookup.js';
+
+export {
+  parseFeed,
+  fetchFeed,
+  fetchFeeds,
+  itemTime,
+  findFeedItems,
+};
+
+export default {
+  parseFeed,
+  fetchFeed,
+  fetchFeeds,
+  findFeedItems,
+};
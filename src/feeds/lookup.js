@@ -0,0 +1,68 @@
+/**
+ * Feed Lookup
+ *
+ * Finds items across a list of feeds: newer than a cut-off, optionally
+ * matching a query (items matching more query words first), newest first,
+ * deduplicated by canonical URL. Every item keeps its publish time so callers
+ * can tell today's stories from stale ones.
+ */
+
+import { fetchFeeds, itemTime } from './fetcher.js';
+import { canonicalUrl } from '../tools/source-collector.js';
+
+/**
+ * Feed item as returned by a lookup
+ * @typedef {Object} FeedItem
+ * @property {string} title - Item title
+ * @property {string} url - Article URL
+ * @property {string} summary - Item description as plain text
+ * @property {string|null} published - Publish time (ISO), null if the feed gives none
+ * @property {string} firstSeen - When the item was first fetched (ISO)
+ * @property {string} feed - Title of the feed it came from
+ * @property {string} feedUrl - URL of that feed
+ */
+
+/**
+ * Find recent items in a set of feeds
+ *
+ * @param {Array<string>} urls - Feed URLs
+ * @param {Object} options
+ * @param {string} options.query - Only items whose title or summary contain a query word (default: all)
+ * @param {number} options.since - Drop items dated before this epoch time in ms (default: none)
+ * @param {number} options.maxResults - Maximum items to return (default: 10)
+ * @returns {Promise<{items: FeedItem[], failures: Array<{url: string, error: string}>}>}
+ */
+export async function findFeedItems(urls, { query = '', since = 0, maxResults = 10 } = {}) {
+  if (!urls?.length) return { items: [], failures: [] };
+
+  const { feeds, failures } = await fetchFeeds(urls);
+  const terms = query.toLowerCase().split(/\W+/).filter(term => term.length > 2);
+  const seen = new Set();
+
+  const items = feeds
+    .flatMap(feed => feed.items.map(item => ({ ...item, feed: feed.title, feedUrl: feed.url })))
+    .filter(item => itemTime(item) >= since)
+    .map(item => {
+      const text = `${item.title} ${item.summary}`.toLowerCase();
+      return { item, score: terms.filter(term => text.includes(term)).length };
+    })
+    .filter(({ score }) => terms.length === 0 || score > 0)
+    .sort((a, b) => b.score - a.score || itemTime(b.item) - itemTime(a.item))
+    .map(({ item }) => item)
+    .filter(item => {
+      const key = item.url ? canonicalUrl(item.url) : item.id;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, maxResults)
+    .map(({ title, url, summary, published, firstSeen, feed, feedUrl }) => ({
+      title, url, summary, published, firstSeen, feed, feedUrl,
+    }));
+
+  return { items, failures };
+}
+
+export default {
+  findFeedItems,
+};
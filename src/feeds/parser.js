@@ -0,0 +1,100 @@
+/**
+ * Feed Parser
+ *
+ * Parses RSS 2.0, RSS 1.0 (RDF) and Atom documents into one item shape:
+ * { title, url, summary, published, id }. `published` is an ISO timestamp
+ * (pubDate, dc:date, published or updated) or null when the feed has none.
+ */
+
+import * as cheerio from 'cheerio';
+
+const MAX_SUMMARY_LENGTH = 1000;
+
+/**
+ * Parse a feed document
+ *
+ * @param {string} xml - Feed XML
+ * @returns {{title: string, link: string, items: Array<Object>}} Feed title, site link and items
+ * @throws {Error} code FEED_PARSE_ERROR if the document is not RSS or Atom
+ */
+export function parseFeed(xml) {
+  const $ = cheerio.load(xml, { xml: true });
+
+  if ($('feed').length > 0) {
+    return parseAtom($);
+  }
+  if ($('rss, rdf\\:RDF, RDF').length > 0) {
+    return parseRss($);
+  }
+
+  const error = new Error('Not an RSS or Atom feed');
+  error.code = 'FEED_PARSE_ERROR';
+  throw error;
+}
+
+function parseRss($) {
+  const items = $('item').toArray().map(node => {
+    const item = $(node);
+    const url = text(item, 'link') || item.find('guid[isPermaLink!="false"]').first().text().trim();
+    return {
+      title: text(item, 'title'),
+      url,
+      summary: summarize(text(item, 'description') || text(item, 'content\\:encoded')),
+      published: toIso(text(item, 'pubDate') || text(item, 'dc\\:date')),
+      id: text(item, 'guid') || url,
+    };
+  });
+
+  return {
+    title: $('channel > title').first().text().trim(),
+    link: $('channel > link').first().text().trim(),
+    items: items.filter(item => item.title || item.url),
+  };
+}
+
+function parseAtom($) {
+  const items = $('entry').toArray().map(node => {
+    const entry = $(node);
+    const url = atomLink($, entry);
+    return {
+      title: text(entry, 'title'),
+      url,
+      summary: summarize(text(entry, 'summary') || text(entry, 'content')),
+      published: toIso(text(entry, 'published') || text(entry, 'updated')),
+      id: text(entry, 'id') || url,
+    };
+  });
+
+  return {
+    title: $('feed > title').first().text().trim(),
+    link: atomLink($, $('feed').first()),
+    items: items.filter(item => item.title || item.url),
+  };
+}
+
+// Atom links are <link href rel>; the entry's page is rel="alternate" (the default)
+function atomLink($, node) {
+  const links = node.children('link').toArray().map(link => $(link));
+  const alternate = links.find(link => !link.attr('rel') || link.attr('rel') === 'alternate');
+  return (alternate || links[0])?.attr('href')?.trim() || '';
+}
+
+function text(node, selector) {
+  return node.children(selector).first().text().trim();
+}
+
+// Descriptions are often HTML; keep their text only
+function summarize(value) {
+  if (!value) return '';
+  const plain = /<[a-z][\s\S]*>/i.test(value) ? cheerio.load(value).text() : value;
+  return plain.replace(/\s+/g, ' ').trim().slice(0, MAX_SUMMARY_LENGTH);
+}
+
+function toIso(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+export default {
+  parseFeed,
+};
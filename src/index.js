@@ -9,12 +9,17 @@
 export { executeWorkflow, PodcastWorkflow } from './orchestrator/workflow.js';
 export { createUserContext, UserContext } from './orchestrator/user-context.js';
 export { ProgressTracker } from './orchestrator/progress-tracker.js';
+export { ProfileStore } from './orchestrator/profiles.js';
+export { Scheduler } from './orchestrator/scheduler.js';
+export { HistoryStore } from './orchestrator/history.js';
+export { RunBudget } from './orchestrator/budget.js';
 
 // Agents
 export {
   createChannelAgent,
   createCustomAgent,
   createChannelAgents,
+  registerChannel,
   getAllChannels,
   getChannel,
   hasChannel,
@@ -27,6 +32,7 @@ export {
   getSetting,
   getAllSettings,
   hasSetting,
+  parseSpeakerTurns,
 } from './synthesis/index.js';
 
 // Audio generation
@@ -34,15 +40,75 @@ export {
   generateAudio,
   AudioGenerator,
   getVoiceConfig,
+  getSpeakerVoiceConfig,
+  registerTtsProvider,
+  getTtsProviderNames,
 } from './audio/index.js';
 
+// Publishing
+export {
+  loadEpisodes,
+  rebuildFeed,
+  registerDeliveryTarget,
+} from './publish/index.js';
+
+// HTTP API
+export {
+  JobQueue,
+  createApiServer,
+} from './server/index.js';
+
+// Feeds
+export {
+  fetchFeed,
+  findFeedItems,
+} from './feeds/index.js';
+
+// HTTP cache
+export {
+  httpCache,
+  configureCache,
+} from './cache/index.js';
+
 // Tools
 export {
   search,
   scrape,
+  scrapeArticle,
+  extractArticle,
   getAllTools,
+  registerSearchProvider,
+  getSearchProviderNames,
 } from './tools/index.js';
 
+// LLM providers
+export {
+  createChatModel,
+  registerProvider,
+  getProviderNames,
+  collectTokenUsage,
+  countTokens,
+} from './llm/index.js';
+
+// Events
+export {
+  eventBus,
+  emitEvent,
+  runWithEventContext,
+  useJsonLinesOutput,
+  createConsoleSink,
+  createJsonLinesSink,
+  createRunLogSink,
+} from './events/index.js';
+
+// Tracing
+export {
+  tracer,
+  withSpan,
+  configureTracing,
+  shutdownTracing,
+} from './tracing/index.js';
+
 // Utilities
 export { default as config } from './config/config.js';
 export { default as logger } from './utils/logger.js';
@@ -0,0 +1,142 @@
+/**
+ * LLM Call Events
+ *
+ * A LangChain callback handler attached to every chat model from
+ * createChatModel. Each call is published on the event bus as llm:start,
+ * then llm:end (latency and token usage) or llm:error, labelled with the
+ * pipeline role, provider and model, and traced as an "llm <role>" span
+ * under the span that made the call.
+ *
+ * Usage the provider did not report is estimated with the local tokenizer
+ * (llm:end then has estimated: true), and every call's usage is counted
+ * towards the caller's collectTokenUsage().
+ */
+
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
+import { emitEvent, getEventContext } from '../events/bus.js';
+import { extractTokenUsage, estimateTokenUsage, recordTokenUsage } from './usage.js';
+import { tracer, SPAN_KINDS } from '../tracing/tracer.js';
+
+export class LlmEventHandler extends BaseCallbackHandler {
+  name = 'llm_events';
+
+  /**
+   * @param {Object} info - { role, provider, model }
+   */
+  constructor(info) {
+    super();
+    this.info = info;
+    // Handlers may run outside the caller's async context, so keep the run it was created for
+    this.context = getEventContext();
+    this.started = new Map();
+    this.inputs = new Map();
+    this.spans = new Map();
+    // Emit before invoke() returns so events are ordered and reach the run log
+    this.awaitHandlers = true;
+  }
+
+  handleChatModelStart(llm, messages, runId) {
+    this.inputs.set(runId, (messages?.[0] || []).map(message => messageText(message.content)));
+    this.start(runId, messages?.[0]?.length || 0);
+  }
+
+  handleLLMStart(llm, prompts, runId) {
+    this.inputs.set(runId, prompts || []);
+    this.start(runId, prompts?.length || 0);
+  }
+
+  async handleLLMEnd(output, runId) {
+    const latencyMs = this.elapsed(runId);
+    const messages = this.inputs.get(runId) || [];
+    this.inputs.delete(runId);
+
+    const tokenUsage = extractTokenUsage(output) || await estimateTokenUsage({
+      messages,
+      completion: (output.generations?.[0] || []).map(generation => generation.text || '').join(''),
+      model: this.info.model,
+    });
+    recordTokenUsage(tokenUsage);
+
+    emitEvent('llm:end', {
+      ...this.info,
+      latencyMs,
+      tokenUsage,
+      estimated: tokenUsage.estimatedTokens > 0,
+    }, this.context);
+
+    const span = this.takeSpan(runId);
+    span?.setAttributes({
+      'gen_ai.usage.input_tokens': tokenUsage.promptTokens,
+      'gen_ai.usage.output_tokens': tokenUsage.completionTokens,
+      'podcast.llm.usage_estimated': tokenUsage.estimatedTokens > 0,
+    });
+    span?.end();
+  }
+
+  handleLLMError(error, runId) {
+    this.inputs.delete(runId);
+    emitEvent('llm:error', {
+      ...this.info,
+      latencyMs: this.elapsed(runId),
+      error: error?.message || String(error),
+    }, this.context);
+
+    const span = this.takeSpan(runId);
+    span?.recordException(error);
+    span?.end();
+  }
+
+  start(runId, messages) {
+    this.started.set(runId, Date.now());
+    emitEvent('llm:start', { ...this.info, messages }, this.context);
+
+    // Handlers are awaited in the caller's async context, so the active span is the caller's
+    this.spans.set(runId, tracer.startSpan(`llm ${this.info.role}`, {
+      kind: SPAN_KINDS.CLIENT,
+      attributes: {
+        'podcast.llm.role': this.info.role,
+        'gen_ai.system': this.info.provider,
+        'gen_ai.request.model': this.info.model,
+        'gen_ai.request.messages': messages,
+      },
+    }));
+  }
+
+  takeSpan(runId) {
+    const span = this.spans.get(runId);
+    this.spans.delete(runId);
+    return span;
+  }
+
+  elapsed(runId) {
+    const started = this.started.get(runId);
+    this.started.delete(runId);
+    return started ? Date.now() - started : null;
+  }
+}
+
+// Message content is a string or a list of content blocks
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  return Array.isArray(content)
+    ? content.map(block => (typeof block === 'string' ? block : block?.text || '')).join('')
+    : '';
+}
+
+/**
+ * Attach an LlmEventHandler to a chat model
+ *
+ * @param {Object} model - LangChain chat model
+ * @param {Object} info - { role, provider, model }
+ * @returns {Object} The same model
+ */
+export function withLlmEvents(model, info) {
+  const existing = Array.isArray(model.callbacks) ? model.callbacks : [];
+  model.callbacks = [...existing, new LlmEventHandler(info)];
+  return model;
+}
+
+export default {
+  LlmEventHandler,
+  withLlmEvents,
+};
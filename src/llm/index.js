@@ -0,0 +1,66 @@
+/**
+ * LLM Module - Central export for chat model providers, token usage and call events
+ */
+
+import {
+  registerProvider,
+  getProviderNames,
+  resolveRole,
+  createChatModel,
+} from './providers.js';
+import {
+  emptyTokenUsage,
+  extractTokenUsage,
+  estimateTokenUsage,
+  addTokenUsage,
+  sumTokenUsage,
+  collectTokenUsage,
+  recordTokenUsage,
+} from './usage.js';
+import { encodingNameForModel, countTokens, countMessageTokens } from './tokenizer.js';
+import { LlmEventHandler, withLlmEvents } from './events.js';
+
+export {
+  // Providers
+  registerProvider,
+  getProviderNames,
+  resolveRole,
+  createChatModel,
+
+  // Token usage
+  emptyTokenUsage,
+  extractTokenUsage,
+  estimateTokenUsage,
+  addTokenUsage,
+  sumTokenUsage,
+  collectTokenUsage,
+  recordTokenUsage,
+
+  // Local tokenizer
+  encodingNameForModel,
+  countTokens,
+  countMessageTokens,
+
+  // Call events
+  LlmEventHandler,
+  withLlmEvents,
+};
+
+export default {
+  registerProvider,
+  getProviderNames,
+  resolveRole,
+  createChatModel,
+  emptyTokenUsage,
+  extractTokenUsage,
+  estimateTokenUsage,
+  addTokenUsage,
+  sumTokenUsage,
+  collectTokenUsage,
+  recordTokenUsage,
+  encodingNameForModel,
+  countTokens,
+  countMessageTokens,
+  LlmEventHandler,
+  withLlmEvents,
+};
@@ -0,0 +1,190 @@
+/**
+ * LLM Provider Registry
+ *
+ * Single place where chat models are constructed. Each pipeline role
+ * (agent, research, planner, writer, editor) selects a provider and model
+ * through config, so the whole pipeline can run against OpenAI, a local
+ * OpenAI-compatible server (llama.cpp, Ollama), Anthropic, or a scripted fake.
+ *
+ * Every provider returns a LangChain chat model, so ReAct agents and
+ * `llm.invoke()` callers work unchanged regardless of the backend.
+ */
+
+import fs from 'fs';
+import { ChatOpenAI } from '@langchain/openai';
+import { ChatAnthropic } from '@langchain/anthropic';
+import { FakeListChatModel } from '@langchain/core/utils/testing';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { fixtureStore, FixtureChatModel } from '../replay/index.js';
+import { withLlmEvents } from './events.js';
+
+const log = logger.child('LLM');
+
+const providers = new Map();
+
+/**
+ * Register an LLM provider
+ *
+ * @param {string} name - Provider name used in LLM_PROVIDER / LLM_<ROLE>_PROVIDER
+ * @param {Object} provider - Provider implementation
+ * @param {(role: string) => string} provider.defaultModel - Default model for a role
+ * @param {(options: Object) => Object} provider.create - Build a LangChain chat model
+ */
+export function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+/**
+ * Get names of all registered providers
+ *
+ * @returns {Array<string>} Provider names
+ */
+export function getProviderNames() {
+  return [...providers.keys()];
+}
+
+/**
+ * Resolve provider and model for a role
+ *
+ * @param {string} role - Pipeline role
+ * @returns {{provider: string, model: string}}
+ */
+export function resolveRole(role) {
+  const { provider: name, model } = config.getLLMRole(role);
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}" for role ${role}. Available: ${getProviderNames().join(', ')}`);
+  }
+
+  return { provider: name, model: model || provider.defaultModel(role) };
+}
+
+/**
+ * Create a chat model for a pipeline role
+ *
+ * @param {string} role - Pipeline role (agent, research, planner, writer, editor)
+ * @param {Object} options - Model options
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {boolean} options.json - Request JSON-only output where the provider supports it
+ * @param {string} options.model - Use this model instead of the role's configured one
+ * @returns {Object} LangChain chat model (calls are published as llm:* events)
+ */
+export function createChatModel(role, options = {}) {
+  // Replayed runs never touch a real provider, so no API keys are needed
+  if (fixtureStore.isReplaying) {
+    return withLlmEvents(new FixtureChatModel({ role }), { role, provider: 'fixture', model: 'replay' });
+  }
+
+  config.validateRequired();
+
+  const { provider: name, model: configured } = resolveRole(role);
+  const model = options.model || configured;
+
+  log.debug('Creating chat model', { role, provider: name, model });
+
+  const llm = providers.get(name).create({ role, ...options, model });
+  return withLlmEvents(
+    fixtureStore.isRecording ? new FixtureChatModel({ role, inner: llm }) : llm,
+    { role, provider: name, model }
+  );
+}
+
+// OpenAI
+registerProvider('openai', {
+  defaultModel: (role) => (role === 'agent' ? config.openaiModel : config.openaiSynthesisModel),
+  create: ({ model, temperature, timeout, json }) => new ChatOpenAI({
+    openAIApiKey: config.openaiApiKey,
+    modelName: model,
+    temperature,
+    timeout,
+    ...(json ? { modelKwargs: { response_format: { type: 'json_object' } } } : {}),
+  }),
+});
+
+// OpenAI-compatible local endpoint (llama.cpp server, Ollama, vLLM, ...)
+registerProvider('local', {
+  defaultModel: () => config.localLlmModel,
+  create: ({ model, temperature, timeout, json }) => new ChatOpenAI({
+    openAIApiKey: config.localLlmApiKey,
+    modelName: model,
+    temperature,
+    timeout,
+    configuration: { baseURL: config.localLlmBaseUrl },
+    ...(json ? { modelKwargs: { response_format: { type: 'json_object' } } } : {}),
+  }),
+});
+
+// Anthropic
+registerProvider('anthropic', {
+  defaultModel: () => config.anthropicModel,
+  create: ({ model, temperature, timeout }) => new ChatAnthropic({
+    anthropicApiKey: config.anthropicApiKey,
+    model,
+    temperature,
+    maxTokens: 4096,
+    clientOptions: timeout ? { timeout } : undefined,
+  }),
+});
+
+// Scripted fake for CI and offline runs
+registerProvider('fake', {
+  defaultModel: () => 'fake',
+  create: ({ role }) => new FakeListChatModel({ responses: loadFakeResponses(role) }),
+});
+
+/**
+ * Default fake responses per role. The planner response is valid plan JSON
+ * and the agent response satisfies the ReAct output parser. The factcheck
+ * response is a correction free of checkable claims, so a rewrite passes the
+ * second check.
+ */
+const DEFAULT_FAKE_RESPONSES = {
+  agent: ['Final Answer: No live research was performed. This is a scripted report from the fake LLM provider.'],
+  research: ['This is a scripted channel report from the fake LLM provider.'],
+  planner: [JSON.stringify({
+    overview: 'Scripted plan from the fake LLM provider.',
+    sections: [
+      { id: 'intro', title: 'Introduction', goal: 'Open the show', approx_words: 60, content_refs: [] },
+      { id: 'main', title: 'Main Topics', goal: 'Summarize key reports', approx_words: 200, content_refs: [] },
+      { id: 'closing', title: 'Closing', goal: 'Wrap up and sign off', approx_words: 60, content_refs: [] },
+    ],
+  })],
+  writer: ['This is a scripted section from the fake LLM provider.'],
+  editor: ['This is a scripted script from the fake LLM provider.'],
+  factcheck: ['This section was corrected by the fake provider to match the research.'],
+};
+
+/**
+ * Load scripted responses for a role.
+ *
+ * FAKE_LLM_RESPONSES may point at a JSON file containing either an array
+ * (shared by all roles) or an object keyed by role with an optional "default".
+ *
+ * @param {string} role - Pipeline role
+ * @returns {Array<string>} Responses, cycled in order
+ */
+function loadFakeResponses(role) {
+  const file = config.fakeLlmResponses;
+  if (!file) {
+    return DEFAULT_FAKE_RESPONSES[role] || DEFAULT_FAKE_RESPONSES.writer;
+  }
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const responses = Array.isArray(data) ? data : (data[role] || data.default);
+
+  if (!Array.isArray(responses) || responses.length === 0) {
+    throw new Error(`No fake LLM responses for role ${role} in ${file}`);
+  }
+
+  return responses.map(r => (typeof r === 'string' ? r : JSON.stringify(r)));
+}
+
+export default {
+  registerProvider,
+  getProviderNames,
+  resolveRole,
+  createChatModel,
+};
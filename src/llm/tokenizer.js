@@ -0,0 +1,84 @@
+/**
+ * Local Tokenizer
+ *
+ * Counts tokens without calling a provider, for calls whose response carries
+ * no usage (local servers, some proxies, streaming). OpenAI models are
+ * counted with their own BPE encoding; other models (Claude, Llama, ...) use
+ * cl100k_base, which is close enough for cost estimates. Encodings are loaded
+ * on first use; if one cannot be loaded, tokens are approximated from length.
+ */
+
+import { Tiktoken, getEncodingNameForModel } from 'js-tiktoken/lite';
+import logger from '../utils/logger.js';
+
+const log = logger.child('Tokenizer');
+
+const DEFAULT_ENCODING = 'cl100k_base';
+const CHARS_PER_TOKEN = 4;
+// Per-message overhead of the chat format (role and separators)
+const TOKENS_PER_MESSAGE = 4;
+
+const encodings = new Map();
+
+/**
+ * Name of the encoding used to count tokens for a model
+ *
+ * @param {string} model - Model name
+ * @returns {string} Encoding name
+ */
+export function encodingNameForModel(model) {
+  try {
+    return getEncodingNameForModel(model);
+  } catch {
+    // Unknown to tiktoken: newer OpenAI families share o200k_base
+    return /^(gpt-4\.1|gpt-4o|gpt-5|o\d)/.test(model || '') ? 'o200k_base' : DEFAULT_ENCODING;
+  }
+}
+
+async function loadEncoding(name) {
+  if (!encodings.has(name)) {
+    encodings.set(name, import(`js-tiktoken/ranks/${name}`)
+      .then(ranks => new Tiktoken(ranks.default))
+      .catch(error => {
+        log.warn('Tokenizer unavailable, approximating tokens from length', { encoding: name, error: error.message });
+        return null;
+      }));
+  }
+  return encodings.get(name);
+}
+
+/**
+ * Count the tokens of a text
+ *
+ * @param {string} text - Text
+ * @param {string} model - Model the text is sent to
+ * @returns {Promise<number>} Token count
+ */
+export async function countTokens(text, model) {
+  if (!text) return 0;
+  const encoding = await loadEncoding(encodingNameForModel(model));
+  return encoding
+    ? encoding.encode(text, 'all').length
+    : Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Count the tokens of a chat prompt
+ *
+ * @param {Array<string>} messages - Message contents
+ * @param {string} model - Model the messages are sent to
+ * @returns {Promise<number>} Token count including per-message overhead
+ */
+export async function countMessageTokens(messages, model) {
+  let total = 0;
+  for (const message of messages) {
+    total += TOKENS_PER_MESSAGE + await countTokens(message, model);
+  }
+  return total;
+}
+
+export default {
+  encodingNameForModel,
+  countTokens,
+  countMessageTokens,
+};
@@ -0,0 +1,148 @@
+/**
+ * Token Usage
+ *
+ * Normalizes token usage reported by different providers and LangChain
+ * result shapes into { promptTokens, completionTokens, totalTokens,
+ * estimatedTokens }. When a provider omits usage, the call is counted with
+ * the local tokenizer instead; estimatedTokens says how much of a total
+ * was estimated that way rather than reported.
+ *
+ * collectTokenUsage() gathers the usage of every chat model call made
+ * inside it (see LlmEventHandler), however deeply the calls are nested in
+ * agents or chains.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { countTokens, countMessageTokens } from './tokenizer.js';
+
+const activeCollector = new AsyncLocalStorage();
+
+/**
+ * Create an empty token usage object
+ *
+ * @returns {Object} Zeroed token usage
+ */
+export function emptyTokenUsage() {
+  return { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedTokens: 0 };
+}
+
+/**
+ * Normalize a raw usage object (OpenAI, Anthropic or LangChain naming)
+ *
+ * @param {Object} usage - Raw usage object
+ * @returns {Object} Normalized token usage
+ */
+function normalizeUsage(usage) {
+  const promptTokens = usage.promptTokens ?? usage.prompt_tokens ?? usage.input_tokens ?? 0;
+  const completionTokens = usage.completionTokens ?? usage.completion_tokens ?? usage.output_tokens ?? 0;
+  const totalTokens = usage.totalTokens ?? usage.total_tokens ?? (promptTokens + completionTokens);
+  return { promptTokens, completionTokens, totalTokens, estimatedTokens: 0 };
+}
+
+/**
+ * Extract token usage from a chat model response
+ *
+ * Accepts either a message returned by `llm.invoke()` or the LLMResult
+ * passed to callback handlers (`handleLLMEnd`).
+ *
+ * @param {Object} output - AIMessage or LLMResult
+ * @returns {Object|null} Normalized token usage, or null if the provider omitted it
+ */
+export function extractTokenUsage(output) {
+  if (!output || typeof output !== 'object') return null;
+
+  const generation = output.generations?.[0]?.[0];
+  const usage = output.usage_metadata ||
+                output.response_metadata?.tokenUsage ||
+                output.response_metadata?.usage ||
+                output.llmOutput?.tokenUsage ||
+                output.llmOutput?.usage ||
+                output.llmOutput?.estimatedTokenUsage ||
+                generation?.message?.usage_metadata ||
+                generation?.generationInfo?.usage;
+
+  return usage ? normalizeUsage(usage) : null;
+}
+
+/**
+ * Estimate the usage of a call with the local tokenizer
+ *
+ * @param {Object} call
+ * @param {Array<string>} call.messages - Prompt message contents
+ * @param {string} call.completion - Generated text
+ * @param {string} call.model - Model name (selects the encoding)
+ * @returns {Promise<Object>} Token usage, all of it estimated
+ */
+export async function estimateTokenUsage({ messages = [], completion = '', model }) {
+  const promptTokens = await countMessageTokens(messages, model);
+  const completionTokens = await countTokens(completion, model);
+  const totalTokens = promptTokens + completionTokens;
+  return { promptTokens, completionTokens, totalTokens, estimatedTokens: totalTokens };
+}
+
+/**
+ * Add token usage into a running total (mutates target)
+ *
+ * @param {Object} target - Running total
+ * @param {Object|null} usage - Usage to add
+ * @returns {Object} The updated target
+ */
+export function addTokenUsage(target, usage) {
+  if (!usage) return target;
+  target.promptTokens += usage.promptTokens || 0;
+  target.completionTokens += usage.completionTokens || 0;
+  target.totalTokens += usage.totalTokens || 0;
+  target.estimatedTokens = (target.estimatedTokens || 0) + (usage.estimatedTokens || 0);
+  return target;
+}
+
+/**
+ * Sum several usages into a new total
+ *
+ * @param {Array<Object|null>} usages - Usages (null entries are skipped)
+ * @returns {Object} Total usage
+ */
+export function sumTokenUsage(usages) {
+  return usages.reduce((total, usage) => addTokenUsage(total, usage), emptyTokenUsage());
+}
+
+/**
+ * Run fn and total the usage of every chat model call it makes. Only the
+ * innermost collector counts a call, so nested collectors never double count.
+ * If fn throws, the usage so far is attached to the error as error.tokenUsage.
+ *
+ * @param {Function} fn - Work that calls chat models
+ * @returns {Promise<{result: *, tokenUsage: Object}>} fn's result and its usage
+ */
+export async function collectTokenUsage(fn) {
+  const tokenUsage = emptyTokenUsage();
+  try {
+    const result = await activeCollector.run(tokenUsage, fn);
+    return { result, tokenUsage };
+  } catch (error) {
+    if (error && typeof error === 'object' && !error.tokenUsage) {
+      error.tokenUsage = tokenUsage;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Count a completed call towards the active collector, if any
+ *
+ * @param {Object} usage - Usage of one call
+ */
+export function recordTokenUsage(usage) {
+  const collector = activeCollector.getStore();
+  if (collector) addTokenUsage(collector, usage);
+}
+
+export default {
+  emptyTokenUsage,
+  extractTokenUsage,
+  estimateTokenUsage,
+  addTokenUsage,
+  sumTokenUsage,
+  collectTokenUsage,
+  recordTokenUsage,
+};
@@ -0,0 +1,295 @@
+/**
+ * Run Budget
+ *
+ * Caps what one run may spend, in dollars (--max-cost) and/or tokens
+ * (--max-tokens). Spending is counted live from the run's llm:end events,
+ * so every agent, planner, writer and fact-check call counts as soon as it
+ * completes.
+ *
+ * Once spending reaches BUDGET_WARN_AT of a cap, the workflow applies the
+ * run's policies at its next step:
+ *
+ *   downgrade    - planner, writer and fact-check switch to the cheaper model
+ *   shorten      - remaining sections are written at half their planned length
+ *   skip_custom  - the custom request agent is skipped
+ *   abort        - once a cap is reached, stop before the next LLM step; finished
+ *                  stages stay checkpointed and the partial script is saved
+ */
+
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { eventBus, emitEvent, getEventContext } from '../events/bus.js';
+import { calculateCost } from '../utils/token-cost.js';
+import { resolveRole } from '../llm/index.js';
+
+const log = logger.child('Budget');
+
+export const BUDGET_POLICIES = ['downgrade', 'shorten', 'skip_custom', 'abort'];
+
+// Calls that cost nothing: local models, the scripted fake and replayed fixtures
+const FREE_PROVIDERS = new Set(['local', 'fake', 'fixture']);
+
+const SHORTEN_FACTOR = 0.5;
+const MIN_SECTION_WORDS = 40;
+
+/**
+ * Parse a comma-separated policy list
+ *
+ * @param {string|Array<string>} value - Policies
+ * @returns {{policies: string[], unknown: string[]}}
+ */
+export function parseBudgetPolicies(value) {
+  const policies = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(policy => policy.trim())
+    .filter(Boolean);
+  return {
+    policies: policies.filter(policy => BUDGET_POLICIES.includes(policy)),
+    unknown: policies.filter(policy => !BUDGET_POLICIES.includes(policy)),
+  };
+}
+
+/**
+ * Validate budget options as given on the command line, in a profile or a job request
+ *
+ * @param {Object} options - { maxCost, maxTokens, budgetPolicy }
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateBudgetOptions({ maxCost, maxTokens, budgetPolicy } = {}) {
+  const errors = [];
+  if (maxCost !== undefined && maxCost !== null && !(Number(maxCost) > 0)) {
+    errors.push('Max cost must be a positive number of dollars');
+  }
+  if (maxTokens !== undefined && maxTokens !== null && !(Number.isInteger(Number(maxTokens)) && Number(maxTokens) > 0)) {
+    errors.push('Max tokens must be a positive whole number');
+  }
+  if (budgetPolicy) {
+    const { unknown } = parseBudgetPolicies(budgetPolicy);
+    if (unknown.length > 0) {
+      errors.push(`Unknown budget policy: ${unknown.join(', ')}. Available: ${BUDGET_POLICIES.join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+export class RunBudget {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxCost - Dollar cap (default: BUDGET_MAX_COST; none if unset)
+   * @param {number} options.maxTokens - Token cap (default: BUDGET_MAX_TOKENS; none if unset)
+   * @param {string|string[]} options.policies - Policies (default: BUDGET_POLICY)
+   * @param {number} options.warnAt - Fraction of a cap at which policies apply (default: BUDGET_WARN_AT)
+   * @param {string} options.downgradeModel - Model for downgraded synthesis calls
+   *   (default: BUDGET_DOWNGRADE_MODEL, else the agent role's model on the same provider)
+   */
+  constructor(options = {}) {
+    this.maxCost = options.maxCost ?? config.budgetMaxCost;
+    this.maxTokens = options.maxTokens ?? config.budgetMaxTokens;
+    this.policies = parseBudgetPolicies(options.policies ?? config.budgetPolicies).policies;
+    this.warnAt = options.warnAt ?? config.budgetWarnAt;
+    this.downgradeModel = options.downgradeModel ?? config.budgetDowngradeModel;
+
+    this.spent = { cost: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedTokens: 0, calls: 0, unmetered: 0 };
+    this.byRole = {};
+    this.actions = [];
+    this.status = 'ok';
+  }
+
+  /**
+   * Whether a cap is set at all
+   */
+  get limited() {
+    return this.maxCost !== null || this.maxTokens !== null;
+  }
+
+  /**
+   * Count the LLM calls of one run as they complete
+   *
+   * @param {Object} options
+   * @param {string} options.runId - Only calls of this run (default: the current event context's run)
+   * @returns {Function} Stop tracking
+   */
+  track({ runId = getEventContext()?.runId } = {}) {
+    return eventBus.subscribe(event => {
+      if (event.type !== 'llm:end' || (runId && event.runId !== runId)) return;
+      this.record(event);
+    });
+  }
+
+  /**
+   * Add one completed call
+   *
+   * @param {Object} call - { role, provider, model, tokenUsage }
+   */
+  record({ role, provider, model, tokenUsage }) {
+    this.spent.calls++;
+    if (!tokenUsage) {
+      // Provider did not report usage; the call cannot be charged
+      this.spent.unmetered++;
+      return;
+    }
+
+    const cost = FREE_PROVIDERS.has(provider) ? 0 : calculateCost(tokenUsage, model || '').totalCost;
+    this.spent.cost += cost;
+    this.spent.promptTokens += tokenUsage.promptTokens || 0;
+    this.spent.completionTokens += tokenUsage.completionTokens || 0;
+    this.spent.totalTokens += tokenUsage.totalTokens || 0;
+    // Counted with the local tokenizer because the provider reported no usage
+    this.spent.estimatedTokens += tokenUsage.estimatedTokens || 0;
+
+    const entry = this.byRole[role] ||= { calls: 0, totalTokens: 0, cost: 0 };
+    entry.calls++;
+    entry.totalTokens += tokenUsage.totalTokens || 0;
+    entry.cost += cost;
+
+    this.updateStatus();
+  }
+
+  /**
+   * Largest fraction used of either cap (0 when unlimited)
+   */
+  get ratio() {
+    return Math.max(
+      this.maxCost ? this.spent.cost / this.maxCost : 0,
+      this.maxTokens ? this.spent.totalTokens / this.maxTokens : 0
+    );
+  }
+
+  updateStatus() {
+    if (!this.limited) return;
+    const status = this.ratio >= 1 ? 'exceeded' : this.ratio >= this.warnAt ? 'approaching' : 'ok';
+    if (status === this.status) return;
+
+    this.status = status;
+    const summary = this.summary();
+    log.warn(status === 'exceeded' ? 'Budget exceeded' : 'Budget nearly spent', summary);
+    emitEvent(`budget:${status}`, summary);
+  }
+
+  /**
+   * Whether a policy is in force now
+   */
+  applies(policy) {
+    return this.status !== 'ok' && this.policies.includes(policy);
+  }
+
+  /**
+   * Model to use for a synthesis role instead of the configured one
+   *
+   * @param {string} role - planner, writer or factcheck
+   * @returns {string|null} Cheaper model, or null to keep the configured one
+   */
+  synthesisModel(role) {
+    if (!this.applies('downgrade')) return null;
+
+    const current = resolveRole(role);
+    const agent = resolveRole('agent');
+    const model = this.downgradeModel || (agent.provider === current.provider ? agent.model : null);
+    if (!model || model === current.model) return null;
+
+    this.act('downgrade', { role, from: current.model, to: model }, `downgrade:${role}`);
+    return model;
+  }
+
+  /**
+   * Target length for a section about to be written
+   *
+   * @param {Object} section - Plan section
+   * @returns {number} approx_words to ask for
+   */
+  sectionWords(section) {
+    const planned = section.approx_words;
+    if (!this.applies('shorten') || !planned) return planned;
+
+    const words = Math.max(MIN_SECTION_WORDS, Math.round(planned * SHORTEN_FACTOR));
+    if (words >= planned) return planned;
+
+    this.act('shorten', { section: section.id, from: planned, to: words });
+    return words;
+  }
+
+  /**
+   * Whether the custom request agent should be skipped
+   */
+  skipCustomAgent() {
+    if (!this.applies('skip_custom')) return false;
+    this.act('skip_custom', {});
+    return true;
+  }
+
+  /**
+   * Whether the run must stop before its next LLM step
+   */
+  shouldAbort() {
+    return this.status === 'exceeded' && this.policies.includes('abort');
+  }
+
+  /**
+   * Stop the run: records the action and throws a BUDGET_EXCEEDED error
+   *
+   * @param {string} step - Step that was about to run
+   */
+  abort(step) {
+    this.act('abort', { step });
+    const error = new Error(`Budget exceeded before ${step}: ${describeSpend(this)}`);
+    error.code = 'BUDGET_EXCEEDED';
+    error.budget = this.getState();
+    throw error;
+  }
+
+  /**
+   * Record a policy action (once per key)
+   */
+  act(action, details, key = `${action}:${details.section || ''}`) {
+    if (this.actions.some(entry => entry.key === key)) return;
+    const entry = { key, action, ...details, ratio: round(this.ratio, 3), at: new Date().toISOString() };
+    this.actions.push(entry);
+    log.warn(`Budget policy: ${action}`, details);
+    emitEvent('budget:action', { action, ...details, ratio: entry.ratio });
+  }
+
+  summary() {
+    return {
+      status: this.status,
+      spent: describeSpend(this),
+      ratio: round(this.ratio, 3),
+    };
+  }
+
+  /**
+   * Budget state for metadata.budget
+   */
+  getState() {
+    return {
+      maxCost: this.maxCost,
+      maxTokens: this.maxTokens,
+      warnAt: this.warnAt,
+      policies: this.policies,
+      status: this.status,
+      ratio: round(this.ratio, 3),
+      spent: { ...this.spent, cost: round(this.spent.cost, 6) },
+      byRole: Object.fromEntries(Object.entries(this.byRole).map(([role, entry]) => [
+        role,
+        { ...entry, cost: round(entry.cost, 6) },
+      ])),
+      actions: this.actions.map(({ key, ...entry }) => entry),
+    };
+  }
+}
+
+function describeSpend(budget) {
+  const parts = [];
+  if (budget.maxCost !== null) parts.push(`$${budget.spent.cost.toFixed(4)} of $${budget.maxCost}`);
+  if (budget.maxTokens !== null) parts.push(`${budget.spent.totalTokens} of ${budget.maxTokens} tokens`);
+  return parts.join(', ') || 'unlimited';
+}
+
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+export default {
+  BUDGET_POLICIES,
+  parseBudgetPolicies,
+  validateBudgetOptions,
+  RunBudget,
+};
@@ -0,0 +1,204 @@
+/**
+ * Run Checkpoints
+ *
+ * Persists the output of every workflow stage into the run's output directory
+ * so an interrupted run can be resumed at the first incomplete stage or section
+ * instead of paying for all channel research again.
+ *
+ * Layout (under <runDir>/checkpoints):
+ *   context.json              - user context the run was started with
+ *   channels/<channelId>.json - one report per channel, written as each completes
+ *   custom-report.json        - custom agent report
+ *   plan.json                 - planner output ({ plan, raw, tokenUsage })
+ *   sections/<nn>-<id>.json   - each written section ({ id, text, turns?, tokenUsage })
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+const log = logger.child('Checkpoint');
+
+const CHECKPOINT_DIR = 'checkpoints';
+
+export class RunCheckpoint {
+  /**
+   * Create a checkpoint store for a run directory
+   *
+   * @param {string} runDir - Output directory of the run
+   */
+  constructor(runDir) {
+    this.runDir = runDir;
+    this.dir = path.join(runDir, CHECKPOINT_DIR);
+  }
+
+  /**
+   * Save the user context the run was started with
+   *
+   * @param {Object} context - Result of UserContext.getContext()
+   */
+  async saveContext(context) {
+    await this.writeJson('context.json', context);
+  }
+
+  /**
+   * Load the saved user context
+   *
+   * @returns {Promise<Object|null>} Saved context or null
+   */
+  async loadContext() {
+    return this.readJson('context.json');
+  }
+
+  /**
+   * Save a single channel report
+   *
+   * @param {Object} result - Channel agent result
+   */
+  async saveChannelReport(result) {
+    await this.writeJson(path.join('channels', `${safeName(result.channelId)}.json`), result);
+  }
+
+  /**
+   * Load all saved channel reports
+   *
+   * @returns {Promise<Object>} Map of channelId → report
+   */
+  async loadChannelReports() {
+    const reports = {};
+    let files = [];
+    try {
+      files = await fs.readdir(path.join(this.dir, 'channels'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const report = await this.readJson(path.join('channels', file));
+      if (report?.channelId) {
+        reports[report.channelId] = report;
+      }
+    }
+    return reports;
+  }
+
+  /**
+   * Save the custom agent report
+   *
+   * @param {Object} report - Custom agent result
+   */
+  async saveCustomReport(report) {
+    await this.writeJson('custom-report.json', report);
+  }
+
+  /**
+   * Load the custom agent report
+   *
+   * @returns {Promise<Object|null>} Saved report or null
+   */
+  async loadCustomReport() {
+    return this.readJson('custom-report.json');
+  }
+
+  /**
+   * Save planner output
+   *
+   * @param {Object} planResult - { plan, raw, tokenUsage }
+   */
+  async savePlan(planResult) {
+    await this.writeJson('plan.json', planResult);
+  }
+
+  /**
+   * Load planner output
+   *
+   * @returns {Promise<Object|null>} Saved plan result or null
+   */
+  async loadPlan() {
+    return this.readJson('plan.json');
+  }
+
+  /**
+   * Save a written section
+   *
+   * @param {number} index - Position of the section in plan.sections
+   * @param {Object} section - Section object from the plan
+   * @param {Object} written - { text, tokenUsage, turns? }
+   */
+  async saveSection(index, section, written) {
+    await this.writeJson(sectionFile(index, section), {
+      id: section.id,
+      text: written.text,
+      ...(written.turns ? { turns: written.turns } : {}),
+      sources: written.sources || [],
+      ...(written.factCheck ? { factCheck: written.factCheck } : {}),
+      tokenUsage: written.tokenUsage,
+    });
+  }
+
+  /**
+   * Load a written section
+   *
+   * @param {number} index - Position of the section in plan.sections
+   * @param {Object} section - Section object from the plan
+   * @returns {Promise<Object|null>} Saved section or null
+   */
+  async loadSection(index, section) {
+    return this.readJson(sectionFile(index, section));
+  }
+
+  /**
+   * Write a JSON file atomically (temp file + rename)
+   */
+  async writeJson(relativePath, data) {
+    const filePath = path.join(this.dir, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, filePath);
+    log.debug('Checkpoint saved', { file: relativePath });
+  }
+
+  /**
+   * Read a JSON file, returning null when it does not exist
+   */
+  async readJson(relativePath) {
+    try {
+      const raw = await fs.readFile(path.join(this.dir, relativePath), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+function safeName(value) {
+  return String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function sectionFile(index, section) {
+  return path.join('sections', `${String(index + 1).padStart(2, '0')}-${safeName(section.id)}.json`);
+}
+
+/**
+ * Open the checkpoints of an existing run for resuming
+ *
+ * @param {string} runDir - Output directory of a previous run
+ * @returns {Promise<RunCheckpoint>} Checkpoint store
+ */
+export async function openCheckpoint(runDir) {
+  const checkpoint = new RunCheckpoint(runDir);
+  const context = await checkpoint.loadContext();
+
+  if (!context) {
+    throw new Error(`No checkpoint found in ${runDir}. Only runs started with checkpointing can be resumed.`);
+  }
+
+  return checkpoint;
+}
+
+export default {
+  RunCheckpoint,
+  openCheckpoint,
+};
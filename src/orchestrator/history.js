@@ -0,0 +1,220 @@
+/**
+ * Episode History
+ *
+ * Remembers what earlier episodes covered so a multi-day story is updated
+ * instead of re-explained. Each finished episode appends one entry per
+ * profile to HISTORY_DIR/<profile>.jsonl (runs without a profile use
+ * "default"):
+ *
+ *   { episodeId, date, stories: [{ sectionId, title, goal, coverage, channels, urls, facts }] }
+ *
+ * A short "previously covered" digest of recent entries is given to channel
+ * research, the planner (which marks sections as new or updates) and the
+ * section writer.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { extractClaims } from '../synthesis/fact-checker.js';
+
+const log = logger.child('History');
+
+export const DEFAULT_HISTORY_KEY = 'default';
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Framing sections carry no story of their own
+const FRAMING_SECTION = /^(intro|opening|closing|outro|wrap)/i;
+
+const MAX_FACTS_PER_STORY = 8;
+const MAX_DIGEST_STORIES = 15;
+
+/**
+ * Build the stories of a finished episode from its script sections
+ *
+ * @param {Object} params
+ * @param {Object} params.plan - Planner output (sections with goal and coverage)
+ * @param {Array<Object>} params.sections - Script sections { id, title, text, sources }
+ * @param {Array<Object>} params.sources - Indexed sources (see buildSourceIndex)
+ * @returns {Array<Object>} Stories
+ */
+export function buildStories({ plan, sections = [], sources = [] }) {
+  const planned = new Map((plan?.sections || []).map(section => [section.id, section]));
+  const byId = new Map(sources.map(source => [source.id, source]));
+
+  return sections
+    .filter(section => !FRAMING_SECTION.test(section.id))
+    .map(section => {
+      const cited = (section.sources || []).map(id => byId.get(id)).filter(source => source && !source.fallback);
+      const facts = extractClaims(section.text).flatMap(claim => claim.facts.map(fact => fact.value));
+      return {
+        sectionId: section.id,
+        title: section.title,
+        goal: planned.get(section.id)?.goal || '',
+        coverage: planned.get(section.id)?.coverage === 'update' ? 'update' : 'new',
+        channels: [...new Set(cited.flatMap(source => source.channels || []))],
+        urls: [...new Set(cited.map(source => source.url).filter(Boolean))],
+        facts: [...new Set(facts)].slice(0, MAX_FACTS_PER_STORY),
+      };
+    });
+}
+
+/**
+ * Render recent coverage for a prompt, newest first
+ *
+ * @param {Array<Object>} entries - History entries
+ * @param {Object} options
+ * @param {string} options.channelId - Only stories from this channel (and stories without a channel)
+ * @returns {string} One line per story, or '' if nothing was covered
+ */
+export function formatHistoryDigest(entries = [], { channelId = null } = {}) {
+  const lines = [];
+
+  for (const entry of [...entries].reverse()) {
+    for (const story of entry.stories || []) {
+      if (channelId && story.channels?.length > 0 && !story.channels.includes(channelId)) continue;
+      const facts = story.facts?.length > 0 ? ` | facts: ${story.facts.join(', ')}` : '';
+      const urls = story.urls?.length > 0 ? ` | ${story.urls.join(' ')}` : '';
+      lines.push(`- ${String(entry.date).slice(0, 10)}: ${story.title}${story.goal ? ` (${story.goal})` : ''}${facts}${urls}`);
+      if (lines.length >= MAX_DIGEST_STORIES) return lines.join('\n');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * URLs covered by recent episodes
+ *
+ * @param {Array<Object>} entries - History entries
+ * @returns {Set<string>} Covered URLs
+ */
+export function coveredUrls(entries = []) {
+  return new Set(entries.flatMap(entry => (entry.stories || []).flatMap(story => story.urls || [])));
+}
+
+export class HistoryStore {
+  /**
+   * @param {string} key - Profile name (default: "default")
+   * @param {string} dir - History directory (default: HISTORY_DIR)
+   */
+  constructor(key = DEFAULT_HISTORY_KEY, dir = config.historyDir) {
+    if (!KEY_PATTERN.test(String(key))) {
+      throw new Error(`Invalid history key: ${key}`);
+    }
+    this.key = key;
+    this.dir = dir;
+    this.file = path.join(dir, `${key}.jsonl`);
+  }
+
+  /**
+   * Read all entries, oldest first
+   *
+   * @returns {Promise<Array<Object>>} History entries
+   */
+  async list() {
+    let text = '';
+    try {
+      text = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const entries = [];
+    for (const line of text.split('\n').filter(Boolean)) {
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Skip a line cut short by a crash
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Entries from the last days, excluding one episode (e.g. the run being resumed)
+   *
+   * @param {Object} options
+   * @param {number} options.days - Window in days (default: HISTORY_DAYS)
+   * @param {string} options.excludeEpisode - Episode id to leave out
+   * @returns {Promise<Array<Object>>} Recent entries, oldest first
+   */
+  async getRecent({ days = config.historyDays, excludeEpisode = null } = {}) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    return (await this.list()).filter(entry =>
+      Date.parse(entry.date) >= since && entry.episodeId !== excludeEpisode
+    );
+  }
+
+  /**
+   * Record an episode; an entry for the same episode id is replaced
+   *
+   * @param {Object} entry - { episodeId, date, stories }
+   */
+  async record(entry) {
+    const entries = (await this.list()).filter(existing => existing.episodeId !== entry.episodeId);
+    entries.push(entry);
+    await this.write(entries);
+    log.info('Episode coverage recorded', { key: this.key, episodeId: entry.episodeId, stories: entry.stories.length });
+  }
+
+  /**
+   * Remove old entries
+   *
+   * @param {Object} options
+   * @param {number} options.olderThanDays - Drop entries older than this many days
+   * @param {number} options.keep - Keep only the newest N entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune({ olderThanDays = null, keep = null } = {}) {
+    const entries = await this.list();
+    let kept = entries;
+
+    if (olderThanDays !== null) {
+      const since = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+      kept = kept.filter(entry => Date.parse(entry.date) >= since);
+    }
+    if (keep !== null) {
+      kept = kept.slice(Math.max(0, kept.length - keep));
+    }
+
+    if (kept.length !== entries.length) {
+      await this.write(kept);
+    }
+    return entries.length - kept.length;
+  }
+
+  async write(entries) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const temp = `${this.file}.tmp`;
+    await fs.writeFile(temp, entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : ''));
+    await fs.rename(temp, this.file);
+  }
+}
+
+/**
+ * List the history keys (profiles) that have recorded coverage
+ *
+ * @param {string} dir - History directory (default: HISTORY_DIR)
+ * @returns {Promise<Array<string>>} Keys
+ */
+export async function listHistoryKeys(dir = config.historyDir) {
+  try {
+    const files = await fs.readdir(dir);
+    return files.filter(file => file.endsWith('.jsonl')).map(file => path.basename(file, '.jsonl')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+export default {
+  DEFAULT_HISTORY_KEY,
+  HistoryStore,
+  buildStories,
+  formatHistoryDigest,
+  coveredUrls,
+  listHistoryKeys,
+};
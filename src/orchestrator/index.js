@@ -5,6 +5,10 @@
 import { PodcastWorkflow, executeWorkflow } from './workflow.js';
 import { ProgressTracker } from './progress-tracker.js';
 import { UserContext, createUserContext } from './user-context.js';
+import { ProfileStore, profileToOptions } from './profiles.js';
+import { Scheduler } from './scheduler.js';
+import { HistoryStore } from './history.js';
+import { RunBudget, BUDGET_POLICIES } from './budget.js';
 
 export {
   // Workflow
@@ -17,6 +21,18 @@ export {
   // User context
   UserContext,
   createUserContext,
+
+  // Profiles and scheduling
+  ProfileStore,
+  profileToOptions,
+  Scheduler,
+
+  // Episode history
+  HistoryStore,
+
+  // Run budget
+  RunBudget,
+  BUDGET_POLICIES,
 };
 
 export default {
@@ -25,5 +41,11 @@ export default {
   ProgressTracker,
   UserContext,
   createUserContext,
+  ProfileStore,
+  profileToOptions,
+  Scheduler,
+  HistoryStore,
+  RunBudget,
+  BUDGET_POLICIES,
 };
 
@@ -0,0 +1,268 @@
+/**
+ * Listener Profiles
+ *
+ * A profile is a named, saved user context: what to cover, how it sounds,
+ * when it is generated and where the episode is delivered. Profiles are JSON
+ * files in PROFILES_DIR (default ./profiles); the outcome of every scheduled
+ * run is appended to runs/<name>.jsonl next to them.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { createUserContext } from './user-context.js';
+import { hasChannel } from '../agents/channel-registry.js';
+import { getTtsProviderNames } from '../audio/tts-providers.js';
+import { hasFactCheckPolicy, FACT_CHECK_POLICIES } from '../synthesis/fact-checker.js';
+import { hasDeliveryTarget, getDeliveryTargetNames } from '../publish/delivery.js';
+import { isValidCron } from '../utils/cron.js';
+import { validateBudgetOptions } from './budget.js';
+
+const log = logger.child('Profiles');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Default values for every profile field
+ */
+export const PROFILE_DEFAULTS = {
+  channels: [],
+  customRequests: [],
+  setting: 'morning_routine',
+  duration: 5,
+  format: 'monologue',
+  deterministic: false,
+  audio: false,
+  tts: null,
+  voice: null,
+  factCheck: null,
+  maxCost: null,
+  maxTokens: null,
+  budgetPolicy: null,
+  schedule: null,
+  delivery: [],
+};
+
+/**
+ * Fill in defaults and drop unknown fields
+ *
+ * @param {Object} profile - Profile data
+ * @returns {Object} Normalized profile
+ */
+export function normalizeProfile(profile = {}) {
+  const normalized = { name: profile.name };
+  for (const [key, fallback] of Object.entries(PROFILE_DEFAULTS)) {
+    normalized[key] = profile[key] ?? fallback;
+  }
+  return normalized;
+}
+
+/**
+ * Validate a profile
+ *
+ * @param {Object} profile - Normalized profile
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateProfile(profile) {
+  const errors = [];
+
+  if (!profile.name || !NAME_PATTERN.test(profile.name)) {
+    errors.push('Profile name must use letters, digits, "-" or "_"');
+  }
+
+  for (const channel of profile.channels) {
+    if (!hasChannel(channel)) errors.push(`Unknown channel: ${channel}`);
+  }
+
+  errors.push(...createUserContext(profile).getValidationErrors());
+
+  if (profile.tts && !getTtsProviderNames().includes(profile.tts)) {
+    errors.push(`Unknown TTS provider: ${profile.tts}`);
+  }
+  if (profile.factCheck && !hasFactCheckPolicy(profile.factCheck)) {
+    errors.push(`Fact-check policy must be one of: ${FACT_CHECK_POLICIES.join(', ')}`);
+  }
+  errors.push(...validateBudgetOptions(profile));
+  if (profile.schedule && !isValidCron(profile.schedule)) {
+    errors.push(`Invalid cron schedule: ${profile.schedule}`);
+  }
+
+  for (const target of profile.delivery) {
+    if (!hasDeliveryTarget(target?.type)) {
+      errors.push(`Unknown delivery target: ${target?.type}. Available: ${getDeliveryTargetNames().join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a profile into generate command options
+ *
+ * @param {Object} profile - Normalized profile
+ * @returns {Object} Options for runGeneration
+ */
+export function profileToOptions(profile) {
+  return {
+    channels: profile.channels,
+    requests: profile.customRequests,
+    setting: profile.setting,
+    duration: profile.duration,
+    format: profile.format,
+    deterministic: profile.deterministic,
+    audio: profile.audio,
+    tts: profile.tts || undefined,
+    voice: profile.voice || undefined,
+    factCheck: profile.factCheck || undefined,
+    maxCost: profile.maxCost ?? undefined,
+    maxTokens: profile.maxTokens ?? undefined,
+    budgetPolicy: profile.budgetPolicy || undefined,
+    historyKey: profile.name,
+  };
+}
+
+export class ProfileStore {
+  /**
+   * @param {string} dir - Profiles directory (default: PROFILES_DIR)
+   */
+  constructor(dir = config.profilesDir) {
+    this.dir = dir;
+  }
+
+  /**
+   * List all saved profiles
+   *
+   * @returns {Promise<Array<Object>>} Normalized profiles sorted by name
+   */
+  async list() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const profiles = [];
+    for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+      try {
+        profiles.push(await this.get(path.basename(file, '.json')));
+      } catch (error) {
+        log.warn(`Skipping unreadable profile ${file}`, { error: error.message });
+      }
+    }
+    return profiles.filter(Boolean);
+  }
+
+  /**
+   * Load a profile
+   *
+   * @param {string} name - Profile name
+   * @returns {Promise<Object|null>} Normalized profile or null if it does not exist
+   */
+  async get(name) {
+    try {
+      const data = JSON.parse(await fs.readFile(this.profilePath(name), 'utf8'));
+      return normalizeProfile({ ...data, name });
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and save a profile
+   *
+   * @param {Object} profile - Profile data
+   * @returns {Promise<Object>} Saved profile
+   * @throws {Error} With code INVALID_PROFILE and `errors` if validation fails
+   */
+  async save(profile) {
+    const normalized = normalizeProfile(profile);
+    const errors = validateProfile(normalized);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid profile ${normalized.name}: ${errors.join('; ')}`);
+      error.code = 'INVALID_PROFILE';
+      error.errors = errors;
+      throw error;
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.profilePath(normalized.name), JSON.stringify(normalized, null, 2));
+    log.info('Profile saved', { name: normalized.name });
+    return normalized;
+  }
+
+  /**
+   * Delete a profile (its run log is kept)
+   *
+   * @param {string} name - Profile name
+   * @returns {Promise<boolean>} True if a profile was deleted
+   */
+  async remove(name) {
+    try {
+      await fs.unlink(this.profilePath(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Append the outcome of a run to the profile's run log
+   *
+   * @param {string} name - Profile name
+   * @param {Object} record - Run record
+   */
+  async recordRun(name, record) {
+    const file = this.runLogPath(name);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify(record) + '\n');
+  }
+
+  /**
+   * Read the most recent run records of a profile
+   *
+   * @param {string} name - Profile name
+   * @param {number} limit - Maximum number of records
+   * @returns {Promise<Array<Object>>} Run records, oldest first
+   */
+  async getRuns(name, limit = 20) {
+    let text = '';
+    try {
+      text = await fs.readFile(this.runLogPath(name), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const records = [];
+    for (const line of text.split('\n').filter(Boolean)) {
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Skip a line cut short by a crash
+      }
+    }
+    return records.slice(-limit);
+  }
+
+  profilePath(name) {
+    if (!NAME_PATTERN.test(String(name))) {
+      throw new Error(`Invalid profile name: ${name}`);
+    }
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  runLogPath(name) {
+    return path.join(this.dir, 'runs', `${name}.jsonl`);
+  }
+}
+
+export default {
+  PROFILE_DEFAULTS,
+  ProfileStore,
+  normalizeProfile,
+  validateProfile,
+  profileToOptions,
+};
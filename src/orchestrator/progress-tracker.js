@@ -2,10 +2,23 @@
  * Progress Tracker
  * 
  * Tracks and reports progress through the podcast generation pipeline.
- * Provides callbacks for UI updates and logging.
+ * Provides callbacks for UI updates and logging, and publishes every
+ * event on the event bus as run:* and stage:* events.
  */
 
 import logger from '../utils/logger.js';
+import { emitEvent } from '../events/bus.js';
+
+// Callback event name → event bus type
+const BUS_EVENTS = {
+  start: 'run:start',
+  stage_start: 'stage:start',
+  stage_complete: 'stage:complete',
+  stage_failed: 'stage:failed',
+  progress: 'stage:progress',
+  complete: 'run:complete',
+  failed: 'run:failed',
+};
 
 export class ProgressTracker {
   constructor() {
@@ -179,6 +192,10 @@ export class ProgressTracker {
    * @param {Object} data - Event data
    */
   emit(event, data) {
+    // Workflow results ride along with 'complete' for callbacks; the bus only gets the totals
+    const busData = event === 'complete' ? { totalDuration: data.totalDuration, stages: data.stages } : data;
+    emitEvent(BUS_EVENTS[event] || event, busData);
+
     for (const callback of this.callbacks) {
       try {
         callback(event, data);
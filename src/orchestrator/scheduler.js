@@ -0,0 +1,237 @@
+/**
+ * Episode Scheduler
+ *
+ * Generates each profile's episode at the time given by its cron schedule.
+ * Runs are sequential: a profile that comes due while another is generating
+ * waits for the next tick.
+ *
+ * Before a run starts, open circuit breakers are checked. While a provider
+ * is cooling down the run is deferred until the breaker half-opens; failed
+ * runs are retried after SCHEDULE_RETRY_DELAY_MS. After SCHEDULE_MAX_ATTEMPTS
+ * the run is given up and the profile waits for its next scheduled time.
+ * Every outcome is appended to the profile's run log.
+ */
+
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import circuitBreakerManager from '../utils/circuit-breaker.js';
+import { nextCronTime } from '../utils/cron.js';
+import { profileToOptions } from './profiles.js';
+import { deliverEpisode } from '../publish/delivery.js';
+import { resolveSearchProviders } from '../tools/search-providers.js';
+
+const log = logger.child('Scheduler');
+
+const TICK_MS = 30000;
+
+export class Scheduler {
+  /**
+   * @param {Object} options
+   * @param {ProfileStore} options.store - Profile store
+   * @param {Function} options.runEpisode - async (generateOptions) => { outputDir, audioPath, episode }
+   * @param {Object} options.breakers - Circuit breaker manager
+   * @param {number} options.retryDelayMs - Delay before retrying a failed run
+   * @param {number} options.maxAttempts - Attempts per scheduled run
+   * @param {Function} options.onRun - Called with each run record
+   */
+  constructor({
+    store,
+    runEpisode,
+    breakers = circuitBreakerManager,
+    retryDelayMs = config.scheduleRetryDelay,
+    maxAttempts = config.scheduleMaxAttempts,
+    onRun = null,
+  }) {
+    this.store = store;
+    this.runEpisode = runEpisode;
+    this.breakers = breakers;
+    this.retryDelayMs = retryDelayMs;
+    this.maxAttempts = maxAttempts;
+    this.onRun = onRun;
+
+    // name → { profile, nextRun, scheduledFor, attempt }
+    this.entries = new Map();
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Load scheduled profiles and start ticking
+   */
+  async start() {
+    await this.refresh();
+    log.start('Scheduler started', { profiles: this.entries.size });
+    this.timer = setInterval(() => {
+      this.tick().catch(error => log.error('Scheduler tick failed', error));
+    }, TICK_MS);
+  }
+
+  /**
+   * Stop ticking and wait for a run in progress
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.running) {
+      log.info('Waiting for the current run to finish');
+      await this.running;
+    }
+  }
+
+  /**
+   * Re-read profiles so edits apply without a restart.
+   * Unchanged schedules keep their pending run and retry state.
+   *
+   * @param {Date} now - Current time
+   */
+  async refresh(now = new Date()) {
+    const profiles = (await this.store.list()).filter(profile => profile.schedule);
+    const names = new Set(profiles.map(profile => profile.name));
+
+    for (const name of this.entries.keys()) {
+      if (!names.has(name)) this.entries.delete(name);
+    }
+
+    for (const profile of profiles) {
+      const entry = this.entries.get(profile.name);
+      if (entry && entry.profile.schedule === profile.schedule) {
+        entry.profile = profile;
+        continue;
+      }
+      const nextRun = nextCronTime(profile.schedule, now);
+      this.entries.set(profile.name, { profile, nextRun, scheduledFor: nextRun, attempt: 0 });
+    }
+  }
+
+  /**
+   * Run every profile that is due
+   *
+   * @param {Date} now - Current time
+   */
+  async tick(now = new Date()) {
+    if (this.running) return;
+
+    await this.refresh(now);
+    const due = [...this.entries.values()].filter(entry => entry.nextRun && entry.nextRun <= now);
+
+    for (const entry of due) {
+      this.running = this.runEntry(entry);
+      try {
+        await this.running;
+      } finally {
+        this.running = null;
+      }
+    }
+  }
+
+  /**
+   * Run a profile once now, outside its schedule (single attempt)
+   *
+   * @param {Object} profile - Normalized profile
+   * @returns {Promise<Object>} Run record
+   */
+  async runNow(profile) {
+    return this.execute(profile, { scheduledFor: new Date(), attempt: 1, final: true });
+  }
+
+  /**
+   * Current schedule of every profile
+   *
+   * @returns {Array<{name: string, schedule: string, nextRun: Date|null, attempt: number}>}
+   */
+  getStatus() {
+    return [...this.entries.values()].map(entry => ({
+      name: entry.profile.name,
+      schedule: entry.profile.schedule,
+      nextRun: entry.nextRun,
+      attempt: entry.attempt,
+    }));
+  }
+
+  async runEntry(entry) {
+    entry.attempt += 1;
+    const final = entry.attempt >= this.maxAttempts;
+    const record = await this.execute(entry.profile, { scheduledFor: entry.scheduledFor, attempt: entry.attempt, final });
+
+    if (record.status === 'deferred' || record.status === 'retrying') {
+      entry.nextRun = new Date(record.retryAt);
+      return;
+    }
+
+    // Done with this scheduled time (success, failed or skipped): wait for the next one
+    entry.nextRun = nextCronTime(entry.profile.schedule, new Date());
+    entry.scheduledFor = entry.nextRun;
+    entry.attempt = 0;
+  }
+
+  /**
+   * Run one attempt and record its outcome
+   */
+  async execute(profile, { scheduledFor, attempt, final }) {
+    const record = {
+      profile: profile.name,
+      scheduledFor: scheduledFor?.toISOString() || null,
+      attempt,
+      startedAt: new Date().toISOString(),
+    };
+
+    const openBreakers = this.getOpenBreakers();
+    if (openBreakers.length > 0) {
+      const reopensAt = Math.max(...openBreakers.map(breaker => Date.parse(breaker.nextAttempt)));
+      record.openBreakers = openBreakers.map(breaker => breaker.service);
+      record.status = final ? 'skipped' : 'deferred';
+      if (!final) record.retryAt = new Date(reopensAt + 1000).toISOString();
+      log.warn(`Circuit open for ${record.openBreakers.join(', ')}; ${final ? 'skipping' : 'deferring'} ${profile.name}`, {
+        retryAt: record.retryAt,
+      });
+      return this.finish(record);
+    }
+
+    log.start(`Generating episode for ${profile.name}`, { attempt });
+    try {
+      const result = await this.runEpisode(profileToOptions(profile));
+      record.status = 'success';
+      record.outputDir = result.outputDir;
+      record.audio = result.audioPath || null;
+      record.delivery = await deliverEpisode(result.episode, profile.delivery, { outputDir: result.outputDir });
+    } catch (error) {
+      record.error = error.message;
+      record.status = final ? 'failed' : 'retrying';
+      if (!final) record.retryAt = new Date(Date.now() + this.retryDelayMs).toISOString();
+      log.error(`Run for ${profile.name} failed${final ? '' : `, retrying at ${record.retryAt}`}`, error);
+    }
+
+    return this.finish(record);
+  }
+
+  async finish(record) {
+    record.finishedAt = new Date().toISOString();
+    try {
+      await this.store.recordRun(record.profile, record);
+    } catch (error) {
+      log.warn('Could not write run log', { profile: record.profile, error: error.message });
+    }
+    this.onRun?.(record);
+    return record;
+  }
+
+  getOpenBreakers() {
+    const now = Date.now();
+    const open = Object.values(this.breakers.getAllStates())
+      .filter(state => state.state === 'OPEN' && Date.parse(state.nextAttempt) > now);
+
+    // Search moves on to the next provider, so search breakers only block
+    // a run once every configured provider's breaker is open
+    const searchOpen = new Set(open.filter(isSearchBreaker).map(state => state.service));
+    const searchDown = resolveSearchProviders().every(provider => searchOpen.has(`search:${provider.name}`));
+    return searchDown ? open : open.filter(state => !isSearchBreaker(state));
+  }
+}
+
+function isSearchBreaker(state) {
+  return state.service.startsWith('search:');
+}
+
+export default {
+  Scheduler,
+};
@@ -2,11 +2,12 @@
  * User Context Manager
  * 
  * Manages user preferences and subscriptions for personalized content.
- * In the standalone version, this uses simple in-memory storage or JSON files.
+ * Contexts are built from CLI flags or from a saved profile (see profiles.js).
  */
 
 import logger from '../utils/logger.js';
 import { hasChannel } from '../agents/channel-registry.js';
+import { SCRIPT_FORMATS, hasFormat } from '../synthesis/dialogue.js';
 
 const log = logger.child('UserContext');
 
@@ -19,6 +20,7 @@ export class UserContext {
     this.customRequests = [];
     this.setting = 'morning_routine';
     this.duration = 5;
+    this.format = 'monologue';
     this.deterministic = false;
   }
 
@@ -71,6 +73,16 @@ export class UserContext {
     log.info('Duration configured', { duration: `${duration} minutes` });
   }
 
+  /**
+   * Set script format
+   * 
+   * @param {string} format - Script format (monologue, dialogue)
+   */
+  setFormat(format) {
+    this.format = format;
+    log.info('Format configured', { format });
+  }
+
   /**
    * Get full user context
    * 
@@ -82,6 +94,7 @@ export class UserContext {
       customRequests: this.customRequests,
       setting: this.setting,
       duration: this.duration,
+      format: this.format,
       deterministic: this.deterministic,
     };
   }
@@ -111,6 +124,10 @@ export class UserContext {
       errors.push('Duration must be between 1 and 30 minutes');
     }
 
+    if (!hasFormat(this.format)) {
+      errors.push(`Format must be one of: ${SCRIPT_FORMATS.join(', ')}`);
+    }
+
     return errors;
   }
 }
@@ -123,6 +140,7 @@ export class UserContext {
  * @param {Array<string>} options.customRequests - Custom requests
  * @param {string} options.setting - Podcast setting
  * @param {number} options.duration - Duration in minutes
+ * @param {string} options.format - Script format (monologue, dialogue)
  * @returns {UserContext} User context instance
  */
 export function createUserContext(options = {}) {
@@ -144,6 +162,10 @@ export function createUserContext(options = {}) {
     context.setDuration(options.duration);
   }
 
+  if (options.format) {
+    context.setFormat(options.format);
+  }
+
   if (options.deterministic !== undefined) {
     context.deterministic = !!options.deterministic;
     log.info('Deterministic mode', { deterministic: context.deterministic });
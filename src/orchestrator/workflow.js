@@ -7,34 +7,65 @@
  * 3. Run custom request agent (if needed)
  * 4. Synthesize all reports into final script
  * 
+ * Each stage can persist its output through a RunCheckpoint so that an
+ * interrupted run resumes at the first incomplete stage or section.
+ * 
  * This is the core coordinator that demonstrates the multi-agent pattern.
  */
 
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
+import { agentLimiter } from '../utils/concurrency.js';
 import { ProgressTracker } from './progress-tracker.js';
 import { createChannelAgents, createCustomAgent } from '../agents/index.js';
 import { deterministicChannelReport } from '../agents/deterministic-research.js';
 import { planPodcast } from '../synthesis/planner.js';
 import { writeSection as writeOneSection } from '../synthesis/writer.js';
+import { buildSourceIndex } from '../synthesis/citations.js';
+import { FactChecker, buildEvidence, summarizeFactCheck } from '../synthesis/fact-checker.js';
+import { buildStories, formatHistoryDigest, coveredUrls } from './history.js';
+import { clusterStories, formatStoryList, summarizeClusters } from '../synthesis/story-clusters.js';
+import { emptyTokenUsage, addTokenUsage, sumTokenUsage } from '../llm/index.js';
+import { withSpan } from '../tracing/tracer.js';
 
 const log = logger.child('Workflow');
 
 export class PodcastWorkflow {
-  constructor(userContext) {
+  /**
+   * @param {UserContext} userContext - User context
+   * @param {Object} options - Workflow options
+   * @param {RunCheckpoint} options.checkpoint - Optional checkpoint store for persisting/resuming stages
+   * @param {string} options.factCheck - Fact-check policy: off, warn, rewrite or fail (default: FACTCHECK_POLICY)
+   * @param {HistoryStore} options.history - Optional episode history; recent coverage is fed to research,
+   *   planner and writer, and this episode's stories are recorded when it completes
+   * @param {string} options.episodeId - Id under which this episode is recorded in the history
+   * @param {ProgressTracker} options.progress - Tracker to report to (default: a new one)
+   * @param {RunBudget} options.budget - Optional spending cap; its policies are applied between steps
+   *   and its state is reported as metadata.budget
+   */
+  constructor(userContext, options = {}) {
     this.userContext = userContext;
-    this.progress = new ProgressTracker();
+    this.checkpoint = options.checkpoint || null;
+    this.factCheckPolicy = options.factCheck || config.factCheckPolicy;
+    this.history = options.history || null;
+    this.episodeId = options.episodeId || new Date().toISOString();
+    this.previousCoverage = [];
+    this.progress = options.progress || new ProgressTracker();
+    this.budget = options.budget || null;
     this.results = {
       channelReports: {},
       customReport: null,
+      storyClusters: [],
       metadata: {
         tokenUsage: {
           agents: {},
+          custom: emptyTokenUsage(),
           synthesis: {
-            planner: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
-            writer: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+            planner: emptyTokenUsage(),
+            writer: emptyTokenUsage(),
+            factcheck: emptyTokenUsage(),
           },
-          total: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+          total: emptyTokenUsage(),
         },
       },
     };
@@ -55,21 +86,45 @@ export class PodcastWorkflow {
    * @returns {Promise<Object>} Workflow results
    */
   async execute() {
+    const { channels, setting, duration, format } = this.userContext.getContext();
+    return withSpan('workflow', {
+      'podcast.episode_id': this.episodeId,
+      'podcast.channels': channels,
+      'podcast.setting': setting,
+      'podcast.duration_minutes': duration,
+      'podcast.format': format,
+      'podcast.deterministic': this.userContext.deterministic === true,
+    }, () => this.runStages());
+  }
+
+  /**
+   * Run the stages in order, each in its own trace span
+   */
+  async runStages() {
     this.progress.start();
     log.start('Starting podcast generation workflow');
 
     try {
       // Stage 1: Validate context
-      await this.validateContext();
+      await this.traceStage('validate_context', () => this.validateContext());
+      await this.loadHistory();
 
       // Stage 2: Run channel agents
-      await this.runChannelAgents();
+      await this.traceStage('run_channel_agents', () => this.runChannelAgents());
 
       // Stage 3: Run custom agent (if needed)
-      await this.runCustomAgent();
+      this.checkBudget('run_custom_agent');
+      await this.traceStage('run_custom_agent', () => this.runCustomAgent());
+
+      // Stage 3b: Group overlapping stories across reports
+      await this.traceStage('cluster_stories', () => this.groupStories());
 
       // Stage 4: Plan and iteratively write script
-      await this.planAndWriteScript();
+      this.checkBudget('plan_and_write');
+      await this.traceStage('plan_and_write', () => this.planAndWriteScript());
+      await this.recordHistory();
+      this.calculateTotalTokenUsage();
+      this.recordBudget();
 
       // Complete workflow
       this.progress.complete(this.results);
@@ -81,12 +136,48 @@ export class PodcastWorkflow {
         summary: this.getResultsSummary(),
       };
     } catch (error) {
+      this.calculateTotalTokenUsage();
+      this.recordBudget();
       this.progress.fail(error);
       log.error('Workflow failed', error);
+      // What the run produced before it stopped, e.g. to save the partial script
+      error.results = this.results;
       throw error;
     }
   }
 
+  /**
+   * Stop before an LLM step if the budget is spent and its policy is to abort.
+   * Finished stages and sections stay checkpointed, so the run can be resumed.
+   * 
+   * @param {string} step - Step about to run
+   */
+  checkBudget(step) {
+    if (this.budget?.shouldAbort()) {
+      this.budget.abort(step);
+    }
+  }
+
+  /**
+   * Report the budget state alongside the token usage
+   */
+  recordBudget() {
+    if (this.budget) {
+      this.results.metadata.budget = this.budget.getState();
+    }
+  }
+
+  /**
+   * Run one stage inside a "stage <name>" span
+   * 
+   * @param {string} name - Stage name (as reported by the ProgressTracker)
+   * @param {Function} fn - Stage function
+   * @returns {Promise<*>} Result of fn
+   */
+  traceStage(name, fn) {
+    return withSpan(`stage ${name}`, { 'podcast.stage': name }, fn);
+  }
+
   /**
    * Stage 1: Validate user context
    */
@@ -107,6 +198,7 @@ export class PodcastWorkflow {
       customRequests: context.customRequests.length,
       setting: context.setting,
       duration: context.duration,
+      format: context.format,
     });
 
     this.progress.completeStage({ valid: true });
@@ -124,22 +216,36 @@ export class PodcastWorkflow {
       return;
     }
 
+    // Reports restored from a previous run are kept; failed channels are retried
+    const restored = await this.loadCheckpointed(c => c.loadChannelReports(), {});
+    const completed = channels
+      .map(channelId => restored[channelId])
+      .filter(report => report && report.status !== 'failed');
+    const pending = channels.filter(channelId => !completed.some(r => r.channelId === channelId));
+
     this.progress.beginStage('run_channel_agents', {
       channels: channels.length,
+      restored: completed.length,
     });
 
     try {
-      let results;
-      if (deterministic) {
+      let results = [];
+      if (completed.length > 0) {
+        log.info(`Restored ${completed.length} channel report(s) from checkpoint`, {
+          channels: completed.map(r => r.channelId),
+        });
+      }
+
+      if (pending.length > 0 && deterministic) {
         // Run deterministic pipeline per channel sequentially or with limited concurrency
         results = await this.executeDeterministicWithConcurrency(
-          channels,
+          pending,
           customRequests,
           Math.min(config.concurrencyLimit, 5)
         );
-      } else {
-        // Create agents for all channels
-        const agents = createChannelAgents(channels);
+      } else if (pending.length > 0) {
+        // Create agents for all pending channels
+        const agents = createChannelAgents(pending);
         log.info(`Created ${agents.length} channel agents`);
         // Execute agents with concurrency control
         results = await this.executeAgentsWithConcurrency(
@@ -149,6 +255,8 @@ export class PodcastWorkflow {
         );
       }
 
+      results = [...completed, ...results];
+
       // Store results and aggregate token usage
       for (const result of results) {
         this.results.channelReports[result.channelId] = result;
@@ -181,7 +289,8 @@ export class PodcastWorkflow {
   }
 
   /**
-   * Execute agents with concurrency control
+   * Execute agents with concurrency control. Batches keep this run's agents
+   * within the limit; agentLimiter keeps all runs in the process within it.
    * 
    * @param {Array} agents - Array of agent instances
    * @param {Array} customRequests - User custom requests
@@ -192,6 +301,7 @@ export class PodcastWorkflow {
     const results = [];
     
     for (let i = 0; i < agents.length; i += concurrencyLimit) {
+      this.checkBudget('run_channel_agents');
       const batch = agents.slice(i, i + concurrencyLimit);
       
       this.progress.updateProgress(
@@ -199,10 +309,12 @@ export class PodcastWorkflow {
         { agents: batch.map(a => a.channelId) }
       );
 
-      // Execute batch in parallel
-      const batchPromises = batch.map(agent =>
-        this.executeAgentWithFallback(agent, customRequests)
-      );
+      // Execute batch in parallel, checkpointing each report as it completes
+      const batchPromises = batch.map(async (agent) => {
+        const result = await agentLimiter.run(() => this.executeAgentWithFallback(agent, customRequests));
+        await this.saveCheckpoint(c => c.saveChannelReport(result));
+        return result;
+      });
 
       const batchResults = await Promise.all(batchPromises);
       results.push(...batchResults);
@@ -217,6 +329,7 @@ export class PodcastWorkflow {
   async executeDeterministicWithConcurrency(channels, customRequests, concurrencyLimit) {
     const results = [];
     for (let i = 0; i < channels.length; i += concurrencyLimit) {
+      this.checkBudget('run_channel_agents');
       const batch = channels.slice(i, i + concurrencyLimit);
       this.progress.updateProgress(
         `Processing deterministic batch ${Math.floor(i / concurrencyLimit) + 1}`,
@@ -224,21 +337,31 @@ export class PodcastWorkflow {
       );
 
       const batchPromises = batch.map(async (channelId) => {
+        let result;
         try {
-          return await deterministicChannelReport(channelId, customRequests);
+          result = await agentLimiter.run(() => withSpan(`research ${channelId}`, {
+            'podcast.channel': channelId,
+            'podcast.research.method': 'deterministic',
+          }, () => deterministicChannelReport(channelId, customRequests, {
+            history: this.historyDigest(channelId),
+            coveredUrls: coveredUrls(this.previousCoverage),
+          })));
         } catch (error) {
           log.error(`Deterministic research failed for ${channelId}`, error);
-          return {
+          result = {
             channelId,
             channelName: channelId,
             report: this.generateAgentFallback(channelId),
             duration: 0,
+            tokenUsage: error.tokenUsage,
             status: 'failed',
             method: 'deterministic',
             error: error.message,
             timestamp: new Date().toISOString(),
           };
         }
+        await this.saveCheckpoint(c => c.saveChannelReport(result));
+        return result;
       });
 
       const batchResults = await Promise.all(batchPromises);
@@ -261,7 +384,7 @@ export class PodcastWorkflow {
     try {
       log.info(`Executing agent: ${channelId}`);
       
-      const result = await agent.research(customRequests);
+      const result = await agent.research(customRequests, { history: this.historyDigest(channelId) });
       
       log.success(`Agent ${channelId} completed`, {
         duration: `${result.duration}ms`,
@@ -274,12 +397,13 @@ export class PodcastWorkflow {
       
       log.error(`Agent ${channelId} failed`, error, { duration: `${duration}ms` });
 
-      // Return failure result with fallback content
+      // Return failure result with fallback content; calls made before the failure still count
       return {
         channelId,
         channelName: agent.channel.name,
         report: this.generateAgentFallback(channelId),
         duration,
+        tokenUsage: error.tokenUsage,
         status: 'failed',
         method: 'fallback',
         error: error.message,
@@ -321,12 +445,41 @@ export class PodcastWorkflow {
       requests: customRequests.length,
     });
 
+    const restored = await this.loadCheckpointed(c => c.loadCustomReport(), null);
+    if (restored && restored.status !== 'failed') {
+      log.info('Restored custom report from checkpoint');
+      this.results.customReport = restored;
+      addTokenUsage(this.results.metadata.tokenUsage.custom, restored.tokenUsage);
+      this.progress.completeStage({
+        status: restored.status,
+        requests: customRequests.length,
+        restored: true,
+      });
+      return;
+    }
+
+    if (this.budget?.skipCustomAgent()) {
+      log.warn('Budget nearly spent, skipping custom agent');
+      this.results.customReport = {
+        report: '',
+        requests: customRequests,
+        duration: 0,
+        status: 'skipped',
+        method: 'budget',
+        timestamp: new Date().toISOString(),
+      };
+      this.progress.completeStage({ status: 'skipped', reason: 'budget' });
+      return;
+    }
+
     try {
       const agent = createCustomAgent();
       log.info(`Created custom agent for ${customRequests.length} requests`);
 
-      const result = await agent.research(customRequests);
+      const result = await agentLimiter.run(() => agent.research(customRequests));
       this.results.customReport = result;
+      addTokenUsage(this.results.metadata.tokenUsage.custom, result.tokenUsage);
+      await this.saveCheckpoint(c => c.saveCustomReport(result));
 
       if (result.status === 'success') {
         log.success('Custom agent completed', {
@@ -343,6 +496,7 @@ export class PodcastWorkflow {
       });
     } catch (error) {
       log.error('Custom agent failed', error);
+      addTokenUsage(this.results.metadata.tokenUsage.custom, error.tokenUsage);
       
       // Store failure but don't fail the workflow
       this.results.customReport = {
@@ -359,44 +513,148 @@ export class PodcastWorkflow {
     }
   }
 
+  /**
+   * Stage 3b: Cluster the sources and paragraphs of all reports into stories,
+   * each owned by one channel, so the planner tells every story once.
+   * Clustering is an aid: on failure the planner works from the reports alone.
+   */
+  groupStories() {
+    const { channels } = this.userContext.getContext();
+    this.progress.beginStage('cluster_stories');
+
+    try {
+      this.results.storyClusters = clusterStories([
+        ...channels.map(channelId => this.results.channelReports[channelId]),
+        this.results.customReport,
+      ]);
+      const summary = summarizeClusters(this.results.storyClusters);
+      log.info('Stories clustered', summary);
+      this.progress.completeStage(summary);
+    } catch (error) {
+      log.warn('Story clustering failed, planning from the reports alone', { error: error.message });
+      this.results.storyClusters = [];
+      this.progress.completeStage({ status: 'failed', error: error.message });
+    }
+  }
+
   /**
    * Stage 4: Plan and iteratively write the final script
    */
   async planAndWriteScript() {
-    const { setting, duration } = this.userContext.getContext();
+    const { channels, setting, duration, format } = this.userContext.getContext();
     this.progress.beginStage('plan_and_write');
 
     try {
-      const { plan, raw, tokenUsage: plannerTokens } = await planPodcast({
-        channelReports: this.results.channelReports,
-        customReport: this.results.customReport,
-        setting,
-        duration,
-      });
+      // Episode-wide source ids; built in channel order so they are stable across resumes
+      const sources = buildSourceIndex([
+        ...channels.map(channelId => this.results.channelReports[channelId]),
+        this.results.customReport,
+      ]);
+      this.results.sources = sources;
+      const checkFacts = this.factCheckPolicy !== 'off';
+      const evidence = checkFacts
+        ? buildEvidence({ channelReports: this.results.channelReports, customReport: this.results.customReport, sources })
+        : '';
+      let factChecker = new FactChecker();
+      const factCheckSections = [];
+
+      let planResult = await this.loadCheckpointed(c => c.loadPlan(), null);
+      if (planResult) {
+        log.info('Restored plan from checkpoint', { sections: planResult.plan.sections.length });
+      } else {
+        planResult = await planPodcast({
+          channelReports: this.results.channelReports,
+          customReport: this.results.customReport,
+          setting,
+          duration,
+          format,
+          history: this.historyDigest(),
+          stories: formatStoryList(this.results.storyClusters),
+          model: this.budget?.synthesisModel('planner'),
+        });
+        await this.saveCheckpoint(c => c.savePlan(planResult));
+      }
+      const { plan, raw, tokenUsage: plannerTokens } = planResult;
 
       // Track planner tokens
       this.results.metadata.tokenUsage.synthesis.planner = plannerTokens;
 
       let script = '';
-      for (const section of plan.sections) {
-        const { text: sectionText, tokenUsage: sectionTokens } = await writeOneSection({
-          plan,
-          section,
-          setting,
-          currentScript: script,
-          channelReports: this.results.channelReports,
-        });
+      const turns = [];
+      const scriptSections = [];
+      for (const [index, section] of plan.sections.entries()) {
+        let written = await this.loadCheckpointed(c => c.loadSection(index, section), null);
+        if (written) {
+          log.info(`Restored section from checkpoint: ${section.id}`);
+        } else {
+          // Keep what is written so far if the budget stops the run here
+          this.results.partialScript = script;
+          this.checkBudget(`section ${section.id}`);
+
+          written = await writeOneSection({
+            plan,
+            section: { ...section, approx_words: this.budget ? this.budget.sectionWords(section) : section.approx_words },
+            setting,
+            currentScript: script,
+            channelReports: this.results.channelReports,
+            format,
+            sources,
+            history: this.historyDigest(),
+            model: this.budget?.synthesisModel('writer'),
+          });
+
+          // Verify claims against the research before the section joins the script
+          if (checkFacts) {
+            const factCheckModel = this.budget?.synthesisModel('factcheck');
+            if (factCheckModel && factChecker.model !== factCheckModel) {
+              factChecker = new FactChecker({ model: factCheckModel });
+            }
+            const checked = await factChecker.checkSection({
+              section,
+              written,
+              evidence,
+              policy: this.factCheckPolicy,
+              hosts: format === 'dialogue' ? plan.hosts : [],
+            });
+            addTokenUsage(this.results.metadata.tokenUsage.synthesis.factcheck, checked.tokenUsage);
+            written = { ...checked.written, factCheck: checked.report };
+
+            if (checked.report.action === 'failed') {
+              this.results.factCheck = summarizeFactCheck(this.factCheckPolicy, [...factCheckSections, checked.report]);
+              const error = new Error(`Fact-check failed: ${checked.report.unsupported.length} unsupported claim(s) in section ${section.id}`);
+              error.code = 'FACT_CHECK_FAILED';
+              error.factCheck = this.results.factCheck;
+              throw error;
+            }
+          }
+          await this.saveCheckpoint(c => c.saveSection(index, section, written));
+        }
+        if (written.factCheck) factCheckSections.push(written.factCheck);
+        const { text: sectionText, tokenUsage: sectionTokens } = written;
+
+        // Dialogue sections also carry structured speaker turns
+        if (written.turns) {
+          turns.push(...written.turns.map(turn => ({ ...turn, sectionId: section.id })));
+        }
         
         // Accumulate writer tokens
-        this.results.metadata.tokenUsage.synthesis.writer.promptTokens += sectionTokens.promptTokens;
-        this.results.metadata.tokenUsage.synthesis.writer.completionTokens += sectionTokens.completionTokens;
-        this.results.metadata.tokenUsage.synthesis.writer.totalTokens += sectionTokens.totalTokens;
+        addTokenUsage(this.results.metadata.tokenUsage.synthesis.writer, sectionTokens);
         
+        scriptSections.push({ id: section.id, title: section.title, text: sectionText, sources: written.sources || [] });
         script = script ? `${script}\n\n${sectionText}` : sectionText;
         this.progress.updateProgress(`Wrote section: ${section.id}`, { title: section.title, words: section.approx_words });
       }
 
       this.results.finalScript = script;
+      delete this.results.partialScript;
+      this.results.scriptSections = scriptSections;
+      if (checkFacts) {
+        this.results.factCheck = summarizeFactCheck(this.factCheckPolicy, factCheckSections);
+      }
+      if (format === 'dialogue') {
+        this.results.hosts = plan.hosts;
+        this.results.turns = turns;
+      }
       this.results.plan = plan;
       this.results.planRaw = raw;
       this.progress.completeStage({ sections: plan.sections.length });
@@ -406,6 +664,82 @@ export class PodcastWorkflow {
     }
   }
 
+  /**
+   * Load recent coverage from the episode history, if one is configured.
+   * History failures are logged but never fail the run.
+   */
+  async loadHistory() {
+    if (!this.history) return;
+    try {
+      this.previousCoverage = await this.history.getRecent({ excludeEpisode: this.episodeId });
+      log.info('Loaded episode history', {
+        episodes: this.previousCoverage.length,
+        stories: this.previousCoverage.reduce((sum, entry) => sum + entry.stories.length, 0),
+      });
+    } catch (error) {
+      log.warn('Failed to load episode history', { error: error.message });
+    }
+  }
+
+  /**
+   * Digest of recent coverage for prompts
+   * 
+   * @param {string} channelId - Limit to one channel's stories
+   * @returns {string} Digest ('' when there is no history)
+   */
+  historyDigest(channelId = null) {
+    return formatHistoryDigest(this.previousCoverage, { channelId });
+  }
+
+  /**
+   * Record the stories of this episode in the history
+   */
+  async recordHistory() {
+    if (!this.history) return;
+    const stories = buildStories({
+      plan: this.results.plan,
+      sections: this.results.scriptSections,
+      sources: this.results.sources,
+    });
+    this.results.history = {
+      previousEpisodes: this.previousCoverage.length,
+      updates: stories.filter(story => story.coverage === 'update').length,
+      stories: stories.length,
+    };
+    try {
+      await this.history.record({ episodeId: this.episodeId, date: new Date().toISOString(), stories });
+    } catch (error) {
+      log.warn('Failed to record episode history', { error: error.message });
+    }
+  }
+
+  /**
+   * Load data from the checkpoint store, if one is configured
+   * 
+   * @param {Function} loader - Function receiving the checkpoint store
+   * @param {*} fallback - Value returned when no checkpoint is configured
+   * @returns {Promise<*>} Loaded data
+   */
+  async loadCheckpointed(loader, fallback) {
+    if (!this.checkpoint) return fallback;
+    return (await loader(this.checkpoint)) ?? fallback;
+  }
+
+  /**
+   * Persist data to the checkpoint store, if one is configured.
+   * Checkpoint failures are logged but never fail the run.
+   * 
+   * @param {Function} saver - Function receiving the checkpoint store
+   */
+  async saveCheckpoint(saver) {
+    if (!this.checkpoint) return;
+    try {
+      await saver(this.checkpoint);
+    } catch (error) {
+      log.warn('Failed to save checkpoint', { error: error.message });
+    }
+  }
+
   /**
    * Get workflow results
    * 
@@ -425,25 +759,17 @@ export class PodcastWorkflow {
    * Calculate and update total token usage across all components
    */
   calculateTotalTokenUsage() {
-    const total = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
-    
-    // Sum agent tokens
-    for (const channelId in this.results.metadata.tokenUsage.agents) {
-      const usage = this.results.metadata.tokenUsage.agents[channelId];
-      total.promptTokens += usage.promptTokens || 0;
-      total.completionTokens += usage.completionTokens || 0;
-      total.totalTokens += usage.totalTokens || 0;
-    }
-    
-    // Sum synthesis tokens (planner + writer)
-    const planner = this.results.metadata.tokenUsage.synthesis.planner;
-    const writer = this.results.metadata.tokenUsage.synthesis.writer;
-    
-    total.promptTokens += planner.promptTokens + writer.promptTokens;
-    total.completionTokens += planner.completionTokens + writer.completionTokens;
-    total.totalTokens += planner.totalTokens + writer.totalTokens;
-    
-    this.results.metadata.tokenUsage.total = total;
+    const { agents, custom, synthesis } = this.results.metadata.tokenUsage;
+
+    // Channel agents, custom agent and synthesis (planner + writer + fact-check);
+    // estimatedTokens is the part counted locally because a provider omitted usage
+    this.results.metadata.tokenUsage.total = sumTokenUsage([
+      ...Object.values(agents),
+      custom,
+      synthesis.planner,
+      synthesis.writer,
+      synthesis.factcheck,
+    ]);
   }
 
   /**
@@ -470,10 +796,11 @@ export class PodcastWorkflow {
  * 
  * @param {UserContext} userContext - User context
  * @param {Function} progressCallback - Optional progress callback
+ * @param {Object} options - Workflow options (see PodcastWorkflow)
  * @returns {Promise<Object>} Workflow results
  */
-export async function executeWorkflow(userContext, progressCallback = null) {
-  const workflow = new PodcastWorkflow(userContext);
+export async function executeWorkflow(userContext, progressCallback = null, options = {}) {
+  const workflow = new PodcastWorkflow(userContext, options);
   
   if (progressCallback) {
     workflow.onProgress(progressCallback);
@@ -0,0 +1,160 @@
+/**
+ * Delivery Targets
+ *
+ * Where a finished episode goes after generation. Profiles list targets as
+ * { type, ...options }:
+ * - directory: copy the episode files into <path>/<runId>/
+ * - webhook:   POST the episode manifest as JSON to <url>
+ * - command:   run a shell command with EPISODE_DIR / EPISODE_AUDIO / EPISODE_TITLE set
+ * - feed:      rebuild feed.xml in the output directory (optional baseUrl)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import { spawn } from 'child_process';
+import logger from '../utils/logger.js';
+import { rebuildFeed } from './feed.js';
+
+const log = logger.child('Delivery');
+
+const targets = new Map();
+
+// Files copied by the directory target, when present
+const EPISODE_FILES = ['podcast.mp3', 'podcast.wav', 'script.txt', 'transcript.txt', 'show-notes.md', 'sources.md', 'episode.json'];
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Register a delivery target
+ *
+ * @param {string} type - Target type used in profiles
+ * @param {Function} deliver - async (episode, target, { outputDir }) => description
+ */
+export function registerDeliveryTarget(type, deliver) {
+  targets.set(type, deliver);
+}
+
+/**
+ * Get registered delivery target types
+ *
+ * @returns {Array<string>} Target types
+ */
+export function getDeliveryTargetNames() {
+  return [...targets.keys()];
+}
+
+/**
+ * Check if a delivery target type exists
+ *
+ * @param {string} type - Target type
+ * @returns {boolean} True if registered
+ */
+export function hasDeliveryTarget(type) {
+  return targets.has(type);
+}
+
+/**
+ * Deliver an episode to each target. A failing target is logged and
+ * reported; it does not stop the others.
+ *
+ * @param {Object} episode - Episode manifest (see buildEpisode)
+ * @param {Array<Object>} deliveryTargets - Targets { type, ...options }
+ * @param {Object} context
+ * @param {string} context.outputDir - Run output directory
+ * @returns {Promise<Array<{type: string, ok: boolean, detail?: string, error?: string}>>} One result per target
+ */
+export async function deliverEpisode(episode, deliveryTargets = [], { outputDir }) {
+  const results = [];
+
+  for (const target of deliveryTargets) {
+    const deliver = targets.get(target.type);
+    try {
+      if (!deliver) throw new Error(`Unknown delivery target: ${target.type}`);
+      const detail = await deliver(episode, target, { outputDir });
+      log.info(`Delivered to ${target.type}`, { detail });
+      results.push({ type: target.type, ok: true, detail });
+    } catch (error) {
+      log.warn(`Delivery to ${target.type} failed`, { error: error.message });
+      results.push({ type: target.type, ok: false, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+registerDeliveryTarget('directory', async (episode, target, { outputDir }) => {
+  if (!target.path) throw new Error('directory target needs a path');
+
+  const destination = path.join(target.path, episode.id);
+  await fs.mkdir(destination, { recursive: true });
+
+  const copied = [];
+  for (const file of EPISODE_FILES) {
+    try {
+      await fs.copyFile(path.join(outputDir, file), path.join(destination, file));
+      copied.push(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return `${copied.length} files → ${destination}`;
+});
+
+registerDeliveryTarget('webhook', async (episode, target, { outputDir }) => {
+  if (!target.url) throw new Error('webhook target needs a url');
+
+  const response = await fetch(target.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...target.headers },
+    body: JSON.stringify({ episode, outputDir }),
+    signal: AbortSignal.timeout(target.timeoutMs || DEFAULT_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook returned ${response.status} ${response.statusText}`);
+  }
+  return `${response.status} ${target.url}`;
+});
+
+registerDeliveryTarget('command', (episode, target, { outputDir }) => new Promise((resolve, reject) => {
+  if (!target.command) {
+    reject(new Error('command target needs a command'));
+    return;
+  }
+
+  const env = {
+    ...process.env,
+    EPISODE_DIR: outputDir,
+    EPISODE_ID: episode.id,
+    EPISODE_TITLE: episode.title,
+    EPISODE_AUDIO: episode.audio ? path.join(outputDir, episode.audio.file) : '',
+  };
+  const child = spawn(target.command, { shell: true, env, timeout: target.timeoutMs || DEFAULT_TIMEOUT_MS, stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+
+  child.stderr.on('data', data => { stderr += data; });
+  child.on('error', reject);
+  child.on('close', (code, signal) => {
+    if (code === 0) {
+      resolve(`exit 0: ${target.command}`);
+    } else {
+      reject(new Error(`Command failed (${signal || `exit ${code}`}): ${stderr.trim().slice(0, 500)}`));
+    }
+  });
+}));
+
+registerDeliveryTarget('feed', async (episode, target, { outputDir }) => {
+  const feed = await rebuildFeed({
+    outputDir: path.dirname(outputDir),
+    options: { baseUrl: target.baseUrl },
+  });
+  if (feed.errors.length > 0) throw new Error(feed.errors.join(' '));
+  return `${feed.published} episodes → ${feed.feedPath}`;
+});
+
+export default {
+  registerDeliveryTarget,
+  getDeliveryTargetNames,
+  hasDeliveryTarget,
+  deliverEpisode,
+};
@@ -0,0 +1,191 @@
+/**
+ * Episode Catalog
+ *
+ * Every run directory under the output directory is one episode. `generate`
+ * writes an episode.json manifest next to the script; runs from before the
+ * manifest existed are described from their checkpoints and audio file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { readFrames } from '../audio/mp3.js';
+import { parseWav } from '../audio/wav.js';
+import { getSetting } from '../synthesis/prompts.js';
+
+const log = logger.child('Episodes');
+
+export const EPISODE_FILE = 'episode.json';
+
+const AUDIO_FILES = [
+  { file: 'podcast.mp3', type: 'audio/mpeg' },
+  { file: 'podcast.wav', type: 'audio/wav' },
+];
+
+// Run directories are named after the ISO start time with ':' and '.' replaced
+const RUN_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+/**
+ * Find the audio file of a run and measure it
+ *
+ * @param {string} runDir - Run output directory
+ * @returns {Promise<{file: string, type: string, bytes: number, durationSeconds: number}|null>} Audio info or null
+ */
+export async function describeAudio(runDir) {
+  for (const { file, type } of AUDIO_FILES) {
+    let buffer;
+    try {
+      buffer = await fs.readFile(path.join(runDir, file));
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    return {
+      file,
+      type,
+      bytes: buffer.length,
+      durationSeconds: Math.round(audioDurationMs(buffer, type) / 1000),
+    };
+  }
+  return null;
+}
+
+/**
+ * Measure the playing time of an MP3 or WAV buffer
+ *
+ * @param {Buffer} buffer - Audio data
+ * @param {string} type - MIME type
+ * @returns {number} Duration in milliseconds (0 if it cannot be read)
+ */
+export function audioDurationMs(buffer, type) {
+  if (type === 'audio/wav') {
+    const wav = parseWav(buffer);
+    return wav ? (wav.data.length / wav.format.blockAlign / wav.format.sampleRate) * 1000 : 0;
+  }
+
+  return readFrames(buffer).reduce(
+    (ms, { header }) => ms + (header.samplesPerFrame / header.sampleRate) * 1000,
+    0
+  );
+}
+
+/**
+ * Build the manifest for a finished run
+ *
+ * @param {Object} params
+ * @param {string} params.runDir - Run output directory
+ * @param {Object} params.metadata - Audio metadata (title, date, comment)
+ * @param {Object} params.runOptions - Channels, setting, format, ...
+ * @param {Object} params.plan - Planner output (overview, sections)
+ * @param {Array<Object>} params.sections - Script sections { title }
+ * @returns {Promise<Object>} Episode manifest
+ */
+export async function buildEpisode({ runDir, metadata, runOptions, plan = null, sections = [] }) {
+  const id = path.basename(runDir);
+  return {
+    id,
+    title: metadata.title,
+    description: plan?.overview || metadata.comment || metadata.title,
+    publishedAt: runStartTime(id) || new Date().toISOString(),
+    setting: runOptions.setting,
+    format: runOptions.format,
+    channels: runOptions.channels,
+    customRequests: runOptions.customRequests,
+    segments: sections.map(section => section.title).filter(Boolean),
+    audio: await describeAudio(runDir),
+  };
+}
+
+/**
+ * Write the episode manifest into its run directory
+ *
+ * @param {string} runDir - Run output directory
+ * @param {Object} episode - Episode manifest
+ * @returns {Promise<string>} Manifest path
+ */
+export async function saveEpisode(runDir, episode) {
+  const file = path.join(runDir, EPISODE_FILE);
+  await fs.writeFile(file, JSON.stringify(episode, null, 2));
+  return file;
+}
+
+/**
+ * Load all episodes in an output directory, newest first.
+ * Directories that are not runs are ignored.
+ *
+ * @param {string} outputDir - Output directory holding the run directories
+ * @returns {Promise<Array<Object>>} Episode manifests
+ */
+export async function loadEpisodes(outputDir) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(outputDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const episodes = [];
+  for (const entry of entries.filter(e => e.isDirectory())) {
+    const runDir = path.join(outputDir, entry.name);
+    try {
+      const episode = await readJson(path.join(runDir, EPISODE_FILE)) || await deriveEpisode(runDir);
+      if (episode) episodes.push(episode);
+    } catch (error) {
+      log.warn(`Skipping unreadable run ${entry.name}`, { error: error.message });
+    }
+  }
+
+  return episodes.sort((a, b) => String(b.publishedAt).localeCompare(String(a.publishedAt)));
+}
+
+/**
+ * Describe a run that has no manifest from its checkpoints
+ */
+async function deriveEpisode(runDir) {
+  const context = await readJson(path.join(runDir, 'checkpoints', 'context.json'));
+  if (!context) return null;
+
+  const planned = await readJson(path.join(runDir, 'checkpoints', 'plan.json'));
+  const plan = planned?.plan || null;
+  const id = path.basename(runDir);
+  const publishedAt = runStartTime(id) || (await fs.stat(runDir)).mtime.toISOString();
+  const setting = context.setting || 'morning_routine';
+  const topics = [...(context.channels || []), ...(context.customRequests || [])];
+
+  return {
+    id,
+    title: `${getSetting(setting).name} Podcast - ${publishedAt.slice(0, 10)}`,
+    description: plan?.overview || (topics.length > 0 ? `Covering: ${topics.join(', ')}` : 'Podcast episode'),
+    publishedAt,
+    setting,
+    format: context.format || 'monologue',
+    channels: context.channels || [],
+    customRequests: context.customRequests || [],
+    segments: (plan?.sections || []).map(section => section.title).filter(Boolean),
+    audio: await describeAudio(runDir),
+  };
+}
+
+function runStartTime(id) {
+  const match = RUN_ID_PATTERN.exec(id);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export default {
+  EPISODE_FILE,
+  describeAudio,
+  audioDurationMs,
+  buildEpisode,
+  saveEpisode,
+  loadEpisodes,
+};
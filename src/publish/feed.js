@@ -0,0 +1,236 @@
+/**
+ * Podcast Feed
+ *
+ * Builds an RSS 2.0 feed with iTunes tags over every episode in the output
+ * directory. The output directory is meant to be served as-is from a static
+ * host: FEED_BASE_URL is its public URL, so each enclosure points at
+ * <base>/<runId>/podcast.mp3 and the feed itself lives at <base>/feed.xml.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { loadEpisodes } from './episodes.js';
+
+const log = logger.child('Feed');
+
+export const FEED_FILE = 'feed.xml';
+
+const GUID_PREFIX = 'agentic-podcast';
+
+/**
+ * Resolve feed options from config with overrides
+ *
+ * @param {Object} overrides - Options that take precedence over config
+ * @returns {Object} Feed channel options
+ */
+export function getFeedOptions(overrides = {}) {
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  return {
+    baseUrl: config.feedBaseUrl,
+    title: config.feedTitle,
+    description: config.feedDescription,
+    author: config.feedAuthor,
+    ownerEmail: config.feedOwnerEmail,
+    imageUrl: config.feedImageUrl,
+    language: config.feedLanguage,
+    category: config.feedCategory,
+    explicit: config.feedExplicit,
+    ...defined,
+  };
+}
+
+/**
+ * Check a feed before it is published
+ *
+ * @param {Array<Object>} episodes - Episode manifests
+ * @param {Object} options - Feed options (see getFeedOptions)
+ * @returns {{errors: Array<string>, warnings: Array<string>}} Problems found
+ */
+export function validateFeed(episodes, options) {
+  const errors = [];
+  const warnings = [];
+
+  if (!options.baseUrl) {
+    errors.push('No base URL. Set FEED_BASE_URL or pass --base-url with the public URL of the output directory.');
+  } else if (!/^https?:\/\//i.test(options.baseUrl)) {
+    errors.push(`Base URL must be an absolute http(s) URL: ${options.baseUrl}`);
+  }
+
+  if (!options.imageUrl) {
+    warnings.push('No artwork. Podcast directories require FEED_IMAGE_URL (square JPEG/PNG, 1400-3000px).');
+  }
+  if (!options.ownerEmail) {
+    warnings.push('No owner email. Some directories require FEED_OWNER_EMAIL to verify the feed.');
+  }
+
+  const published = episodes.filter(episode => episode.audio);
+  for (const episode of episodes.filter(episode => !episode.audio)) {
+    warnings.push(`Episode ${episode.id} has no audio and is not in the feed.`);
+  }
+  for (const episode of published) {
+    if (!(episode.audio.durationSeconds > 0)) {
+      warnings.push(`Episode ${episode.id} audio duration could not be measured.`);
+    }
+    if (!episode.description) {
+      warnings.push(`Episode ${episode.id} has no description.`);
+    }
+  }
+  if (published.length === 0) {
+    warnings.push('No episodes with audio. Run generate with --audio first.');
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Render the feed XML
+ *
+ * @param {Array<Object>} episodes - Episode manifests, newest first
+ * @param {Object} options - Feed options (see getFeedOptions)
+ * @returns {string} RSS 2.0 document
+ */
+export function buildFeedXml(episodes, options) {
+  const baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+  const published = episodes.filter(episode => episode.audio);
+  const explicit = options.explicit ? 'true' : 'false';
+  const [category, subcategory] = String(options.category || '').split('>').map(part => part.trim());
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    element('title', options.title, 4),
+    element('link', baseUrl, 4),
+    element('description', options.description, 4),
+    element('language', options.language, 4),
+    element('generator', 'Agentic Podcast System', 4),
+    `    <atom:link href="${escapeXml(`${baseUrl}/${FEED_FILE}`)}" rel="self" type="application/rss+xml"/>`,
+  ];
+
+  if (published.length > 0) {
+    lines.push(element('lastBuildDate', new Date(published[0].publishedAt).toUTCString(), 4));
+  }
+
+  lines.push(
+    element('itunes:author', options.author, 4),
+    element('itunes:summary', options.description, 4),
+    element('itunes:type', 'episodic', 4),
+    element('itunes:explicit', explicit, 4),
+  );
+
+  if (options.ownerEmail) {
+    lines.push(
+      '    <itunes:owner>',
+      element('itunes:name', options.author, 6),
+      element('itunes:email', options.ownerEmail, 6),
+      '    </itunes:owner>',
+    );
+  }
+
+  if (options.imageUrl) {
+    lines.push(
+      `    <itunes:image href="${escapeXml(options.imageUrl)}"/>`,
+      '    <image>',
+      element('url', options.imageUrl, 6),
+      element('title', options.title, 6),
+      element('link', baseUrl, 6),
+      '    </image>',
+    );
+  }
+
+  if (category) {
+    lines.push(subcategory
+      ? `    <itunes:category text="${escapeXml(category)}">\n      <itunes:category text="${escapeXml(subcategory)}"/>\n    </itunes:category>`
+      : `    <itunes:category text="${escapeXml(category)}"/>`);
+  }
+
+  for (const episode of published) {
+    const url = `${baseUrl}/${encodeURIComponent(episode.id)}/${episode.audio.file}`;
+    lines.push(
+      '    <item>',
+      element('title', episode.title, 6),
+      element('description', describeEpisode(episode), 6),
+      `      <guid isPermaLink="false">${escapeXml(`${GUID_PREFIX}:${episode.id}`)}</guid>`,
+      element('pubDate', new Date(episode.publishedAt).toUTCString(), 6),
+      `      <enclosure url="${escapeXml(url)}" length="${episode.audio.bytes}" type="${escapeXml(episode.audio.type)}"/>`,
+      element('itunes:duration', formatDuration(episode.audio.durationSeconds), 6),
+      element('itunes:episodeType', 'full', 6),
+      element('itunes:explicit', explicit, 6),
+      '    </item>',
+    );
+  }
+
+  lines.push('  </channel>', '</rss>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Rebuild feed.xml from the episodes in the output directory.
+ * Nothing is written if validation finds errors.
+ *
+ * @param {Object} params
+ * @param {string} params.outputDir - Output directory (defaults to config.outputDir)
+ * @param {Object} params.options - Feed option overrides
+ * @param {boolean} params.write - Write feed.xml (false only validates)
+ * @returns {Promise<Object>} { feedPath, xml, episodes, published, errors, warnings, upToDate }
+ */
+export async function rebuildFeed({ outputDir = config.outputDir, options = {}, write = true } = {}) {
+  const feedOptions = getFeedOptions(options);
+  const episodes = await loadEpisodes(outputDir);
+  const { errors, warnings } = validateFeed(episodes, feedOptions);
+  const feedPath = path.join(outputDir, FEED_FILE);
+  const published = episodes.filter(episode => episode.audio).length;
+
+  if (errors.length > 0) {
+    return { feedPath, xml: null, episodes: episodes.length, published, errors, warnings, upToDate: false };
+  }
+
+  const xml = buildFeedXml(episodes, feedOptions);
+  const existing = await fs.readFile(feedPath, 'utf8').catch(() => null);
+  const upToDate = existing === xml;
+
+  if (write && !upToDate) {
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(feedPath, xml);
+    log.info('Feed written', { feedPath, episodes: published });
+  }
+
+  return { feedPath, xml, episodes: episodes.length, published, errors, warnings, upToDate };
+}
+
+function describeEpisode(episode) {
+  const segments = episode.segments || [];
+  return segments.length > 0
+    ? `${episode.description}\n\nSegments: ${segments.join(', ')}`
+    : episode.description;
+}
+
+function formatDuration(seconds = 0) {
+  const total = Math.max(0, Math.round(seconds));
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+}
+
+function element(name, value, indent) {
+  return `${' '.repeat(indent)}<${name}>${escapeXml(value ?? '')}</${name}>`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export default {
+  FEED_FILE,
+  getFeedOptions,
+  validateFeed,
+  buildFeedXml,
+  rebuildFeed,
+};
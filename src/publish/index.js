@@ -0,0 +1,44 @@
+/**
+ * Publish Module - Central export for episode publishing
+ */
+
+import { EPISODE_FILE, describeAudio, buildEpisode, saveEpisode, loadEpisodes } from './episodes.js';
+import { FEED_FILE, getFeedOptions, validateFeed, buildFeedXml, rebuildFeed } from './feed.js';
+import { registerDeliveryTarget, getDeliveryTargetNames, deliverEpisode } from './delivery.js';
+
+export {
+  // Episodes
+  EPISODE_FILE,
+  describeAudio,
+  buildEpisode,
+  saveEpisode,
+  loadEpisodes,
+
+  // Podcast feed
+  FEED_FILE,
+  getFeedOptions,
+  validateFeed,
+  buildFeedXml,
+  rebuildFeed,
+
+  // Delivery targets
+  registerDeliveryTarget,
+  getDeliveryTargetNames,
+  deliverEpisode,
+};
+
+export default {
+  EPISODE_FILE,
+  describeAudio,
+  buildEpisode,
+  saveEpisode,
+  loadEpisodes,
+  FEED_FILE,
+  getFeedOptions,
+  validateFeed,
+  buildFeedXml,
+  rebuildFeed,
+  registerDeliveryTarget,
+  getDeliveryTargetNames,
+  deliverEpisode,
+};
@@ -0,0 +1,59 @@
+/**
+ * Fixture Chat Model
+ *
+ * LangChain chat model that routes every call through the fixture store.
+ * When recording it delegates to the real provider model; when replaying
+ * there is no inner model and responses come from disk.
+ */
+
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage } from '@langchain/core/messages';
+import fixtureStore from './fixture-store.js';
+
+export class FixtureChatModel extends BaseChatModel {
+  /**
+   * @param {Object} params
+   * @param {string} params.role - Pipeline role (part of the fixture key)
+   * @param {Object|null} params.inner - Real chat model (null when replaying)
+   */
+  constructor({ role, inner = null }) {
+    super({});
+    this.role = role;
+    this.inner = inner;
+  }
+
+  _llmType() {
+    return 'fixture';
+  }
+
+  async _generate(messages, options = {}) {
+    const input = {
+      role: this.role,
+      messages: messages.map(m => ({ type: m.getType(), content: m.content })),
+      stop: options.stop || [],
+    };
+
+    const output = await fixtureStore.run('llm', input, async () => {
+      const message = await this.inner.invoke(messages, { stop: options.stop });
+      return {
+        content: message.content,
+        usage_metadata: message.usage_metadata || null,
+      };
+    });
+
+    const message = new AIMessage({
+      content: output.content,
+      ...(output.usage_metadata ? { usage_metadata: output.usage_metadata } : {}),
+    });
+
+    return {
+      generations: [{
+        text: typeof output.content === 'string' ? output.content : '',
+        message,
+      }],
+      llmOutput: {},
+    };
+  }
+}
+
+export default FixtureChatModel;
@@ -0,0 +1,188 @@
+/**
+ * Fixture Store
+ *
+ * Record/replay of external calls (web search, scraping and LLM invocations).
+ * In record mode every call is executed live and its output saved under a
+ * key derived from the normalized input; in replay mode outputs are served
+ * from disk and no network call is made.
+ *
+ * Layout (under the fixture directory):
+ *   search.json, scrape.json, llm.json
+ *   Each file maps key → { input, outputs: [...] }. Repeated calls with the
+ *   same key are served in recorded order (the last output is reused once
+ *   the list is exhausted).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+const log = logger.child('Fixtures');
+
+const MODES = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+// Date formats that appear in prompts and queries ("Today is ...") are masked
+// so fixtures recorded on one day still match when replayed on another.
+const DATE_PATTERNS = [
+  /\b\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?\b/g,
+  /\b(Mon|Tue|Wed|Thu|Fri|Sat|Sun) (Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{1,2} \d{4}\b/g,
+  /\b((Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday), )?(January|February|March|April|May|June|July|August|September|October|November|December) \d{1,2}, \d{4}\b/g,
+];
+
+class FixtureStore {
+  constructor() {
+    this.mode = MODES.OFF;
+    this.dir = null;
+    this.files = new Map();
+    this.cursors = new Map();
+  }
+
+  /**
+   * Start recording fixtures into a directory
+   *
+   * @param {string} dir - Fixture directory
+   */
+  enableRecording(dir) {
+    this.reset(MODES.RECORD, dir);
+    fs.mkdirSync(dir, { recursive: true });
+    log.info('Recording fixtures', { dir });
+  }
+
+  /**
+   * Serve fixtures from a directory instead of calling external services
+   *
+   * @param {string} dir - Fixture directory
+   */
+  enableReplay(dir) {
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Fixture directory not found: ${dir}`);
+    }
+    this.reset(MODES.REPLAY, dir);
+    log.info('Replaying fixtures', { dir });
+  }
+
+  /**
+   * Disable record/replay
+   */
+  disable() {
+    this.reset(MODES.OFF, null);
+  }
+
+  reset(mode, dir) {
+    this.mode = mode;
+    this.dir = dir;
+    this.files.clear();
+    this.cursors.clear();
+  }
+
+  get isRecording() {
+    return this.mode === MODES.RECORD;
+  }
+
+  get isReplaying() {
+    return this.mode === MODES.REPLAY;
+  }
+
+  /**
+   * Run an operation through the fixture store
+   *
+   * @param {string} kind - Fixture kind (search, scrape, feed, llm)
+   * @param {Object} input - Operation input used to derive the key
+   * @param {Function} operation - Live operation, returns a JSON-serializable value
+   * @returns {Promise<*>} Live or replayed output
+   */
+  async run(kind, input, operation) {
+    if (this.mode === MODES.OFF) {
+      return operation();
+    }
+
+    const key = fixtureKey(input);
+
+    if (this.isReplaying) {
+      return this.replay(kind, key, input);
+    }
+
+    const output = await operation();
+    this.record(kind, key, input, output);
+    return output;
+  }
+
+  replay(kind, key, input) {
+    const entry = this.load(kind)[key];
+
+    if (!entry || entry.outputs.length === 0) {
+      const error = new Error(`No recorded ${kind} fixture for input: ${JSON.stringify(input).slice(0, 200)}`);
+      error.code = 'FIXTURE_MISSING';
+      throw error;
+    }
+
+    const cursorKey = `${kind}:${key}`;
+    const cursor = this.cursors.get(cursorKey) || 0;
+    this.cursors.set(cursorKey, cursor + 1);
+
+    log.debug('Replayed fixture', { kind, key, call: cursor + 1 });
+    return structuredClone(entry.outputs[Math.min(cursor, entry.outputs.length - 1)]);
+  }
+
+  record(kind, key, input, output) {
+    const data = this.load(kind);
+    if (!data[key]) {
+      data[key] = { input, outputs: [] };
+    }
+    data[key].outputs.push(output);
+
+    // Write after every call so a crashed run still leaves usable fixtures
+    const filePath = this.filePath(kind);
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+    log.debug('Recorded fixture', { kind, key });
+  }
+
+  load(kind) {
+    if (!this.files.has(kind)) {
+      const filePath = this.filePath(kind);
+      const data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+      this.files.set(kind, data);
+    }
+    return this.files.get(kind);
+  }
+
+  filePath(kind) {
+    return path.join(this.dir, `${kind}.json`);
+  }
+}
+
+/**
+ * Normalize a string for keying: mask dates and collapse whitespace
+ *
+ * @param {string} text - Input text
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+  let normalized = String(text);
+  for (const pattern of DATE_PATTERNS) {
+    normalized = normalized.replace(pattern, '<date>');
+  }
+  return normalized.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Derive a stable key from an operation input
+ *
+ * @param {Object} input - Operation input
+ * @returns {string} Hex digest
+ */
+export function fixtureKey(input) {
+  const normalized = JSON.stringify(input, (_, value) =>
+    typeof value === 'string' ? normalizeText(value) : value
+  );
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32);
+}
+
+// Export singleton store
+export default new FixtureStore();
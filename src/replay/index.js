@@ -0,0 +1,49 @@
+/**
+ * Replay Module - Record/replay of search, scrape, feed and LLM calls
+ */
+
+import fixtureStore, { normalizeText, fixtureKey } from './fixture-store.js';
+import { FixtureChatModel } from './fixture-chat-model.js';
+
+/**
+ * Configure record/replay from CLI options
+ *
+ * @param {Object} options - Command options
+ * @param {string} options.record - Directory to record fixtures into
+ * @param {string} options.replay - Directory to replay fixtures from
+ */
+export function configureFixtures({ record, replay } = {}) {
+  if (record && replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+  if (record) fixtureStore.enableRecording(record);
+  if (replay) fixtureStore.enableReplay(replay);
+}
+
+/**
+ * Run an external operation through the fixture store
+ *
+ * @param {string} kind - Fixture kind (search, scrape, feed, llm)
+ * @param {Object} input - Operation input
+ * @param {Function} operation - Live operation
+ * @returns {Promise<*>} Live or replayed output
+ */
+export function withFixture(kind, input, operation) {
+  return fixtureStore.run(kind, input, operation);
+}
+
+export {
+  fixtureStore,
+  normalizeText,
+  fixtureKey,
+  FixtureChatModel,
+};
+
+export default {
+  configureFixtures,
+  withFixture,
+  fixtureStore,
+  normalizeText,
+  fixtureKey,
+  FixtureChatModel,
+};
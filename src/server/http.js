@@ -0,0 +1,282 @@
+/**
+ * HTTP API
+ *
+ * Exposes podcast generation as jobs over plain HTTP (no framework):
+ *
+ *   GET    /health                    Queue stats
+ *   POST   /jobs                      Create a job (createUserContext-style JSON body)
+ *   GET    /jobs                      List jobs
+ *   GET    /jobs/:id                  Job status with ProgressTracker summary and files
+ *   DELETE /jobs/:id                  Cancel a job that has not started
+ *   GET    /jobs/:id/events           Progress as Server-Sent Events
+ *   GET    /jobs/:id/files/:name      Download script, transcript, reports, audio, ...
+ *
+ * When SERVER_API_KEY is set every route except /health needs
+ * "Authorization: Bearer <key>" (or ?token=<key>, for EventSource clients).
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { normalizeJobRequest } from './jobs.js';
+
+const log = logger.child('Server');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const HEARTBEAT_MS = 15000;
+
+// Downloadable run outputs; the first existing file of each entry is served
+export const JOB_FILES = {
+  script: [{ file: 'script.txt', type: 'text/plain; charset=utf-8' }],
+  transcript: [{ file: 'transcript.txt', type: 'text/plain; charset=utf-8' }],
+  turns: [{ file: 'script.json', type: 'application/json' }],
+  reports: [{ file: 'agent-reports.json', type: 'application/json' }],
+  sources: [{ file: 'sources.md', type: 'text/markdown; charset=utf-8' }],
+  'show-notes': [{ file: 'show-notes.md', type: 'text/markdown; charset=utf-8' }],
+  factcheck: [{ file: 'factcheck.json', type: 'application/json' }],
+  episode: [{ file: 'episode.json', type: 'application/json' }],
+  audio: [
+    { file: 'podcast.mp3', type: 'audio/mpeg' },
+    { file: 'podcast.wav', type: 'audio/wav' },
+  ],
+};
+
+/**
+ * Create the API server (not yet listening)
+ *
+ * @param {Object} options
+ * @param {JobQueue} options.queue - Job queue
+ * @param {string} options.apiKey - Required bearer token (default: SERVER_API_KEY; none if empty)
+ * @returns {http.Server} Server
+ */
+export function createApiServer({ queue, apiKey = config.serverApiKey }) {
+  return http.createServer((req, res) => {
+    handle(req, res, { queue, apiKey }).catch(error => {
+      log.error('Request failed', error, { method: req.method, url: req.url });
+      if (!res.headersSent) {
+        sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+      } else {
+        res.end();
+      }
+    });
+  });
+}
+
+async function handle(req, res, { queue, apiKey }) {
+  const url = new URL(req.url, 'http://localhost');
+  const parts = url.pathname.split('/').filter(Boolean);
+  // /jobs/<id>/files/<name> → /jobs/:id/files/:name
+  const params = parts[0] === 'jobs' ? { 1: ':id', 3: ':name' } : {};
+  const route = `${req.method} /${parts.map((part, index) => params[index] || part).join('/')}`;
+
+  if (route === 'GET /health') {
+    return sendJson(res, 200, { status: 'ok', queue: queue.getStats() });
+  }
+
+  if (apiKey && !authorized(req, url, apiKey)) {
+    return sendJson(res, 401, { error: 'Missing or invalid API key' });
+  }
+
+  const job = parts[0] === 'jobs' && parts[1] ? queue.get(parts[1]) : null;
+  if (parts[1] && !job && parts[0] === 'jobs') {
+    return sendJson(res, 404, { error: `Unknown job: ${parts[1]}` });
+  }
+
+  switch (route) {
+    case 'POST /jobs': {
+      const body = await readJson(req);
+      const { options, errors } = normalizeJobRequest(body);
+      if (errors.length > 0) {
+        return sendJson(res, 400, { error: 'Invalid job request', details: errors });
+      }
+      try {
+        const created = queue.submit(options, body);
+        res.setHeader('Location', `/jobs/${created.id}`);
+        return sendJson(res, 202, await describeJob(created, queue));
+      } catch (error) {
+        if (error.code === 'QUEUE_FULL' || error.code === 'QUEUE_CLOSED') {
+          res.setHeader('Retry-After', '60');
+          return sendJson(res, 503, { error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    case 'GET /jobs':
+      return sendJson(res, 200, {
+        queue: queue.getStats(),
+        jobs: await Promise.all(queue.list().map(entry => describeJob(entry, queue, { brief: true }))),
+      });
+
+    case 'GET /jobs/:id':
+      return sendJson(res, 200, await describeJob(job, queue));
+
+    case 'DELETE /jobs/:id':
+      if (!queue.cancel(job.id)) {
+        return sendJson(res, 409, { error: `Job is ${job.status}; only queued jobs can be cancelled` });
+      }
+      return sendJson(res, 200, await describeJob(job, queue));
+
+    case 'GET /jobs/:id/events':
+      return streamEvents(req, res, job, queue);
+
+    case 'GET /jobs/:id/files/:name':
+      return sendFile(res, job, parts[3]);
+
+    default:
+      return sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+  }
+}
+
+/**
+ * Public view of a job
+ */
+async function describeJob(job, queue, { brief = false } = {}) {
+  const view = {
+    id: job.id,
+    status: job.status,
+    position: queue.position(job),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    progress: job.progress.getSummary(),
+    links: {
+      self: `/jobs/${job.id}`,
+      events: `/jobs/${job.id}/events`,
+    },
+  };
+  if (brief) return view;
+
+  return {
+    ...view,
+    request: job.request,
+    files: await listFiles(job),
+  };
+}
+
+async function listFiles(job) {
+  if (!job.outputDir) return [];
+
+  const files = [];
+  for (const name of Object.keys(JOB_FILES)) {
+    const found = await findFile(job, name);
+    if (found) {
+      files.push({ name, file: found.file, type: found.type, bytes: found.bytes, url: `/jobs/${job.id}/files/${name}` });
+    }
+  }
+  return files;
+}
+
+async function findFile(job, name) {
+  const candidates = Object.hasOwn(JOB_FILES, name) ? JOB_FILES[name] : [];
+  for (const candidate of candidates) {
+    try {
+      const stat = await fs.promises.stat(path.join(job.outputDir, candidate.file));
+      if (stat.isFile()) return { ...candidate, bytes: stat.size };
+    } catch {
+      // Not produced by this run
+    }
+  }
+  return null;
+}
+
+async function sendFile(res, job, name) {
+  if (!Object.hasOwn(JOB_FILES, name)) {
+    return sendJson(res, 404, { error: `Unknown file: ${name}. Available: ${Object.keys(JOB_FILES).join(', ')}` });
+  }
+  const found = job.outputDir ? await findFile(job, name) : null;
+  if (!found) {
+    return sendJson(res, 404, { error: `Job ${job.id} has no ${name} (status: ${job.status})` });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': found.type,
+    'Content-Length': found.bytes,
+    'Content-Disposition': `attachment; filename="${found.file}"`,
+  });
+  fs.createReadStream(path.join(job.outputDir, found.file)).pipe(res);
+}
+
+/**
+ * Replay the job's events after Last-Event-ID, then follow it until it is done
+ */
+function streamEvents(req, res, job, queue) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const lastId = parseInt(req.headers['last-event-id'] || '0', 10) || 0;
+  const write = entry => {
+    res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify({ ...entry.data, time: entry.time })}\n\n`);
+  };
+
+  for (const entry of job.events.filter(entry => entry.id > lastId)) {
+    write(entry);
+  }
+  if (job.finishedAt) {
+    res.end();
+    return;
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  const unsubscribe = queue.subscribe(job.id, entry => {
+    write(entry);
+    if (entry.event === 'done') close();
+  });
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  req.on('close', close);
+}
+
+function authorized(req, url, apiKey) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '';
+  const expected = Buffer.from(apiKey);
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function readJson(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw httpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text.trim()) return {};
+  try {
+    const body = JSON.parse(text);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+    return body;
+  } catch {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export default {
+  JOB_FILES,
+  createApiServer,
+};
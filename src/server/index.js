@@ -0,0 +1,25 @@
+/**
+ * Server Module - Central export for the HTTP API
+ */
+
+import { JobQueue, JOB_STATUSES, normalizeJobRequest } from './jobs.js';
+import { JOB_FILES, createApiServer } from './http.js';
+
+export {
+  // Jobs
+  JobQueue,
+  JOB_STATUSES,
+  normalizeJobRequest,
+
+  // HTTP API
+  JOB_FILES,
+  createApiServer,
+};
+
+export default {
+  JobQueue,
+  JOB_STATUSES,
+  normalizeJobRequest,
+  JOB_FILES,
+  createApiServer,
+};
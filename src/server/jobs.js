@@ -0,0 +1,310 @@
+/**
+ * Generation Jobs
+ *
+ * A bounded in-memory job queue for the HTTP API. At most
+ * CONCURRENCY_LIMIT jobs generate at once, however many clients submit;
+ * further jobs wait in a queue of SERVER_MAX_QUEUE entries, beyond which
+ * submissions are refused.
+ *
+ * Running jobs do not multiply the agent limit: research agents of every
+ * workflow in the process share one pool of CONCURRENCY_LIMIT slots
+ * (agentLimiter in src/utils/concurrency.js). Two jobs researching at the
+ * same time therefore run at most CONCURRENCY_LIMIT agents between them,
+ * while one job's synthesis can overlap another's research. Each job keeps
+ * its ProgressTracker and the events it emitted, so status polls and late
+ * SSE subscribers see the whole run.
+ */
+
+import crypto from 'crypto';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { ProgressTracker } from '../orchestrator/progress-tracker.js';
+import { createUserContext } from '../orchestrator/user-context.js';
+import { hasChannel, getAllChannels } from '../agents/channel-registry.js';
+import { hasSetting } from '../synthesis/prompts.js';
+import { hasFactCheckPolicy, FACT_CHECK_POLICIES } from '../synthesis/fact-checker.js';
+import { validateBudgetOptions } from '../orchestrator/budget.js';
+import { getTtsProviderNames } from '../audio/tts-providers.js';
+
+const log = logger.child('Jobs');
+
+// Finished jobs kept for status and downloads; older ones are forgotten
+const MAX_FINISHED_JOBS = 100;
+const MAX_EVENTS_PER_JOB = 1000;
+
+export const JOB_STATUSES = ['queued', 'running', 'success', 'failed', 'cancelled'];
+
+/**
+ * Validate a job request and turn it into generate options.
+ * The body follows createUserContext (channels, customRequests, setting,
+ * duration, format, deterministic) plus audio, tts, voice, factCheck and the
+ * budget fields maxCost, maxTokens and budgetPolicy.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {{options: Object, errors: Array<string>}} Options for runGeneration, or validation errors
+ */
+export function normalizeJobRequest(body = {}) {
+  const errors = [];
+  const list = value => (Array.isArray(value) ? value : value ? [value] : []).map(String).filter(Boolean);
+
+  const request = {
+    channels: list(body.channels),
+    customRequests: list(body.customRequests),
+    setting: body.setting || 'morning_routine',
+    duration: body.duration !== undefined ? Number(body.duration) : 5,
+    format: body.format || 'monologue',
+    deterministic: body.deterministic === true,
+  };
+
+  const unknown = request.channels.filter(channelId => !hasChannel(channelId));
+  if (unknown.length > 0) {
+    errors.push(`Unknown channel(s): ${unknown.join(', ')}. Available: ${getAllChannels().map(c => c.id).join(', ')}`);
+  }
+  if (!hasSetting(request.setting)) {
+    errors.push(`Unknown setting: ${request.setting}`);
+  }
+  if (!Number.isFinite(request.duration)) {
+    errors.push('Duration must be a number of minutes');
+  }
+  if (body.tts && !getTtsProviderNames().includes(body.tts)) {
+    errors.push(`Unknown TTS provider: ${body.tts}. Available: ${getTtsProviderNames().join(', ')}`);
+  }
+  if (body.factCheck && !hasFactCheckPolicy(body.factCheck)) {
+    errors.push(`Unknown fact-check policy: ${body.factCheck}. Available: ${FACT_CHECK_POLICIES.join(', ')}`);
+  }
+  errors.push(...validateBudgetOptions(body));
+  errors.push(...createUserContext(request).getValidationErrors());
+
+  return {
+    errors,
+    options: {
+      channels: request.channels,
+      requests: request.customRequests,
+      setting: request.setting,
+      duration: request.duration,
+      format: request.format,
+      deterministic: request.deterministic,
+      audio: body.audio === true,
+      tts: body.tts || undefined,
+      voice: body.voice || undefined,
+      factCheck: body.factCheck || undefined,
+      maxCost: body.maxCost ?? undefined,
+      maxTokens: body.maxTokens ?? undefined,
+      budgetPolicy: body.budgetPolicy || undefined,
+      history: body.history !== false,
+    },
+  };
+}
+
+export class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.runEpisode - async (generateOptions) => { outputDir, scriptPath, audioPath, episode }
+   * @param {number} options.concurrency - Jobs generating at once (default: CONCURRENCY_LIMIT)
+   * @param {number} options.maxQueued - Jobs allowed to wait (default: SERVER_MAX_QUEUE)
+   */
+  constructor({ runEpisode, concurrency = config.concurrencyLimit, maxQueued = config.serverMaxQueue }) {
+    this.runEpisode = runEpisode;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxQueued = maxQueued;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = new Set();
+    this.listeners = new Map();
+    this.accepting = true;
+  }
+
+  /**
+   * Queue a generation job
+   *
+   * @param {Object} options - Options for runEpisode (see normalizeJobRequest)
+   * @param {Object} request - Request body, kept for status responses
+   * @returns {Object} Job
+   */
+  submit(options, request = {}) {
+    if (!this.accepting) {
+      const error = new Error('Server is shutting down');
+      error.code = 'QUEUE_CLOSED';
+      throw error;
+    }
+    if (this.pending.length >= this.maxQueued) {
+      const error = new Error(`Job queue is full (${this.maxQueued} waiting)`);
+      error.code = 'QUEUE_FULL';
+      throw error;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      request,
+      options,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      outputDir: null,
+      audioPath: null,
+      error: null,
+      progress: new ProgressTracker(),
+      events: [],
+      lastEventId: 0,
+    };
+    job.progress.onProgress((event, data) => this.emit(job, event, summarizeEvent(event, data)));
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.emit(job, 'queued', { position: this.pending.length });
+    log.info('Job queued', { id: job.id, queued: this.pending.length, running: this.running.size });
+
+    this.pump();
+    return job;
+  }
+
+  /**
+   * @param {string} id - Job id
+   * @returns {Object|null} Job
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * @returns {Array<Object>} Jobs, newest first
+   */
+  list() {
+    return [...this.jobs.values()].reverse();
+  }
+
+  /**
+   * Cancel a job that has not started yet
+   *
+   * @param {string} id - Job id
+   * @returns {boolean} Whether the job was cancelled
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'queued') return false;
+
+    this.pending = this.pending.filter(entry => entry !== job);
+    this.finish(job, 'cancelled');
+    return true;
+  }
+
+  /**
+   * Listen to a job's events
+   *
+   * @param {string} id - Job id
+   * @param {Function} listener - Called with each event { id, event, data, time }
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(id, listener) {
+    if (!this.listeners.has(id)) this.listeners.set(id, new Set());
+    this.listeners.get(id).add(listener);
+    return () => this.listeners.get(id)?.delete(listener);
+  }
+
+  /**
+   * Queue position of a waiting job (1 = next)
+   *
+   * @param {Object} job - Job
+   * @returns {number|null} Position, or null if the job is not waiting
+   */
+  position(job) {
+    const index = this.pending.indexOf(job);
+    return index < 0 ? null : index + 1;
+  }
+
+  /**
+   * @returns {{running: number, queued: number, concurrency: number, maxQueued: number}}
+   */
+  getStats() {
+    return {
+      running: this.running.size,
+      queued: this.pending.length,
+      concurrency: this.concurrency,
+      maxQueued: this.maxQueued,
+    };
+  }
+
+  /**
+   * Stop accepting jobs, cancel waiting ones and wait for running ones
+   */
+  async drain() {
+    this.accepting = false;
+    for (const job of [...this.pending]) this.cancel(job.id);
+    await Promise.allSettled([...this.running].map(job => job.done));
+  }
+
+  pump() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running.add(job);
+      job.done = this.run(job).finally(() => {
+        this.running.delete(job);
+        this.pump();
+      });
+    }
+  }
+
+  async run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emit(job, 'started', {});
+    log.start('Job started', { id: job.id });
+
+    try {
+      const result = await this.runEpisode({ ...job.options, progress: job.progress });
+      job.outputDir = result.outputDir;
+      job.audioPath = result.audioPath || null;
+      this.finish(job, 'success');
+      log.success('Job complete', { id: job.id, outputDir: job.outputDir });
+    } catch (error) {
+      job.error = error.message;
+      this.finish(job, 'failed');
+      log.error('Job failed', error, { id: job.id });
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    this.emit(job, 'done', { status, error: job.error, outputDir: job.outputDir });
+    this.listeners.delete(job.id);
+    this.forgetOldJobs();
+  }
+
+  emit(job, event, data) {
+    const entry = { id: ++job.lastEventId, event, data, time: new Date().toISOString() };
+    if (job.events.length < MAX_EVENTS_PER_JOB) job.events.push(entry);
+
+    for (const listener of this.listeners.get(job.id) || []) {
+      try {
+        listener(entry);
+      } catch (error) {
+        log.warn('Job event listener failed', { id: job.id, error: error.message });
+      }
+    }
+  }
+
+  forgetOldJobs() {
+    const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(job.id);
+    }
+  }
+}
+
+/**
+ * Drop workflow results from the tracker's 'complete' event; clients fetch
+ * them from the reports download instead
+ */
+function summarizeEvent(event, data = {}) {
+  if (event !== 'complete') return data;
+  return { totalDuration: data.totalDuration, stages: data.stages };
+}
+
+export default {
+  JOB_STATUSES,
+  JobQueue,
+  normalizeJobRequest,
+};
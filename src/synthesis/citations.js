@@ -0,0 +1,161 @@
+/**
+ * Source Citations
+ *
+ * Channel reports carry the sources their research saw. This module gives
+ * every source an episode-wide id (S1, S2, ...), lets the writer cite them
+ * inline as {S2}, strips the markers from the spoken script, and renders
+ * sources.md and show notes for publishing.
+ */
+
+const CITATION_PATTERN = /[ \t]*[[{]\s*(S\d+(?:\s*[,;]\s*S\d+)*)\s*[\]}]/g;
+
+/**
+ * Assign episode-wide ids to the sources of all reports.
+ * The same URL cited by several channels gets a single id.
+ *
+ * @param {Array<Object>} reports - Channel reports (and the custom report) in episode order
+ * @returns {Array<Object>} Sources with id and the report labels that used them
+ */
+export function buildSourceIndex(reports = []) {
+  const byKey = new Map();
+
+  for (const report of reports) {
+    if (!report) continue;
+    const label = report.channelId || 'custom';
+    for (const source of report.sources || []) {
+      const key = source.url || `${label}:${source.title}`;
+      if (!byKey.has(key)) {
+        byKey.set(key, { id: `S${byKey.size + 1}`, ...source, channels: [] });
+      }
+      const entry = byKey.get(key);
+      if (!entry.channels.includes(label)) entry.channels.push(label);
+    }
+  }
+
+  return [...byKey.values()];
+}
+
+/**
+ * Describe citable sources for a prompt. Fallback content is not citable.
+ *
+ * @param {Array<Object>} sources - Indexed sources
+ * @returns {string} One line per source
+ */
+export function describeSources(sources = []) {
+  return sources
+    .filter(source => !source.fallback)
+    .map(source => `{${source.id}} ${source.title} (${source.domain})`)
+    .join('\n');
+}
+
+/**
+ * Remove citation markers from text
+ *
+ * @param {string} text - Text with {S1} / [S1, S3] markers
+ * @param {Array<Object>} sources - Indexed sources; ids not citable (see describeSources) are reported as unknown
+ * @returns {{text: string, sourceIds: Array<string>, unknown: Array<string>}} Clean text and cited ids in order
+ */
+export function extractCitations(text, sources = []) {
+  const known = new Set(sources.filter(source => !source.fallback).map(source => source.id));
+  const cited = new Set();
+  const unknown = new Set();
+
+  const clean = String(text || '')
+    .replace(CITATION_PATTERN, (match, ids) => {
+      for (const id of ids.split(/\s*[,;]\s*/)) {
+        (known.has(id) ? cited : unknown).add(id);
+      }
+      return '';
+    })
+    .replace(/[ \t]+([,.!?;:])/g, '$1');
+
+  return { text: clean, sourceIds: [...cited], unknown: [...unknown] };
+}
+
+/**
+ * Render the full source list as Markdown
+ *
+ * @param {Array<Object>} sources - Indexed sources
+ * @param {Object} options
+ * @param {string} options.title - Episode title
+ * @returns {string} Markdown
+ */
+export function formatSourcesMarkdown(sources = [], { title = 'Sources' } = {}) {
+  const lines = [`# ${title}`, ''];
+
+  if (sources.length === 0) {
+    lines.push('No sources were recorded for this episode.');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push('| ID | Source | Domain | Channels | Retrieved | Notes |', '|----|--------|--------|----------|-----------|-------|');
+  for (const source of sources) {
+    const notes = [
+      source.fallback ? 'fallback content, not a live article' : '',
+      source.scraped ? 'full text read' : '',
+    ].filter(Boolean).join('; ');
+    lines.push(`| ${source.id} | ${link(source)} | ${source.domain || ''} | ${source.channels.join(', ')} | ${(source.retrievedAt || '').slice(0, 10)} | ${notes} |`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render show notes: each segment with the sources it cites
+ *
+ * @param {Object} params
+ * @param {string} params.title - Episode title
+ * @param {Array<Object>} params.sections - Script sections { title, sources }
+ * @param {Array<Object>} params.sources - Indexed sources
+ * @returns {string} Markdown
+ */
+export function formatShowNotes({ title = 'Show Notes', sections = [], sources = [] }) {
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const cited = new Set();
+  const lines = [`# ${title}`, ''];
+
+  if (sections.length > 0) {
+    lines.push('## Segments', '');
+    for (const section of sections) {
+      lines.push(`### ${section.title}`, '');
+      const sectionSources = (section.sources || []).map(id => byId.get(id)).filter(Boolean);
+      if (sectionSources.length === 0) {
+        lines.push('_No sources cited._', '');
+        continue;
+      }
+      for (const source of sectionSources) {
+        cited.add(source.id);
+        lines.push(`- ${link(source)} (${source.domain})`);
+      }
+      lines.push('');
+    }
+  }
+
+  const further = sources.filter(source => !cited.has(source.id) && !source.fallback);
+  if (further.length > 0) {
+    lines.push(sections.length > 0 ? '## Further Reading' : '## Sources', '');
+    for (const source of further) {
+      lines.push(`- ${link(source)} (${source.domain})`);
+    }
+    lines.push('');
+  }
+
+  if (sources.some(source => source.fallback)) {
+    lines.push('_Parts of this episode used curated background content because live sources were unavailable._', '');
+  }
+
+  return lines.join('\n');
+}
+
+function link(source) {
+  const title = String(source.title || source.domain || source.id).replace(/([[\]|])/g, '\\$1');
+  return source.url ? `[${title}](${source.url})` : title;
+}
+
+export default {
+  buildSourceIndex,
+  describeSources,
+  extractCitations,
+  formatSourcesMarkdown,
+  formatShowNotes,
+};
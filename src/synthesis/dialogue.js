@@ -0,0 +1,120 @@
+/**
+ * Dialogue Format
+ *
+ * Helpers for the multi-host conversational script format. Dialogue scripts
+ * are written as speaker-tagged lines ("HOST_A: ...") and parsed into a
+ * structured turn list that the audio stage can map to different voices.
+ */
+
+export const SCRIPT_FORMATS = ['monologue', 'dialogue'];
+
+/**
+ * Default hosts used when the planner does not assign any
+ */
+export const DEFAULT_HOSTS = [
+  {
+    id: 'HOST_A',
+    name: 'Alex',
+    role: 'anchor',
+    persona: 'Warm, curious lead host who sets up each story, keeps the pace and asks the questions listeners would ask',
+  },
+  {
+    id: 'HOST_B',
+    name: 'Sam',
+    role: 'analyst',
+    persona: 'Sharp analyst who brings the numbers, context and implications, with the occasional dry aside',
+  },
+];
+
+/**
+ * Check if a script format exists
+ *
+ * @param {string} format - Format identifier
+ * @returns {boolean} True if format exists
+ */
+export function hasFormat(format) {
+  return SCRIPT_FORMATS.includes(format);
+}
+
+/**
+ * Normalize planner-assigned hosts: keep the HOST_A/HOST_B ids and fill
+ * anything missing from the defaults.
+ *
+ * @param {Array} hosts - Hosts from the plan (may be missing or partial)
+ * @returns {Array} Exactly one entry per default host
+ */
+export function normalizeHosts(hosts = []) {
+  return DEFAULT_HOSTS.map((fallback, i) => {
+    const assigned = (Array.isArray(hosts) ? hosts : []).find(h => h?.id === fallback.id) || hosts?.[i] || {};
+    return {
+      id: fallback.id,
+      name: assigned.name || fallback.name,
+      role: assigned.role || fallback.role,
+      persona: assigned.persona || fallback.persona,
+    };
+  });
+}
+
+/**
+ * Describe hosts for prompts
+ *
+ * @param {Array} hosts - Normalized hosts
+ * @returns {string} One line per host
+ */
+export function describeHosts(hosts) {
+  return hosts.map(h => `- ${h.id} (${h.name}, ${h.role}): ${h.persona}`).join('\n');
+}
+
+/**
+ * Parse speaker-tagged text into turns.
+ *
+ * Lines starting with "<SPEAKER_ID>:" begin a new turn; other non-empty lines
+ * continue the previous turn. Text before the first tag is attributed to
+ * the default speaker.
+ *
+ * @param {string} text - Speaker-tagged script
+ * @param {Object} options
+ * @param {Array<string>} options.speakers - Known speaker ids
+ * @param {string} options.defaultSpeaker - Speaker for untagged text
+ * @returns {Array<{speaker: string, text: string}>} Turns in order
+ */
+export function parseSpeakerTurns(text, { speakers = DEFAULT_HOSTS.map(h => h.id), defaultSpeaker = speakers[0] } = {}) {
+  const turns = [];
+  const tag = /^\s*\**([A-Z][A-Z0-9_]*)\**\s*:\s*(.*)$/;
+
+  for (const line of String(text || '').split('\n')) {
+    if (!line.trim()) continue;
+
+    const match = line.match(tag);
+    if (match && speakers.includes(match[1])) {
+      turns.push({ speaker: match[1], text: match[2].trim() });
+    } else if (turns.length > 0) {
+      const last = turns[turns.length - 1];
+      last.text = `${last.text} ${line.trim()}`.trim();
+    } else {
+      turns.push({ speaker: defaultSpeaker, text: line.trim() });
+    }
+  }
+
+  return turns.filter(t => t.text);
+}
+
+/**
+ * Format turns as readable speaker-tagged text
+ *
+ * @param {Array<{speaker: string, text: string}>} turns - Turns
+ * @returns {string} Script text, one turn per paragraph
+ */
+export function formatTurns(turns) {
+  return turns.map(t => `${t.speaker}: ${t.text}`).join('\n\n');
+}
+
+export default {
+  SCRIPT_FORMATS,
+  DEFAULT_HOSTS,
+  hasFormat,
+  normalizeHosts,
+  describeHosts,
+  parseSpeakerTurns,
+  formatTurns,
+};
@@ -11,17 +11,19 @@
  * - Appropriate length and pacing
  */
 
-import { ChatOpenAI } from '@langchain/openai';
 import { ChatPromptTemplate } from '@langchain/core/prompts';
-import config from '../config/config.js';
+import { createChatModel, emptyTokenUsage, addTokenUsage, collectTokenUsage } from '../llm/index.js';
 import logger from '../utils/logger.js';
 import { getSetting } from './prompts.js';
+import { DEFAULT_HOSTS, describeHosts } from './dialogue.js';
 
 const log = logger.child('Editor');
 
 export class EditorInChief {
   constructor() {
     this.llm = null;
+    // Usage of the last synthesize() call, continuations included
+    this.tokenUsage = emptyTokenUsage();
   }
 
   /**
@@ -34,9 +36,7 @@ export class EditorInChief {
 
     log.info('Initializing Editor-in-Chief LLM');
 
-    this.llm = new ChatOpenAI({
-      openAIApiKey: config.openaiApiKey,
-      modelName: config.openaiSynthesisModel,
+    this.llm = createChatModel('editor', {
       temperature: 0.7, // Higher temperature for creative synthesis
       timeout: 60000, // 60 second timeout
     });
@@ -52,9 +52,10 @@ export class EditorInChief {
    * @param {Object} params.customReport - Custom request report
    * @param {string} params.setting - Podcast setting
    * @param {number} params.duration - Target duration in minutes
-   * @returns {Promise<string>} Final podcast script
+   * @param {string} params.format - 'monologue' (default) or 'dialogue'
+   * @returns {Promise<string>} Final podcast script (speaker-tagged for dialogue)
    */
-  async synthesize({ channelReports, customReport, setting, duration }) {
+  async synthesize({ channelReports, customReport, setting, duration, format = 'monologue' }) {
     const startTime = Date.now();
     log.start('Synthesizing final podcast script', {
       setting,
@@ -64,6 +65,7 @@ export class EditorInChief {
     });
 
     await this.initialize();
+    this.tokenUsage = emptyTokenUsage();
 
     try {
       // Get setting configuration
@@ -78,13 +80,14 @@ export class EditorInChief {
         customContent: customReport?.report || '',
         settingConfig,
         duration,
+        format,
       });
 
       // Generate initial script
       let script = await this.generateScript(prompt, duration);
 
       // Ensure minimum length (90% of target)
-      script = await this.ensureMinimumLength(script, duration);
+      script = await this.ensureMinimumLength(script, duration, format);
 
       const elapsed = Date.now() - startTime;
       const wordCount = script.split(/\s+/).filter(Boolean).length;
@@ -94,6 +97,7 @@ export class EditorInChief {
         wordCount,
         characterCount: script.length,
         targetWords: duration * 160,
+        totalTokens: this.tokenUsage.totalTokens,
       });
 
       return script;
@@ -130,7 +134,7 @@ export class EditorInChief {
    * @param {Object} params - Prompt parameters
    * @returns {string} Formatted prompt
    */
-  buildSynthesisPrompt({ channelContent, customContent, settingConfig, duration }) {
+  buildSynthesisPrompt({ channelContent, customContent, settingConfig, duration, format = 'monologue' }) {
     const wordCount = duration * 160; // ~160 words per minute for natural speech
 
     return `You are an expert podcast script editor-in-chief.
@@ -152,7 +156,7 @@ PODCAST SPECIFICATIONS:
 
 SCRIPT REQUIREMENTS:
 - Write as a complete script ready for text-to-speech
-- Use ElevenLabs v3 audio tags: [excited], [whispers], [laughs], [sarcastic], [curious], [sighs], [calm]
+- Use only these audio tags: [excited], [whispers], [laughs], [sarcastic], [curious], [sighs], [calm], [pauses]
 - Natural speech patterns and conversational flow
 - Smooth transitions between topics
 - Engaging opening hook and strong conclusion
@@ -160,7 +164,14 @@ SCRIPT REQUIREMENTS:
 - Target ${wordCount} words for ${duration} minutes of natural speech
 - Weave all reports into a cohesive narrative
 - Prioritize the most interesting and relevant information
-
+${format === 'dialogue' ? `
+DIALOGUE FORMAT:
+Write the script as a conversation between two hosts:
+${describeHosts(DEFAULT_HOSTS)}
+- Every turn starts on a new line with the host id and a colon, e.g. "HOST_A: [excited] Good morning!"
+- Keep turns short and alternate speakers; hosts may react to each other
+- No narration or stage directions outside the turns
+` : ''}
 Create a script that feels like a professional, personalized podcast that seamlessly integrates all the specialist reports.`;
   }
 
@@ -176,9 +187,10 @@ Create a script that feels like a professional, personalized podcast that seamle
 
     log.debug('Generating initial script', { targetTokens });
 
-    const response = await this.llm.invoke(prompt, {
+    const { result: response, tokenUsage } = await collectTokenUsage(() => this.llm.invoke(prompt, {
       maxTokens: targetTokens,
-    });
+    }));
+    addTokenUsage(this.tokenUsage, tokenUsage);
 
     return response.content;
   }
@@ -188,9 +200,10 @@ Create a script that feels like a professional, personalized podcast that seamle
    * 
    * @param {string} script - Initial script
    * @param {number} duration - Target duration
+   * @param {string} format - Script format
    * @returns {Promise<string>} Expanded script (if needed)
    */
-  async ensureMinimumLength(script, duration) {
+  async ensureMinimumLength(script, duration, format = 'monologue') {
     const targetWords = duration * 160;
     const minWords = Math.floor(targetWords * 0.9); // 90% of target
     let currentWords = script.split(/\s+/).filter(Boolean).length;
@@ -223,12 +236,13 @@ Create a script that feels like a professional, personalized podcast that seamle
 
 Write a CONTINUATION ONLY that seamlessly follows the current script. Match the same tone, style, and setting. Do not repeat any sentences; add new, relevant content that flows naturally with smooth transitions and a strong wrap-up if needed.
 
-Aim for about ${remaining} additional words in this continuation. Return ONLY the continuation text (no preface, no restatement of the existing content).
+Aim for about ${remaining} additional words in this continuation. Return ONLY the continuation text (no preface, no restatement of the existing content).${format === 'dialogue' ? '\nKeep the same HOST_A:/HOST_B: turn format.' : ''}
 
 CURRENT SCRIPT (for context):
 ${expandedScript}`;
 
-      const continuation = await this.llm.invoke(continuationPrompt);
+      const { result: continuation, tokenUsage } = await collectTokenUsage(() => this.llm.invoke(continuationPrompt));
+      addTokenUsage(this.tokenUsage, tokenUsage);
       const addedText = continuation.content.trim();
 
       if (addedText) {
@@ -248,7 +262,8 @@ ${expandedScript}`;
 }
 
 /**
- * Synthesize reports into podcast script
+ * Synthesize reports into podcast script. The editor's token usage is
+ * added to the reports' metadata.tokenUsage (synthesis.editor and total).
  * 
  * @param {Object} reports - Agent reports and metadata
  * @param {Object} userContext - User context (setting, duration)
@@ -257,12 +272,21 @@ ${expandedScript}`;
 export async function synthesizeScript(reports, userContext) {
   const editor = new EditorInChief();
   
-  return await editor.synthesize({
+  const script = await editor.synthesize({
     channelReports: reports.channelReports,
     customReport: reports.customReport,
     setting: userContext.setting,
     duration: userContext.duration,
+    format: userContext.format,
   });
+
+  const tokenUsage = reports.metadata?.tokenUsage;
+  if (tokenUsage) {
+    tokenUsage.synthesis.editor = editor.tokenUsage;
+    addTokenUsage(tokenUsage.total, editor.tokenUsage);
+  }
+
+  return script;
 }
 
 export default {
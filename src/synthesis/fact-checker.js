@@ -0,0 +1,360 @@
+/**
+ * Fact Checker
+ *
+ * Verifies written sections against the research before they join the script.
+ * Factual claims (sentences with numbers, dates, version numbers or proper
+ * names) are extracted with simple patterns and matched against the channel
+ * reports and source excerpts. Unsupported claims are handled per policy:
+ * - off:     skip the check
+ * - warn:    record and log them (default)
+ * - rewrite: ask the LLM to correct or drop them, then check again
+ * - fail:    stop the run
+ */
+
+import { createChatModel, emptyTokenUsage, addTokenUsage, collectTokenUsage } from '../llm/index.js';
+import logger from '../utils/logger.js';
+import { formatTurns, parseSpeakerTurns } from './dialogue.js';
+
+const log = logger.child('FactChecker');
+
+export const FACT_CHECK_POLICIES = ['off', 'warn', 'rewrite', 'fail'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+
+// Capitalized words that do not name anything on their own
+const NAME_STOPWORDS = new Set([
+  'i', "i'm", "i've", "i'll", "i'd", 'ok', 'okay', 'yes', 'no', 'so', 'and', 'but', 'now', 'today', 'tonight',
+  'yesterday', 'tomorrow', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'the', 'a', 'an', 'this', 'that', 'these', 'those', 'we', 'you', 'they', 'it', 'he', 'she', 'our', 'your',
+  ...MONTHS,
+  ...MONTHS.map(month => month.slice(0, 3)),
+  'sept',
+]);
+
+// Periods after these do not end a sentence
+const ABBREVIATIONS = /\b(Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec|Mr|Mrs|Ms|Dr|St|Inc|Corp|Ltd|Co|vs|etc|approx|U\.S|U\.K)\./g;
+const ABBREVIATION_MARK = '\u2024';
+
+/**
+ * Check if a fact-check policy exists
+ *
+ * @param {string} policy - Policy name
+ * @returns {boolean} True if the policy exists
+ */
+export function hasFactCheckPolicy(policy) {
+  return FACT_CHECK_POLICIES.includes(policy);
+}
+
+/**
+ * Collect the text claims may be checked against: channel and custom
+ * reports, plus the excerpts of their sources.
+ *
+ * @param {Object} params
+ * @param {Object} params.channelReports - Reports map
+ * @param {Object} params.customReport - Custom request report
+ * @param {Array<Object>} params.sources - Indexed sources (see buildSourceIndex)
+ * @returns {string} Evidence text
+ */
+export function buildEvidence({ channelReports = {}, customReport = null, sources = [] }) {
+  const reports = [...Object.values(channelReports), customReport]
+    .filter(report => report?.report && typeof report.report === 'string')
+    .map(report => `${report.channelName || 'Custom'}: ${report.report}`);
+  const excerpts = sources
+    .filter(source => source.excerpt)
+    .map(source => `${source.title}: ${source.excerpt}`);
+
+  // The writer is told today's date, so it may state it
+  const now = new Date();
+  const today = `Today is ${now.toDateString()}, ${now.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}.`;
+
+  return [today, ...reports, ...excerpts].join('\n\n');
+}
+
+/**
+ * Extract factual claims from a section
+ *
+ * @param {string} text - Section text (may contain speaker prefixes and audio tags)
+ * @param {Object} options
+ * @param {Array<string>} options.ignoreNames - Names never treated as claims (e.g. host names)
+ * @returns {Array<{sentence: string, facts: Array<{type: string, value: string}>}>} Claims
+ */
+export function extractClaims(text, { ignoreNames = [] } = {}) {
+  const ignored = new Set(ignoreNames.map(name => name.toLowerCase()));
+  const plain = String(text || '')
+    .replace(/^\s*\**[A-Z][A-Z0-9_]*\**\s*:\s*/gm, '') // speaker prefixes
+    .replace(/\[[^\]\n]*\]/g, ' '); // audio tags
+
+  return splitSentences(plain)
+    .map(sentence => ({ sentence, facts: extractFacts(sentence, ignored) }))
+    .filter(claim => claim.facts.length > 0);
+}
+
+function splitSentences(text) {
+  return text
+    .replace(ABBREVIATIONS, `$1${ABBREVIATION_MARK}`)
+    .split(/(?<=[.!?…])["”’)]?\s+|\n+/)
+    .map(sentence => sentence.replaceAll(ABBREVIATION_MARK, '.').trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+function extractFacts(sentence, ignored) {
+  const facts = [];
+  let rest = sentence;
+  const take = (pattern, toFact) => {
+    rest = rest.replace(pattern, (...match) => {
+      const fact = toFact(match);
+      if (fact) facts.push(fact);
+      return ' ';
+    });
+  };
+
+  // Versions before numbers so "3.5.1" is not read as two numbers
+  take(/\bv?\d+(?:\.\d+){2,}\b|\bv\d+(?:\.\d+)?\b/gi, ([value]) => ({ type: 'version', value }));
+  take(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'gi'), ([value, month, day]) => ({ type: 'date', value, month, day }));
+  take(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b`, 'gi'), ([value, day, month]) => ({ type: 'date', value, month, day }));
+  take(/\b(19|20)\d{2}\b/g, ([value]) => ({ type: 'date', value }));
+  take(/[$€£]?\d[\d,]*(?:\.\d+)?%?/g, ([value]) => {
+    const number = normalizeNumber(value);
+    // Small bare counts ("two hosts", "top 3") are not worth checking
+    if (/^\d+$/.test(number) && Number(number) <= 10 && !/[%$€£]/.test(value)) return null;
+    return { type: 'number', value };
+  });
+
+  for (const name of extractNames(sentence)) {
+    if (!ignored.has(name.toLowerCase())) {
+      facts.push({ type: 'name', value: name });
+    }
+  }
+
+  return facts;
+}
+
+function extractNames(sentence) {
+  const names = [];
+  let current = [];
+  let start = 0;
+
+  const flush = () => {
+    const meaningful = current.filter(word => !NAME_STOPWORDS.has(word.toLowerCase()));
+    // A single capitalized word that starts the sentence is just capitalization
+    const sentenceStart = current.length === 1 && start === 0;
+    if (meaningful.length > 1 || (meaningful.length === 1 && !sentenceStart)) {
+      names.push(meaningful.join(' '));
+    }
+    current = [];
+  };
+
+  sentence.split(/\s+/).forEach((raw, index) => {
+    const word = raw.replace(/^["“‘(]+|[,.;:!?"”’)…]+$/g, '');
+    if (/^[A-Z][\w&'’-]*$/.test(word) && !/^[A-Z]+_[A-Z0-9]+$/.test(word)) {
+      if (current.length === 0) start = index;
+      current.push(word.replace(/['’]s$/, ''));
+      // Trailing punctuation ends the name
+      if (/[,.;:!?”)…]$/.test(raw)) flush();
+    } else if (current.length > 0) {
+      flush();
+    }
+  });
+  if (current.length > 0) flush();
+
+  return names;
+}
+
+function normalizeNumber(value) {
+  return value.replace(/[$€£%,]/g, '').replace(/\.0+$/, '');
+}
+
+/**
+ * Match claims against evidence
+ *
+ * @param {Array<Object>} claims - Claims from extractClaims
+ * @param {string} evidence - Evidence text from buildEvidence
+ * @returns {Array<Object>} Claims with `supported` and the `missing` facts
+ */
+export function verifyClaims(claims, evidence) {
+  const haystack = evidence.toLowerCase();
+  const numbers = new Set((evidence.match(/\d[\d,]*(?:\.\d+)?/g) || []).map(normalizeNumber));
+
+  return claims.map(claim => {
+    const missing = claim.facts.filter(fact => !isSupported(fact, haystack, numbers));
+    return { ...claim, supported: missing.length === 0, missing };
+  });
+}
+
+function isSupported(fact, haystack, numbers) {
+  switch (fact.type) {
+    case 'number':
+      return numbers.has(normalizeNumber(fact.value));
+    case 'version':
+      return haystack.includes(fact.value.toLowerCase().replace(/^v/, ''));
+    case 'date': {
+      if (!fact.month) return haystack.includes(fact.value);
+      const month = MONTHS.find(m => m.startsWith(fact.month.toLowerCase().replace('.', '').slice(0, 3)));
+      const monthAlt = `(${month}|${month.slice(0, 3)})\\.?`;
+      const day = Number(fact.day);
+      return new RegExp(`${monthAlt}\\s+0?${day}\\b|\\b0?${day}(st|nd|rd|th)?\\s+(of\\s+)?${monthAlt}`).test(haystack);
+    }
+    case 'name': {
+      const name = fact.value.toLowerCase();
+      // Multi-word names may be split in the evidence ("Jerome Powell" vs "Fed chair Powell ... Jerome")
+      return haystack.includes(name) || name.split(' ').every(word => haystack.includes(word));
+    }
+    default:
+      return true;
+  }
+}
+
+export class FactChecker {
+  /**
+   * @param {Object} options
+   * @param {string} options.model - Model instead of the factcheck role's configured one
+   */
+  constructor({ model = null } = {}) {
+    this.model = model;
+    this.llm = null;
+  }
+
+  async initialize() {
+    if (this.llm) return;
+    this.llm = createChatModel('factcheck', {
+      model: this.model,
+      temperature: 0,
+      timeout: 60000,
+    });
+  }
+
+  /**
+   * Check a written section and apply the policy
+   *
+   * @param {Object} params
+   * @param {Object} params.section - Section object from the plan
+   * @param {Object} params.written - Writer output { text, turns?, sources, tokenUsage }
+   * @param {string} params.evidence - Evidence text from buildEvidence
+   * @param {string} params.policy - One of FACT_CHECK_POLICIES
+   * @param {Array<Object>} params.hosts - Dialogue hosts (their names are not claims; their ids keep turns intact)
+   * @returns {Promise<{written: Object, report: Object, tokenUsage: Object}>} Possibly rewritten section and its report
+   */
+  async checkSection({ section, written, evidence, policy = 'warn', hosts = [] }) {
+    const tokenUsage = emptyTokenUsage();
+    const ignoreNames = hosts.flatMap(host => [host.id, host.name]).filter(Boolean);
+    let claims = verifyClaims(extractClaims(written.text, { ignoreNames }), evidence);
+    let unsupported = claims.filter(claim => !claim.supported);
+
+    const report = {
+      id: section.id,
+      title: section.title,
+      claims: claims.length,
+      supported: claims.length - unsupported.length,
+      unsupported: unsupported.map(toFinding),
+      action: unsupported.length === 0 ? 'none' : 'warned',
+    };
+
+    if (unsupported.length > 0 && policy === 'rewrite') {
+      const rewritten = await this.rewrite({ written, unsupported, evidence, hosts, section });
+      addTokenUsage(tokenUsage, rewritten.tokenUsage);
+
+      claims = verifyClaims(extractClaims(rewritten.written.text, { ignoreNames }), evidence);
+      const remaining = claims.filter(claim => !claim.supported);
+      Object.assign(report, {
+        action: 'rewritten',
+        remaining: remaining.map(toFinding),
+      });
+      written = rewritten.written;
+      unsupported = remaining;
+    } else if (unsupported.length > 0 && policy === 'fail') {
+      report.action = 'failed';
+    }
+
+    if (unsupported.length > 0) {
+      log.warn(`Unsupported claims in section ${section.id}`, {
+        count: unsupported.length,
+        policy,
+        claims: unsupported.slice(0, 3).map(claim => claim.sentence.slice(0, 120)),
+      });
+    }
+
+    return { written, report, tokenUsage };
+  }
+
+  /**
+   * Ask the LLM to correct or remove unsupported claims
+   */
+  async rewrite({ written, unsupported, evidence, hosts, section }) {
+    await this.initialize();
+    const dialogue = !!written.turns;
+
+    const prompt = `You are a podcast fact-checker. Today is ${new Date().toDateString()}.
+
+EVIDENCE (the only facts that may be stated):
+${evidence}
+
+SECTION:
+${written.text}
+
+UNSUPPORTED CLAIMS (details not found in the evidence):
+${unsupported.map(claim => `- "${claim.sentence}" (unsupported: ${claim.missing.map(fact => fact.value).join(', ')})`).join('\n')}
+
+TASK: Rewrite the section so every fact matches the evidence. Correct each unsupported detail from the evidence, or remove it if the evidence does not cover it. Change nothing else: keep the wording, flow, length and [audio tags] of all other sentences.${dialogue ? `
+Keep the dialogue format: every turn starts on a new line with the host id and a colon (${hosts.map(h => h.id).join(', ')}).` : ''}
+Output ONLY the rewritten section.`;
+
+    const { result: response, tokenUsage } = await collectTokenUsage(() => this.llm.invoke(prompt));
+    const text = (typeof response === 'string' ? response : (response?.content || '')).trim();
+
+    if (!text) {
+      log.warn(`Fact-check rewrite returned nothing for section ${section.id}, keeping original`);
+      return { written, tokenUsage };
+    }
+
+    if (dialogue) {
+      const turns = parseSpeakerTurns(text, {
+        speakers: hosts.map(h => h.id),
+        defaultSpeaker: section.lead_host || hosts[0]?.id,
+      });
+      return { written: { ...written, text: formatTurns(turns), turns }, tokenUsage };
+    }
+
+    return { written: { ...written, text }, tokenUsage };
+  }
+}
+
+function toFinding(claim) {
+  return {
+    sentence: claim.sentence,
+    missing: claim.missing.map(fact => ({ type: fact.type, value: fact.value })),
+  };
+}
+
+/**
+ * Summarize section reports into the run's fact-check report
+ *
+ * @param {string} policy - Policy applied
+ * @param {Array<Object>} sections - Section reports from checkSection
+ * @returns {Object} Fact-check report (written to factcheck.json)
+ */
+export function summarizeFactCheck(policy, sections) {
+  const count = key => sections.reduce((sum, section) => sum + (Array.isArray(section[key]) ? section[key].length : section[key] || 0), 0);
+  const remaining = sections.reduce((sum, section) => sum + (section.remaining ?? section.unsupported).length, 0);
+
+  return {
+    policy,
+    checkedAt: new Date().toISOString(),
+    claims: count('claims'),
+    supported: count('supported'),
+    flagged: count('unsupported'),
+    remaining,
+    passed: remaining === 0,
+    sections,
+  };
+}
+
+export default {
+  FACT_CHECK_POLICIES,
+  hasFactCheckPolicy,
+  buildEvidence,
+  extractClaims,
+  verifyClaims,
+  summarizeFactCheck,
+  FactChecker,
+};
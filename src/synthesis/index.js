@@ -4,6 +4,10 @@
 
 import { EditorInChief, synthesizeScript } from './editor.js';
 import { SETTINGS, getSetting, getAllSettings, hasSetting } from './prompts.js';
+import { SCRIPT_FORMATS, DEFAULT_HOSTS, hasFormat, parseSpeakerTurns, formatTurns } from './dialogue.js';
+import { buildSourceIndex, extractCitations, formatSourcesMarkdown, formatShowNotes } from './citations.js';
+import { FactChecker, FACT_CHECK_POLICIES, hasFactCheckPolicy } from './fact-checker.js';
+import { clusterStories, formatStoryList, canonicalizeUrl } from './story-clusters.js';
 
 export {
   // Editor
@@ -15,6 +19,29 @@ export {
   getSetting,
   getAllSettings,
   hasSetting,
+
+  // Dialogue format
+  SCRIPT_FORMATS,
+  DEFAULT_HOSTS,
+  hasFormat,
+  parseSpeakerTurns,
+  formatTurns,
+
+  // Source citations
+  buildSourceIndex,
+  extractCitations,
+  formatSourcesMarkdown,
+  formatShowNotes,
+
+  // Fact-checking
+  FactChecker,
+  FACT_CHECK_POLICIES,
+  hasFactCheckPolicy,
+
+  // Story clustering
+  clusterStories,
+  formatStoryList,
+  canonicalizeUrl,
 };
 
 export default {
@@ -24,5 +51,19 @@ export default {
   getSetting,
   getAllSettings,
   hasSetting,
+  SCRIPT_FORMATS,
+  DEFAULT_HOSTS,
+  hasFormat,
+  parseSpeakerTurns,
+  formatTurns,
+  buildSourceIndex,
+  extractCitations,
+  formatSourcesMarkdown,
+  formatShowNotes,
+  FactChecker,
+  FACT_CHECK_POLICIES,
+  hasFactCheckPolicy,
+  clusterStories,
+  formatStoryList,
+  canonicalizeUrl,
 };
-
@@ -5,27 +5,31 @@
  * listening context (setting), and target duration.
  */
 
-import { ChatOpenAI } from '@langchain/openai';
-import config from '../config/config.js';
+import { createChatModel, emptyTokenUsage, addTokenUsage, collectTokenUsage } from '../llm/index.js';
 import logger from '../utils/logger.js';
 import { getSetting } from './prompts.js';
+import { DEFAULT_HOSTS, describeHosts, normalizeHosts } from './dialogue.js';
 
 const log = logger.child('Planner');
 
 export class PodcastPlanner {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.model - Model instead of the planner role's configured one
+   */
+  constructor({ model = null } = {}) {
+    this.model = model;
     this.llm = null;
   }
 
   async initialize() {
     if (this.llm) return;
-    this.llm = new ChatOpenAI({
-      openAIApiKey: config.openaiApiKey,
-      modelName: config.openaiSynthesisModel,
+    this.llm = createChatModel('planner', {
+      model: this.model,
       temperature: 0.2,
       timeout: 60000,
       // Enforce JSON-only responses
-      response_format: { type: 'json_object' },
+      json: true,
     });
   }
 
@@ -36,9 +40,12 @@ export class PodcastPlanner {
    * @param {Object} params.customReport
    * @param {string} params.setting
    * @param {number} params.duration
-   * @returns {Promise<Object>} plan JSON
+   * @param {string} params.format - 'monologue' (default) or 'dialogue'
+   * @param {string} params.history - Digest of stories covered in recent episodes
+   * @param {string} params.stories - Deduplicated story list (see formatStoryList)
+   * @returns {Promise<Object>} plan JSON; each section has coverage 'new' or 'update'
    */
-  async createPlan({ channelReports, customReport, setting, duration }) {
+  async createPlan({ channelReports, customReport, setting, duration, format = 'monologue', history = '', stories = '' }) {
     await this.initialize();
 
     const settingConfig = getSetting(setting);
@@ -49,26 +56,33 @@ export class PodcastPlanner {
 
     const wordsTarget = duration * 160;
     const sectionsApprox = Math.max(3, Math.min(6, Math.round(duration * 1.2)));
+    const dialogue = format === 'dialogue';
 
     const prompt = `You are a planning assistant for a podcast script. Today is ${new Date().toDateString()}.
 
 SETTING:\n${settingConfig.name} | Tone: ${settingConfig.tone} | Style: ${settingConfig.style} | Pacing: ${settingConfig.pacing}
 TARGET DURATION: ${duration} minutes (~${wordsTarget} words)
-
+${dialogue ? `FORMAT: Two-host conversation. Assign two hosts with distinct personas, e.g.:\n${describeHosts(DEFAULT_HOSTS)}\n` : ''}
 SOURCE REPORTS (verbatim; do not invent facts beyond these):\n${reports}${custom}
-
+${stories ? `\nSTORIES (deduplicated across the reports; a story told by several channels appears once, with the channel that owns it):\n${stories}\n` : ''}${history ? `\nPREVIOUSLY COVERED IN RECENT EPISODES (listeners already heard these):\n${history}\n` : ''}
 TASK: Produce a concise JSON plan specifying the structure. Use only facts present in the reports. Do not include commentary.
 
 JSON SCHEMA:
 {
-  "overview": string, // 1-2 sentences theme and arc
+  "overview": string, // 1-2 sentences theme and arc${dialogue ? `
+  "hosts": [             // exactly two hosts
+    { "id": "HOST_A" | "HOST_B", "name": string, "role": string, "persona": string }
+  ],` : ''}
   "sections": [
     {
       "id": string,          // e.g., "intro", "s1", "s2", ...
       "title": string,       // short section title
       "goal": string,        // what this section should achieve
-      "approx_words": number,// approximate words for this section
-      "content_refs": [      // titles or snippets from reports to ground content
+      "approx_words": number,// approximate words for this section${history ? `
+      "coverage": "new" | "update", // "update" if it continues a PREVIOUSLY COVERED story
+      "follows": string,     // for updates: title of the earlier story` : ''}${dialogue ? `
+      "lead_host": "HOST_A" | "HOST_B", // host who drives this section` : ''}
+      "content_refs": [      // ${stories ? 'story ids (e.g. "C2"), ' : ''}titles or snippets from reports to ground content
         string
       ]
     }
@@ -81,54 +95,47 @@ CONSTRAINTS:
 - Limit to ${sectionsApprox} sections total (prefer fewer, longer sections over many short ones).
 - Each content section should be AT LEAST 120 words to allow proper narrative development.
 - Group related topics into single sections (e.g., all tech news together, not split across multiple sections).
-- Use only information from the reports to select content_refs.
+- Use only information from the reports to select content_refs.${stories ? `
+- Cover each story in exactly one section, framed from its owning channel; never repeat a story in another channel's section.
+- Put the ids of the stories a section covers in its content_refs.` : ''}${history ? `
+- Mark a section "update" only when it continues a PREVIOUSLY COVERED story with new developments; otherwise "new".
+- Drop stories that were previously covered and have nothing new in the reports.` : ''}
 Return ONLY valid JSON per the schema above. No prose, no code fences.`;
 
-    // First attempt - capture token usage from response metadata
-    let tokenUsage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    // First attempt - reported usage, or a local estimate if the provider omits it
+    const tokenUsage = emptyTokenUsage();
     
-    const response = await this.llm.invoke(prompt);
+    const { result: response, tokenUsage: firstUsage } = await collectTokenUsage(() => this.llm.invoke(prompt));
     let text = typeof response === 'string' ? response : (response?.content || '');
-    
-    // Extract token usage from response
-    const usage = response.usage_metadata || response.response_metadata?.tokenUsage;
-    if (usage) {
-      tokenUsage.promptTokens += usage.input_tokens || usage.promptTokens || 0;
-      tokenUsage.completionTokens += usage.output_tokens || usage.completionTokens || 0;
-      tokenUsage.totalTokens += usage.total_tokens || usage.totalTokens || 0;
-    }
+    addTokenUsage(tokenUsage, firstUsage);
     
     try {
       const plan = JSON.parse(text);
-      return { plan, raw: text, tokenUsage };
+      return { plan: finalizePlan(plan, dialogue), raw: text, tokenUsage };
     } catch (e) {
       // Single retry with stricter instruction
       const retryPrompt = `${prompt}\n\nReminder: Return ONLY valid JSON matching the schema. No prose.`;
-      const retryResp = await this.llm.invoke(retryPrompt);
+      const { result: retryResp, tokenUsage: retryUsage } = await collectTokenUsage(() => this.llm.invoke(retryPrompt));
       const retryText = typeof retryResp === 'string' ? retryResp : (retryResp?.content || '');
       
       // Add retry token usage
-      const retryUsage = retryResp.usage_metadata || retryResp.response_metadata?.tokenUsage;
-      if (retryUsage) {
-        tokenUsage.promptTokens += retryUsage.input_tokens || retryUsage.promptTokens || 0;
-        tokenUsage.completionTokens += retryUsage.output_tokens || retryUsage.completionTokens || 0;
-        tokenUsage.totalTokens += retryUsage.total_tokens || retryUsage.totalTokens || 0;
-      }
+      addTokenUsage(tokenUsage, retryUsage);
       
       try {
         const plan = JSON.parse(retryText);
-        return { plan, raw: retryText, tokenUsage };
+        return { plan: finalizePlan(plan, dialogue), raw: retryText, tokenUsage };
       } catch (e2) {
         log.warn('Planner returned non-JSON after retry, using minimal plan');
+        const plan = {
+          overview: 'Auto plan',
+          sections: [
+            { id: 'intro', title: 'Introduction', goal: 'Open the show', approx_words: Math.floor(wordsTarget * 0.15), content_refs: [] },
+            { id: 'main', title: 'Main Topics', goal: 'Summarize key reports', approx_words: Math.floor(wordsTarget * 0.7), content_refs: [] },
+            { id: 'closing', title: 'Closing', goal: 'Wrap up and sign off', approx_words: Math.floor(wordsTarget * 0.15), content_refs: [] },
+          ],
+        };
         return {
-          plan: {
-            overview: 'Auto plan',
-            sections: [
-              { id: 'intro', title: 'Introduction', goal: 'Open the show', approx_words: Math.floor(wordsTarget * 0.15), content_refs: [] },
-              { id: 'main', title: 'Main Topics', goal: 'Summarize key reports', approx_words: Math.floor(wordsTarget * 0.7), content_refs: [] },
-              { id: 'closing', title: 'Closing', goal: 'Wrap up and sign off', approx_words: Math.floor(wordsTarget * 0.15), content_refs: [] },
-            ],
-          },
+          plan: finalizePlan(plan, dialogue),
           raw: `${text}\n\n--- RETRY ---\n\n${retryText}`,
           tokenUsage,
         };
@@ -137,8 +144,41 @@ Return ONLY valid JSON per the schema above. No prose, no code fences.`;
   }
 }
 
+/**
+ * Normalize a parsed plan: every section is marked new or update,
+ * and dialogue plans get hosts
+ *
+ * @param {Object} plan - Parsed plan
+ * @param {boolean} dialogue - Two-host format
+ * @returns {Object} Normalized plan
+ */
+function finalizePlan(plan, dialogue) {
+  const sections = (plan.sections || []).map(section => ({
+    ...section,
+    coverage: section.coverage === 'update' ? 'update' : 'new',
+  }));
+  const normalized = { ...plan, sections };
+  return dialogue ? withHosts(normalized) : normalized;
+}
+
+/**
+ * Ensure a dialogue plan has two hosts and every section a lead host
+ *
+ * @param {Object} plan - Parsed plan
+ * @returns {Object} Plan with normalized hosts
+ */
+function withHosts(plan) {
+  const hosts = normalizeHosts(plan.hosts);
+  const ids = hosts.map(h => h.id);
+  const sections = (plan.sections || []).map((section, i) => ({
+    ...section,
+    lead_host: ids.includes(section.lead_host) ? section.lead_host : ids[i % ids.length],
+  }));
+  return { ...plan, hosts, sections };
+}
+
 export async function planPodcast(inputs) {
-  const planner = new PodcastPlanner();
+  const planner = new PodcastPlanner({ model: inputs.model });
   return await planner.createPlan(inputs);
 }
 
@@ -0,0 +1,282 @@
+/**
+ * Story Clusters
+ *
+ * Channels overlap: tech and world_news may both report the same AI
+ * regulation story. This module groups the search results and report
+ * paragraphs of all reports into story clusters, linking items that share a
+ * canonical URL, have similar titles, or name the same entities. Each
+ * cluster is owned by one channel, and the planner gets the deduplicated
+ * story list so every story is told once.
+ */
+
+import { extractClaims } from './fact-checker.js';
+
+// Query parameters that never change which article a URL points to
+const TRACKING_PARAM = /^(utm_\w+|fbclid|gclid|dclid|mc_cid|mc_eid|ref|ref_src|cmpid|ocid|guccounter|__twitter_impression)$/i;
+
+const TITLE_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'over', 'after', 'about', 'amid', 'new', 'news', 'today',
+  'says', 'said', 'will', 'what', 'how', 'why', 'its', 'his', 'her', 'their', 'this', 'that', 'are', 'was',
+  'has', 'have', 'more', 'than', 'just', 'now', 'out', 'you', 'your', 'can', 'could', 'may', 'latest',
+]);
+
+const TITLE_SIMILARITY = 0.5;    // Jaccard between two titles
+const TITLE_CONTAINMENT = 0.6;   // share of a title's words found in a paragraph
+const MIN_SHARED_WORDS = 3;
+const MIN_SHARED_ENTITIES = 2;
+const MIN_PARAGRAPH_LENGTH = 40;
+const EXCERPT_LENGTH = 160;
+const MAX_CLUSTER_ENTITIES = 6;
+
+/**
+ * Canonical form of an article URL: no scheme, www/m/amp prefixes, tracking
+ * parameters, fragment, AMP suffix or trailing slash
+ *
+ * @param {string} url - URL
+ * @returns {string} Canonical URL, or '' for invalid URLs
+ */
+export function canonicalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m|amp|mobile)\./, '');
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAM.test(key)) parsed.searchParams.delete(key);
+    }
+    parsed.searchParams.sort();
+    const pathname = parsed.pathname.replace(/\/amp\/?$/i, '').replace(/\/+$/, '');
+    return `${host}${pathname}${parsed.search}`;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Similarity of two titles (Jaccard over significant words)
+ *
+ * @param {string} a - Title
+ * @param {string} b - Title
+ * @returns {number} 0..1
+ */
+export function titleSimilarity(a, b) {
+  const left = significantWords(a);
+  const right = significantWords(b);
+  if (left.size === 0 || right.size === 0) return 0;
+  const shared = [...left].filter(word => right.has(word)).length;
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * Group the sources and paragraphs of all reports into story clusters
+ *
+ * @param {Array<Object>} reports - Channel reports (and the custom report) in episode order
+ * @returns {Array<Object>} Clusters { id, title, owner, channels, urls, entities, paragraphs, sources }
+ */
+export function clusterStories(reports = []) {
+  const items = collectItems(reports.filter(Boolean));
+  const order = [...new Set(items.map(item => item.channelId))];
+  const parent = items.map((item, index) => index);
+
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    // The earlier item stays the root so cluster order follows the episode
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  };
+
+  // Entities that appear almost everywhere ("AI", the channel's own topic) do not identify a story
+  const frequency = new Map();
+  for (const item of items) {
+    for (const entity of item.entities) frequency.set(entity, (frequency.get(entity) || 0) + 1);
+  }
+  const commonLimit = Math.max(3, Math.ceil(items.length * 0.4));
+  for (const item of items) {
+    item.keyEntities = new Set([...item.entities].filter(entity => frequency.get(entity) <= commonLimit));
+  }
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (related(items[i], items[j])) union(i, j);
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+
+  return [...groups.values()].map((group, index) => buildCluster(`C${index + 1}`, group, order));
+}
+
+/**
+ * Render the deduplicated story list for the planner.
+ * Only stories that a report actually tells are listed.
+ *
+ * @param {Array<Object>} clusters - Story clusters
+ * @returns {string} One line per story, or '' if there are none
+ */
+export function formatStoryList(clusters = []) {
+  return clusters
+    .filter(cluster => cluster.paragraphs.length > 0)
+    .map(cluster => {
+      const others = cluster.channels.filter(channel => channel !== cluster.owner);
+      const owner = `owner: ${cluster.owner}${others.length > 0 ? `; also in ${others.join(', ')}` : ''}`;
+      const entities = cluster.entities.length > 0 ? ` - ${cluster.entities.join(', ')}` : '';
+      return `${cluster.id}: ${cluster.title} [${owner}]${entities}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Counts for logs and the CLI
+ *
+ * @param {Array<Object>} clusters - Story clusters
+ * @returns {{stories: number, shared: number, items: number}} Reported stories, stories in several channels, clustered items
+ */
+export function summarizeClusters(clusters = []) {
+  const stories = clusters.filter(cluster => cluster.paragraphs.length > 0);
+  return {
+    stories: stories.length,
+    shared: stories.filter(cluster => cluster.channels.length > 1).length,
+    items: clusters.reduce((sum, cluster) => sum + cluster.paragraphs.length + cluster.sources.length, 0),
+  };
+}
+
+function collectItems(reports) {
+  const items = [];
+
+  for (const report of reports) {
+    const channelId = report.channelId || 'custom';
+
+    for (const source of report.sources || []) {
+      if (source.fallback || !source.url) continue;
+      const text = `${source.title}. ${String(source.excerpt || '').slice(0, 300)}`;
+      items.push({
+        kind: 'source',
+        channelId,
+        title: source.title,
+        url: source.url,
+        urls: new Set([canonicalizeUrl(source.url)].filter(Boolean)),
+        words: significantWords(source.title),
+        entities: entitiesOf(text),
+      });
+    }
+
+    if (typeof report.report !== 'string') continue;
+    for (const paragraph of splitParagraphs(report.report)) {
+      const links = paragraph.match(/https?:\/\/[^\s)\]>"']+/g) || [];
+      items.push({
+        kind: 'paragraph',
+        channelId,
+        text: paragraph,
+        urls: new Set(links.map(link => canonicalizeUrl(link.replace(/[.,;]+$/, ''))).filter(Boolean)),
+        words: significantWords(paragraph),
+        entities: entitiesOf(paragraph),
+      });
+    }
+  }
+
+  return items;
+}
+
+function splitParagraphs(text) {
+  return text
+    .split(/\n\s*\n|\n(?=\s*(?:[-*•]|\d+\.)\s)/)
+    .map(paragraph => paragraph.replace(/^\s*(?:#+|[-*•]|\d+\.)\s*/gm, '').replace(/\*\*/g, '').trim())
+    .filter(paragraph => paragraph.length >= MIN_PARAGRAPH_LENGTH);
+}
+
+function related(a, b) {
+  if ([...a.urls].some(url => b.urls.has(url))) return true;
+
+  if (a.kind === 'source' && b.kind === 'source' && titleSimilarity(a.title, b.title) >= TITLE_SIMILARITY) {
+    return true;
+  }
+
+  // A paragraph retelling a headline
+  const [source, paragraph] = a.kind === 'source' ? [a, b] : [b, a];
+  if (source.kind === 'source' && paragraph.kind === 'paragraph' && source.words.size >= MIN_SHARED_WORDS) {
+    const shared = [...source.words].filter(word => paragraph.words.has(word)).length;
+    if (shared >= MIN_SHARED_WORDS && shared / source.words.size >= TITLE_CONTAINMENT) return true;
+  }
+
+  const sharedEntities = [...a.keyEntities].filter(entity => b.keyEntities.has(entity)).length;
+  return sharedEntities >= MIN_SHARED_ENTITIES;
+}
+
+function buildCluster(id, items, order) {
+  const rank = channelId => order.indexOf(channelId);
+  const score = new Map();
+  for (const item of items) {
+    score.set(item.channelId, (score.get(item.channelId) || 0) + (item.kind === 'paragraph' ? 2 : 1));
+  }
+  // Most material first; ties go to the channel earlier in the episode
+  const channels = [...score.keys()].sort((a, b) => score.get(b) - score.get(a) || rank(a) - rank(b));
+  const owner = channels[0];
+
+  const sources = items.filter(item => item.kind === 'source');
+  const paragraphs = items.filter(item => item.kind === 'paragraph');
+  const headline = sources.find(item => item.channelId === owner) || sources[0];
+  const title = headline?.title || firstSentence(paragraphs[0]?.text || '');
+
+  const entityCounts = new Map();
+  for (const item of items) {
+    for (const entity of item.keyEntities) entityCounts.set(entity, (entityCounts.get(entity) || 0) + 1);
+  }
+
+  return {
+    id,
+    title,
+    owner,
+    channels: [...channels].sort((a, b) => rank(a) - rank(b)),
+    urls: [...new Set(sources.map(item => item.url))],
+    entities: [...entityCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_CLUSTER_ENTITIES)
+      .map(([entity]) => entity),
+    paragraphs: paragraphs.map(item => ({ channelId: item.channelId, excerpt: excerpt(item.text) })),
+    sources: sources.map(item => ({ channelId: item.channelId, title: item.title, url: item.url })),
+  };
+}
+
+function significantWords(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length >= 3 && !TITLE_STOPWORDS.has(word))
+  );
+}
+
+function entitiesOf(text) {
+  return new Set(
+    extractClaims(text)
+      .flatMap(claim => claim.facts)
+      .filter(fact => fact.type === 'name')
+      .map(fact => fact.value)
+  );
+}
+
+function firstSentence(text) {
+  return excerpt(text.split(/(?<=[.!?])\s/)[0], 100);
+}
+
+function excerpt(text, length = EXCERPT_LENGTH) {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+export default {
+  canonicalizeUrl,
+  titleSimilarity,
+  clusterStories,
+  formatStoryList,
+  summarizeClusters,
+};
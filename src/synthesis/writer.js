@@ -4,23 +4,28 @@
  * Iteratively writes sections based on a plan and prior script content.
  */
 
-import { ChatOpenAI } from '@langchain/openai';
-import config from '../config/config.js';
+import { createChatModel, collectTokenUsage } from '../llm/index.js';
 import logger from '../utils/logger.js';
 import { getSetting } from './prompts.js';
+import { describeHosts, formatTurns, normalizeHosts, parseSpeakerTurns } from './dialogue.js';
+import { describeSources, extractCitations } from './citations.js';
 
 const log = logger.child('Writer');
 
 export class SectionWriter {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.model - Model instead of the writer role's configured one
+   */
+  constructor({ model = null } = {}) {
+    this.model = model;
     this.llm = null;
   }
 
   async initialize() {
     if (this.llm) return;
-    this.llm = new ChatOpenAI({
-      openAIApiKey: config.openaiApiKey,
-      modelName: config.openaiSynthesisModel,
+    this.llm = createChatModel('writer', {
+      model: this.model,
       temperature: 0.5,
       timeout: 60000,
     });
@@ -34,20 +39,30 @@ export class SectionWriter {
    * @param {string} params.setting - Podcast setting
    * @param {string} params.currentScript - Current accumulated script
    * @param {Object} params.channelReports - Reports map for grounding
-   * @returns {Promise<string>} section text
+   * @param {string} params.format - 'monologue' (default) or 'dialogue'
+   * @param {Array<Object>} params.sources - Indexed sources (see buildSourceIndex) the writer may cite
+   * @param {string} params.history - Digest of stories covered in recent episodes
+   * @returns {Promise<Object>} { text, sources, tokenUsage } plus speaker turns for dialogue;
+   *   `sources` lists the cited source ids and the markers are removed from the text
    */
-  async writeSection({ plan, section, setting, currentScript, channelReports }) {
+  async writeSection({ plan, section, setting, currentScript, channelReports, format = 'monologue', sources = [], history = '' }) {
     await this.initialize();
     const settingConfig = getSetting(setting);
+    const dialogue = format === 'dialogue';
+    const hosts = dialogue ? normalizeHosts(plan.hosts) : [];
 
     const reportsStr = Object.values(channelReports)
-      .map(r => `${r.channelName}: ${r.report}`)
+      .map(r => {
+        const reportSources = describeSources(sources.filter(s => s.channels.includes(r.channelId)));
+        return `${r.channelName}: ${r.report}${reportSources ? `\nSOURCES:\n${reportSources}` : ''}`;
+      })
       .join('\n\n');
+    const citable = describeSources(sources) !== '';
 
     const prompt = `You are a podcast section writer. Today is ${new Date().toDateString()}.
 
 SETTING:\n${settingConfig.name} | Tone: ${settingConfig.tone} | Style: ${settingConfig.style} | Voice: ${settingConfig.voice}
-
+${dialogue ? `\nHOSTS:\n${describeHosts(hosts)}\nThis section is led by ${section.lead_host || hosts[0].id}.\n` : ''}
 FULL PLAN OVERVIEW:
 ${plan.overview}
 
@@ -63,11 +78,17 @@ CRITICAL RULES:
 - If your section's topic was already covered, skip to a NEW angle or detail not yet mentioned
 - Provide smooth transitions from the previous section's ending
 - Stay focused on YOUR section's goal
-
+${history ? `
+PREVIOUSLY COVERED IN RECENT EPISODES (listeners already heard these):
+${history}
+${section.coverage === 'update'
+    ? `This section UPDATES an earlier story${section.follows ? ` ("${section.follows}")` : ''}: recap it in one sentence ("As we covered...") and spend the rest on what is new. Do not re-explain the background.`
+    : 'Do not re-explain stories listed above; if one comes up, mention it only briefly as context.'}
+` : ''}
 AVAILABLE FACTUAL MATERIAL (verbatim from agent reports; do not invent beyond these):
 ${reportsStr}
 
-ELEVENLABS V3 AUDIO TAGS (use varied tags naturally throughout your section):
+AUDIO TAGS (use varied tags naturally throughout your section; they are translated for the voice engine):
 Emotional states: [excited], [nervous], [frustrated], [sorrowful], [calm]
 Reactions: [sigh], [laughs], [gulps], [gasps], [whispers]
 Cognitive beats: [pauses], [hesitates], [stammers], [resigned tone]
@@ -77,31 +98,55 @@ AUDIO TAG GUIDELINES:
 - Use 3-5 DIFFERENT tags per section for variety
 - Place tags at natural points (before sentences or phrases they modify)
 - Do NOT reuse the same 2 tags repeatedly - mix emotional states, reactions, cognitive beats, and tone cues
+- Use ONLY the tags listed above; other bracketed text is dropped from the audio
 - Examples: "[excited] This breakthrough changes everything!" or "The results [pauses] weren't what anyone expected [nervous]"
 
-TASK: Write ONLY the text for this section (no prefaces). Use ElevenLabs v3 audio tags naturally and with variety. Target ~${section.approx_words} words. Create natural transitions from what came before. Ensure clear, unambiguous facts that cannot be misinterpreted downstream.`;
+TASK: Write ONLY the text for this section (no prefaces). Use the audio tags naturally and with variety. Target ~${section.approx_words} words. Create natural transitions from what came before. Ensure clear, unambiguous facts that cannot be misinterpreted downstream.${dialogue ? `
+
+DIALOGUE FORMAT:
+- Write a natural conversation between the hosts, staying true to each persona
+- Every turn starts on a new line with the host id and a colon, e.g. "HOST_A: [excited] Big news today..."
+- Use only these host ids: ${hosts.map(h => h.id).join(', ')}
+- Keep turns short (1-4 sentences) and alternate speakers; hosts may react to each other
+- No narration or stage directions outside the turns` : ''}${citable ? `
+
+CITATIONS:
+- After each factual claim, add the id of the source that supports it in curly braces, e.g. "Revenue rose 12% {S3}."
+- Only cite ids listed under SOURCES above; do not invent ids
+- Citations are removed before the script is read aloud, so never refer to them in speech` : ''}`;
+
+    // Reported usage, or a local estimate if the provider omits it
+    const { result: response, tokenUsage } = await collectTokenUsage(() => this.llm.invoke(prompt));
+    const raw = typeof response === 'string' ? response : (response?.content || '');
+    const { text, sourceIds, unknown } = extractCitations(raw, sources);
+    if (unknown.length > 0) {
+      log.warn('Section cites unknown source ids', { section: section.id, ids: unknown });
+    }
 
-    const response = await this.llm.invoke(prompt);
-    const text = typeof response === 'string' ? response : (response?.content || '');
-    
-    // Extract token usage from response metadata
-    const tokenUsage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
-    const usage = response.usage_metadata || response.response_metadata?.tokenUsage;
-    if (usage) {
-      tokenUsage.promptTokens = usage.input_tokens || usage.promptTokens || 0;
-      tokenUsage.completionTokens = usage.output_tokens || usage.completionTokens || 0;
-      tokenUsage.totalTokens = usage.total_tokens || usage.totalTokens || 0;
+    if (dialogue) {
+      const turns = parseSpeakerTurns(text, {
+        speakers: hosts.map(h => h.id),
+        defaultSpeaker: section.lead_host || hosts[0].id,
+      });
+      log.debug('Parsed dialogue turns', { section: section.id, turns: turns.length });
+      return {
+        text: formatTurns(turns),
+        turns,
+        sources: sourceIds,
+        tokenUsage,
+      };
     }
     
     return {
       text: text.trim(),
+      sources: sourceIds,
       tokenUsage,
     };
   }
 }
 
 export async function writeSection(inputs) {
-  const writer = new SectionWriter();
+  const writer = new SectionWriter({ model: inputs.model });
   return await writer.writeSection(inputs);
 }
 
@@ -0,0 +1,334 @@
+/**
+ * Article Extractor
+ *
+ * Finds the main content of an article page and its metadata, in the spirit
+ * of Readability:
+ *
+ * 1. Metadata (headline, byline, site, published/modified time) is read from
+ *    JSON-LD, OpenGraph/meta tags and <time> elements before anything is removed.
+ * 2. Scripts, navigation, forms and elements whose class/id look like
+ *    boilerplate (cookie banners, newsletter boxes, share bars, comments,
+ *    sidebars) are removed.
+ * 3. Every paragraph-like node scores its parent and grandparent by length
+ *    and commas; candidates are weighted by tag and class/id and penalized by
+ *    link density. The best candidate plus siblings that score close to it
+ *    is the content.
+ * 4. The content's paragraphs, headings, list items and quotes are kept as
+ *    separate paragraphs.
+ */
+
+import * as cheerio from 'cheerio';
+
+// Boilerplate by class/id, unless the name also looks like content
+const UNLIKELY = /-ad-|ad-break|agegate|banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|pagination|pager|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i;
+const MAYBE_CONTENT = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|consent|cookie|foot|footer|footnote|gdpr|masthead|media|meta|newsletter|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|subscribe|tags|tool|widget/i;
+const BOILERPLATE = /accept (all )?cookies|we use cookies|cookie (policy|settings)|(subscribe|sign up) (to|for) our newsletter|all rights reserved|advertisement/i;
+
+const REMOVE = [
+  'script', 'style', 'noscript', 'iframe', 'svg', 'canvas', 'template', 'form', 'button',
+  'input', 'select', 'textarea', 'nav', 'footer', 'aside', '[hidden]', '[aria-hidden="true"]',
+  '[role="dialog"]', '[role="alertdialog"]', '[role="navigation"]', '[role="complementary"]',
+].join(', ');
+
+const PARAGRAPH_TAGS = new Set(['p', 'pre', 'td', 'blockquote']);
+const BLOCK_TAGS = new Set([
+  'p', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'dd', 'dt', 'figcaption',
+  'div', 'section', 'article', 'main', 'ul', 'ol', 'dl', 'table', 'tr', 'td', 'th', 'header', 'figure',
+]);
+const HEADING = /^h[1-6]$/;
+const ARTICLE_TYPE = /Article|BlogPosting|Report/;
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_CONTENT_LENGTH = 100;
+
+/**
+ * Extracted article
+ * @typedef {Object} Article
+ * @property {string} url - Page URL
+ * @property {string} title - Headline
+ * @property {string} byline - Author(s)
+ * @property {string} siteName - Publication name
+ * @property {string|null} published - Publish time (ISO)
+ * @property {string|null} modified - Last modified time (ISO)
+ * @property {string} description - Summary from the page's metadata
+ * @property {string} lang - Document language
+ * @property {string[]} paragraphs - Content paragraphs in order
+ * @property {string} text - Paragraphs joined by blank lines
+ * @property {boolean} truncated - Whether text was cut at maxLength
+ */
+
+/**
+ * Extract the article from an HTML page
+ *
+ * @param {string} html - Page HTML
+ * @param {Object} options
+ * @param {string} options.url - Page URL
+ * @param {number} options.maxLength - Maximum text length (default: unlimited)
+ * @returns {Article} Article
+ */
+export function extractArticle(html, { url = '', maxLength = Infinity } = {}) {
+  const $ = cheerio.load(html);
+  const metadata = extractMetadata($);
+
+  clean($);
+  let paragraphs = collectParagraphs($, findContent($));
+  if (paragraphs.join(' ').length < MIN_CONTENT_LENGTH) {
+    // No clear content block: the page text as a single paragraph
+    const body = normalize($('body').text());
+    paragraphs = body ? [body] : [];
+  }
+  if (paragraphs[0] && paragraphs[0] === metadata.title) {
+    paragraphs.shift();
+  }
+
+  const { kept, truncated } = limitParagraphs(paragraphs, maxLength);
+  return {
+    url,
+    ...metadata,
+    paragraphs: kept,
+    text: kept.join('\n\n'),
+    truncated,
+  };
+}
+
+/**
+ * Read headline, byline, site and dates from JSON-LD, meta tags and <time>
+ *
+ * @param {Function} $ - Loaded document
+ * @returns {Object} Metadata
+ */
+export function extractMetadata($) {
+  const ld = jsonLdArticle($);
+  const meta = (...names) => {
+    for (const name of names) {
+      const value = $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).first().attr('content');
+      if (value?.trim()) return value.trim();
+    }
+    return '';
+  };
+
+  const publishedTime = $('time[itemprop="datePublished"], time[pubdate], article time[datetime], main time[datetime]').first();
+  const modifiedTime = $('time[itemprop="dateModified"]').first();
+
+  return {
+    title: normalize(
+      ld.headline || meta('og:title', 'twitter:title') || $('h1').first().text() || $('title').first().text()
+    ),
+    byline: cleanByline(
+      authorNames(ld.author) ||
+      meta('author', 'article:author', 'parsely-author', 'sailthru.author').replace(/^https?:\/\/\S+$/, '') ||
+      $('[rel="author"], [itemprop="author"], .byline, .author').first().text()
+    ),
+    siteName: normalize(meta('og:site_name', 'application-name') || ld.publisher?.name || ''),
+    published: toIso(ld.datePublished) ||
+      toIso(meta('article:published_time', 'datePublished', 'og:published_time', 'pubdate', 'publish-date',
+        'parsely-pub-date', 'sailthru.date', 'dc.date', 'DC.date.issued', 'date')) ||
+      toIso(publishedTime.attr('datetime') || publishedTime.attr('content')),
+    modified: toIso(ld.dateModified) ||
+      toIso(meta('article:modified_time', 'og:updated_time', 'dateModified', 'last-modified')) ||
+      toIso(modifiedTime.attr('datetime')),
+    description: normalize(meta('og:description', 'description', 'twitter:description') || ld.description || ''),
+    lang: $('html').attr('lang') || '',
+  };
+}
+
+// First Article-like node of the page's JSON-LD blocks ({} if none)
+function jsonLdArticle($) {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((_, script) => {
+    const raw = $(script).text().replace(/^\s*<!--|-->\s*$/g, '').replace(/<!\[CDATA\[|\]\]>/g, '');
+    try {
+      collectNodes(JSON.parse(raw), nodes);
+    } catch {
+      // Broken JSON-LD is common; the other sources still apply
+    }
+  });
+
+  const isArticle = node => [].concat(node['@type'] || []).some(type => ARTICLE_TYPE.test(type));
+  return nodes.find(isArticle) || nodes.find(node => node.datePublished) || {};
+}
+
+function collectNodes(value, nodes) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectNodes(item, nodes));
+  } else if (value && typeof value === 'object') {
+    nodes.push(value);
+    if (value['@graph']) collectNodes(value['@graph'], nodes);
+    if (value.mainEntity) collectNodes(value.mainEntity, nodes);
+  }
+}
+
+function authorNames(author) {
+  return [].concat(author || [])
+    .map(entry => (typeof entry === 'string' ? entry : entry?.name))
+    .filter(Boolean)
+    .join(', ');
+}
+
+function cleanByline(value) {
+  const byline = normalize(value).replace(/^by\s+/i, '');
+  return byline.length <= 100 ? byline : '';
+}
+
+function clean($) {
+  $(REMOVE).remove();
+  $('body *').each((_, node) => {
+    if (['article', 'main', 'body'].includes(node.name)) return;
+    const names = `${node.attribs?.class || ''} ${node.attribs?.id || ''}`;
+    if (UNLIKELY.test(names) && !MAYBE_CONTENT.test(names)) {
+      $(node).remove();
+    }
+  });
+}
+
+/**
+ * Pick the content nodes: the best scoring candidate and siblings that
+ * score close to it
+ *
+ * @param {Function} $ - Cleaned document
+ * @returns {Array<Object>} Content nodes in document order (empty if none)
+ */
+function findContent($) {
+  const scores = new Map();
+  const score = node => {
+    if (!scores.has(node)) scores.set(node, tagWeight(node.name) + classWeight(node));
+    return scores.get(node);
+  };
+
+  $('body *').each((_, node) => {
+    if (!isParagraphLike($, node)) return;
+    const text = normalize($(node).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const points = 1 + (text.split(',').length - 1) + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = node.parent;
+    for (let level = 0; ancestor?.name && ancestor.name !== 'html' && level < 3; level++) {
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, score(ancestor) + points / divider);
+      ancestor = ancestor.parent;
+    }
+  });
+
+  let top = null;
+  let topScore = 0;
+  for (const [node, value] of scores) {
+    const final = value * (1 - linkDensity($, node));
+    scores.set(node, final);
+    if (final > topScore) {
+      top = node;
+      topScore = final;
+    }
+  }
+  if (!top) return [];
+
+  const threshold = Math.max(10, topScore * 0.2);
+  return $(top).parent().children().toArray().filter(sibling => {
+    if (sibling === top) return true;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+    if (sibling.name !== 'p') return false;
+    const text = normalize($(sibling).text());
+    const density = linkDensity($, sibling);
+    return (text.length > 80 && density < 0.25) || (density === 0 && /\.( |$)/.test(text));
+  });
+}
+
+// <p>, <pre>, <td>, <blockquote>, and <div>s used as paragraphs (no block children)
+function isParagraphLike($, node) {
+  if (PARAGRAPH_TAGS.has(node.name)) return true;
+  return node.name === 'div' && !$(node).children().toArray().some(child => BLOCK_TAGS.has(child.name));
+}
+
+function tagWeight(tag) {
+  if (tag === 'div' || tag === 'article') return 5;
+  if (['pre', 'td', 'blockquote'].includes(tag)) return 3;
+  if (['address', 'ol', 'ul', 'dl', 'dd', 'dt', 'li', 'form'].includes(tag)) return -3;
+  if (HEADING.test(tag) || tag === 'th') return -5;
+  return 0;
+}
+
+function classWeight(node) {
+  let weight = 0;
+  for (const name of [node.attribs?.class, node.attribs?.id]) {
+    if (!name) continue;
+    if (NEGATIVE.test(name)) weight -= 25;
+    if (POSITIVE.test(name)) weight += 25;
+  }
+  return weight;
+}
+
+function linkDensity($, node) {
+  const length = normalize($(node).text()).length;
+  if (length === 0) return 0;
+  const linkLength = $(node).find('a').toArray().reduce((sum, link) => sum + normalize($(link).text()).length, 0);
+  return linkLength / length;
+}
+
+/**
+ * Paragraph texts of the content nodes: leaf blocks (no block children) in
+ * document order, without link lists and boilerplate
+ */
+function collectParagraphs($, nodes) {
+  const paragraphs = [];
+
+  for (const node of nodes) {
+    $(node).find('br').replaceWith('\n');
+    const elements = [node, ...$(node).find('*').toArray()];
+
+    // Blocks containing other blocks are containers, not paragraphs
+    const containers = new Set();
+    for (const el of elements) {
+      if (!BLOCK_TAGS.has(el.name) || el === node) continue;
+      for (let parent = el.parent; parent && !containers.has(parent); parent = parent.parent) {
+        containers.add(parent);
+        if (parent === node) break;
+      }
+    }
+    const blocks = elements.filter(el => BLOCK_TAGS.has(el.name) && !containers.has(el));
+
+    for (const block of blocks) {
+      const heading = HEADING.test(block.name);
+      for (const line of $(block).text().split(/\n\s*\n/)) {
+        const text = normalize(line);
+        if (!text) continue;
+        if (!heading && linkDensity($, block) > 0.5) continue;
+        if (!heading && text.length < 20 && !/[.!?:"”]$/.test(text)) continue;
+        if (text.length < 300 && BOILERPLATE.test(text)) continue;
+        if (paragraphs[paragraphs.length - 1] !== text) paragraphs.push(text);
+      }
+    }
+  }
+
+  return paragraphs;
+}
+
+function limitParagraphs(paragraphs, maxLength) {
+  const kept = [];
+  let length = 0;
+  for (const paragraph of paragraphs) {
+    const room = maxLength - length - (kept.length > 0 ? 2 : 0);
+    if (room <= 0) return { kept, truncated: true };
+    if (paragraph.length > room) {
+      kept.push(paragraph.slice(0, room));
+      return { kept, truncated: true };
+    }
+    kept.push(paragraph);
+    length += paragraph.length + (kept.length > 1 ? 2 : 0);
+  }
+  return { kept, truncated: false };
+}
+
+function normalize(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function toIso(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+export default {
+  extractArticle,
+  extractMetadata,
+};
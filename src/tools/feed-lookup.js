@@ -0,0 +1,108 @@
+/**
+ * Feed Lookup Tool
+ *
+ * Lets channel research read the channel's own RSS/Atom feeds before
+ * searching the web. Results carry publish times and their age in hours so
+ * today's stories can be told apart from stale ones.
+ */
+
+import logger from '../utils/logger.js';
+import { findFeedItems } from '../feeds/lookup.js';
+import { emitToolEvent } from './observer.js';
+import { domainOf } from './source-collector.js';
+import { DynamicTool } from '@langchain/core/tools';
+
+const log = logger.child('FeedLookup');
+
+// Items older than this are not offered as news
+const LOOKUP_WINDOW_HOURS = 48;
+const SUMMARY_LENGTH = 300;
+
+/**
+ * Look up recent items in a channel's feeds
+ *
+ * @param {Array<string>} feeds - Feed URLs
+ * @param {string} query - Keywords to match ('' for the latest items)
+ * @param {Object} options
+ * @param {number} options.maxResults - Maximum items to return (default: 8)
+ * @param {number} options.hours - Only items from the last N hours (default: 48)
+ * @returns {Promise<Array<Object>>} Search-result shaped items ({ title, url, content, source, published, ageHours, feed })
+ */
+export async function lookupFeeds(feeds, query = '', { maxResults = 8, hours = LOOKUP_WINDOW_HOURS } = {}) {
+  log.info(`Feed lookup${query ? ` for: "${query}"` : ''}`, { feeds: feeds.length });
+  emitToolEvent({ type: 'tool:start', tool: 'rss_lookup', query, feeds: feeds.length });
+
+  const now = Date.now();
+  const { items, failures } = await findFeedItems(feeds, {
+    query,
+    since: now - hours * 60 * 60 * 1000,
+    maxResults,
+  });
+  for (const failure of failures) {
+    emitToolEvent({ type: 'tool:error', tool: 'rss_lookup', url: failure.url, error: failure.error });
+  }
+
+  const results = items.map(item => ({
+    title: item.title || 'No Title',
+    content: item.summary || 'No content available',
+    url: item.url,
+    source: domainOf(item.url) || 'unknown',
+    published: item.published,
+    ageHours: item.published ? Math.round((now - Date.parse(item.published)) / 360000) / 10 : null,
+    feed: item.feed,
+    provider: 'feed',
+    isFallback: false,
+  }));
+
+  emitToolEvent({ type: 'tool:success', tool: 'rss_lookup', query, resultCount: results.length });
+  return results;
+}
+
+/**
+ * Create the rss_lookup tool for a channel's feeds
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.feeds - Feed URLs
+ * @param {SourceCollector} options.sources - Optional collector recording returned items
+ * @param {number} options.maxLookups - Lookups allowed per run (default: unlimited)
+ * @returns {Object} LangChain tool object
+ */
+export function createFeedLookupTool({ feeds, sources = null, maxLookups = Infinity }) {
+  let lookups = 0;
+
+  return new DynamicTool({
+    name: 'rss_lookup',
+    description:
+      `List the latest items from this channel's ${feeds.length} curated news feeds. Input is keywords to filter by, or an empty string for everything from the last ${LOOKUP_WINDOW_HOURS} hours. ` +
+      'Returns JSON list of {title, url, content, published, ageHours, feed}; ageHours tells you how old a story is.' +
+      (Number.isFinite(maxLookups) ? ` Budget: up to ${maxLookups} lookups per run.` : ''),
+    func: async (input) => {
+      if (lookups >= maxLookups) {
+        return JSON.stringify({
+          error: 'FEED_BUDGET_EXHAUSTED',
+          message: `Feed lookup budget exhausted (${maxLookups}). Use web_search or write your report.`,
+          results: [],
+        });
+      }
+      lookups += 1;
+
+      try {
+        const query = String(input || '').trim().replace(/^["']|["']$/g, '');
+        const results = await lookupFeeds(feeds, query);
+        sources?.addSearchResults(results);
+        return JSON.stringify(results.map(({ provider, isFallback, source, ...item }) => ({
+          ...item,
+          content: item.content.slice(0, SUMMARY_LENGTH),
+        })), null, 2);
+      } catch (error) {
+        log.error('Feed lookup failed', error);
+        return JSON.stringify({ error: error.message, results: [] });
+      }
+    },
+  });
+}
+
+export default {
+  lookupFeeds,
+  createFeedLookupTool,
+};
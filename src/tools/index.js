@@ -6,19 +6,27 @@
  */
 
 import { search, createSearchTool } from './web-search.js';
-import { scrape, createScraperTool } from './web-scraper.js';
+import { scrape, scrapeArticle, formatArticle, isScrapeFallback, createScraperTool } from './web-scraper.js';
+import { extractArticle } from './article-extractor.js';
+import { lookupFeeds, createFeedLookupTool } from './feed-lookup.js';
+import { SourceCollector, domainOf, canonicalUrl } from './source-collector.js';
+import { checkUrl, isDomainAllowed, matchesDomain, withDomainLimit } from './politeness.js';
+import { parseRobots, isPathAllowed, getRobotsRules, BOT_USER_AGENT } from './robots.js';
+import { registerSearchProvider, getSearchProviderNames, getSearchProvider, resolveSearchProviders } from './search-providers.js';
 import { DynamicTool } from '@langchain/core/tools';
 import { generateFallbackContent, detectCategory } from './fallback-content.js';
 
 /**
  * Get all available tools for LangChain agents
  * 
+ * @param {Object} options
+ * @param {SourceCollector} options.sources - Optional collector recording what the tools returned
  * @returns {Array} Array of LangChain-compatible tool objects
  */
-export function getAllTools() {
+export function getAllTools({ sources = null } = {}) {
   return [
-    createSearchTool(),
-    createScraperTool(),
+    createSearchTool({ sources }),
+    createScraperTool({ sources }),
   ];
 }
 
@@ -28,9 +36,12 @@ export function getAllTools() {
  * @param {Object} budget
  * @param {number} budget.searchMax - Max number of web searches
  * @param {number} budget.scrapeMax - Max number of scrapes
+ * @param {SourceCollector} budget.sources - Optional collector recording what the tools returned
+ * @param {Array<string>} budget.feeds - Channel feed URLs; adds rss_lookup when non-empty
+ * @param {number} budget.feedMax - Max number of feed lookups
  * @returns {Array} LangChain tool objects with budget enforcement
  */
-export function getAllToolsWithBudget({ searchMax = 3, scrapeMax = 1 } = {}) {
+export function getAllToolsWithBudget({ searchMax = 3, scrapeMax = 1, sources = null, feeds = [], feedMax = 2 } = {}) {
   let searchCount = 0;
   let scrapeCount = 0;
 
@@ -47,34 +58,68 @@ export function getAllToolsWithBudget({ searchMax = 3, scrapeMax = 1 } = {}) {
       }
       searchCount += 1;
       const results = await search(query, { maxResults: 8, useFallback: true, timeRange: 'day' });
+      sources?.addSearchResults(results);
       return JSON.stringify(results, null, 2);
     },
   });
 
   const budgetedScrape = new DynamicTool({
     name: 'scrape_article',
-    description: `Extract readable text from a URL. Budget: up to ${scrapeMax} scrapes per run.`,
+    description: `Extract an article from a URL: TITLE, BY and PUBLISHED lines (when known), then its paragraphs. Budget: up to ${scrapeMax} scrapes per run.`,
     func: async (url) => {
       if (scrapeCount >= scrapeMax) {
         return 'SCRAPE_BUDGET_EXHAUSTED: Synthesize your final report now.';
       }
       scrapeCount += 1;
-      return await scrape(url);
+      const article = await scrapeArticle(url.trim(), { maxLength: 2000 });
+      sources?.addScrape(url.trim(), article);
+      return formatArticle(article);
     },
   });
 
-  return [budgetedSearch, budgetedScrape];
+  const tools = [budgetedSearch, budgetedScrape];
+  if (feeds.length > 0) {
+    tools.unshift(createFeedLookupTool({ feeds, sources, maxLookups: feedMax }));
+  }
+  return tools;
 }
 
 export {
   // Web search
   search,
   createSearchTool,
+  registerSearchProvider,
+  getSearchProviderNames,
+  getSearchProvider,
+  resolveSearchProviders,
   
   // Web scraping
   scrape,
+  scrapeArticle,
+  formatArticle,
+  extractArticle,
+  isScrapeFallback,
   createScraperTool,
   
+  // Politeness and robots.txt
+  checkUrl,
+  isDomainAllowed,
+  matchesDomain,
+  withDomainLimit,
+  parseRobots,
+  isPathAllowed,
+  getRobotsRules,
+  BOT_USER_AGENT,
+  
+  // Feed lookup
+  lookupFeeds,
+  createFeedLookupTool,
+  
+  // Source tracking
+  SourceCollector,
+  domainOf,
+  canonicalUrl,
+  
   // Fallback content
   generateFallbackContent,
   detectCategory,
@@ -83,6 +128,8 @@ export {
 export default {
   search,
   scrape,
+  scrapeArticle,
+  SourceCollector,
   getAllTools,
   getAllToolsWithBudget,
   generateFallbackContent,
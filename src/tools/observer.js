@@ -1,41 +1,35 @@
 /**
  * Tool Observer
  * 
- * Lightweight pub/sub to trace tool requests and responses
- * during debugging and test runs.
+ * Tool requests and responses are published on the event bus
+ * (tool:start, tool:success, tool:data, tool:cache, tool:error), so any number of
+ * listeners can trace them alongside the rest of a run.
  */
 
-let observer = null;
+import { eventBus, emitEvent } from '../events/bus.js';
 
 /**
- * Set a global observer callback to receive tool events
+ * Listen to tool events
  * 
- * @param {(event: object) => void} fn
+ * @param {(event: object) => void} fn - Called with each tool event
+ * @returns {Function} Unsubscribe
  */
-export function setToolObserver(fn) {
-  observer = typeof fn === 'function' ? fn : null;
+export function onToolEvent(fn) {
+  return eventBus.subscribe(event => {
+    if (event.type.startsWith('tool:')) fn(event);
+  });
 }
 
 /**
- * Emit a tool event if an observer is registered
+ * Emit a tool event
  * 
- * @param {object} event
+ * @param {object} event - { type: 'tool:...', tool, ... }
  */
-export function emitToolEvent(event) {
-  if (!observer) return;
-  try {
-    observer({
-      ts: new Date().toISOString(),
-      ...event,
-    });
-  } catch {
-    // best effort only
-  }
+export function emitToolEvent({ type, ...data }) {
+  emitEvent(type, data);
 }
 
 export default {
-  setToolObserver,
+  onToolEvent,
   emitToolEvent,
 };
-
-
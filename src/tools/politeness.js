@@ -0,0 +1,140 @@
+/**
+ * Scraper Politeness
+ *
+ * Decides whether the scraper may fetch a URL, and paces its requests (feed
+ * fetches in src/feeds go through the same checks):
+ * - Domains in SCRAPE_BLOCKED_DOMAINS are never fetched. When
+ *   SCRAPE_ALLOWED_DOMAINS is set, only those domains are. Subdomains match.
+ * - robots.txt is obeyed for the AgenticPodcastBot user-agent (see robots.js)
+ *   unless SCRAPE_RESPECT_ROBOTS=false.
+ * - Each host gets at most SCRAPE_DOMAIN_CONCURRENCY requests at once, started
+ *   at least SCRAPE_DOMAIN_DELAY_MS apart (or the site's Crawl-delay, up to
+ *   MAX_CRAWL_DELAY_MS).
+ */
+
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { getRobotsRules, isPathAllowed, BOT_NAME } from './robots.js';
+import { domainOf } from './source-collector.js';
+
+const log = logger.child('Politeness');
+
+// Longer Crawl-delays would stall a run; they are capped to this
+const MAX_CRAWL_DELAY_MS = 10000;
+
+const hosts = new Map();
+
+/**
+ * Outcome of a politeness check
+ * @typedef {Object} FetchPermission
+ * @property {boolean} allowed - Whether the URL may be fetched
+ * @property {string|null} reason - blocked, not_allowed or robots when disallowed
+ * @property {string} message - Why it is disallowed
+ */
+
+/**
+ * Check whether a domain is one of a list (or a subdomain of one)
+ *
+ * @param {string} domain - Domain without www.
+ * @param {Array<string>} domains - Domains to match
+ * @returns {boolean} True if it matches
+ */
+export function matchesDomain(domain, domains) {
+  return domains.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+}
+
+/**
+ * Check a domain against SCRAPE_BLOCKED_DOMAINS and SCRAPE_ALLOWED_DOMAINS
+ *
+ * @param {string} domain - Domain without www.
+ * @returns {boolean} True if the scraper may fetch from it
+ */
+export function isDomainAllowed(domain) {
+  return domainReason(domain.toLowerCase()) === null;
+}
+
+function domainReason(domain) {
+  if (matchesDomain(domain, config.scrapeBlockedDomains)) return 'blocked';
+  const allowed = config.scrapeAllowedDomains;
+  if (allowed.length > 0 && !matchesDomain(domain, allowed)) return 'not_allowed';
+  return null;
+}
+
+/**
+ * Check whether the scraper may fetch a URL: domain lists, then robots.txt
+ *
+ * @param {string} url - URL to fetch
+ * @returns {Promise<FetchPermission>} Whether and why not
+ */
+export async function checkUrl(url) {
+  const { hostname, pathname, search } = new URL(url);
+  const domain = domainOf(url).toLowerCase();
+
+  const reason = domainReason(domain);
+  if (reason === 'blocked') {
+    return { allowed: false, reason, message: `${domain} is in SCRAPE_BLOCKED_DOMAINS` };
+  }
+  if (reason === 'not_allowed') {
+    return { allowed: false, reason, message: `${domain} is not in SCRAPE_ALLOWED_DOMAINS` };
+  }
+  if (!config.scrapeRespectRobots) return { allowed: true, reason: null, message: '' };
+
+  const robots = await getRobotsRules(url, { schedule: (request) => withDomainLimit(url, request) });
+  if (robots.crawlDelay) {
+    hostState(hostname).crawlDelayMs = Math.min(robots.crawlDelay * 1000, MAX_CRAWL_DELAY_MS);
+  }
+  if (isPathAllowed(robots.rules, pathname + search)) {
+    return { allowed: true, reason: null, message: '' };
+  }
+
+  const message = robots.source === 'unreachable'
+    ? `robots.txt for ${hostname} could not be fetched`
+    : `robots.txt disallows ${pathname} for ${BOT_NAME}`;
+  log.info('Fetch disallowed by robots.txt', { url, source: robots.source });
+  return { allowed: false, reason: 'robots', message };
+}
+
+/**
+ * Run a request within its host's concurrency and delay limits
+ *
+ * @param {string} url - URL being requested
+ * @param {Function} operation - Makes the request
+ * @returns {Promise<*>} The operation's result
+ */
+export async function withDomainLimit(url, operation) {
+  const state = hostState(new URL(url).hostname);
+
+  while (state.active >= config.scrapeDomainConcurrency) {
+    await new Promise(resolve => state.waiting.push(resolve));
+  }
+  state.active += 1;
+
+  // Reserve the next start time before waiting so queued requests stay spaced
+  const delayMs = Math.max(config.scrapeDomainDelayMs, state.crawlDelayMs);
+  const startAt = Math.max(Date.now(), state.nextStart);
+  state.nextStart = startAt + delayMs;
+
+  try {
+    if (startAt > Date.now()) {
+      await new Promise(resolve => setTimeout(resolve, startAt - Date.now()));
+    }
+    return await operation();
+  } finally {
+    state.active -= 1;
+    state.waiting.shift()?.();
+  }
+}
+
+function hostState(hostname) {
+  if (!hosts.has(hostname)) {
+    hosts.set(hostname, { active: 0, waiting: [], nextStart: 0, crawlDelayMs: 0 });
+  }
+  return hosts.get(hostname);
+}
+
+export default {
+  matchesDomain,
+  isDomainAllowed,
+  checkUrl,
+  withDomainLimit,
+};
@@ -0,0 +1,204 @@
+/**
+ * robots.txt
+ *
+ * Fetches, caches and applies a site's robots.txt for the AgenticPodcastBot
+ * user-agent, following RFC 9309: the most specific group for our token (or
+ * `*`) applies, the longest matching rule wins and Allow wins ties, `*` and
+ * `$` are wildcards. A missing robots.txt (4xx) allows everything; one that
+ * cannot be fetched (5xx, network error) disallows everything unless an
+ * earlier copy is cached. Crawl-delay is read so the scraper can space its
+ * requests.
+ *
+ * Rules are kept in memory for the process and in the HTTP cache (kind
+ * `robots`, ROBOTS_TTL_MINUTES) between runs.
+ */
+
+import fetch from 'node-fetch';
+import logger from '../utils/logger.js';
+import { httpCache } from '../cache/index.js';
+
+const log = logger.child('Robots');
+
+export const BOT_NAME = 'AgenticPodcastBot';
+export const BOT_USER_AGENT = `Mozilla/5.0 (compatible; ${BOT_NAME}/1.0)`;
+
+const FETCH_TIMEOUT_MS = 5000;
+// RFC 9309 asks parsers to read at least 500 KiB
+const MAX_ROBOTS_BYTES = 500 * 1024;
+// A site whose robots.txt could not be fetched is asked again after this
+const UNREACHABLE_RETRY_MS = 10 * 60 * 1000;
+
+const memory = new Map();
+
+/**
+ * Parsed robots.txt rules for our user-agent
+ * @typedef {Object} RobotsRules
+ * @property {Array<{allow: boolean, path: string}>} rules - Allow/Disallow rules
+ * @property {number|null} crawlDelay - Crawl-delay in seconds, if given
+ * @property {string} source - fetched, missing (4xx) or unreachable
+ */
+
+/**
+ * Parse robots.txt and keep the group that applies to a user-agent
+ *
+ * @param {string} text - robots.txt content
+ * @param {string} agent - Product token (default: AgenticPodcastBot)
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}}
+ */
+export function parseRobots(text, agent = BOT_NAME) {
+  const token = agent.toLowerCase();
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!group) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay' && !Number.isNaN(parseFloat(value))) {
+      group.crawlDelay = parseFloat(value);
+    }
+  }
+
+  // Groups naming our token win over `*`; several matching groups are merged
+  const named = groups.filter(g => g.agents.some(a => a.split('/')[0] === token));
+  const applicable = named.length > 0 ? named : groups.filter(g => g.agents.includes('*'));
+  return {
+    rules: applicable.flatMap(g => g.rules),
+    crawlDelay: applicable.map(g => g.crawlDelay).find(delay => delay !== null) ?? null,
+  };
+}
+
+/**
+ * Whether a path may be fetched under a set of rules
+ *
+ * @param {Array<{allow: boolean, path: string}>} rules - Parsed rules
+ * @param {string} path - URL path and query
+ * @returns {boolean} True if allowed
+ */
+export function isPathAllowed(rules, path) {
+  let best = null;
+  for (const rule of rules) {
+    if (!pathMatches(rule.path, path)) continue;
+    const length = rule.path.length;
+    if (!best || length > best.length || (length === best.length && rule.allow)) {
+      best = { length, allow: rule.allow };
+    }
+  }
+  return best ? best.allow : true;
+}
+
+function pathMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Get the robots.txt rules for a URL's site
+ *
+ * @param {string} url - Any URL on the site
+ * @param {Object} options
+ * @param {Function} options.schedule - Wraps the robots.txt request (e.g. per-domain rate limiting)
+ * @returns {Promise<RobotsRules>} Rules for our user-agent
+ */
+export async function getRobotsRules(url, { schedule = (fn) => fn() } = {}) {
+  const { origin } = new URL(url);
+  const remembered = memory.get(origin);
+  if (remembered && remembered.expiresAt > Date.now()) return remembered.rules;
+
+  const pending = loadRules(origin, schedule);
+  // Concurrent scrapes of one site share a single robots.txt request
+  memory.set(origin, { rules: pending, expiresAt: Infinity });
+  try {
+    const rules = await pending;
+    const ttl = rules.source === 'unreachable' ? UNREACHABLE_RETRY_MS : httpCache.ttlFor('robots');
+    memory.set(origin, { rules, expiresAt: Date.now() + ttl });
+    return rules;
+  } catch (error) {
+    memory.delete(origin);
+    throw error;
+  }
+}
+
+async function loadRules(origin, schedule) {
+  const cached = await httpCache.lookup('robots', { origin });
+  if (cached?.fresh) return toRules(cached.entry.value);
+
+  let response;
+  let value;
+  try {
+    response = await schedule(() => fetch(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': BOT_USER_AGENT, Accept: 'text/plain' },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    }));
+    if (response.status >= 500) throw new Error(`HTTP ${response.status}`);
+    value = {
+      status: response.status,
+      text: response.ok ? await readLimited(response.body, MAX_ROBOTS_BYTES) : '',
+    };
+  } catch (error) {
+    return unreachable(origin, cached, error.message);
+  }
+
+  await httpCache.set('robots', { origin }, value, { headers: response.headers });
+  log.debug('robots.txt loaded', { origin, status: response.status });
+  return toRules(value);
+}
+
+// Read a response body up to a size limit, dropping the rest unread
+async function readLimited(body, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of body) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= maxBytes) {
+      body.destroy();
+      break;
+    }
+  }
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8');
+}
+
+function toRules({ status, text }) {
+  if (status >= 400) return { rules: [], crawlDelay: null, source: 'missing' };
+  return { ...parseRobots(text), source: 'fetched' };
+}
+
+function unreachable(origin, cached, reason) {
+  if (cached) {
+    log.warn('robots.txt unreachable, using the cached copy', { origin, reason });
+    return toRules(cached.entry.value);
+  }
+  log.warn('robots.txt unreachable, treating the site as disallowed', { origin, reason });
+  return { rules: [{ allow: false, path: '/' }], crawlDelay: null, source: 'unreachable' };
+}
+
+export default {
+  parseRobots,
+  isPathAllowed,
+  getRobotsRules,
+  BOT_NAME,
+  BOT_USER_AGENT,
+};
@@ -0,0 +1,236 @@
+/**
+ * Search Provider Registry
+ *
+ * Each provider turns a query into search results and declares:
+ * - isAvailable: whether it is configured (API key, instance URL, feeds)
+ * - setupHint:   shown when it is not
+ * - search:      (query, { maxResults, timeRange }) → { results, raw }
+ *
+ * Providers only talk to their API; retries, timeouts, circuit breakers,
+ * fan-out and fallback content are handled by search() in web-search.js.
+ * SEARCH_PROVIDERS sets which providers are used and in what order.
+ */
+
+import fetch from 'node-fetch';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { findFeedItems } from '../feeds/lookup.js';
+import { domainOf } from './source-collector.js';
+
+const log = logger.child('SearchProviders');
+
+const USER_AGENT = 'AgenticPodcastSystem/1.0';
+
+const TIME_RANGE_MS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 31 * 24 * 60 * 60 * 1000,
+  year: 366 * 24 * 60 * 60 * 1000,
+};
+
+const providers = new Map();
+
+/**
+ * Register a search provider
+ *
+ * @param {string} name - Provider name used in SEARCH_PROVIDERS
+ * @param {Object} provider - Provider implementation
+ * @param {() => boolean} provider.isAvailable - Whether the provider is configured
+ * @param {string} provider.setupHint - Shown when the provider is not configured
+ * @param {(query: string, options: Object) => Promise<{results: Array, raw: *}>} provider.search - Run one query
+ */
+export function registerSearchProvider(name, provider) {
+  provider.name = name;
+  providers.set(name, provider);
+}
+
+/**
+ * Get names of all registered search providers
+ *
+ * @returns {Array<string>} Provider names
+ */
+export function getSearchProviderNames() {
+  return [...providers.keys()];
+}
+
+/**
+ * Get a search provider by name
+ *
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+export function getSearchProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown search provider "${name}". Available: ${getSearchProviderNames().join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Configured providers in priority order (SEARCH_PROVIDERS, unavailable ones skipped)
+ *
+ * @param {Array<string>} names - Provider names to consider (default: SEARCH_PROVIDERS)
+ * @returns {Array<Object>} Providers
+ */
+export function resolveSearchProviders(names = config.searchProviders) {
+  return names
+    .filter(name => {
+      if (providers.has(name)) return true;
+      log.warn(`Unknown search provider "${name}" in SEARCH_PROVIDERS, ignoring`);
+      return false;
+    })
+    .map(name => providers.get(name))
+    .filter(provider => provider.isAvailable());
+}
+
+async function fetchJson(url, options, label) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'User-Agent': USER_AGENT, Accept: 'application/json', ...options?.headers },
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${label} API error: ${response.status} - ${errorText.slice(0, 300)}`);
+  }
+  return response.json();
+}
+
+function toResult({ title, content, url, published = null }) {
+  return {
+    title: title || 'No Title',
+    content: content || 'No content available',
+    url: url || '',
+    source: domainOf(url) || 'unknown',
+    published: toIso(published),
+    isFallback: false,
+  };
+}
+
+function toIso(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+registerSearchProvider('tavily', {
+  isAvailable: () => config.hasTavilyKey,
+  setupHint: 'Set TAVILY_API_KEY',
+  async search(query, { maxResults, timeRange }) {
+    const data = await fetchJson('https://api.tavily.com/search', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        api_key: config.tavilyApiKey,
+        query,
+        search_depth: 'basic',
+        include_answer: false,
+        include_images: false,
+        include_raw_content: false,
+        max_results: maxResults,
+        // Prefer very recent results to avoid stale articles
+        time_range: timeRange, // e.g., 'day' | 'week' | 'month'
+      }),
+    }, 'Tavily');
+
+    const results = (data.results || []).map(result => toResult({
+      title: result.title,
+      content: result.content || result.snippet,
+      url: result.url,
+      published: result.published_date,
+    }));
+    return { results, raw: data };
+  },
+});
+
+registerSearchProvider('brave', {
+  isAvailable: () => !!config.braveApiKey,
+  setupHint: 'Set BRAVE_API_KEY (https://brave.com/search/api/)',
+  async search(query, { maxResults, timeRange }) {
+    const freshness = { day: 'pd', week: 'pw', month: 'pm', year: 'py' }[timeRange];
+    const params = new URLSearchParams({ q: query, count: String(Math.min(maxResults, 20)) });
+    if (freshness) params.set('freshness', freshness);
+
+    const data = await fetchJson(`https://api.search.brave.com/res/v1/web/search?${params}`, {
+      headers: { 'X-Subscription-Token': config.braveApiKey },
+    }, 'Brave');
+
+    const results = (data.web?.results || []).map(result => toResult({
+      title: result.title,
+      content: [result.description, ...(result.extra_snippets || [])].filter(Boolean).join(' '),
+      url: result.url,
+      published: result.page_age,
+    }));
+    return { results, raw: data };
+  },
+});
+
+registerSearchProvider('searxng', {
+  isAvailable: () => !!config.searxngUrl,
+  setupHint: 'Set SEARXNG_URL to a SearXNG instance with the JSON format enabled',
+  async search(query, { maxResults, timeRange }) {
+    const params = new URLSearchParams({ q: query, format: 'json' });
+    if (TIME_RANGE_MS[timeRange]) params.set('time_range', timeRange);
+
+    const data = await fetchJson(`${config.searxngUrl.replace(/\/$/, '')}/search?${params}`, {}, 'SearXNG');
+
+    const results = (data.results || []).slice(0, maxResults).map(result => toResult({
+      title: result.title,
+      content: result.content,
+      url: result.url,
+      published: result.publishedDate,
+    }));
+    return { results, raw: data };
+  },
+});
+
+registerSearchProvider('bing', {
+  isAvailable: () => !!config.bingApiKey,
+  setupHint: 'Set BING_API_KEY (and BING_ENDPOINT for a non-default endpoint)',
+  async search(query, { maxResults, timeRange }) {
+    const freshness = { day: 'Day', week: 'Week', month: 'Month' }[timeRange];
+    const params = new URLSearchParams({ q: query, count: String(Math.min(maxResults, 50)), responseFilter: 'Webpages' });
+    if (freshness) params.set('freshness', freshness);
+
+    const data = await fetchJson(`${config.bingEndpoint}?${params}`, {
+      headers: { 'Ocp-Apim-Subscription-Key': config.bingApiKey },
+    }, 'Bing');
+
+    const results = (data.webPages?.value || []).map(result => toResult({
+      title: result.name,
+      content: result.snippet,
+      url: result.url,
+      published: result.datePublished,
+    }));
+    return { results, raw: data };
+  },
+});
+
+// Searches the items of SEARCH_RSS_FEEDS (fetched and cached by src/feeds):
+// items matching the most query words come first, newer before older
+registerSearchProvider('rss', {
+  isAvailable: () => config.searchRssFeeds.length > 0,
+  setupHint: 'Set SEARCH_RSS_FEEDS to a comma-separated list of RSS/Atom feed URLs',
+  async search(query, { maxResults, timeRange }) {
+    const feeds = config.searchRssFeeds;
+    const since = TIME_RANGE_MS[timeRange] ? Date.now() - TIME_RANGE_MS[timeRange] : 0;
+    const { items, failures } = await findFeedItems(feeds, { query, since, maxResults });
+    if (failures.length === feeds.length) {
+      throw new Error(`RSS feeds unavailable: ${failures[0].error}`);
+    }
+
+    const results = items.map(item => toResult({
+      title: item.title,
+      content: item.summary,
+      url: item.url,
+      published: item.published,
+    }));
+    return { results, raw: { feeds: feeds.length, failed: failures.length, items } };
+  },
+});
+
+export default {
+  registerSearchProvider,
+  getSearchProviderNames,
+  getSearchProvider,
+  resolveSearchProviders,
+};
@@ -0,0 +1,140 @@
+/**
+ * Source Collector
+ *
+ * Records the articles a research run actually saw (search results and
+ * scraped pages) so that channel reports can carry a structured source
+ * list for attribution.
+ */
+
+import { isScrapeFallback } from './web-scraper.js';
+
+/**
+ * Source object
+ * @typedef {Object} Source
+ * @property {string} title - Article title
+ * @property {string} url - Article URL ('' for fallback content)
+ * @property {string} domain - Source domain
+ * @property {string|null} published - Publish time (ISO) when the search provider or feed gave one
+ * @property {string} retrievedAt - ISO timestamp of retrieval
+ * @property {boolean} fallback - Whether this is curated fallback content rather than a live article
+ * @property {boolean} scraped - Whether the full article text was retrieved
+ * @property {string} excerpt - Start of the text the research saw (snippet or scraped article)
+ */
+
+const EXCERPT_LENGTH = 1500;
+
+/**
+ * Get the domain of a URL without "www."
+ *
+ * @param {string} url - URL
+ * @returns {string} Domain, or '' for invalid URLs
+ */
+export function domainOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+// Query parameters that only track the click, not the page
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|cmpid)$/i;
+
+/**
+ * Canonical form of a URL, so the same article found by different search
+ * providers or feeds compares equal: lowercase host without "www.", no
+ * fragment, no tracking parameters, no trailing slash.
+ *
+ * @param {string} url - URL
+ * @returns {string} Canonical URL, or the input for invalid URLs
+ */
+export function canonicalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    parsed.hash = '';
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+    }
+    parsed.searchParams.sort();
+    const canonical = parsed.toString();
+    return canonical.endsWith('/') ? canonical.slice(0, -1) : canonical;
+  } catch {
+    return url;
+  }
+}
+
+export class SourceCollector {
+  constructor() {
+    this.sources = new Map();
+  }
+
+  /**
+   * Record search results
+   *
+   * @param {Array<Object>} results - Search results ({title, url, source, isFallback})
+   */
+  addSearchResults(results = []) {
+    for (const result of results) {
+      this.add(result);
+    }
+  }
+
+  /**
+   * Record a scraped article. Scrapes that only produced the fallback
+   * message keep the source (its search snippet was still seen) but are not
+   * marked as scraped.
+   *
+   * @param {Object|string} result - Search result, or a bare URL
+   * @param {string|Object} content - Scraped text, or an article from scrapeArticle()
+   */
+  addScrape(result, content) {
+    const article = content && typeof content === 'object' ? content : null;
+    const source = this.add({
+      ...(typeof result === 'string' ? { url: result } : result),
+      ...(article && { title: result.title || article.title, published: result.published || article.published }),
+    });
+    if (!isScrapeFallback(content)) {
+      source.scraped = true;
+      source.excerpt = String(article ? article.text : content).slice(0, EXCERPT_LENGTH);
+    }
+  }
+
+  add(result) {
+    const url = result.url || '';
+    const key = url || `fallback:${result.title}`;
+    if (!this.sources.has(key)) {
+      this.sources.set(key, {
+        title: result.title || domainOf(url) || 'Untitled',
+        url,
+        domain: domainOf(url) || result.source || '',
+        published: result.published || null,
+        retrievedAt: new Date().toISOString(),
+        fallback: result.isFallback === true || !url,
+        scraped: false,
+        excerpt: String(result.content || '').slice(0, EXCERPT_LENGTH),
+      });
+    }
+
+    const source = this.sources.get(key);
+    // A bare URL scrape may be recorded before (or without) its search result
+    if (result.title && source.title === (source.domain || 'Untitled')) {
+      source.title = result.title;
+    }
+    if (result.published && !source.published) {
+      source.published = result.published;
+    }
+    return source;
+  }
+
+  /**
+   * Get recorded sources, scraped articles first
+   *
+   * @returns {Array<Source>} Sources
+   */
+  getSources() {
+    return [...this.sources.values()].sort((a, b) => Number(b.scraped) - Number(a.scraped));
+  }
+}
+
+export default SourceCollector;
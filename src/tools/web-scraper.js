@@ -1,23 +1,67 @@
 /**
  * Web Scraper Tool
  * 
- * Extracts article content from URLs with robust error handling
- * and automatic fallback for inaccessible content.
+ * Extracts articles (text, headline, byline, publish dates) from URLs with
+ * robust error handling and automatic fallback for inaccessible content.
+ * See article-extractor.js for how the content is found, and politeness.js
+ * for which URLs may be fetched and how often.
  */
 
 import fetch from 'node-fetch';
-import * as cheerio from 'cheerio';
 import logger from '../utils/logger.js';
 import circuitBreakerManager from '../utils/circuit-breaker.js';
 import { retryIf, retryPredicates } from '../utils/retry.js';
 import withTimeout from '../utils/timeout.js';
 import { DynamicTool } from '@langchain/core/tools';
 import { emitToolEvent } from './observer.js';
+import { withFixture } from '../replay/index.js';
+import { withSpan, addSpanEvent, SPAN_KINDS } from '../tracing/tracer.js';
+import { httpCache, entryAge } from '../cache/index.js';
+import { extractArticle } from './article-extractor.js';
+import { checkUrl, withDomainLimit } from './politeness.js';
+import { BOT_USER_AGENT } from './robots.js';
 
 const log = logger.child('WebScraper');
 
+const FALLBACK_MESSAGE_PREFIX = 'Article content from ';
+const INVALID_URL_MESSAGE = 'No valid URL provided for scraping. This may be fallback content.';
+
+/**
+ * Scraped article: an extracted Article (see article-extractor.js), or a
+ * fallback whose text explains that the page could not be read
+ * @typedef {import('./article-extractor.js').Article & {fallback: boolean}} ScrapedArticle
+ */
+
+/**
+ * Scrape an article from a URL
+ * 
+ * @param {string} url - URL to scrape
+ * @param {Object} options - Scraping options
+ * @param {number} options.maxLength - Maximum text length (default: 6000)
+ * @param {boolean} options.useFallback - Return a fallback article on failure (default: true)
+ * @returns {Promise<ScrapedArticle>} Article
+ */
+export async function scrapeArticle(url, options = {}) {
+  const { maxLength = 6000, useFallback = true } = options;
+  return withSpan('scrape', { 'url.full': url, 'scrape.max_length': maxLength }, async (span) => {
+    const article = await withFixture(
+      'scrape',
+      { url, maxLength, useFallback },
+      () => scrapeLive(url, { maxLength, useFallback })
+    );
+    span.setAttributes({
+      'scrape.content_length': article.text.length,
+      'scrape.paragraphs': article.paragraphs.length,
+      'scrape.published': article.published,
+      'scrape.fallback': article.fallback,
+    });
+    return article;
+  }, { kind: SPAN_KINDS.CLIENT });
+}
+
 /**
- * Scrape article content from a URL
+ * Scrape article content from a URL as text: headline, byline and dates,
+ * then the paragraphs
  * 
  * @param {string} url - URL to scrape
  * @param {Object} options - Scraping options
@@ -27,36 +71,108 @@ const log = logger.child('WebScraper');
  */
 export async function scrape(url, options = {}) {
   const { maxLength = 2000, useFallback = true } = options;
-  
+  return formatArticle(await scrapeArticle(url, { maxLength, useFallback }));
+}
+
+/**
+ * Render an article as text for prompts and tools
+ * 
+ * @param {ScrapedArticle} article - Article
+ * @returns {string} TITLE/BY/PUBLISHED/UPDATED lines, a blank line, then the paragraphs
+ */
+export function formatArticle(article) {
+  if (article.fallback) return article.text;
+  const header = [
+    article.title && `TITLE: ${article.title}`,
+    article.byline && `BY: ${article.byline}`,
+    article.published && `PUBLISHED: ${article.published}`,
+    article.modified && article.modified !== article.published && `UPDATED: ${article.modified}`,
+  ].filter(Boolean);
+  return header.length > 0 ? `${header.join('\n')}\n\n${article.text}` : article.text;
+}
+
+/**
+ * Live scrape (politeness checks, HTTP cache, circuit breaker, retries and
+ * fallback article)
+ *
+ * URLs on blocked domains or disallowed by robots.txt are not fetched. A
+ * fresh cached article is returned without a request; an expired one is
+ * revalidated with a conditional GET.
+ * 
+ * @param {string} url - URL to scrape
+ * @param {Object} options - Resolved scraping options
+ * @returns {Promise<ScrapedArticle>} Article
+ */
+async function scrapeLive(url, { maxLength, useFallback }) {
   log.info(`Scraping URL: ${url}`);
   emitToolEvent({ type: 'tool:start', tool: 'scrape_article', url });
 
   // Validate URL
-  if (!url || url === '' || !url.startsWith('http')) {
+  if (!url || url === '' || !url.startsWith('http') || !URL.canParse(url)) {
     log.warn('Invalid URL provided', { url });
-    return useFallback 
-      ? 'No valid URL provided for scraping. This may be fallback content.'
-      : '';
+    return fallbackArticle(url, useFallback ? INVALID_URL_MESSAGE : '');
+  }
+
+  const permission = await checkUrl(url);
+  if (!permission.allowed) {
+    log.warn(`Scrape disallowed: ${permission.message}`, { url });
+    addSpanEvent('scrape.disallowed', { 'scrape.disallowed_reason': permission.reason });
+    emitToolEvent({ type: 'tool:error', tool: 'scrape_article', url, reason: permission.reason, error: `Disallowed: ${permission.message}` });
+
+    if (useFallback) {
+      return fallbackArticle(url, getFallbackMessage(url));
+    }
+
+    const error = new Error(`Scrape disallowed for ${url}: ${permission.message}`);
+    error.code = 'SCRAPE_DISALLOWED';
+    error.reason = permission.reason;
+    throw error;
+  }
+
+  const cached = await httpCache.lookup('scrape', { url, maxLength });
+  if (cached?.fresh) {
+    const article = cached.entry.value;
+    const ageSeconds = entryAge(cached.entry);
+    log.debug('Article served from cache', { url, ageSeconds });
+    addSpanEvent('cache.hit', { 'cache.age_s': ageSeconds });
+    emitToolEvent({ type: 'tool:cache', tool: 'scrape_article', url, ageSeconds });
+    emitToolEvent({
+      type: 'tool:success',
+      tool: 'scrape_article',
+      url,
+      title: article.title,
+      published: article.published,
+      contentPreview: article.text.slice(0, 200),
+      cached: true,
+    });
+    return article;
   }
 
   // Get circuit breaker for scraping
   const breaker = circuitBreakerManager.getBreaker('scraping');
 
   try {
-    const content = await breaker.execute(
-      () => scrapeUrl(url, maxLength),
+    const article = await breaker.execute(
+      () => scrapeUrl(url, maxLength, cached?.entry),
       useFallback 
-        ? () => getFallbackMessage(url)
+        ? () => fallbackArticle(url, getFallbackMessage(url))
         : null
     );
-    emitToolEvent({ type: 'tool:success', tool: 'scrape_article', url, contentPreview: (content || '').slice(0, 200) });
-    return content;
+    emitToolEvent({
+      type: 'tool:success',
+      tool: 'scrape_article',
+      url,
+      title: article.title,
+      published: article.published,
+      contentPreview: article.text.slice(0, 200),
+    });
+    return article;
   } catch (error) {
     log.error('Scraping failed', error, { url });
     emitToolEvent({ type: 'tool:error', tool: 'scrape_article', url, error: error.message });
     
     if (useFallback) {
-      return getFallbackMessage(url);
+      return fallbackArticle(url, getFallbackMessage(url));
     }
     
     throw error;
@@ -64,28 +180,41 @@ export async function scrape(url, options = {}) {
 }
 
 /**
- * Scrape content from URL with retries and timeout
+ * Scrape content from URL with per-domain limits, retries and timeout
  * 
  * @param {string} url - URL to scrape
  * @param {number} maxLength - Maximum content length
- * @returns {Promise<string>} Extracted content
+ * @param {import('../cache/http-cache.js').CacheEntry} stale - Expired cache entry to revalidate (default: none)
+ * @returns {Promise<ScrapedArticle>} Extracted article
  */
-async function scrapeUrl(url, maxLength) {
-  log.debug('Executing scrape operation', { url });
+async function scrapeUrl(url, maxLength, stale = null) {
+  log.debug('Executing scrape operation', { url, revalidate: !!stale });
+
+  const conditional = {};
+  if (stale?.validators.etag) conditional['If-None-Match'] = stale.validators.etag;
+  if (stale?.validators.lastModified) conditional['If-Modified-Since'] = stale.validators.lastModified;
 
   return retryIf(
     async () => {
-      return withTimeout(
+      return withDomainLimit(url, () => withTimeout(
         async () => {
           const response = await fetch(url, {
             headers: {
-              'User-Agent': 'Mozilla/5.0 (compatible; AgenticPodcastBot/1.0)',
+              'User-Agent': BOT_USER_AGENT,
               'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
               'Accept-Language': 'en-US,en;q=0.5',
               'Connection': 'close',
+              ...conditional,
             },
           });
 
+          if (response.status === 304 && stale) {
+            await httpCache.refresh(stale, response.headers);
+            log.debug('Article not modified, serving cached copy', { url });
+            emitToolEvent({ type: 'tool:cache', tool: 'scrape_article', url, ageSeconds: entryAge(stale), revalidated: true });
+            return stale.value;
+          }
+
           if (!response.ok) {
             const err = new Error(`HTTP ${response.status}: ${response.statusText}`);
             err.status = response.status;
@@ -93,18 +222,23 @@ async function scrapeUrl(url, maxLength) {
           }
 
           const html = await response.text();
-          const content = extractContent(html, maxLength);
+          const article = extractArticle(html, { url, maxLength });
 
-          if (!content || content.length < 50) {
+          if (article.text.length < 50) {
             throw new Error('No meaningful content extracted');
           }
 
-          log.success(`Scraped ${content.length} characters from ${url}`);
-          return content;
+          log.success(`Scraped ${article.text.length} characters from ${url}`, {
+            paragraphs: article.paragraphs.length,
+            published: article.published,
+          });
+          const scraped = { ...article, fallback: false };
+          await httpCache.set('scrape', { url, maxLength }, scraped, { headers: response.headers });
+          return scraped;
         },
         15000, // 15 second timeout to reduce legit-article timeouts
         'Web scraping'
-      );
+      ));
     },
     async (error) => {
       // Do not retry for 401/403/404/451 (blocked/paywalled/not found)
@@ -125,59 +259,33 @@ async function scrapeUrl(url, maxLength) {
   );
 }
 
+function fallbackArticle(url, message) {
+  return {
+    url,
+    title: '',
+    byline: '',
+    siteName: '',
+    published: null,
+    modified: null,
+    description: '',
+    lang: '',
+    paragraphs: message ? [message] : [],
+    text: message,
+    truncated: false,
+    fallback: true,
+  };
+}
+
 /**
- * Extract main content from HTML
+ * Check whether scraped content is a fallback message rather than an article
  * 
- * @param {string} html - HTML content
- * @param {number} maxLength - Maximum content length
- * @returns {string} Extracted text content
+ * @param {string|ScrapedArticle} content - Text returned by scrape() or article from scrapeArticle()
+ * @returns {boolean} True if the scrape failed
  */
-function extractContent(html, maxLength) {
-  const $ = cheerio.load(html);
-
-  // Remove unwanted elements
-  $('script, style, nav, header, footer, aside, .advertisement, .ads, .social-share, iframe, noscript').remove();
-
-  // Try to find main content using common selectors
-  const contentSelectors = [
-    'article',
-    '[role="main"]',
-    '.article-content',
-    '.post-content',
-    '.entry-content',
-    '.article-body',
-    '.content',
-    'main',
-    '.main-content',
-    '#content',
-    '#main',
-  ];
-
-  let content = '';
-
-  for (const selector of contentSelectors) {
-    const element = $(selector).first();
-    if (element.length) {
-      const text = element.text().trim();
-      if (text.length > content.length) {
-        content = text;
-      }
-    }
-  }
-
-  // Fallback to body if no specific content found
-  if (!content || content.length < 100) {
-    content = $('body').text().trim();
-  }
-
-  // Clean up the content
-  content = content
-    .replace(/\s+/g, ' ')         // Multiple spaces to single space
-    .replace(/\n+/g, '\n')        // Multiple newlines to single newline
-    .replace(/[\t\r]/g, '')       // Remove tabs and carriage returns
-    .substring(0, maxLength);     // Limit length
-
-  return content;
+export function isScrapeFallback(content) {
+  if (content && typeof content === 'object') return content.fallback === true;
+  return !content || content === INVALID_URL_MESSAGE ||
+    (content.startsWith(FALLBACK_MESSAGE_PREFIX) && content.includes('could not be extracted'));
 }
 
 /**
@@ -187,23 +295,26 @@ function extractContent(html, maxLength) {
  * @returns {string} Fallback message
  */
 function getFallbackMessage(url) {
-  return `Article content from ${url} could not be extracted due to technical limitations, but the URL was found through search and likely contains relevant information about the topic.`;
+  return `${FALLBACK_MESSAGE_PREFIX}${url} could not be extracted due to technical limitations, but the URL was found through search and likely contains relevant information about the topic.`;
 }
 
 /**
  * Create a LangChain-compatible scraper tool
  * 
+ * @param {Object} options
+ * @param {SourceCollector} options.sources - Optional collector recording scraped URLs
  * @returns {Object} LangChain tool object
  */
-export function createScraperTool() {
+export function createScraperTool({ sources = null } = {}) {
   return new DynamicTool({
     name: 'scrape_article',
     description:
-      'Extract readable text from a URL returned by search. Input is a single URL string. Returns plain text content.',
+      'Extract an article from a URL returned by search. Input is a single URL string. Returns TITLE, BY and PUBLISHED lines (when known), then the article paragraphs.',
     func: async (url) => {
       try {
-        const content = await scrape(url);
-        return content;
+        const article = await scrapeArticle(url.trim(), { maxLength: 2000 });
+        sources?.addScrape(url.trim(), article);
+        return formatArticle(article);
       } catch (error) {
         log.error('Scraper tool execution failed', error);
         return getFallbackMessage(url);
@@ -214,6 +325,9 @@ export function createScraperTool() {
 
 export default {
   scrape,
+  scrapeArticle,
+  formatArticle,
+  isScrapeFallback,
   createScraperTool,
 };
 
@@ -1,11 +1,10 @@
 /**
  * Web Search Tool
  * 
- * Provides web search capabilities using Tavily API with automatic
- * fallback to curated content when searches fail.
+ * Provides web search across pluggable providers (see search-providers.js)
+ * with automatic fallback to curated content when searches fail.
  */
 
-import fetch from 'node-fetch';
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
 import circuitBreakerManager from '../utils/circuit-breaker.js';
@@ -13,6 +12,11 @@ import { retry } from '../utils/retry.js';
 import withTimeout from '../utils/timeout.js';
 import { generateFallbackContent, detectCategory } from './fallback-content.js';
 import { emitToolEvent } from './observer.js';
+import { resolveSearchProviders } from './search-providers.js';
+import { canonicalUrl } from './source-collector.js';
+import { withFixture } from '../replay/index.js';
+import { httpCache, entryAge } from '../cache/index.js';
+import { withSpan, SPAN_KINDS } from '../tracing/tracer.js';
 import { DynamicTool } from '@langchain/core/tools';
 
 const log = logger.child('WebSearch');
@@ -24,6 +28,8 @@ const log = logger.child('WebSearch');
  * @property {string} content - Article content/snippet
  * @property {string} url - Article URL
  * @property {string} source - Source domain
+ * @property {string|null} published - Publish time (ISO) when the provider reports one
+ * @property {string} provider - Search provider that returned it
  * @property {boolean} isFallback - Whether this is fallback content
  */
 
@@ -34,113 +40,180 @@ const log = logger.child('WebSearch');
  * @param {Object} options - Search options
  * @param {number} options.maxResults - Maximum results to return (default: 5)
  * @param {boolean} options.useFallback - Whether to use fallback on failure (default: true)
+ * @param {Array<string>} options.providers - Provider names to use (default: SEARCH_PROVIDERS)
  * @returns {Promise<SearchResult[]>} Array of search results
  */
 export async function search(query, options = {}) {
-  const { maxResults = 8, useFallback = true, timeRange = 'day' } = options;
-  
+  const { maxResults = 8, useFallback = true, timeRange = 'day', providers } = options;
+  return withSpan('search', {
+    'search.query': query,
+    'search.max_results': maxResults,
+    'search.time_range': timeRange,
+  }, async (span) => {
+    const results = await withFixture(
+      'search',
+      { query, maxResults, useFallback, timeRange, ...(providers && { providers }) },
+      () => searchLive(query, { maxResults, useFallback, timeRange, providers })
+    );
+    span.setAttributes({
+      'search.result_count': results.length,
+      'search.fallback': results.some(result => result.isFallback),
+      'search.providers': [...new Set(results.map(result => result.provider).filter(Boolean))].join(',') || undefined,
+    });
+    return results;
+  }, { kind: SPAN_KINDS.CLIENT });
+}
+
+/**
+ * Live search across the configured providers
+ *
+ * Providers are tried in SEARCH_PROVIDERS order, SEARCH_FAN_OUT at a time,
+ * until that many have returned results (or all have been tried). Each
+ * provider has its own circuit breaker, retries and timeout, so one failing
+ * API only moves the search on to the next. Results are interleaved across
+ * providers and deduplicated by canonical URL. Fallback content is used only
+ * when every provider fails.
+ *
+ * @param {string} query - Search query
+ * @param {Object} options - Resolved search options
+ * @returns {Promise<SearchResult[]>} Array of search results
+ */
+async function searchLive(query, { maxResults, useFallback, timeRange, providers: names }) {
   log.info(`Searching for: "${query}"`, { maxResults });
   emitToolEvent({ type: 'tool:start', tool: 'web_search', query, maxResults });
 
   // Detect category for better fallback content
   const category = detectCategory(query);
 
-  // If no Tavily key, use fallback immediately
-  if (!config.hasTavilyKey) {
-    log.warn('No Tavily API key configured, using fallback content');
+  const providers = resolveSearchProviders(names);
+  if (providers.length === 0) {
+    log.warn('No search provider configured, using fallback content');
     return generateFallbackContent(query, category);
   }
 
-  // Try Tavily search with circuit breaker
-  const breaker = circuitBreakerManager.getBreaker('tavily');
-  
-  try {
-    const results = await breaker.execute(
-      () => searchWithTavily(query, maxResults, timeRange),
-      useFallback ? () => generateFallbackContent(query, category) : null
+  const fanOut = Math.min(config.searchFanOut, providers.length);
+  const answered = [];
+  const failures = [];
+  let next = 0;
+
+  while (answered.length < fanOut && next < providers.length) {
+    const wave = providers.slice(next, next + fanOut - answered.length);
+    next += wave.length;
+
+    const outcomes = await Promise.allSettled(
+      wave.map(provider => searchWithProvider(provider, query, { maxResults, timeRange }))
     );
-    emitToolEvent({ type: 'tool:success', tool: 'web_search', query, resultCount: results.length });
-    return results;
-  } catch (error) {
-    log.error('Search failed', error);
+    outcomes.forEach((outcome, i) => {
+      const provider = wave[i].name;
+      if (outcome.status === 'rejected') {
+        failures.push({ provider, error: outcome.reason.message });
+        emitToolEvent({ type: 'tool:error', tool: 'web_search', provider, query, error: outcome.reason.message });
+      } else if (outcome.value.length === 0) {
+        failures.push({ provider, error: 'No results found' });
+      } else {
+        answered.push({ provider, results: outcome.value });
+      }
+    });
+  }
+
+  if (answered.length === 0) {
+    const error = new Error(`All search providers failed: ${failures.map(f => `${f.provider} (${f.error})`).join('; ')}`);
+    log.error('Search failed', { query, failures });
     emitToolEvent({ type: 'tool:error', tool: 'web_search', query, error: error.message });
-    
+
     if (useFallback) {
       log.info('Using fallback content');
       return generateFallbackContent(query, category);
     }
-    
+
     throw error;
   }
+
+  const results = mergeResults(answered.map(entry => entry.results), maxResults);
+  const used = answered.map(entry => entry.provider);
+  emitToolEvent({ type: 'tool:success', tool: 'web_search', query, resultCount: results.length, providers: used });
+  return results;
 }
 
 /**
- * Search using Tavily API
- * 
+ * Search one provider through its circuit breaker, with retries and a timeout.
+ * Fresh results for the same provider and query are served from the HTTP
+ * cache without a request.
+ *
+ * @param {Object} provider - Registered search provider
  * @param {string} query - Search query
- * @param {number} maxResults - Maximum results to return
- * @returns {Promise<SearchResult[]>} Search results
+ * @param {Object} options - { maxResults, timeRange }
+ * @returns {Promise<SearchResult[]>} The provider's results
  */
-async function searchWithTavily(query, maxResults = 8, timeRange = 'day') {
-  log.debug('Executing Tavily search', { query, maxResults, timeRange });
-
-  return retry(
-    async () => {
-      return withTimeout(
-        async () => {
-          const response = await fetch('https://api.tavily.com/search', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'User-Agent': 'AgenticPodcastSystem/1.0',
-            },
-            body: JSON.stringify({
-              api_key: config.tavilyApiKey,
-              query: query,
-              search_depth: 'basic',
-              include_answer: false,
-              include_images: false,
-              include_raw_content: false,
-              max_results: maxResults,
-              // Prefer very recent results to avoid stale articles
-              time_range: timeRange, // e.g., 'day' | 'week' | 'month'
-            }),
-          });
-
-          if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Tavily API error: ${response.status} - ${errorText}`);
-          }
-
-          const data = await response.json();
-          
-          if (!data.results || data.results.length === 0) {
-            log.warn('Tavily returned no results');
-            throw new Error('No results found');
-          }
-
-          const results = data.results.map(result => ({
-            title: result.title || 'No Title',
-            content: result.content || result.snippet || 'No content available',
-            url: result.url || '',
-            source: result.url ? new URL(result.url).hostname : 'unknown',
-            isFallback: false,
-          }));
-
-          log.success(`Tavily returned ${results.length} results`);
-          emitToolEvent({ type: 'tool:data', tool: 'web_search', query, raw: data, results: results.slice(0, 3) });
-          return results;
-        },
+async function searchWithProvider(provider, query, { maxResults, timeRange }) {
+  const label = `${provider.name} search`;
+  log.debug(`Executing ${label}`, { query, maxResults, timeRange });
+
+  return withSpan('search.provider', { 'search.provider': provider.name }, async (span) => {
+    const input = { provider: provider.name, query, maxResults, timeRange };
+    const cached = await httpCache.lookup('search', input);
+    span.setAttribute('cache.hit', !!cached?.fresh);
+    if (cached?.fresh) {
+      const results = cached.entry.value;
+      log.debug(`${provider.name} results served from cache`, { query });
+      span.setAttribute('search.result_count', results.length);
+      emitToolEvent({ type: 'tool:cache', tool: 'web_search', provider: provider.name, query, ageSeconds: entryAge(cached.entry) });
+      emitToolEvent({ type: 'tool:data', tool: 'web_search', provider: provider.name, query, cached: true, results: results.slice(0, 3) });
+      return results;
+    }
+
+    const breaker = circuitBreakerManager.getBreaker(`search:${provider.name}`);
+    const { results, raw } = await breaker.execute(() => retry(
+      () => withTimeout(
+        () => provider.search(query, { maxResults, timeRange }),
         10000, // 10 second timeout
-        'Tavily search'
-      );
-    },
-    {
-      maxRetries: 2,
-      baseDelay: 2000,
-      context: 'Tavily search',
+        label
+      ),
+      {
+        maxRetries: 2,
+        baseDelay: 2000,
+        context: label,
+      }
+    ));
+
+    const tagged = results.map(result => ({ ...result, provider: provider.name }));
+    span.setAttribute('search.result_count', tagged.length);
+    if (tagged.length > 0) {
+      await httpCache.set('search', input, tagged);
+      log.success(`${provider.name} returned ${tagged.length} results`);
+      emitToolEvent({ type: 'tool:data', tool: 'web_search', provider: provider.name, query, raw, results: tagged.slice(0, 3) });
+    } else {
+      log.warn(`${provider.name} returned no results`);
     }
-  );
+    return tagged;
+  }, { kind: SPAN_KINDS.CLIENT });
+}
+
+/**
+ * Interleave provider result lists and drop repeated URLs
+ *
+ * @param {Array<SearchResult[]>} lists - Results per provider, in priority order
+ * @param {number} maxResults - Maximum results to return
+ * @returns {SearchResult[]} Merged results
+ */
+function mergeResults(lists, maxResults) {
+  const seen = new Set();
+  const merged = [];
+  const longest = Math.max(...lists.map(list => list.length));
+
+  for (let i = 0; i < longest && merged.length < maxResults; i++) {
+    for (const list of lists) {
+      const result = list[i];
+      if (!result) continue;
+      const key = canonicalUrl(result.url) || result.url || `${result.title}:${result.source}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      merged.push(result);
+      if (merged.length >= maxResults) break;
+    }
+  }
+
+  return merged;
 }
 
 /**
@@ -148,9 +221,11 @@ async function searchWithTavily(query, maxResults = 8, timeRange = 'day') {
  * 
  * This provides a standardized tool interface for use with LangChain agents.
  * 
+ * @param {Object} options
+ * @param {SourceCollector} options.sources - Optional collector recording returned results
  * @returns {Object} LangChain tool object
  */
-export function createSearchTool() {
+export function createSearchTool({ sources = null } = {}) {
   return new DynamicTool({
     name: 'web_search',
     description:
@@ -158,6 +233,7 @@ export function createSearchTool() {
     func: async (query) => {
       try {
         const results = await search(query, { maxResults: 5, useFallback: true, timeRange: 'day' });
+        sources?.addSearchResults(results);
         return JSON.stringify(results, null, 2);
       } catch (error) {
         log.error('Search tool execution failed', error);
@@ -0,0 +1,142 @@
+/**
+ * Span Exporters
+ *
+ * Both exporters send spans in the OTLP/JSON encoding
+ * (ExportTraceServiceRequest), so any OpenTelemetry collector or backend
+ * (Jaeger, Tempo, Honeycomb, ...) can read them:
+ *
+ * - otlp: POST to an OTLP/HTTP endpoint (default http://localhost:4318/v1/traces)
+ * - file: append one request per line to a local file (the format read by
+ *         the collector's otlpjsonfile receiver)
+ *
+ * Export failures are logged and the batch is dropped; tracing never fails a run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+import logger from '../utils/logger.js';
+
+const log = logger.child('Tracing');
+
+const SCOPE = { name: 'agentic-podcast-system', version: '1.0.0' };
+const EXPORT_TIMEOUT_MS = 10000;
+
+/**
+ * Export spans to an OTLP/HTTP endpoint
+ *
+ * @param {Object} options
+ * @param {string} options.endpoint - Traces URL (e.g. http://localhost:4318/v1/traces)
+ * @param {Object} options.headers - Extra request headers (e.g. auth)
+ * @param {string} options.serviceName - service.name resource attribute
+ * @returns {{export: Function}} Exporter
+ */
+export function createOtlpHttpExporter({ endpoint, headers = {}, serviceName }) {
+  let warned = false;
+
+  return {
+    async export(spans) {
+      try {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: JSON.stringify(toOtlpRequest(spans, { serviceName })),
+          signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS),
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        }
+        warned = false;
+      } catch (error) {
+        // One warning per outage, not one per batch
+        if (!warned) log.warn('Span export failed, dropping spans', { endpoint, error: error.message });
+        warned = true;
+      }
+    },
+  };
+}
+
+/**
+ * Append spans to a local JSON-lines file
+ *
+ * @param {Object} options
+ * @param {string} options.file - Destination file
+ * @param {string} options.serviceName - service.name resource attribute
+ * @returns {{export: Function}} Exporter
+ */
+export function createFileExporter({ file, serviceName }) {
+  return {
+    file,
+    async export(spans) {
+      try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(toOtlpRequest(spans, { serviceName }))}\n`);
+      } catch (error) {
+        log.warn('Span export failed, dropping spans', { file, error: error.message });
+      }
+    },
+  };
+}
+
+/**
+ * Encode spans as an OTLP/JSON ExportTraceServiceRequest
+ *
+ * @param {Span[]} spans - Ended spans
+ * @param {Object} options
+ * @param {string} options.serviceName - service.name resource attribute
+ * @returns {Object} Request body
+ */
+export function toOtlpRequest(spans, { serviceName }) {
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: toAttributes({
+          'service.name': serviceName,
+          'process.pid': process.pid,
+          'process.runtime.name': 'nodejs',
+          'process.runtime.version': process.versions.node,
+        }),
+      },
+      scopeSpans: [{
+        scope: SCOPE,
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: span.kind,
+          startTimeUnixNano: String(span.startTime),
+          endTimeUnixNano: String(span.endTime),
+          attributes: toAttributes(span.attributes),
+          events: span.events.map(event => ({
+            timeUnixNano: String(event.time),
+            name: event.name,
+            attributes: toAttributes(event.attributes),
+          })),
+          status: span.status,
+        })),
+      }],
+    }],
+  };
+}
+
+function toAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+export default {
+  createOtlpHttpExporter,
+  createFileExporter,
+  toOtlpRequest,
+};
@@ -0,0 +1,88 @@
+/**
+ * Tracing Module - Central export for the tracer and span exporters
+ */
+
+import config from '../config/config.js';
+import {
+  SPAN_KINDS,
+  SPAN_STATUS,
+  Span,
+  Tracer,
+  tracer,
+  withSpan,
+  getActiveSpan,
+  addSpanEvent,
+} from './tracer.js';
+import { createOtlpHttpExporter, createFileExporter, toOtlpRequest } from './exporters.js';
+
+const EXPORTERS = {
+  otlp: () => createOtlpHttpExporter({
+    endpoint: config.otlpTracesEndpoint,
+    headers: config.otlpHeaders,
+    serviceName: config.tracingServiceName,
+  }),
+  file: () => createFileExporter({
+    file: config.tracingFile,
+    serviceName: config.tracingServiceName,
+  }),
+};
+
+export const TRACING_EXPORTERS = ['none', ...Object.keys(EXPORTERS)];
+
+/**
+ * Choose where spans are exported
+ *
+ * @param {string} exporter - none, otlp, file, or a comma-separated list (default: TRACING_EXPORTER)
+ * @returns {string[]} Active exporter names
+ */
+export function configureTracing(exporter = config.tracingExporter) {
+  const names = String(exporter || 'none').split(',').map(name => name.trim()).filter(name => name && name !== 'none');
+  const unknown = names.filter(name => !EXPORTERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown tracing exporter: ${unknown.join(', ')}. Available: ${TRACING_EXPORTERS.join(', ')}`);
+  }
+
+  tracer.setExporters(names.map(name => EXPORTERS[name]()));
+  return names;
+}
+
+/**
+ * Export the remaining spans (call before the process exits)
+ */
+export function shutdownTracing() {
+  return tracer.shutdown();
+}
+
+export {
+  // Tracer
+  SPAN_KINDS,
+  SPAN_STATUS,
+  Span,
+  Tracer,
+  tracer,
+  withSpan,
+  getActiveSpan,
+  addSpanEvent,
+
+  // Exporters
+  createOtlpHttpExporter,
+  createFileExporter,
+  toOtlpRequest,
+};
+
+export default {
+  SPAN_KINDS,
+  SPAN_STATUS,
+  Span,
+  Tracer,
+  tracer,
+  withSpan,
+  getActiveSpan,
+  addSpanEvent,
+  createOtlpHttpExporter,
+  createFileExporter,
+  toOtlpRequest,
+  TRACING_EXPORTERS,
+  configureTracing,
+  shutdownTracing,
+};
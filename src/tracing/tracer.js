@@ -0,0 +1,251 @@
+/**
+ * Tracer
+ *
+ * A small OpenTelemetry-compatible tracer: spans with trace and span ids,
+ * attributes, events and status, parented through an async context so
+ * nested calls (workflow stage → agent → search → retry attempt) form one
+ * trace. Ended spans are batched and handed to the configured exporters
+ * (see exporters.js), which speak OTLP.
+ *
+ * With no exporter configured spans are still created (so code can add
+ * events and attributes unconditionally) but are dropped when they end.
+ */
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { performance } from 'perf_hooks';
+
+export const SPAN_KINDS = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+};
+
+export const SPAN_STATUS = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2,
+};
+
+const MAX_BATCH = 256;
+const FLUSH_INTERVAL_MS = 5000;
+const MAX_ATTRIBUTE_LENGTH = 1000;
+
+const activeSpan = new AsyncLocalStorage();
+
+export class Span {
+  /**
+   * @param {Tracer} tracer - Owning tracer
+   * @param {string} name - Span name
+   * @param {Object} options
+   * @param {Span} options.parent - Parent span (default: none, starts a new trace)
+   * @param {number} options.kind - SPAN_KINDS value (default: INTERNAL)
+   * @param {Object} options.attributes - Initial attributes
+   */
+  constructor(tracer, name, { parent = null, kind = SPAN_KINDS.INTERNAL, attributes = {} } = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent?.traceId || randomId(16);
+    this.spanId = randomId(8);
+    this.parentSpanId = parent?.spanId || null;
+    this.startTime = now();
+    this.endTime = null;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SPAN_STATUS.UNSET };
+    this.setAttributes(attributes);
+  }
+
+  setAttribute(key, value) {
+    if (value === undefined || value === null) return this;
+    this.attributes[key] = typeof value === 'string' && value.length > MAX_ATTRIBUTE_LENGTH
+      ? value.slice(0, MAX_ATTRIBUTE_LENGTH)
+      : value;
+    return this;
+  }
+
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: now(), attributes });
+    return this;
+  }
+
+  /**
+   * Record an error as an "exception" event and mark the span failed
+   */
+  recordException(error) {
+    this.addEvent('exception', {
+      'exception.type': error?.code || error?.name || 'Error',
+      'exception.message': error?.message || String(error),
+    });
+    this.setStatus(SPAN_STATUS.ERROR, error?.message || String(error));
+    return this;
+  }
+
+  setStatus(code, message = undefined) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  end() {
+    if (this.endTime) return;
+    this.endTime = now();
+    this.tracer.onEnd(this);
+  }
+
+  get durationMs() {
+    return this.endTime ? Number(this.endTime - this.startTime) / 1e6 : null;
+  }
+}
+
+export class Tracer {
+  constructor() {
+    this.exporters = [];
+    this.pending = [];
+    this.timer = null;
+    this.flushing = null;
+    this.exitHook = null;
+  }
+
+  /**
+   * Replace the exporters. An empty list disables export.
+   *
+   * @param {Array<{export: Function, shutdown?: Function}>} exporters
+   */
+  setExporters(exporters = []) {
+    this.exporters = exporters;
+    if (this.exporters.length > 0 && !this.timer) {
+      this.timer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+      this.timer.unref();
+    }
+    if (this.exporters.length > 0 && !this.exitHook) {
+      // Commands that end without process.exit still export their last spans
+      this.exitHook = () => {
+        if (this.pending.length > 0) this.flush();
+      };
+      process.on('beforeExit', this.exitHook);
+    }
+  }
+
+  get enabled() {
+    return this.exporters.length > 0;
+  }
+
+  /**
+   * Start a span. It is not made active; use withSpan for that.
+   *
+   * @param {string} name - Span name
+   * @param {Object} options - See Span (parent defaults to the active span)
+   * @returns {Span} Span
+   */
+  startSpan(name, options = {}) {
+    return new Span(this, name, {
+      ...options,
+      parent: options.parent !== undefined ? options.parent : getActiveSpan(),
+    });
+  }
+
+  /**
+   * Run fn inside a new active span. The span ends when fn settles; a throw
+   * is recorded on the span and rethrown.
+   *
+   * @param {string} name - Span name
+   * @param {Object} attributes - Span attributes
+   * @param {Function} fn - Called with the span
+   * @param {Object} options - kind, parent
+   * @returns {Promise<*>} Result of fn
+   */
+  async withSpan(name, attributes, fn, options = {}) {
+    const span = this.startSpan(name, { ...options, attributes });
+    try {
+      return await activeSpan.run(span, () => fn(span));
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  onEnd(span) {
+    if (!this.enabled) return;
+    this.pending.push(span);
+    if (this.pending.length >= MAX_BATCH) this.flush();
+  }
+
+  /**
+   * Export all ended spans. Exporter failures are handled by the exporters.
+   */
+  async flush() {
+    if (this.flushing) await this.flushing;
+    if (this.pending.length === 0) return;
+
+    const batch = this.pending.splice(0);
+    this.flushing = Promise.all(this.exporters.map(exporter => exporter.export(batch)))
+      .finally(() => { this.flushing = null; });
+    await this.flushing;
+  }
+
+  /**
+   * Flush and close the exporters (call before process.exit)
+   */
+  async shutdown() {
+    await this.flush();
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.all(this.exporters.map(exporter => exporter.shutdown?.()));
+  }
+}
+
+export const tracer = new Tracer();
+
+/**
+ * Run fn inside a new span on the shared tracer (see Tracer.withSpan)
+ */
+export function withSpan(name, attributes, fn, options) {
+  return tracer.withSpan(name, attributes, fn, options);
+}
+
+/**
+ * @returns {Span|undefined} The span of the current async context
+ */
+export function getActiveSpan() {
+  return activeSpan.getStore();
+}
+
+/**
+ * Add an event to the active span, if any
+ *
+ * @param {string} name - Event name
+ * @param {Object} attributes - Event attributes
+ */
+export function addSpanEvent(name, attributes = {}) {
+  getActiveSpan()?.addEvent(name, attributes);
+}
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Wall-clock time in nanoseconds with sub-millisecond precision
+function now() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+}
+
+export default {
+  SPAN_KINDS,
+  SPAN_STATUS,
+  Span,
+  Tracer,
+  tracer,
+  withSpan,
+  getActiveSpan,
+  addSpanEvent,
+};
@@ -10,6 +10,7 @@
 
 import logger from './logger.js';
 import config from '../config/config.js';
+import { addSpanEvent } from '../tracing/tracer.js';
 
 const STATES = {
   CLOSED: 'CLOSED',
@@ -48,6 +49,11 @@ export class CircuitBreaker {
           failures: this.failureCount,
           nextAttempt: new Date(this.nextAttemptTime).toISOString(),
         });
+        addSpanEvent('circuit_breaker.rejected', {
+          'circuit_breaker.service': this.serviceName,
+          'circuit_breaker.failures': this.failureCount,
+          'circuit_breaker.fallback': !!fallback,
+        });
         
         if (fallback) {
           this.logger.info('Using fallback function');
@@ -70,6 +76,7 @@ export class CircuitBreaker {
       
       // If we have a fallback and circuit just opened, use it
       if (fallback && this.state === STATES.OPEN) {
+        addSpanEvent('circuit_breaker.fallback', { 'circuit_breaker.service': this.serviceName });
         this.logger.info('Circuit opened, using fallback');
         return await fallback();
       }
@@ -131,6 +138,10 @@ export class CircuitBreaker {
       failures: this.failureCount,
       nextAttempt: new Date(this.nextAttemptTime).toISOString(),
     });
+    addSpanEvent('circuit_breaker.opened', {
+      'circuit_breaker.service': this.serviceName,
+      'circuit_breaker.failures': this.failureCount,
+    });
   }
 
   /**
@@ -0,0 +1,69 @@
+/**
+ * Concurrency Limiter
+ *
+ * Caps how many async operations run at once. Callers beyond the limit wait
+ * in FIFO order for a free slot.
+ */
+
+import config from '../config/config.js';
+
+export class ConcurrencyLimiter {
+  /**
+   * @param {number|Function} limit - Slots, or a function returning them (read on each acquire)
+   */
+  constructor(limit) {
+    this.limit = typeof limit === 'function' ? limit : () => limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Run an operation once a slot is free
+   *
+   * @param {Function} operation - Async function to execute
+   * @returns {Promise<*>} The operation's result
+   */
+  async run(operation) {
+    if (this.waiting.length === 0 && this.active < Math.max(1, this.limit())) {
+      this.active += 1;
+    } else {
+      // release() claims the slot for us before waking us, so nobody can
+      // take it in between
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    try {
+      return await operation();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Free a slot and hand free slots to waiters in arrival order
+   */
+  release() {
+    this.active -= 1;
+    while (this.waiting.length > 0 && this.active < Math.max(1, this.limit())) {
+      this.active += 1;
+      this.waiting.shift()();
+    }
+  }
+
+  /**
+   * Current usage
+   *
+   * @returns {{active: number, waiting: number, limit: number}}
+   */
+  getStats() {
+    return { active: this.active, waiting: this.waiting.length, limit: this.limit() };
+  }
+}
+
+/**
+ * Process-wide limit on research agents (channel, deterministic and custom),
+ * shared by every workflow in the process: CONCURRENCY_LIMIT agents run at
+ * once however many runs (e.g. API jobs) are in progress.
+ */
+export const agentLimiter = new ConcurrencyLimiter(() => config.concurrencyLimit);
+
+export default agentLimiter;
@@ -0,0 +1,181 @@
+/**
+ * Cron Expressions
+ *
+ * Parses standard five-field cron expressions (minute hour day-of-month
+ * month day-of-week) and computes the next matching time in local time.
+ * Fields accept *, numbers, ranges (1-5), lists (1,3,5), steps (*\/15, 0-30/10)
+ * and month/day names (jan, mon). Day-of-week 0 and 7 are both Sunday.
+ * As in cron, when both day fields are restricted a day matching either runs.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Longest search window: every schedule matches at least once in four years (Feb 29)
+const MAX_SEARCH_DAYS = 4 * 366;
+
+/**
+ * Parse a cron expression
+ *
+ * @param {string} expression - Five-field cron expression or macro (@daily, @hourly, ...)
+ * @returns {Object} Parsed schedule { expression, minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ * @throws {Error} With code INVALID_CRON if the expression is malformed
+ */
+export function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const parts = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw cronError(`Cron expression must have 5 fields (minute hour day month weekday): "${source}"`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], source));
+  // 7 is an alias for Sunday
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+/**
+ * Check if a cron expression is valid
+ *
+ * @param {string} expression - Cron expression
+ * @returns {boolean} True if it parses
+ */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compute the next time a schedule fires, strictly after a given time
+ *
+ * @param {string|Object} schedule - Cron expression or result of parseCron
+ * @param {Date} after - Start of the search (default: now)
+ * @returns {Date|null} Next run time, or null if none within four years
+ */
+export function nextCronTime(schedule, after = new Date()) {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const time = new Date(after.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  while (time.getTime() <= limit) {
+    if (!cron.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return time;
+  }
+
+  return null;
+}
+
+function matchesDay(cron, time) {
+  const day = cron.days.has(time.getDate());
+  const weekday = cron.weekdays.has(time.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+}
+
+function parseField(part, field, source) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw cronError(`Invalid step "${item}" in ${field.name} of "${source}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.name === 'day of week' ? 6 : field.max;
+    } else {
+      const [low, high] = range.split('-');
+      start = parseValue(low, field, source);
+      end = high === undefined ? (stepText === undefined ? start : field.max) : parseValue(high, field, source);
+    }
+
+    if (start > end) {
+      throw cronError(`Invalid range "${item}" in ${field.name} of "${source}"`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseValue(text, field, source) {
+  const named = field.names?.indexOf(String(text).toLowerCase()) ?? -1;
+  const value = named >= 0 ? named + (field.name === 'month' ? 1 : 0) : Number(text);
+
+  if (text === '' || !Number.isInteger(value) || value < field.min || value > field.max) {
+    throw cronError(`Invalid value "${text}" in ${field.name} of "${source}" (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+function cronError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CRON';
+  return error;
+}
+
+export default {
+  parseCron,
+  isValidCron,
+  nextCronTime,
+};
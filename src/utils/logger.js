@@ -2,11 +2,13 @@
  * Structured Logging Utility
  * 
  * Provides consistent logging across the application with levels,
- * timestamps, and structured data support.
+ * timestamps, and structured data support. Log lines are events on the
+ * event bus: the console sink prints them in colour, and they also reach
+ * run.jsonl and the JSON-lines stdout mode.
  */
 
-import chalk from 'chalk';
 import config from '../config/config.js';
+import { emitEvent } from '../events/bus.js';
 
 const LOG_LEVELS = {
   debug: 0,
@@ -29,119 +31,81 @@ class Logger {
   }
 
   /**
-   * Format timestamp for log entries
+   * Emit a log event if the level is enabled
+   * 
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - Message
+   * @param {Object} data - Structured data
+   * @param {Object} style - Console presentation ({ emoji, color })
    */
-  getTimestamp() {
-    return new Date().toISOString();
-  }
-
-  /**
-   * Format log message with context and timestamp
-   */
-  formatMessage(level, message, data) {
-    const timestamp = chalk.gray(this.getTimestamp());
-    const ctx = chalk.cyan(`[${this.context}]`);
-    const lvl = this.getLevelColor(level)(`[${level.toUpperCase()}]`);
-    
-    let formatted = `${timestamp} ${lvl} ${ctx} ${message}`;
-    
-    if (data && Object.keys(data).length > 0) {
-      formatted += '\n' + JSON.stringify(data, null, 2);
-    }
-    
-    return formatted;
-  }
-
-  /**
-   * Get appropriate chalk color for log level
-   */
-  getLevelColor(level) {
-    switch (level) {
-      case 'debug':
-        return chalk.gray;
-      case 'info':
-        return chalk.blue;
-      case 'warn':
-        return chalk.yellow;
-      case 'error':
-        return chalk.red;
-      default:
-        return chalk.white;
-    }
+  write(level, message, data, style = {}) {
+    if (this.level > LOG_LEVELS[level]) return;
+
+    emitEvent('log', {
+      level,
+      context: this.context,
+      message,
+      ...(data && Object.keys(data).length > 0 ? { data } : {}),
+      ...style,
+    });
   }
 
   /**
    * Log at debug level
    */
   debug(message, data = {}) {
-    if (this.level <= LOG_LEVELS.debug) {
-      console.log(this.formatMessage('debug', message, data));
-    }
+    this.write('debug', message, data);
   }
 
   /**
    * Log at info level
    */
   info(message, data = {}) {
-    if (this.level <= LOG_LEVELS.info) {
-      console.log(this.formatMessage('info', message, data));
-    }
+    this.write('info', message, data);
   }
 
   /**
    * Log at warn level
    */
   warn(message, data = {}) {
-    if (this.level <= LOG_LEVELS.warn) {
-      console.warn(this.formatMessage('warn', message, data));
-    }
+    this.write('warn', message, data);
   }
 
   /**
    * Log at error level
    */
   error(message, error = null, data = {}) {
-    if (this.level <= LOG_LEVELS.error) {
-      const errorData = error ? {
-        ...data,
-        error: {
-          message: error.message,
-          stack: error.stack,
-          ...error,
-        },
-      } : data;
-      
-      console.error(this.formatMessage('error', message, errorData));
-    }
+    const errorData = error ? {
+      ...data,
+      error: {
+        message: error.message,
+        stack: error.stack,
+        ...error,
+      },
+    } : data;
+    
+    this.write('error', message, errorData);
   }
 
   /**
    * Log progress/status with emoji
    */
-  progress(emoji, message, data = {}) {
-    if (this.level <= LOG_LEVELS.info) {
-      const timestamp = chalk.gray(this.getTimestamp());
-      const ctx = chalk.cyan(`[${this.context}]`);
-      console.log(`${timestamp} ${emoji}  ${ctx} ${message}`);
-      
-      if (data && Object.keys(data).length > 0) {
-        console.log(chalk.gray(JSON.stringify(data, null, 2)));
-      }
-    }
+  progress(emoji, message, data = {}, color = null) {
+    this.write('info', message, data, { emoji, ...(color ? { color } : {}) });
   }
 
   /**
    * Log success message
    */
   success(message, data = {}) {
-    this.progress('✅', chalk.green(message), data);
+    this.progress('✅', message, data, 'green');
   }
 
   /**
    * Log failure message
    */
   failure(message, data = {}) {
-    this.progress('❌', chalk.red(message), data);
+    this.progress('❌', message, data, 'red');
   }
 
   /**
@@ -155,7 +119,7 @@ class Logger {
    * Log completion of operation
    */
   complete(message, data = {}) {
-    this.progress('🎉', chalk.green(message), data);
+    this.progress('🎉', message, data, 'green');
   }
 }
 
@@ -164,4 +128,3 @@ export default new Logger();
 
 // Export Logger class for creating child loggers
 export { Logger };
-
@@ -6,6 +6,7 @@
  */
 
 import logger from './logger.js';
+import { withSpan, addSpanEvent } from '../tracing/tracer.js';
 
 /**
  * Retry an async operation with exponential backoff
@@ -33,7 +34,7 @@ export async function retry(operation, options = {}) {
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
-      const result = await operation();
+      const result = await traceAttempt(operation, context, attempt, maxRetries);
       
       if (attempt > 0) {
         log.success(`${context} succeeded on attempt ${attempt + 1}/${maxRetries}`);
@@ -55,6 +56,7 @@ export async function retry(operation, options = {}) {
         error: error.message,
         nextRetryIn: `${delay}ms`,
       });
+      addSpanEvent('retry', { 'retry.attempt': attempt + 1, 'retry.delay_ms': delay, 'exception.message': error.message });
 
       // Call onRetry callback if provided
       if (onRetry) {
@@ -95,7 +97,7 @@ export async function retryIf(operation, shouldRetry, options = {}) {
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
-      const result = await operation();
+      const result = await traceAttempt(operation, context, attempt, maxRetries);
       
       if (attempt > 0) {
         log.success(`${context} succeeded on attempt ${attempt + 1}/${maxRetries}`);
@@ -120,6 +122,7 @@ export async function retryIf(operation, shouldRetry, options = {}) {
         error: error.message,
         delay: `${delay}ms`,
       });
+      addSpanEvent('retry', { 'retry.attempt': attempt + 1, 'retry.delay_ms': delay, 'exception.message': error.message });
 
       await sleep(delay);
     }
@@ -128,6 +131,17 @@ export async function retryIf(operation, shouldRetry, options = {}) {
   throw lastError;
 }
 
+/**
+ * Run one attempt in its own span, so traces show each try and the backoff between them
+ */
+function traceAttempt(operation, context, attempt, maxRetries) {
+  return withSpan(`${context} attempt`, {
+    'retry.context': context,
+    'retry.attempt': attempt + 1,
+    'retry.max_attempts': maxRetries,
+  }, () => operation());
+}
+
 /**
  * Sleep for specified milliseconds
  */
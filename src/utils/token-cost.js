@@ -1,7 +1,9 @@
 /**
  * Token Cost Calculator
  * 
- * Calculates costs for OpenAI API usage based on token counts
+ * Calculates costs for OpenAI API usage based on token counts.
+ * Usage that was estimated with the local tokenizer (estimatedTokens > 0)
+ * gives costs marked estimated: true.
  */
 
 // OpenAI pricing (as of 2024, per 1M tokens)
@@ -36,6 +38,7 @@ const PRICING = {
  * @param {number} tokenUsage.promptTokens - Number of prompt tokens
  * @param {number} tokenUsage.completionTokens - Number of completion tokens
  * @param {number} tokenUsage.totalTokens - Total tokens (optional, for validation)
+ * @param {number} tokenUsage.estimatedTokens - Tokens counted locally rather than reported (optional)
  * @param {string} model - Model name (e.g., 'gpt-4o-mini')
  * @returns {Object} Cost breakdown
  */
@@ -64,6 +67,8 @@ export function calculateCost(tokenUsage, model = 'gpt-4o-mini') {
     promptCost: Number(promptCost.toFixed(6)),
     completionCost: Number(completionCost.toFixed(6)),
     totalCost: Number(totalCost.toFixed(6)),
+    estimatedTokens: tokenUsage.estimatedTokens || 0,
+    estimated: (tokenUsage.estimatedTokens || 0) > 0,
     pricing: {
       promptPer1M: pricing.prompt,
       completionPer1M: pricing.completion,
@@ -77,12 +82,15 @@ export function calculateCost(tokenUsage, model = 'gpt-4o-mini') {
  * @param {Object} workflowResults - Workflow results with tokenUsage metadata
  * @param {string} agentModel - Model used for agents (default: gpt-4o-mini)
  * @param {string} synthesisModel - Model used for synthesis (default: gpt-4o-mini)
- * @returns {Object} Complete cost breakdown
+ * @param {Object} roleModels - Per-role overrides: research (deterministic channel
+ *   reports), planner, writer, factcheck, editor
+ * @returns {Object} Complete cost breakdown; total is the sum of all parts
  */
 export function calculateWorkflowCost(
   workflowResults,
   agentModel = 'gpt-4o-mini',
-  synthesisModel = 'gpt-4o-mini'
+  synthesisModel = 'gpt-4o-mini',
+  roleModels = {}
 ) {
   const tokenUsage = workflowResults.metadata?.tokenUsage;
   
@@ -92,25 +100,39 @@ export function calculateWorkflowCost(
 
   const costs = {
     agents: {},
+    custom: null,
     synthesis: {},
     total: {},
   };
 
-  // Calculate per-agent costs
+  // Calculate per-agent costs (deterministic reports come from the research role)
   for (const channelId in tokenUsage.agents) {
-    costs.agents[channelId] = calculateCost(tokenUsage.agents[channelId], agentModel);
+    const deterministic = workflowResults.channelReports?.[channelId]?.method === 'deterministic';
+    const model = deterministic ? roleModels.research || agentModel : agentModel;
+    costs.agents[channelId] = calculateCost(tokenUsage.agents[channelId], model);
   }
 
-  // Calculate synthesis costs
-  if (tokenUsage.synthesis.planner.totalTokens > 0) {
-    costs.synthesis.planner = calculateCost(tokenUsage.synthesis.planner, synthesisModel);
+  if (tokenUsage.custom?.totalTokens > 0) {
+    costs.custom = calculateCost(tokenUsage.custom, agentModel);
   }
-  if (tokenUsage.synthesis.writer.totalTokens > 0) {
-    costs.synthesis.writer = calculateCost(tokenUsage.synthesis.writer, synthesisModel);
+
+  // Calculate synthesis costs
+  for (const role of ['planner', 'writer', 'factcheck', 'editor']) {
+    if (tokenUsage.synthesis[role]?.totalTokens > 0) {
+      costs.synthesis[role] = calculateCost(tokenUsage.synthesis[role], roleModels[role] || synthesisModel);
+    }
   }
 
-  // Calculate total cost
-  costs.total = calculateCost(tokenUsage.total, agentModel);
+  // Total is the sum of the parts, each priced at its own model
+  const parts = [...Object.values(costs.agents), costs.custom, ...Object.values(costs.synthesis)].filter(Boolean);
+  const sum = key => Number(parts.reduce((total, part) => total + part[key], 0).toFixed(6));
+  costs.total = {
+    promptCost: sum('promptCost'),
+    completionCost: sum('completionCost'),
+    totalCost: sum('totalCost'),
+    estimatedTokens: parts.reduce((total, part) => total + part.estimatedTokens, 0),
+    estimated: parts.some(part => part.estimated),
+  };
 
   return costs;
 }
@@ -128,6 +150,16 @@ export function formatCost(cost) {
   return `$${cost.toFixed(2)}`;
 }
 
+/**
+ * Format a cost entry, labelled when its usage was estimated
+ * 
+ * @param {Object} cost - Entry from calculateCost or calculateWorkflowCost
+ * @returns {string} e.g. "$0.0025" or "$0.0025 (estimated)"
+ */
+export function formatCostEntry(cost) {
+  return `${formatCost(cost.totalCost)}${cost.estimated ? ' (estimated)' : ''}`;
+}
+
 /**
  * Get cost summary string
  * 
@@ -145,25 +177,31 @@ export function getCostSummary(costs) {
     lines.push('\nAgents:');
     for (const channelId in costs.agents) {
       const cost = costs.agents[channelId];
-      lines.push(`  ${channelId}: ${formatCost(cost.totalCost)}`);
+      lines.push(`  ${channelId}: ${formatCostEntry(cost)}`);
     }
   }
+
+  if (costs.custom) {
+    lines.push(`\nCustom requests: ${formatCostEntry(costs.custom)}`);
+  }
   
   // Synthesis costs
-  if (costs.synthesis.planner || costs.synthesis.writer) {
+  const synthesisLabels = { planner: 'Planner', writer: 'Writer', factcheck: 'Fact-check', editor: 'Editor' };
+  const synthesis = Object.entries(synthesisLabels).filter(([role]) => costs.synthesis[role]);
+  if (synthesis.length > 0) {
     lines.push('\nSynthesis:');
-    if (costs.synthesis.planner) {
-      lines.push(`  Planner: ${formatCost(costs.synthesis.planner.totalCost)}`);
-    }
-    if (costs.synthesis.writer) {
-      lines.push(`  Writer: ${formatCost(costs.synthesis.writer.totalCost)}`);
+    for (const [role, label] of synthesis) {
+      lines.push(`  ${label}: ${formatCostEntry(costs.synthesis[role])}`);
     }
   }
   
   // Total
   lines.push('\n' + '─'.repeat(50));
-  lines.push(`Total Cost: ${formatCost(costs.total.totalCost)}`);
+  lines.push(`Total Cost: ${formatCostEntry(costs.total)}`);
   lines.push(`  (${costs.total.promptCost.toFixed(6)} prompt + ${costs.total.completionCost.toFixed(6)} completion)`);
+  if (costs.total.estimated) {
+    lines.push(`  Estimated: ${costs.total.estimatedTokens} tokens counted locally (provider reported no usage)`);
+  }
   
   return lines.join('\n');
 }
@@ -172,6 +210,7 @@ export default {
   calculateCost,
   calculateWorkflowCost,
   formatCost,
+  formatCostEntry,
   getCostSummary,
   PRICING,
 };
@@ -0,0 +1,75 @@
+import { extractArticle } from '../src/tools/article-extractor.js';
+
+const PARAGRAPHS = [
+  'The Rust team released Rust 1.85 on Thursday, stabilizing the 2024 edition after more than a year of work.',
+  'The edition brings async closures, a new prelude and changes to how temporaries are dropped in tail expressions.',
+  'Existing crates keep compiling: each crate opts in through Cargo.toml, and cargo fix migrates most code.',
+];
+
+const PAGE = `<!doctype html>
+<html lang="en">
+<head>
+  <title>Rust 1.85 ships the 2024 edition | Dev News</title>
+  <meta property="og:site_name" content="Dev News">
+  <meta name="description" content="Async closures and a new prelude.">
+  <meta property="article:modified_time" content="2025-02-21T09:00:00Z">
+  <script type="application/ld+json">
+    {"@context": "https://schema.org", "@graph": [
+      {"@type": "WebSite", "name": "Dev News"},
+      {"@type": "NewsArticle", "headline": "Rust 1.85 ships the 2024 edition",
+       "author": [{"@type": "Person", "name": "Ada Lovelace"}, {"@type": "Person", "name": "Grace Hopper"}],
+       "datePublished": "2025-02-20T14:30:00+01:00"}
+    ]}
+  </script>
+</head>
+<body>
+  <header class="site-header"><a href="/">Dev News</a></header>
+  <nav><a href="/rust">Rust</a> <a href="/node">Node</a> <a href="/go">Go</a></nav>
+  <div class="cookie-banner">We use cookies to improve your experience. Accept all cookies?</div>
+  <main>
+    <article class="post">
+      <h1>Rust 1.85 ships the 2024 edition</h1>
+      <p class="byline">By Ada Lovelace</p>
+      ${PARAGRAPHS.map(p => `<p>${p}</p>`).join('\n      ')}
+      <div class="share-bar"><a href="#">Share on social media, with a comma, and another one</a></div>
+    </article>
+  </main>
+  <aside class="sidebar"><p>Related: Go 1.24 adds generic type aliases, swiss tables and more to the runtime.</p></aside>
+  <footer>All rights reserved.</footer>
+</body>
+</html>`;
+
+describe('extractArticle', () => {
+  test('reads metadata from JSON-LD and meta tags', () => {
+    expect(extractArticle(PAGE, { url: 'https://news.example.com/rust' })).toMatchObject({
+      url: 'https://news.example.com/rust',
+      title: 'Rust 1.85 ships the 2024 edition',
+      byline: 'Ada Lovelace, Grace Hopper',
+      siteName: 'Dev News',
+      published: '2025-02-20T13:30:00.000Z',
+      modified: '2025-02-21T09:00:00.000Z',
+      description: 'Async closures and a new prelude.',
+      lang: 'en',
+    });
+  });
+
+  test('keeps the article paragraphs and drops navigation and boilerplate', () => {
+    const article = extractArticle(PAGE);
+    // The headline and the short byline are not content paragraphs
+    expect(article.paragraphs).toEqual(PARAGRAPHS);
+    expect(article.text).not.toMatch(/cookies|Related:|All rights reserved|Share on/);
+    expect(article.truncated).toBe(false);
+  });
+
+  test('cuts the text at maxLength', () => {
+    const article = extractArticle(PAGE, { maxLength: 150 });
+    expect(article.truncated).toBe(true);
+    expect(article.text.length).toBeLessThanOrEqual(150);
+    expect(article.text.startsWith(article.paragraphs[0])).toBe(true);
+  });
+
+  test('falls back to the page text when there is no content block', () => {
+    const article = extractArticle('<html><body><span>Short page.</span></body></html>');
+    expect(article).toMatchObject({ title: '', paragraphs: ['Short page.'], text: 'Short page.', published: null });
+  });
+});
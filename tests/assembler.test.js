@@ -0,0 +1,74 @@
+import { Mp3Assembler } from '../src/audio/assembler.js';
+import { readFrames, id3v2Size, parseFrameHeader } from '../src/audio/mp3.js';
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, joint stereo: 417-byte frames of 1152 samples
+const FRAME_HEADER = [0xff, 0xfb, 0x90, 0x44];
+const FRAME_MS = (1152 / 44100) * 1000;
+
+function mp3(frames, { id3 = false } = {}) {
+  const frame = Buffer.alloc(417);
+  Buffer.from(FRAME_HEADER).copy(frame);
+  // A 10-byte ID3v2.4 tag with an empty 10-byte body, as TTS APIs prepend
+  const tag = Buffer.concat([Buffer.from('ID3\x04\x00\x00\x00\x00\x00\x0a', 'latin1'), Buffer.alloc(10)]);
+  return Buffer.concat([...(id3 ? [tag] : []), ...Array.from({ length: frames }, () => frame)]);
+}
+
+describe('Mp3Assembler', () => {
+  test('refuses to build without audio', () => {
+    const assembler = new Mp3Assembler();
+    expect(assembler.append(Buffer.from('not audio'))).toBe(0);
+    expect(() => assembler.build()).toThrow('No audio to assemble');
+  });
+
+  test('joins chunks without their ID3 tags and tracks duration', () => {
+    const assembler = new Mp3Assembler();
+    expect(assembler.append(mp3(10, { id3: true }))).toBe(10);
+    expect(assembler.append(mp3(5, { id3: true }))).toBe(5);
+    expect(assembler.frames).toHaveLength(15);
+    expect(assembler.durationMs).toBeCloseTo(15 * FRAME_MS);
+  });
+
+  test('inserts silence in the format of the audio', () => {
+    const assembler = new Mp3Assembler();
+    assembler.appendSilence(500);
+    expect(assembler.frames).toHaveLength(0);
+
+    assembler.append(mp3(1));
+    assembler.appendSilence(500);
+    expect(assembler.frames).toHaveLength(1 + Math.round(500 / FRAME_MS));
+    expect(assembler.frames.every(f => f.header.sampleRate === 44100)).toBe(true);
+  });
+
+  test('builds an ID3 tag, an Info header and the audio frames', () => {
+    const assembler = new Mp3Assembler();
+    assembler.append(mp3(20));
+    const file = assembler.build({ title: 'Episode' });
+
+    expect(file.toString('latin1', 0, 3)).toBe('ID3');
+    const infoOffset = id3v2Size(file);
+    const info = parseFrameHeader(file, infoOffset);
+    // Info follows the 4-byte header and 32 bytes of stereo side info
+    expect(file.toString('latin1', infoOffset + 36, infoOffset + 40)).toBe('Info');
+    expect(file.readUInt32BE(infoOffset + 44)).toBe(20);
+    expect(file.readUInt32BE(infoOffset + 48)).toBe(file.length - infoOffset);
+    expect(info.bitrate).toBe(128000);
+
+    // Reading the file back skips the tag and the Info frame
+    expect(readFrames(file)).toHaveLength(20);
+  });
+
+  test('records chapters with unique ids and end times', () => {
+    const assembler = new Mp3Assembler();
+    assembler.startChapter('story', 'First');
+    assembler.append(mp3(10));
+    assembler.startChapter('story', 'Second');
+    assembler.append(mp3(10));
+    assembler.startChapter('empty', 'Nothing after it');
+
+    expect(assembler.getChapters()).toEqual([
+      { id: 'story', title: 'First', startMs: 0, endMs: Math.round(10 * FRAME_MS) },
+      { id: 'story-2', title: 'Second', startMs: Math.round(10 * FRAME_MS), endMs: Math.round(20 * FRAME_MS) },
+    ]);
+    expect(assembler.build().includes(Buffer.from('CHAP'))).toBe(true);
+  });
+});
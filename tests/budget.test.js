@@ -0,0 +1,105 @@
+/**
+ * Budget policies on replayed runs. Replayed calls cost nothing, so the
+ * caps are in tokens, counted from the usage recorded in the fixtures.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { fixtureStore } from '../src/replay/index.js';
+import { createUserContext } from '../src/orchestrator/user-context.js';
+import { executeWorkflow } from '../src/orchestrator/workflow.js';
+import { RunBudget } from '../src/orchestrator/budget.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES = path.join(ROOT, 'tests/fixtures/replay');
+
+describe('shorten and skip_custom (replay)', () => {
+  let results;
+
+  beforeAll(async () => {
+    fixtureStore.enableReplay(path.join(FIXTURES, 'tech-budget'));
+    const userContext = createUserContext({
+      channels: ['tech'],
+      customRequests: ['Rust 2024 edition migration tips'],
+      duration: 1,
+      deterministic: true,
+    });
+    // The first call already passes the warning threshold
+    const budget = new RunBudget({ maxTokens: 1000000, warnAt: 0.0001, policies: ['shorten', 'skip_custom'] });
+    const stop = budget.track();
+    try {
+      results = await executeWorkflow(userContext, null, { factCheck: 'warn', budget });
+    } finally {
+      stop();
+      fixtureStore.disable();
+    }
+  });
+
+  test('skips the custom request agent', () => {
+    expect(results.customReport).toMatchObject({ status: 'skipped', method: 'budget' });
+  });
+
+  test('halves the sections still to be written, but not below the minimum', () => {
+    expect(results.metadata.budget.status).toBe('approaching');
+    // intro (40 words) and closing (30) are already at the minimum
+    expect(results.metadata.budget.actions).toEqual([
+      expect.objectContaining({ action: 'skip_custom' }),
+      expect.objectContaining({ action: 'shorten', section: 'releases', from: 120, to: 60 }),
+    ]);
+    expect(results.finalScript).toContain('Node.js 24 is now in long-term support');
+  });
+});
+
+describe('abort (generate --replay)', () => {
+  const fixtures = path.join(FIXTURES, 'tech-deterministic');
+  let tmp;
+  let outputDir;
+  let stdout;
+
+  // Tokens recorded for research, planning and writing the given section
+  function tokensThrough(sectionId) {
+    const llm = JSON.parse(fs.readFileSync(path.join(fixtures, 'llm.json'), 'utf8'));
+    return Object.values(llm)
+      .filter(({ input }) => input.role !== 'writer' || input.messages[0].content.includes(`YOUR CURRENT SECTION (${sectionId})`))
+      .reduce((sum, { outputs }) => sum + outputs[0].usage_metadata.total_tokens, 0);
+  }
+
+  beforeAll(async () => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-test-'));
+    const args = [
+      'cli/index.js', 'generate', '-c', 'tech', '-d', '1', '--deterministic', '--fact-check', 'warn',
+      '--replay', fixtures, '--no-history', '--budget-policy', 'abort',
+      // Spent in full once the intro is written
+      '--max-tokens', String(tokensThrough('intro')),
+      // A cost cap that replayed calls never reach
+      '--max-cost', '100',
+    ];
+    // Inherits FEEDS_ENABLED=false from tests/setup.js
+    const env = { ...process.env, OUTPUT_DIR: path.join(tmp, 'output'), HISTORY_DIR: path.join(tmp, 'history') };
+
+    const error = await promisify(execFile)(process.execPath, args, { cwd: ROOT, env }).catch(err => err);
+    expect(error.code).toBe(1);
+    stdout = error.stdout;
+    [outputDir] = fs.readdirSync(path.join(tmp, 'output')).map(name => path.join(tmp, 'output', name));
+  });
+
+  afterAll(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('stops before the next section and saves what was written', () => {
+    expect(fs.readFileSync(path.join(outputDir, 'script.partial.txt'), 'utf8')).toBe(
+      'Good morning. Three big releases landed for developers this week, from a new Rust edition to a faster PostgreSQL.'
+    );
+    const reports = JSON.parse(fs.readFileSync(path.join(outputDir, 'agent-reports.json'), 'utf8'));
+    expect(reports.channelReports.tech.status).toBe('success');
+    expect(reports.metadata.budget.actions).toEqual([expect.objectContaining({ action: 'abort', step: 'section releases' })]);
+    expect(fs.existsSync(path.join(outputDir, 'script.txt'))).toBe(false);
+  });
+
+  test('suggests raising the cap that was reached', () => {
+    expect(stdout).toContain(`generate --resume ${outputDir} --max-tokens <tokens>`);
+  });
+});
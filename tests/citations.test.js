@@ -0,0 +1,42 @@
+import { buildSourceIndex, extractCitations } from '../src/synthesis/citations.js';
+
+describe('citation numbering', () => {
+  const reports = [
+    {
+      channelId: 'tech',
+      sources: [
+        { title: 'Rust 1.85', url: 'https://example.com/rust' },
+        { title: 'Node.js 24', url: 'https://example.com/node' },
+      ],
+    },
+    null,
+    {
+      channelId: 'finance',
+      sources: [
+        { title: 'Node.js 24', url: 'https://example.com/node' },
+        { title: 'Market summary', url: '', fallback: true },
+      ],
+    },
+    { sources: [{ title: 'Custom research', url: 'https://example.org/custom' }] },
+  ];
+
+  test('numbers sources in episode order, once per URL', () => {
+    expect(buildSourceIndex(reports).map(s => [s.id, s.title, s.channels])).toEqual([
+      ['S1', 'Rust 1.85', ['tech']],
+      ['S2', 'Node.js 24', ['tech', 'finance']],
+      ['S3', 'Market summary', ['finance']],
+      ['S4', 'Custom research', ['custom']],
+    ]);
+  });
+
+  test('strips markers and separates known from unknown ids', () => {
+    const sources = buildSourceIndex(reports);
+    const result = extractCitations('Rust shipped {S1}. Node moved to LTS [S2, S4] and markets rose {S3}; see {S9}.', sources);
+    expect(result).toEqual({
+      text: 'Rust shipped. Node moved to LTS and markets rose; see.',
+      sourceIds: ['S1', 'S2', 'S4'],
+      // Fallback content is not citable
+      unknown: ['S3', 'S9'],
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { ConcurrencyLimiter } from '../src/utils/concurrency.js';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+describe('ConcurrencyLimiter', () => {
+  test('runs at most the limit at once and starts waiters in arrival order', async () => {
+    const limiter = new ConcurrencyLimiter(2);
+    const gates = [deferred(), deferred(), deferred(), deferred()];
+    const started = [];
+    const runs = gates.map((gate, i) => limiter.run(async () => {
+      started.push(i);
+      await gate.promise;
+      return i;
+    }));
+
+    await Promise.resolve();
+    expect(started).toEqual([0, 1]);
+    expect(limiter.getStats()).toEqual({ active: 2, waiting: 2, limit: 2 });
+
+    // A caller arriving as a slot frees up queues behind the waiters
+    gates[0].resolve();
+    const late = limiter.run(async () => started.push('late'));
+    await runs[0];
+    await Promise.resolve();
+    expect(started).toEqual([0, 1, 2]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    gates[3].resolve();
+    expect(await Promise.all(runs)).toEqual([0, 1, 2, 3]);
+    await late;
+    expect(started).toEqual([0, 1, 2, 3, 'late']);
+    expect(limiter.getStats()).toMatchObject({ active: 0, waiting: 0 });
+  });
+
+  test('releases the slot when the operation throws', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    await expect(limiter.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(await limiter.run(async () => 'next')).toBe('next');
+  });
+});
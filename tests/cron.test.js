@@ -0,0 +1,60 @@
+import { parseCron, isValidCron, nextCronTime } from '../src/utils/cron.js';
+
+// Local time, as cron schedules are evaluated
+const at = (...parts) => new Date(...parts);
+
+describe('nextCronTime', () => {
+  test('returns the next matching minute, strictly after the start', () => {
+    expect(nextCronTime('30 7 * * *', at(2026, 0, 5, 7, 0))).toEqual(at(2026, 0, 5, 7, 30));
+    expect(nextCronTime('30 7 * * *', at(2026, 0, 5, 7, 30))).toEqual(at(2026, 0, 6, 7, 30));
+    expect(nextCronTime('30 7 * * *', at(2026, 0, 5, 7, 29, 59))).toEqual(at(2026, 0, 5, 7, 30));
+  });
+
+  test('supports steps, ranges, lists and names', () => {
+    expect(nextCronTime('*/15 * * * *', at(2026, 0, 5, 10, 16))).toEqual(at(2026, 0, 5, 10, 30));
+    // 2026-01-09 is a Friday; the next weekday run is Monday
+    expect(nextCronTime('0 6 * * mon-fri', at(2026, 0, 9, 7, 0))).toEqual(at(2026, 0, 12, 6, 0));
+    expect(nextCronTime('0 9 1,15 * *', at(2026, 0, 2, 0, 0))).toEqual(at(2026, 0, 15, 9, 0));
+    expect(nextCronTime('0 0 1 jul *', at(2026, 0, 2, 0, 0))).toEqual(at(2026, 6, 1, 0, 0));
+  });
+
+  test('treats 0 and 7 as Sunday', () => {
+    // 2026-01-11 is a Sunday
+    expect(nextCronTime('0 8 * * 7', at(2026, 0, 5, 0, 0))).toEqual(at(2026, 0, 11, 8, 0));
+    expect(nextCronTime('0 8 * * 0', at(2026, 0, 5, 0, 0))).toEqual(at(2026, 0, 11, 8, 0));
+  });
+
+  test('runs on either day field when both are restricted', () => {
+    // The 13th, or any Friday: Friday 2026-01-09 comes first
+    expect(nextCronTime('0 0 13 * fri', at(2026, 0, 5, 0, 0))).toEqual(at(2026, 0, 9, 0, 0));
+  });
+
+  test('expands macros and finds Feb 29 in a leap year', () => {
+    expect(nextCronTime('@daily', at(2026, 0, 5, 12, 0))).toEqual(at(2026, 0, 6, 0, 0));
+    expect(nextCronTime('0 12 29 2 *', at(2026, 0, 1, 0, 0))).toEqual(at(2028, 1, 29, 12, 0));
+  });
+
+  test('returns null for a schedule that never fires', () => {
+    expect(nextCronTime('0 0 31 2 *', at(2026, 0, 1, 0, 0))).toBeNull();
+  });
+
+  test('accepts a parsed schedule', () => {
+    expect(nextCronTime(parseCron('0 * * * *'), at(2026, 0, 5, 10, 0))).toEqual(at(2026, 0, 5, 11, 0));
+  });
+});
+
+describe('parseCron', () => {
+  test.each([
+    ['0 7 * *', /5 fields/],
+    ['60 7 * * *', /Invalid value "60" in minute/],
+    ['0 7 * * mon-sun', /Invalid range/],
+    ['*/0 * * * *', /Invalid step/],
+  ])('rejects %s', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+    expect(isValidCron(expression)).toBe(false);
+  });
+
+  test('errors carry code INVALID_CRON', () => {
+    expect(() => parseCron('bogus')).toThrow(expect.objectContaining({ code: 'INVALID_CRON' }));
+  });
+});
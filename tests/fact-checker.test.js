@@ -0,0 +1,43 @@
+import { extractClaims, verifyClaims } from '../src/synthesis/fact-checker.js';
+
+const facts = (text, options) => extractClaims(text, options).map(claim => claim.facts.map(f => `${f.type}:${f.value}`));
+
+describe('extractClaims', () => {
+  test('finds numbers, versions, dates and names per sentence', () => {
+    expect(facts('Revenue rose 12% to $4.5 billion. Acme Labs shipped version 24.1.0 on March 3rd.')).toEqual([
+      ['number:12%', 'number:$4.5'],
+      ['version:24.1.0', 'date:March 3rd', 'name:Acme Labs'],
+    ]);
+  });
+
+  test('ignores speaker prefixes, audio tags, small counts and host names', () => {
+    const text = 'HOST_A: [excited] Two hosts, three stories.\nHOST_B: [laughs] Thanks, Alex. Sam here with 40 updates.';
+    expect(facts(text, { ignoreNames: ['Alex', 'Sam'] })).toEqual([['number:40']]);
+  });
+
+  test('does not split sentences at abbreviations', () => {
+    expect(extractClaims('Shares of Acme Inc. fell 8% on Tuesday.').map(c => c.sentence)).toEqual([
+      'Shares of Acme Inc. fell 8% on Tuesday.',
+    ]);
+  });
+});
+
+describe('verifyClaims', () => {
+  const evidence = 'Tech: Acme Inc. reported revenue of $4,500 million, up 12.0%, on Mar. 3. Jerome Powell spoke at 2 pm.';
+
+  test('supports facts found in the evidence, in any format', () => {
+    const [claim] = verifyClaims(extractClaims('Acme revenue rose 12% on March 3rd.'), evidence);
+    expect(claim).toMatchObject({ supported: true, missing: [] });
+  });
+
+  test('reports the facts the evidence does not contain', () => {
+    const [claim] = verifyClaims(extractClaims('Acme revenue rose 15% on March 4.'), evidence);
+    expect(claim.supported).toBe(false);
+    expect(claim.missing.map(f => f.value)).toEqual(['March 4', '15%']);
+  });
+
+  test('matches multi-word names whose words appear separately', () => {
+    const [claim] = verifyClaims(extractClaims('Yesterday Powell Jerome spoke.'), 'Fed chair Powell, first name Jerome');
+    expect(claim.supported).toBe(true);
+  });
+});
@@ -0,0 +1,325 @@
+/**
+ * Re-record the replay fixtures under tests/fixtures/replay
+ *
+ * Usage: node tests/fixtures/record.js
+ *
+ * Runs each scenario with fixture recording on and a scripted chat model
+ * that answers per role, so the recordings exercise the real prompts and
+ * pipeline without an API key. Searches go to a local SearXNG stand-in that
+ * also serves the articles; its address is rewritten to news.example.com
+ * in the saved fixtures. Run it after changing a prompt and commit the
+ * rewritten JSON files together with the prompt change.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage } from '@langchain/core/messages';
+
+const FIXTURE_ORIGIN = 'https://news.example.com';
+
+const ARTICLES = {
+  'rust-2024': {
+    query: /^tech news/,
+    title: 'Rust 1.85 ships the 2024 edition',
+    paragraphs: [
+      'The Rust team released Rust 1.85 on Thursday, stabilizing the 2024 edition of the language.',
+      'The edition adds async closures and a new prelude, and reserves syntax for future features.',
+      'Running cargo fix --edition migrates most existing code automatically, the project said.',
+    ],
+  },
+  'node-24': {
+    query: /^software development/,
+    title: 'Node.js 24 enters long-term support',
+    paragraphs: [
+      'Node.js 24 moved to long-term support this week and will receive security fixes until April 2028.',
+      'The release line ships V8 13.6, and its permission model is now marked stable.',
+      'The project recommends that production users upgrade from Node.js 20 before its support ends.',
+    ],
+  },
+  'postgres-18': {
+    query: /^framework updates/,
+    title: 'PostgreSQL 18 adds asynchronous I/O',
+    paragraphs: [
+      'PostgreSQL 18 introduces an asynchronous I/O subsystem for reads.',
+      'The project says sequential scans run up to 3x faster on some storage with the new subsystem.',
+      'The release also adds virtual generated columns and OAuth authentication.',
+    ],
+  },
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, FIXTURE_ORIGIN);
+  const origin = `http://${req.headers.host}`;
+
+  if (url.pathname === '/search') {
+    const query = url.searchParams.get('q') || '';
+    const results = Object.entries(ARTICLES)
+      .filter(([, article]) => article.query.test(query))
+      .map(([slug, article]) => ({ title: article.title, url: `${origin}/articles/${slug}`, content: article.paragraphs[0] }));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ query, results }));
+  }
+
+  const article = ARTICLES[url.pathname.replace(/^\/articles\//, '')];
+  if (!article) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!doctype html><html><head><title>${article.title}</title></head><body>
+<nav><a href="/">Home</a> <a href="/tech">Tech</a></nav>
+<article><h1>${article.title}</h1>
+${article.paragraphs.map(p => `<p>${p}</p>`).join('\n')}
+</article>
+<footer>Copyright News Example</footer>
+</body></html>`);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const serverOrigin = `http://127.0.0.1:${server.address().port}`;
+
+// Set before the pipeline modules load so dotenv cannot fill them from .env
+Object.assign(process.env, {
+  LLM_PROVIDER: 'scripted',
+  SEARCH_PROVIDERS: 'searxng',
+  SEARXNG_URL: serverOrigin,
+  // Research from search only; the channels' real feeds are not recorded
+  FEEDS_ENABLED: 'false',
+  // Cached searches would point at an earlier run's server
+  HTTP_CACHE_ENABLED: 'false',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'warn',
+});
+
+const { fixtureStore, fixtureKey } = await import('../../src/replay/index.js');
+const { registerProvider } = await import('../../src/llm/providers.js');
+const { createUserContext } = await import('../../src/orchestrator/user-context.js');
+const { executeWorkflow } = await import('../../src/orchestrator/workflow.js');
+const { RunBudget } = await import('../../src/orchestrator/budget.js');
+const { planPodcast } = await import('../../src/synthesis/planner.js');
+const { writeSection } = await import('../../src/synthesis/writer.js');
+const { buildSourceIndex } = await import('../../src/synthesis/citations.js');
+
+const REPLAY_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'replay');
+
+const REPORT = 'Rust 1.85 shipped the 2024 edition on Thursday, adding async closures and a new prelude; cargo fix migrates most code. Node.js 24 moved to long-term support and receives security fixes until April 2028, shipping V8 13.6 and a stable permission model. PostgreSQL 18 introduces asynchronous I/O, which speeds up sequential scans by up to 3x on some storage, plus virtual generated columns and OAuth authentication.';
+
+// Research, plan and sections of the one-channel tech episode
+const TECH_RESPONSES = {
+  research: REPORT,
+  planner: JSON.stringify({
+    overview: 'Three release stories for developers: the Rust 2024 edition, Node.js 24 LTS and PostgreSQL 18.',
+    sections: [
+      { id: 'intro', title: 'Opening', goal: 'Welcome listeners and preview the releases', approx_words: 40, content_refs: [] },
+      { id: 'releases', title: 'This Week in Releases', goal: 'Cover Rust 1.85, Node.js 24 LTS and PostgreSQL 18', approx_words: 120, content_refs: ['tech'] },
+      { id: 'closing', title: 'Wrap-up', goal: 'Recap and sign off', approx_words: 30, content_refs: [] },
+    ],
+  }),
+  writer: {
+    intro: 'Good morning. Three big releases landed for developers this week, from a new Rust edition to a faster PostgreSQL.',
+    releases: 'Rust 1.85 stabilizes the 2024 edition, with async closures and a new prelude {S1}. Node.js 24 is now in long-term support and gets security fixes until April 2028 {S2}. And PostgreSQL 18 adds asynchronous I/O, which the project says speeds up some sequential scans by up to 3x {S3}.',
+    closing: 'That is the roundup. Check your upgrade plans, and see you tomorrow.',
+  },
+};
+
+/**
+ * Scenarios: responses per role (writer responses keyed by section id) and
+ * the pipeline run that is recorded.
+ */
+const SCENARIOS = {
+  'tech-deterministic': {
+    responses: TECH_RESPONSES,
+    run: async () => {
+      const userContext = createUserContext({ channels: ['tech'], duration: 1, deterministic: true });
+      await executeWorkflow(userContext, null, { factCheck: 'warn' });
+    },
+  },
+
+  // Same episode with a custom request, past the budget's warning threshold
+  // from the first call on, as tests/budget.test.js runs it
+  'tech-budget': {
+    responses: TECH_RESPONSES,
+    run: async () => {
+      const userContext = createUserContext({
+        channels: ['tech'],
+        customRequests: ['Rust 2024 edition migration tips'],
+        duration: 1,
+        deterministic: true,
+      });
+      const budget = new RunBudget({ maxTokens: 1000000, warnAt: 0.0001, policies: ['shorten', 'skip_custom'] });
+      const stop = budget.track();
+      try {
+        await executeWorkflow(userContext, null, { factCheck: 'warn', budget });
+      } finally {
+        stop();
+      }
+    },
+  },
+
+  'monologue-synthesis': {
+    responses: {
+      planner: JSON.stringify({
+        overview: 'A quick look at the Rust 2024 edition and Node.js 24 LTS.',
+        sections: [
+          { id: 'rust', title: 'Rust 2024 Edition', goal: 'Explain what the new edition changes', approx_words: 80, content_refs: ['tech'] },
+          { id: 'node', title: 'Node.js 24 LTS', goal: 'Cover the LTS move and upgrade advice', approx_words: 80, content_refs: ['tech'] },
+        ],
+      }),
+      writer: {
+        rust: '[excited] Rust 1.85 is out, and it stabilizes the 2024 edition {S1}. Async closures are the headline, and cargo fix migrates most code for you {S1}.',
+        node: '[calm] Node.js 24 is now in long-term support, with security fixes until April 2028 {S2}.',
+      },
+    },
+    run: () => synthesize('monologue'),
+  },
+
+  'dialogue-synthesis': {
+    responses: {
+      planner: JSON.stringify({
+        overview: 'A two-host look at the Rust 2024 edition and Node.js 24 LTS.',
+        hosts: [
+          { id: 'HOST_A', name: 'Alex', role: 'anchor', persona: 'Warm, curious lead host' },
+          { id: 'HOST_B', name: 'Sam', role: 'analyst', persona: 'Sharp analyst who brings the details' },
+        ],
+        sections: [
+          { id: 'rust', title: 'Rust 2024 Edition', goal: 'Explain what the new edition changes', approx_words: 80, content_refs: ['tech'], lead_host: 'HOST_A' },
+          { id: 'node', title: 'Node.js 24 LTS', goal: 'Cover the LTS move and upgrade advice', approx_words: 80, content_refs: ['tech'], lead_host: 'HOST_B' },
+        ],
+      }),
+      writer: {
+        rust: 'HOST_A: [excited] Rust 1.85 is out, and it stabilizes the 2024 edition {S1}.\nHOST_B: Async closures are the headline, and cargo fix migrates most code for you {S1}.',
+        node: 'HOST_B: [calm] Node.js 24 is now in long-term support {S2}.\nHOST_A: So how long is it covered?\nHOST_B: Security fixes run until April 2028 {S2}.',
+      },
+    },
+    run: () => synthesize('dialogue'),
+  },
+};
+
+/**
+ * Plan and write a two-section tech episode, as tests/synthesis.test.js does
+ *
+ * @param {string} format - Script format
+ */
+async function synthesize(format) {
+  const channelReports = {
+    tech: {
+      channelId: 'tech',
+      channelName: 'Tech & Software Development',
+      report: 'Rust 1.85 shipped the 2024 edition, adding async closures; cargo fix migrates most code. Node.js 24 moved to long-term support and receives security fixes until April 2028.',
+      sources: [
+        {
+          title: 'Rust 1.85 ships the 2024 edition',
+          url: 'https://news.example.com/articles/rust-2024',
+          domain: 'news.example.com',
+          published: null,
+          fallback: false,
+          scraped: true,
+          excerpt: 'The Rust team released Rust 1.85, stabilizing the 2024 edition.',
+        },
+        {
+          title: 'Node.js 24 enters long-term support',
+          url: 'https://news.example.com/articles/node-24',
+          domain: 'news.example.com',
+          published: null,
+          fallback: false,
+          scraped: true,
+          excerpt: 'Node.js 24 moved to long-term support and will receive security fixes until April 2028.',
+        },
+      ],
+    },
+  };
+  const sources = buildSourceIndex(Object.values(channelReports));
+  const { plan } = await planPodcast({ channelReports, customReport: null, setting: 'morning_routine', duration: 2, format });
+
+  const written = [];
+  for (const section of plan.sections) {
+    written.push(await writeSection({
+      plan,
+      section,
+      setting: 'morning_routine',
+      currentScript: written.map(s => s.text).join('\n\n'),
+      channelReports,
+      format,
+      sources,
+    }));
+  }
+}
+
+let current = null;
+
+/**
+ * Chat model that answers from the current scenario's responses
+ */
+class ScriptedChatModel extends BaseChatModel {
+  constructor({ role }) {
+    super({});
+    this.role = role;
+  }
+
+  _llmType() {
+    return 'scripted';
+  }
+
+  async _generate(messages) {
+    const prompt = messages.map(m => m.content).join('\n');
+    const content = respond(this.role, prompt);
+    const inputTokens = Math.ceil(prompt.length / 4);
+    const outputTokens = Math.ceil(content.length / 4);
+    const message = new AIMessage({
+      content,
+      usage_metadata: { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens },
+    });
+    return { generations: [{ text: content, message }], llmOutput: {} };
+  }
+}
+
+function respond(role, prompt) {
+  const response = current.responses[role];
+  if (typeof response === 'string') return response;
+
+  if (role === 'writer' && response) {
+    const id = prompt.match(/YOUR CURRENT SECTION \(([^)]+)\)/)?.[1];
+    if (id && response[id]) return response[id];
+  }
+
+  throw new Error(`Scenario has no scripted ${role} response`);
+}
+
+registerProvider('scripted', {
+  defaultModel: () => 'scripted',
+  create: ({ role }) => new ScriptedChatModel({ role }),
+});
+
+for (const [name, scenario] of Object.entries(SCENARIOS)) {
+  const dir = path.join(REPLAY_DIR, name);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  current = scenario;
+  fixtureStore.enableRecording(dir);
+  try {
+    await scenario.run();
+  } finally {
+    fixtureStore.disable();
+  }
+  rewriteOrigin(dir);
+  console.log(`Recorded ${path.relative(process.cwd(), dir)}`);
+}
+
+server.close();
+
+/**
+ * Replace the local server's address with FIXTURE_ORIGIN in every fixture
+ * and re-key the entries, whose inputs contain URLs
+ *
+ * @param {string} dir - Scenario fixture directory
+ */
+function rewriteOrigin(dir) {
+  for (const file of fs.readdirSync(dir)) {
+    const text = fs.readFileSync(path.join(dir, file), 'utf8')
+      .replaceAll(serverOrigin, FIXTURE_ORIGIN)
+      .replaceAll('127.0.0.1', new URL(FIXTURE_ORIGIN).hostname);
+    const entries = Object.values(JSON.parse(text)).map(entry => [fixtureKey(entry.input), entry]);
+    fs.writeFileSync(path.join(dir, file), `${JSON.stringify(Object.fromEntries(entries), null, 2)}\n`);
+  }
+}
@@ -0,0 +1,68 @@
+import { parseRobots, isPathAllowed } from '../src/tools/robots.js';
+
+const ROBOTS = `
+# Everyone else
+User-agent: *
+Disallow: /private/
+Crawl-delay: 5
+
+User-agent: Googlebot
+User-agent: AgenticPodcastBot/1.0
+Disallow: /drafts
+Allow: /drafts/published
+Disallow: /*.pdf$
+Disallow: /search*q=
+
+User-agent: agenticpodcastbot
+Crawl-delay: 2
+Disallow:
+`;
+
+describe('parseRobots', () => {
+  test('merges every group naming our token and ignores the * group', () => {
+    expect(parseRobots(ROBOTS)).toEqual({
+      rules: [
+        { allow: false, path: '/drafts' },
+        { allow: true, path: '/drafts/published' },
+        { allow: false, path: '/*.pdf$' },
+        { allow: false, path: '/search*q=' },
+      ],
+      crawlDelay: 2,
+    });
+  });
+
+  test('falls back to the * group for other agents', () => {
+    expect(parseRobots(ROBOTS, 'OtherBot')).toEqual({
+      rules: [{ allow: false, path: '/private/' }],
+      crawlDelay: 5,
+    });
+  });
+
+  test('applies nothing when no group matches', () => {
+    expect(parseRobots('User-agent: Googlebot\nDisallow: /')).toEqual({ rules: [], crawlDelay: null });
+    expect(parseRobots('Disallow: /\n')).toEqual({ rules: [], crawlDelay: null });
+  });
+});
+
+describe('isPathAllowed', () => {
+  const { rules } = parseRobots(ROBOTS);
+
+  test.each([
+    ['/', true],
+    ['/private/page', true],
+    ['/drafts', false],
+    ['/drafts-2025/post', false],
+    ['/drafts/published/post', true],
+    ['/report.pdf', false],
+    ['/report.pdf?page=2', true],
+    ['/search?lang=en&q=rust', false],
+    ['/search', true],
+  ])('%s → %s', (path, allowed) => {
+    expect(isPathAllowed(rules, path)).toBe(allowed);
+  });
+
+  test('prefers Allow when rules are equally specific', () => {
+    const tie = [{ allow: false, path: '/page' }, { allow: true, path: '/page' }];
+    expect(isPathAllowed(tie, '/page')).toBe(true);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Job API: request validation, the bounded queue and SSE event replay,
+ * exercised over HTTP with a stubbed episode runner.
+ */
+
+import { JobQueue, normalizeJobRequest } from '../src/server/jobs.js';
+import { createApiServer } from '../src/server/http.js';
+
+describe('normalizeJobRequest', () => {
+  test('turns a request body into generate options', () => {
+    const { options, errors } = normalizeJobRequest({ channels: 'tech', duration: '3', factCheck: 'warn' });
+    expect(errors).toEqual([]);
+    expect(options).toMatchObject({
+      channels: ['tech'],
+      requests: [],
+      setting: 'morning_routine',
+      duration: 3,
+      format: 'monologue',
+      deterministic: false,
+      audio: false,
+      factCheck: 'warn',
+      history: true,
+    });
+  });
+
+  test('reports every invalid field', () => {
+    const { errors } = normalizeJobRequest({ channels: ['tech', 'cooking'], setting: 'disco', factCheck: 'maybe' });
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('Unknown channel(s): cooking'),
+      'Unknown setting: disco',
+      expect.stringContaining('Unknown fact-check policy: maybe'),
+    ]));
+  });
+});
+
+describe('job API', () => {
+  let queue;
+  let server;
+  let baseUrl;
+  const runs = [];
+
+  // Each episode runs until the test settles it
+  const runEpisode = (options) => new Promise((resolve, reject) => {
+    options.progress.beginStage('research');
+    runs.push({ resolve, reject });
+  });
+
+  const post = body => fetch(`${baseUrl}/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  beforeAll(async () => {
+    queue = new JobQueue({ runEpisode, concurrency: 1, maxQueued: 1 });
+    server = createApiServer({ queue, apiKey: '' });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    runs.forEach(run => run.resolve({ outputDir: null }));
+    await queue.drain();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('queues jobs up to the limit and refuses more with 503', async () => {
+    const first = await (await post({ channels: ['tech'] })).json();
+    const second = await (await post({ channels: ['tech'] })).json();
+    expect(first.status).toBe('running');
+    expect(second.status).toBe('queued');
+
+    const refused = await post({ channels: ['tech'] });
+    expect(refused.status).toBe(503);
+    expect(refused.headers.get('retry-after')).toBe('60');
+    expect(queue.getStats()).toMatchObject({ running: 1, queued: 1 });
+  });
+
+  test('rejects an invalid request with 400', async () => {
+    const response = await post({ channels: ['cooking'] });
+    expect(response.status).toBe(400);
+    expect((await response.json()).details[0]).toContain('Unknown channel(s): cooking');
+  });
+
+  test('cancels only queued jobs', async () => {
+    const [second, first] = queue.list();
+
+    const cancelled = await fetch(`${baseUrl}/jobs/${second.id}`, { method: 'DELETE' });
+    expect(cancelled.status).toBe(200);
+    expect((await cancelled.json()).status).toBe('cancelled');
+
+    const running = await fetch(`${baseUrl}/jobs/${first.id}`, { method: 'DELETE' });
+    expect(running.status).toBe(409);
+  });
+
+  test('serves only the known job files', async () => {
+    const [job] = queue.list();
+    const response = await fetch(`${baseUrl}/jobs/${job.id}/files/constructor`);
+    expect(response.status).toBe(404);
+  });
+
+  test('replays events after Last-Event-ID to a late subscriber', async () => {
+    const job = queue.list().find(entry => entry.status === 'running');
+    runs[0].resolve({ outputDir: null });
+    await job.done;
+
+    const response = await fetch(`${baseUrl}/jobs/${job.id}/events`, { headers: { 'Last-Event-ID': '1' } });
+    const events = [...(await response.text()).matchAll(/^id: (\d+)\nevent: (\S+)$/gm)].map(m => [Number(m[1]), m[2]]);
+
+    expect(events[0][0]).toBe(2);
+    expect(events.map(([, event]) => event)).toEqual(['started', 'stage_start', 'done']);
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Test Setup
+ *
+ * Runs before each test file: only errors are logged, and the HTTP cache is
+ * off so tests never read or write ./cache. Channel feeds are off too: the
+ * fixtures were recorded without them, and a feed fetch with no recorded
+ * fixture fails in replay.
+ */
+
+process.env.LOG_LEVEL = 'error';
+process.env.HTTP_CACHE_ENABLED = 'false';
+process.env.FEEDS_ENABLED = 'false';
@@ -0,0 +1,18 @@
+import { canonicalUrl, domainOf } from '../src/tools/source-collector.js';
+
+describe('canonicalUrl', () => {
+  test('drops www., fragments, tracking parameters and trailing slashes', () => {
+    expect(canonicalUrl('https://WWW.Example.com/news/story/?utm_source=rss&id=7&fbclid=abc#comments'))
+      .toBe('https://example.com/news/story/?id=7');
+    expect(canonicalUrl('https://example.com/news/story/')).toBe('https://example.com/news/story');
+  });
+
+  test('sorts query parameters so equal pages compare equal', () => {
+    expect(canonicalUrl('https://example.com/a?b=2&a=1')).toBe(canonicalUrl('https://www.example.com/a?a=1&b=2&ref=home'));
+  });
+
+  test('returns invalid URLs unchanged', () => {
+    expect(canonicalUrl('not a url')).toBe('not a url');
+    expect(domainOf('not a url')).toBe('');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Planner → writer in both script formats, replayed from
+ * tests/fixtures/replay. No network calls or API keys are needed; if a
+ * prompt changes, re-record the fixtures (see README "Testing").
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fixtureStore } from '../src/replay/index.js';
+import { planPodcast } from '../src/synthesis/planner.js';
+import { writeSection } from '../src/synthesis/writer.js';
+import { buildSourceIndex } from '../src/synthesis/citations.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/replay');
+
+const channelReports = {
+  tech: {
+    channelId: 'tech',
+    channelName: 'Tech & Software Development',
+    report: 'Rust 1.85 shipped the 2024 edition, adding async closures; cargo fix migrates most code. Node.js 24 moved to long-term support and receives security fixes until April 2028.',
+    sources: [
+      {
+        title: 'Rust 1.85 ships the 2024 edition',
+        url: 'https://news.example.com/articles/rust-2024',
+        domain: 'news.example.com',
+        published: null,
+        fallback: false,
+        scraped: true,
+        excerpt: 'The Rust team released Rust 1.85, stabilizing the 2024 edition.',
+      },
+      {
+        title: 'Node.js 24 enters long-term support',
+        url: 'https://news.example.com/articles/node-24',
+        domain: 'news.example.com',
+        published: null,
+        fallback: false,
+        scraped: true,
+        excerpt: 'Node.js 24 moved to long-term support and will receive security fixes until April 2028.',
+      },
+    ],
+  },
+};
+
+const sources = buildSourceIndex(Object.values(channelReports));
+
+afterAll(() => fixtureStore.disable());
+
+/**
+ * Write every planned section in order, as the workflow does
+ */
+async function writeAll(plan, format) {
+  const sections = [];
+  for (const section of plan.sections) {
+    sections.push(await writeSection({
+      plan,
+      section,
+      setting: 'morning_routine',
+      currentScript: sections.map(s => s.text).join('\n\n'),
+      channelReports,
+      format,
+      sources,
+    }));
+  }
+  return sections;
+}
+
+describe('planner → writer (replay)', () => {
+  let plan;
+
+  beforeAll(() => fixtureStore.enableReplay(path.join(FIXTURES, 'monologue-synthesis')));
+
+  test('plans the episode sections', async () => {
+    ({ plan } = await planPodcast({
+      channelReports,
+      customReport: null,
+      setting: 'morning_routine',
+      duration: 2,
+    }));
+
+    expect(plan.sections.map(s => s.id)).toEqual(['rust', 'node']);
+  });
+
+  test('writes each section with its citations', async () => {
+    const sections = await writeAll(plan);
+
+    expect(sections.map(s => s.sources)).toEqual([['S1'], ['S2']]);
+    expect(sections[1].text).toBe(
+      '[calm] Node.js 24 is now in long-term support, with security fixes until April 2028.'
+    );
+    expect(sections[1].tokenUsage.totalTokens).toBeGreaterThan(0);
+  });
+});
+
+describe('planner → writer, dialogue format (replay)', () => {
+  let plan;
+
+  beforeAll(() => fixtureStore.enableReplay(path.join(FIXTURES, 'dialogue-synthesis')));
+
+  test('plans a dialogue episode with two hosts', async () => {
+    ({ plan } = await planPodcast({
+      channelReports,
+      customReport: null,
+      setting: 'morning_routine',
+      duration: 2,
+      format: 'dialogue',
+    }));
+
+    expect(plan.hosts.map(h => h.id)).toEqual(['HOST_A', 'HOST_B']);
+    expect(plan.sections.map(s => [s.id, s.lead_host])).toEqual([
+      ['rust', 'HOST_A'],
+      ['node', 'HOST_B'],
+    ]);
+  });
+
+  test('writes each section as speaker turns with its citations', async () => {
+    const sections = await writeAll(plan, 'dialogue');
+
+    expect(sections.map(s => s.sources)).toEqual([['S1'], ['S2']]);
+    expect(sections[1].turns.map(t => t.speaker)).toEqual(['HOST_B', 'HOST_A', 'HOST_B']);
+    expect(sections[1].text).toBe(
+      'HOST_B: [calm] Node.js 24 is now in long-term support.\n\n' +
+      'HOST_A: So how long is it covered?\n\n' +
+      'HOST_B: Security fixes run until April 2028.'
+    );
+  });
+});
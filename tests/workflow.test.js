@@ -0,0 +1,58 @@
+/**
+ * A deterministic one-channel episode, replayed end to end from
+ * tests/fixtures/replay/tech-deterministic: search → scrape → research →
+ * plan → write → fact-check.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fixtureStore } from '../src/replay/index.js';
+import { createUserContext } from '../src/orchestrator/user-context.js';
+import { executeWorkflow } from '../src/orchestrator/workflow.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/replay/tech-deterministic');
+
+beforeAll(() => fixtureStore.enableReplay(FIXTURES));
+afterAll(() => fixtureStore.disable());
+
+describe('workflow (replay)', () => {
+  let results;
+
+  beforeAll(async () => {
+    const userContext = createUserContext({ channels: ['tech'], duration: 1, deterministic: true });
+    results = await executeWorkflow(userContext, null, { factCheck: 'warn' });
+  });
+
+  test('researches the channel from the scraped articles', () => {
+    expect(results.summary).toMatchObject({ totalChannels: 1, successfulChannels: 1, failedChannels: 0 });
+
+    const report = results.channelReports.tech;
+    expect(report.method).toBe('deterministic');
+    expect(report.sources.map(s => [s.url, s.scraped])).toEqual([
+      ['https://news.example.com/articles/rust-2024', true],
+      ['https://news.example.com/articles/node-24', true],
+      ['https://news.example.com/articles/postgres-18', true],
+    ]);
+  });
+
+  test('numbers the sources and writes the planned sections with citations', () => {
+    expect(results.sources.map(s => s.id)).toEqual(['S1', 'S2', 'S3']);
+    expect(results.scriptSections.map(s => [s.id, s.sources])).toEqual([
+      ['intro', []],
+      ['releases', ['S1', 'S2', 'S3']],
+      ['closing', []],
+    ]);
+    expect(results.finalScript).toContain('Node.js 24 is now in long-term support');
+    expect(results.finalScript).not.toMatch(/\{S\d+\}/);
+  });
+
+  test('tracks token usage from the recorded responses', () => {
+    expect(results.metadata.tokenUsage.synthesis.planner.totalTokens).toBeGreaterThan(0);
+    expect(results.metadata.tokenUsage.synthesis.writer.totalTokens).toBeGreaterThan(0);
+  });
+
+  test('fact-checks every section against the research', () => {
+    expect(results.factCheck).toMatchObject({ policy: 'warn', flagged: 0, passed: true });
+    expect(results.factCheck.claims).toBeGreaterThan(0);
+  });
+});